@@ -16,20 +16,7 @@ module.exports = function (grunt) {
             core: {
                 expand: false,
                 flatten: true,
-                src: ['core/blockly.js', 'core/block.js', 'core/block_svg.js', 'core/blocks.js', 'core/icon.js',
-                    'core/bubble.js',
-                    'core/comment.js', 'core/connection.js', 'core/contextmenu.js', 'core/css.js', 'core/field.js',
-                    'core/field_textinput.js',
-                    'core/field_angle.js', 'core/field_checkbox.js', 'core/field_colour.js', 'core/field_dropdown.js',
-                    'core/field_image.js',
-                    'core/field_label.js', 'core/field_variable.js', 'core/flyout.js', 'core/generator.js',
-                    'core/inject.js', 'core/input.js',
-                    'core/msg.js', 'core/mutator.js', 'core/names.js', 'core/procedures.js', 'core/scrollbar.js',
-                    'core/tooltip.js',
-                    'core/trashcan.js', 'core/utils.js', 'core/variables.js', 'core/warning.js', 'core/widgetdiv.js',
-                    'core/workspace.js',
-                    'core/json.js', 'core/xml.js'
-                ],
+                src: require('./tools/core_files.js'),
                 dest: 'build/core.js'
             },
             blocks: {
@@ -52,6 +39,11 @@ module.exports = function (grunt) {
                 src: ['media/**'],
                 dest: 'build/'
             },
+            schema: {
+                expand: true,
+                src: ['schema/*.json'],
+                dest: 'build/'
+            },
 
             blockly: {
                 expand: true,
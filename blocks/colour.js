@@ -33,7 +33,7 @@ Blockly.Blocks['colour_picker'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.COLOUR_PICKER_HELPURL);
-        this.setColour(20);
+        this.setColour('colour');
         this.appendDummyInput()
             .appendField(new Blockly.FieldColour('#ff0000'), 'COLOUR');
         this.setOutput(true, 'Colour');
@@ -48,7 +48,7 @@ Blockly.Blocks['colour_random'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.COLOUR_RANDOM_HELPURL);
-        this.setColour(20);
+        this.setColour('colour');
         this.appendDummyInput()
             .appendField(Blockly.Msg.COLOUR_RANDOM_TITLE);
         this.setOutput(true, 'Colour');
@@ -63,7 +63,7 @@ Blockly.Blocks['colour_rgb'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.COLOUR_RGB_HELPURL);
-        this.setColour(20);
+        this.setColour('colour');
         this.appendValueInput('RED')
             .setCheck('Number')
             .setAlign(Blockly.ALIGN_RIGHT)
@@ -89,7 +89,7 @@ Blockly.Blocks['colour_blend'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.COLOUR_BLEND_HELPURL);
-        this.setColour(20);
+        this.setColour('colour');
         this.appendValueInput('COLOUR1')
             .setCheck('Colour')
             .setAlign(Blockly.ALIGN_RIGHT)
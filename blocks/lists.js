@@ -34,7 +34,7 @@ Blockly.Blocks['lists_create_empty'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.LISTS_CREATE_EMPTY_HELPURL);
-        this.setColour(260);
+        this.setColour('lists');
         this.setOutput(true, 'Array');
         this.appendDummyInput()
             .appendField(Blockly.Msg.LISTS_CREATE_EMPTY_TITLE);
@@ -48,7 +48,7 @@ Blockly.Blocks['lists_create_with'] = {
      * @this Blockly.Block
      */
     init: function () {
-        this.setColour(260);
+        this.setColour('lists');
         this.appendValueInput('ADD0')
             .appendField(Blockly.Msg.LISTS_CREATE_WITH_INPUT_WITH);
         this.appendValueInput('ADD1');
@@ -173,7 +173,7 @@ Blockly.Blocks['lists_create_with_container'] = {
      * @this Blockly.Block
      */
     init: function () {
-        this.setColour(260);
+        this.setColour('lists');
         this.appendDummyInput()
             .appendField(Blockly.Msg.LISTS_CREATE_WITH_CONTAINER_TITLE_ADD);
         this.appendStatementInput('STACK');
@@ -188,7 +188,7 @@ Blockly.Blocks['lists_create_with_item'] = {
      * @this Blockly.Block
      */
     init: function () {
-        this.setColour(260);
+        this.setColour('lists');
         this.appendDummyInput()
             .appendField(Blockly.Msg.LISTS_CREATE_WITH_ITEM_TITLE);
         this.setPreviousStatement(true);
@@ -205,7 +205,7 @@ Blockly.Blocks['lists_repeat'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.LISTS_REPEAT_HELPURL);
-        this.setColour(260);
+        this.setColour('lists');
         this.setOutput(true, 'Array');
         this.interpolateMsg(Blockly.Msg.LISTS_REPEAT_TITLE,
             ['ITEM', null, Blockly.ALIGN_RIGHT],
@@ -222,7 +222,7 @@ Blockly.Blocks['lists_length'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.LISTS_LENGTH_HELPURL);
-        this.setColour(260);
+        this.setColour('lists');
         this.interpolateMsg(Blockly.Msg.LISTS_LENGTH_TITLE,
             ['VALUE', ['Array', 'String'], Blockly.ALIGN_RIGHT],
             Blockly.ALIGN_RIGHT);
@@ -238,7 +238,7 @@ Blockly.Blocks['lists_isEmpty'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.LISTS_IS_EMPTY_HELPURL);
-        this.setColour(260);
+        this.setColour('lists');
         this.interpolateMsg(Blockly.Msg.LISTS_IS_EMPTY_TITLE,
             ['VALUE', ['Array', 'String'], Blockly.ALIGN_RIGHT],
             Blockly.ALIGN_RIGHT)
@@ -260,7 +260,7 @@ Blockly.Blocks['lists_indexOf'] = {
                 [Blockly.Msg.LISTS_INDEX_OF_LAST, 'LAST']
             ];
         this.setHelpUrl(Blockly.Msg.LISTS_INDEX_OF_HELPURL);
-        this.setColour(260);
+        this.setColour('lists');
         this.setOutput(true, 'Number');
         this.appendValueInput('VALUE')
             .setCheck('Array')
@@ -293,7 +293,7 @@ Blockly.Blocks['lists_getIndex'] = {
                 [Blockly.Msg.LISTS_GET_INDEX_RANDOM, 'RANDOM']
             ];
         this.setHelpUrl(Blockly.Msg.LISTS_GET_INDEX_HELPURL);
-        this.setColour(260);
+        this.setColour('lists');
         var modeMenu = new Blockly.FieldDropdown(MODE, function (value) {
             var isStatement = (value == 'REMOVE');
             this.sourceBlock_.updateStatement_(isStatement);
@@ -436,7 +436,7 @@ Blockly.Blocks['lists_setIndex'] = {
                 [Blockly.Msg.LISTS_GET_INDEX_RANDOM, 'RANDOM']
             ];
         this.setHelpUrl(Blockly.Msg.LISTS_SET_INDEX_HELPURL);
-        this.setColour(260);
+        this.setColour('lists');
         this.appendValueInput('LIST')
             .setCheck('Array')
             .appendField(Blockly.Msg.LISTS_SET_INDEX_INPUT_IN_LIST);
@@ -546,7 +546,7 @@ Blockly.Blocks['lists_getSublist'] = {
                 [Blockly.Msg.LISTS_GET_SUBLIST_END_LAST, 'LAST']
             ];
         this.setHelpUrl(Blockly.Msg.LISTS_GET_SUBLIST_HELPURL);
-        this.setColour(260);
+        this.setColour('lists');
         this.appendValueInput('LIST')
             .setCheck('Array')
             .appendField(Blockly.Msg.LISTS_GET_SUBLIST_INPUT_IN_LIST);
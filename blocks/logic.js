@@ -34,7 +34,7 @@ Blockly.Blocks['controls_if'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.CONTROLS_IF_HELPURL);
-        this.setColour(210);
+        this.setColour('logic');
         this.appendValueInput('IF0')
             .setCheck('Boolean')
             .appendField(Blockly.Msg.CONTROLS_IF_MSG_IF);
@@ -228,7 +228,7 @@ Blockly.Blocks['controls_if_if'] = {
      * @this Blockly.Block
      */
     init: function () {
-        this.setColour(210);
+        this.setColour('logic');
         this.appendDummyInput()
             .appendField(Blockly.Msg.CONTROLS_IF_IF_TITLE_IF);
         this.appendStatementInput('STACK');
@@ -243,7 +243,7 @@ Blockly.Blocks['controls_if_elseif'] = {
      * @this Blockly.Block
      */
     init: function () {
-        this.setColour(210);
+        this.setColour('logic');
         this.appendDummyInput()
             .appendField(Blockly.Msg.CONTROLS_IF_ELSEIF_TITLE_ELSEIF);
         this.setPreviousStatement(true);
@@ -259,7 +259,7 @@ Blockly.Blocks['controls_if_else'] = {
      * @this Blockly.Block
      */
     init: function () {
-        this.setColour(210);
+        this.setColour('logic');
         this.appendDummyInput()
             .appendField(Blockly.Msg.CONTROLS_IF_ELSE_TITLE_ELSE);
         this.setPreviousStatement(true);
@@ -290,7 +290,7 @@ Blockly.Blocks['logic_compare'] = {
             ['\u2265', 'GTE']
         ];
         this.setHelpUrl(Blockly.Msg.LOGIC_COMPARE_HELPURL);
-        this.setColour(210);
+        this.setColour('logic');
         this.setOutput(true, 'Boolean');
         this.appendValueInput('A');
         this.appendValueInput('B')
@@ -325,7 +325,7 @@ Blockly.Blocks['logic_operation'] = {
                 [Blockly.Msg.LOGIC_OPERATION_OR, 'OR']
             ];
         this.setHelpUrl(Blockly.Msg.LOGIC_OPERATION_HELPURL);
-        this.setColour(210);
+        this.setColour('logic');
         this.setOutput(true, 'Boolean');
         this.appendValueInput('IN0')
             .setCheck('Boolean');
@@ -464,7 +464,7 @@ Blockly.Blocks['logic_compare_base'] = {
      * @this Blockly.Block
      */
     init: function () {
-        this.setColour(210);
+        this.setColour('logic');
         this.appendDummyInput()
             .appendField("Logic Compare");
         this.appendStatementInput('STACK');
@@ -479,7 +479,7 @@ Blockly.Blocks['logic_compare_number'] = {
      * @this Blockly.Block
      */
     init: function () {
-        this.setColour(210);
+        this.setColour('logic');
         this.appendDummyInput()
             .appendField("number");
         this.setPreviousStatement(true);
@@ -496,7 +496,7 @@ Blockly.Blocks['logic_negate'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.LOGIC_NEGATE_HELPURL);
-        this.setColour(210);
+        this.setColour('logic');
         this.setOutput(true, 'Boolean');
         this.interpolateMsg(Blockly.Msg.LOGIC_NEGATE_TITLE,
             ['BOOL', 'Boolean', Blockly.ALIGN_RIGHT],
@@ -517,7 +517,7 @@ Blockly.Blocks['logic_boolean'] = {
                 [Blockly.Msg.LOGIC_BOOLEAN_FALSE, 'FALSE']
             ];
         this.setHelpUrl(Blockly.Msg.LOGIC_BOOLEAN_HELPURL);
-        this.setColour(210);
+        this.setColour('logic');
         this.setOutput(true, 'Boolean');
         this.appendDummyInput()
             .appendField(new Blockly.FieldDropdown(BOOLEANS), 'BOOL');
@@ -532,7 +532,7 @@ Blockly.Blocks['logic_null'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.LOGIC_NULL_HELPURL);
-        this.setColour(210);
+        this.setColour('logic');
         this.setOutput(true);
         this.appendDummyInput()
             .appendField(Blockly.Msg.LOGIC_NULL);
@@ -547,7 +547,7 @@ Blockly.Blocks['logic_ternary'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.LOGIC_TERNARY_HELPURL);
-        this.setColour(210);
+        this.setColour('logic');
         this.appendValueInput('IF')
             .setCheck('Boolean')
             .appendField(Blockly.Msg.LOGIC_TERNARY_CONDITION);
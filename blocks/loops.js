@@ -33,7 +33,7 @@ Blockly.Blocks['controls_repeat'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.CONTROLS_REPEAT_HELPURL);
-        this.setColour(120);
+        this.setColour('loops');
         this.appendDummyInput()
             .appendField(Blockly.Msg.CONTROLS_REPEAT_TITLE_REPEAT)
             .appendField(new Blockly.FieldTextInput('10',
@@ -54,7 +54,7 @@ Blockly.Blocks['controls_repeat_ext'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.CONTROLS_REPEAT_HELPURL);
-        this.setColour(120);
+        this.setColour('loops');
         this.interpolateMsg(Blockly.Msg.CONTROLS_REPEAT_TITLE,
             ['TIMES', 'Number', Blockly.ALIGN_RIGHT],
             Blockly.ALIGN_RIGHT);
@@ -79,7 +79,7 @@ Blockly.Blocks['controls_whileUntil'] = {
                 [Blockly.Msg.CONTROLS_WHILEUNTIL_OPERATOR_UNTIL, 'UNTIL']
             ];
         this.setHelpUrl(Blockly.Msg.CONTROLS_WHILEUNTIL_HELPURL);
-        this.setColour(120);
+        this.setColour('loops');
         this.appendValueInput('BOOL')
             .setCheck('Boolean')
             .appendField(new Blockly.FieldDropdown(OPERATORS), 'MODE');
@@ -107,7 +107,7 @@ Blockly.Blocks['controls_for'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.CONTROLS_FOR_HELPURL);
-        this.setColour(120);
+        this.setColour('loops');
         this.appendDummyInput()
             .appendField(Blockly.Msg.CONTROLS_FOR_INPUT_WITH)
             .appendField(new Blockly.FieldVariable(null), 'VAR');
@@ -157,11 +157,8 @@ Blockly.Blocks['controls_for'] = {
         var option = {enabled: true};
         var name = this.getFieldValue('VAR');
         option.text = Blockly.Msg.VARIABLES_SET_CREATE_GET.replace('%1', name);
-        var xmlField = Ext.DomHelper.createDom({tag: "field", children: name})
-        xmlField.setAttribute('name', 'VAR');
-        var xmlBlock = Ext.DomHelper.createDom({tag: "block", children: xmlField})
-        xmlBlock.setAttribute('type', 'variables_get');
-        option.callback = Blockly.ContextMenu.callbackFactory(this, xmlBlock);
+        var jsonBlock = {type: 'variables_get', fields: [{name: 'VAR', value: name}]};
+        option.callback = Blockly.ContextMenu.callbackFactory(this, jsonBlock);
         options.push(option);
     }
 };
@@ -173,7 +170,7 @@ Blockly.Blocks['controls_forEach'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.CONTROLS_FOREACH_HELPURL);
-        this.setColour(120);
+        this.setColour('loops');
         this.appendValueInput('LIST')
             .setCheck('Array')
             .appendField(Blockly.Msg.CONTROLS_FOREACH_INPUT_ITEM)
@@ -230,7 +227,7 @@ Blockly.Blocks['controls_flow_statements'] = {
                 [Blockly.Msg.CONTROLS_FLOW_STATEMENTS_OPERATOR_CONTINUE, 'CONTINUE']
             ];
         this.setHelpUrl(Blockly.Msg.CONTROLS_FLOW_STATEMENTS_HELPURL);
-        this.setColour(120);
+        this.setColour('loops');
         this.appendDummyInput()
             .appendField(new Blockly.FieldDropdown(OPERATORS), 'FLOW');
         this.setPreviousStatement(true);
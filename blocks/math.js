@@ -34,7 +34,7 @@ Blockly.Blocks['math_number'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.MATH_NUMBER_HELPURL);
-        this.setColour(230);
+        this.setColour('math');
         this.appendDummyInput()
             .appendField(new Blockly.FieldTextInput('0',
                 Blockly.FieldTextInput.numberValidator), 'NUM');
@@ -58,7 +58,7 @@ Blockly.Blocks['math_arithmetic'] = {
                 [Blockly.Msg.MATH_POWER_SYMBOL, 'POWER']
             ];
         this.setHelpUrl(Blockly.Msg.MATH_ARITHMETIC_HELPURL);
-        this.setColour(230);
+        this.setColour('math');
         this.setOutput(true, 'Number');
         this.appendValueInput('A')
             .setCheck('Number');
@@ -99,7 +99,7 @@ Blockly.Blocks['math_single'] = {
                 ['10^', 'POW10']
             ];
         this.setHelpUrl(Blockly.Msg.MATH_SINGLE_HELPURL);
-        this.setColour(230);
+        this.setColour('math');
         this.setOutput(true, 'Number');
         this.interpolateMsg('%1 %2',
             ['OP', new Blockly.FieldDropdown(OPERATORS)],
@@ -139,7 +139,7 @@ Blockly.Blocks['math_trig'] = {
                 [Blockly.Msg.MATH_TRIG_ATAN, 'ATAN']
             ];
         this.setHelpUrl(Blockly.Msg.MATH_TRIG_HELPURL);
-        this.setColour(230);
+        this.setColour('math');
         this.setOutput(true, 'Number');
         this.appendValueInput('NUM')
             .setCheck('Number')
@@ -177,7 +177,7 @@ Blockly.Blocks['math_constant'] = {
                 ['\u221e', 'INFINITY']
             ];
         this.setHelpUrl(Blockly.Msg.MATH_CONSTANT_HELPURL);
-        this.setColour(230);
+        this.setColour('math');
         this.setOutput(true, 'Number');
         this.appendDummyInput()
             .appendField(new Blockly.FieldDropdown(CONSTANTS), 'CONSTANT');
@@ -202,7 +202,7 @@ Blockly.Blocks['math_number_property'] = {
                 [Blockly.Msg.MATH_IS_NEGATIVE, 'NEGATIVE'],
                 [Blockly.Msg.MATH_IS_DIVISIBLE_BY, 'DIVISIBLE_BY']
             ];
-        this.setColour(230);
+        this.setColour('math');
         this.appendValueInput('NUMBER_TO_CHECK')
             .setCheck('Number');
         var dropdown = new Blockly.FieldDropdown(PROPERTIES, function (option) {
@@ -269,7 +269,7 @@ Blockly.Blocks['math_change'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.MATH_CHANGE_HELPURL);
-        this.setColour(230);
+        this.setColour('math');
         this.interpolateMsg(
             // TODO: Combine these messages instead of using concatenation.
                 Blockly.Msg.MATH_CHANGE_TITLE_CHANGE + ' %1 ' +
@@ -321,7 +321,7 @@ Blockly.Blocks['math_round'] = {
                 [Blockly.Msg.MATH_ROUND_OPERATOR_ROUNDDOWN, 'ROUNDDOWN']
             ];
         this.setHelpUrl(Blockly.Msg.MATH_ROUND_HELPURL);
-        this.setColour(230);
+        this.setColour('math');
         this.setOutput(true, 'Number');
         this.appendValueInput('NUM')
             .setCheck('Number')
@@ -351,7 +351,7 @@ Blockly.Blocks['math_on_list'] = {
         // Assign 'this' to a variable for use in the closure below.
         var thisBlock = this;
         this.setHelpUrl(Blockly.Msg.MATH_ONLIST_HELPURL);
-        this.setColour(230);
+        this.setColour('math');
         this.setOutput(true, 'Number');
         var dropdown = new Blockly.FieldDropdown(OPERATORS, function (newOp) {
             if (newOp == 'MODE') {
@@ -387,7 +387,7 @@ Blockly.Blocks['math_modulo'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.MATH_MODULO_HELPURL);
-        this.setColour(230);
+        this.setColour('math');
         this.setOutput(true, 'Number');
         this.interpolateMsg(Blockly.Msg.MATH_MODULO_TITLE,
             ['DIVIDEND', 'Number', Blockly.ALIGN_RIGHT],
@@ -405,7 +405,7 @@ Blockly.Blocks['math_constrain'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.MATH_CONSTRAIN_HELPURL);
-        this.setColour(230);
+        this.setColour('math');
         this.setOutput(true, 'Number');
         this.interpolateMsg(Blockly.Msg.MATH_CONSTRAIN_TITLE,
             ['VALUE', 'Number', Blockly.ALIGN_RIGHT],
@@ -424,7 +424,7 @@ Blockly.Blocks['math_random_int'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.MATH_RANDOM_INT_HELPURL);
-        this.setColour(230);
+        this.setColour('math');
         this.setOutput(true, 'Number');
         this.interpolateMsg(Blockly.Msg.MATH_RANDOM_INT_TITLE,
             ['FROM', 'Number', Blockly.ALIGN_RIGHT],
@@ -442,7 +442,7 @@ Blockly.Blocks['math_random_float'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.MATH_RANDOM_FLOAT_HELPURL);
-        this.setColour(230);
+        this.setColour('math');
         this.setOutput(true, 'Number');
         this.appendDummyInput()
             .appendField(Blockly.Msg.MATH_RANDOM_FLOAT_TITLE_RANDOM);
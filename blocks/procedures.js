@@ -33,7 +33,7 @@ Blockly.Blocks['procedures_defnoreturn'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.PROCEDURES_DEFNORETURN_HELPURL);
-        this.setColour(290);
+        this.setColour('procedures');
         var name = Blockly.Procedures.findLegalName(
             Blockly.Msg.PROCEDURES_DEFNORETURN_PROCEDURE, this);
         this.appendDummyInput()
@@ -220,16 +220,12 @@ Blockly.Blocks['procedures_defnoreturn'] = {
         var name = this.getFieldValue('NAME');
         option.text = Blockly.Msg.PROCEDURES_CREATE_DO.replace('%1', name);
 
-        var xmlMutation = Ext.DomHelper.createDom({tag: "mutation"})
-        xmlMutation.setAttribute('name', name);
+        var mutation = [{name: 'name', value: name}];
         for (var x = 0; x < this.arguments_.length; x++) {
-            var xmlArg = Ext.DomHelper.createDom({tag: "arg"})
-            xmlArg.setAttribute('name', this.arguments_[x]);
-            xmlMutation.appendChild(xmlArg);
+            mutation.push({name: 'arg', value: this.arguments_[x]});
         }
-        var xmlBlock = Ext.DomHelper.createDom({tag: "block", children: xmlMutation})
-        xmlBlock.setAttribute('type', this.callType_);
-        option.callback = Blockly.ContextMenu.callbackFactory(this, xmlBlock);
+        var jsonBlock = {type: this.callType_, mutation: mutation};
+        option.callback = Blockly.ContextMenu.callbackFactory(this, jsonBlock);
 
         options.push(option);
         // Add options to create getters for each parameter.
@@ -237,11 +233,8 @@ Blockly.Blocks['procedures_defnoreturn'] = {
             var option = {enabled: true};
             var name = this.arguments_[x];
             option.text = Blockly.Msg.VARIABLES_SET_CREATE_GET.replace('%1', name);
-            var xmlField = Ext.DomHelper.createDom({tag: "field", children: name})
-            xmlField.setAttribute('name', 'VAR');
-            var xmlBlock = Ext.DomHelper.createDom({tag: "block", children: xmlField})
-            xmlBlock.setAttribute('type', 'variables_get');
-            option.callback = Blockly.ContextMenu.callbackFactory(this, xmlBlock);
+            var jsonBlock = {type: 'variables_get', fields: [{name: 'VAR', value: name}]};
+            option.callback = Blockly.ContextMenu.callbackFactory(this, jsonBlock);
             options.push(option);
         }
     },
@@ -255,7 +248,7 @@ Blockly.Blocks['procedures_defreturn'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.PROCEDURES_DEFRETURN_HELPURL);
-        this.setColour(290);
+        this.setColour('procedures');
         var name = Blockly.Procedures.findLegalName(
             Blockly.Msg.PROCEDURES_DEFRETURN_PROCEDURE, this);
         this.appendDummyInput()
@@ -301,7 +294,7 @@ Blockly.Blocks['procedures_mutatorcontainer'] = {
      * @this Blockly.Block
      */
     init: function () {
-        this.setColour(290);
+        this.setColour('procedures');
         this.appendDummyInput()
             .appendField(Blockly.Msg.PROCEDURES_MUTATORCONTAINER_TITLE);
         this.appendStatementInput('STACK');
@@ -316,7 +309,7 @@ Blockly.Blocks['procedures_mutatorarg'] = {
      * @this Blockly.Block
      */
     init: function () {
-        this.setColour(290);
+        this.setColour('procedures');
         this.appendDummyInput()
             .appendField(Blockly.Msg.PROCEDURES_MUTATORARG_TITLE)
             .appendField(new Blockly.FieldTextInput('x', this.validator_), 'NAME');
@@ -347,7 +340,7 @@ Blockly.Blocks['procedures_callnoreturn'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.PROCEDURES_CALLNORETURN_HELPURL);
-        this.setColour(290);
+        this.setColour('procedures');
         this.appendDummyInput()
             .appendField(Blockly.Msg.PROCEDURES_CALLNORETURN_CALL)
             .appendField('', 'NAME');
@@ -469,8 +462,12 @@ Blockly.Blocks['procedures_callnoreturn'] = {
      */
     mutationToDom: function () {
         var container = [];
+        var parameter = {};
+        parameter.name = 'name';
+        parameter.value = this.getFieldValue('NAME');
+        container.push(parameter);
         for (var x = 0; x < this.arguments_.length; x++) {
-            var parameter = {};
+            parameter = {};
             parameter.name = 'arg';
             parameter.value = this.arguments_[x];
             container.push(parameter);
@@ -484,15 +481,18 @@ Blockly.Blocks['procedures_callnoreturn'] = {
      * @this Blockly.Block
      */
     domToMutation: function (xmlElement) {
-        this.arguments_ = [];
+        var name = '';
+        var args = [];
         var elements = [].concat(xmlElement);
         for (var x = 0; x < elements.length; x++) {
+            if (elements[x].name.toLowerCase() == 'name') {
+                name = elements[x].value;
+            }
             if (elements[x].name.toLowerCase() == 'arg') {
-                this.arguments_.push(elements[x].value);
+                args.push(elements[x].value);
             }
         }
 
-        var name = xmlElement.getAttribute('name');
         this.setFieldValue(name, 'NAME');
         this.setTooltip(
             (this.outputConnection ? Blockly.Msg.PROCEDURES_CALLRETURN_TOOLTIP
@@ -502,12 +502,7 @@ Blockly.Blocks['procedures_callnoreturn'] = {
             // Initialize caller with the mutator's IDs.
             this.setProcedureParameters(def.arguments_, def.paramIds_);
         } else {
-            this.arguments_ = [];
-            for (var x = 0, childNode; childNode = xmlElement.childNodes[x]; x++) {
-                if (childNode.nodeName.toLowerCase() == 'arg') {
-                    this.arguments_.push(childNode.getAttribute('name'));
-                }
-            }
+            this.arguments_ = args;
             // For the second argument (paramIds) use the arguments list as a dummy
             // list.
             this.setProcedureParameters(this.arguments_, this.arguments_);
@@ -553,7 +548,7 @@ Blockly.Blocks['procedures_callreturn'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.PROCEDURES_CALLRETURN_HELPURL);
-        this.setColour(290);
+        this.setColour('procedures');
         this.appendDummyInput()
             .appendField(Blockly.Msg.PROCEDURES_CALLRETURN_CALL)
             .appendField('', 'NAME');
@@ -579,7 +574,7 @@ Blockly.Blocks['procedures_ifreturn'] = {
      */
     init: function () {
         this.setHelpUrl('http://c2.com/cgi/wiki?GuardClause');
-        this.setColour(290);
+        this.setColour('procedures');
         this.appendValueInput('CONDITION')
             .setCheck('Boolean')
             .appendField(Blockly.Msg.CONTROLS_IF_MSG_IF);
@@ -599,7 +594,7 @@ Blockly.Blocks['procedures_ifreturn'] = {
     mutationToDom: function () {
         var container = [];
         var parameter = {};
-        parameter.name = 'arg';
+        parameter.name = 'value';
         parameter.value = Number(this.hasReturnValue_);
         container.push(parameter);
 
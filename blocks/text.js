@@ -34,7 +34,7 @@ Blockly.Blocks['text'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.TEXT_TEXT_HELPURL);
-        this.setColour(160);
+        this.setColour('text');
         this.appendDummyInput()
             .appendField(this.newQuote_(true))
             .appendField(new Blockly.FieldTextInput(''), 'TEXT')
@@ -66,7 +66,7 @@ Blockly.Blocks['text_join'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.TEXT_JOIN_HELPURL);
-        this.setColour(160);
+        this.setColour('text');
         this.appendValueInput('ADD0')
             .appendField(Blockly.Msg.TEXT_JOIN_TITLE_CREATEWITH);
         this.appendValueInput('ADD1');
@@ -81,8 +81,11 @@ Blockly.Blocks['text_join'] = {
      * @this Blockly.Block
      */
     mutationToDom: function () {
-        var container = document.createElement('mutation');
-        container.setAttribute('items', this.itemCount_);
+        var container = [];
+        var parameter = {};
+        parameter.name = 'items';
+        parameter.value = this.itemCount_;
+        container.push(parameter);
         return container;
     },
     /**
@@ -197,7 +200,7 @@ Blockly.Blocks['text_create_join_container'] = {
      * @this Blockly.Block
      */
     init: function () {
-        this.setColour(160);
+        this.setColour('text');
         this.appendDummyInput()
             .appendField(Blockly.Msg.TEXT_CREATE_JOIN_TITLE_JOIN);
         this.appendStatementInput('STACK');
@@ -212,7 +215,7 @@ Blockly.Blocks['text_create_join_item'] = {
      * @this Blockly.Block
      */
     init: function () {
-        this.setColour(160);
+        this.setColour('text');
         this.appendDummyInput()
             .appendField(Blockly.Msg.TEXT_CREATE_JOIN_ITEM_TITLE_ITEM);
         this.setPreviousStatement(true);
@@ -229,7 +232,7 @@ Blockly.Blocks['text_append'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.TEXT_APPEND_HELPURL);
-        this.setColour(160);
+        this.setColour('text');
         this.appendValueInput('TEXT')
             .appendField(Blockly.Msg.TEXT_APPEND_TO)
             .appendField(new Blockly.FieldVariable(
@@ -273,7 +276,7 @@ Blockly.Blocks['text_length'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.TEXT_LENGTH_HELPURL);
-        this.setColour(160);
+        this.setColour('text');
         this.interpolateMsg(Blockly.Msg.TEXT_LENGTH_TITLE,
             ['VALUE', ['String', 'Array'], Blockly.ALIGN_RIGHT],
             Blockly.ALIGN_RIGHT);
@@ -289,7 +292,7 @@ Blockly.Blocks['text_isEmpty'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.TEXT_ISEMPTY_HELPURL);
-        this.setColour(160);
+        this.setColour('text');
         this.interpolateMsg(Blockly.Msg.TEXT_ISEMPTY_TITLE,
             ['VALUE', ['String', 'Array'], Blockly.ALIGN_RIGHT],
             Blockly.ALIGN_RIGHT);
@@ -310,7 +313,7 @@ Blockly.Blocks['text_indexOf'] = {
                 [Blockly.Msg.TEXT_INDEXOF_OPERATOR_LAST, 'LAST']
             ];
         this.setHelpUrl(Blockly.Msg.TEXT_INDEXOF_HELPURL);
-        this.setColour(160);
+        this.setColour('text');
         this.setOutput(true, 'Number');
         this.appendValueInput('VALUE')
             .setCheck('String')
@@ -341,7 +344,7 @@ Blockly.Blocks['text_charAt'] = {
                 [Blockly.Msg.TEXT_CHARAT_RANDOM, 'RANDOM']
             ];
         this.setHelpUrl(Blockly.Msg.TEXT_CHARAT_HELPURL);
-        this.setColour(160);
+        this.setColour('text');
         this.setOutput(true, 'String');
         this.appendValueInput('VALUE')
             .setCheck('String')
@@ -357,9 +360,11 @@ Blockly.Blocks['text_charAt'] = {
      * @this Blockly.Block
      */
     mutationToDom: function () {
-        var container = document.createElement('mutation');
-        var isAt = this.getInput('AT').type == Blockly.INPUT_VALUE;
-        container.setAttribute('at', isAt);
+        var container = [];
+        var parameter = {};
+        parameter.name = 'at';
+        parameter.value = this.getInput('AT').type == Blockly.INPUT_VALUE;
+        container.push(parameter);
         return container;
     },
     /**
@@ -435,7 +440,7 @@ Blockly.Blocks['text_getSubstring'] = {
                 [Blockly.Msg.TEXT_GET_SUBSTRING_END_LAST, 'LAST']
             ];
         this.setHelpUrl(Blockly.Msg.TEXT_GET_SUBSTRING_HELPURL);
-        this.setColour(160);
+        this.setColour('text');
         this.appendValueInput('STRING')
             .setCheck('String')
             .appendField(Blockly.Msg.TEXT_GET_SUBSTRING_INPUT_IN_TEXT);
@@ -457,11 +462,13 @@ Blockly.Blocks['text_getSubstring'] = {
      * @this Blockly.Block
      */
     mutationToDom: function () {
-        var container = document.createElement('mutation');
-        var isAt1 = this.getInput('AT1').type == Blockly.INPUT_VALUE;
-        container.setAttribute('at1', isAt1);
-        var isAt2 = this.getInput('AT2').type == Blockly.INPUT_VALUE;
-        container.setAttribute('at2', isAt2);
+        var container = [];
+        for (var n = 1; n <= 2; n++) {
+            var parameter = {};
+            parameter.name = 'at' + n;
+            parameter.value = this.getInput('AT' + n).type == Blockly.INPUT_VALUE;
+            container.push(parameter);
+        }
         return container;
     },
     /**
@@ -470,10 +477,15 @@ Blockly.Blocks['text_getSubstring'] = {
      * @this Blockly.Block
      */
     domToMutation: function (xmlElement) {
-        var isAt1 = (xmlElement.getAttribute('at1') == 'true');
-        var isAt2 = (xmlElement.getAttribute('at2') == 'true');
-        this.updateAt_(1, isAt1);
-        this.updateAt_(2, isAt2);
+        var elements = [].concat(xmlElement);
+        for (var x = 0; x < elements.length; x++) {
+            if (elements[x].name.toLowerCase() == 'at1') {
+                this.updateAt_(1, Blockly.Json.parseBoolean(elements[x].value));
+            }
+            if (elements[x].name.toLowerCase() == 'at2') {
+                this.updateAt_(2, Blockly.Json.parseBoolean(elements[x].value));
+            }
+        }
     },
     /**
      * Create or delete an input for a numeric index.
@@ -538,7 +550,7 @@ Blockly.Blocks['text_changeCase'] = {
                 [Blockly.Msg.TEXT_CHANGECASE_OPERATOR_TITLECASE, 'TITLECASE']
             ];
         this.setHelpUrl(Blockly.Msg.TEXT_CHANGECASE_HELPURL);
-        this.setColour(160);
+        this.setColour('text');
         this.appendValueInput('TEXT')
             .setCheck('String')
             .appendField(new Blockly.FieldDropdown(OPERATORS), 'CASE');
@@ -560,7 +572,7 @@ Blockly.Blocks['text_trim'] = {
                 [Blockly.Msg.TEXT_TRIM_OPERATOR_RIGHT, 'RIGHT']
             ];
         this.setHelpUrl(Blockly.Msg.TEXT_TRIM_HELPURL);
-        this.setColour(160);
+        this.setColour('text');
         this.appendValueInput('TEXT')
             .setCheck('String')
             .appendField(new Blockly.FieldDropdown(OPERATORS), 'MODE');
@@ -576,7 +588,7 @@ Blockly.Blocks['text_print'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.TEXT_PRINT_HELPURL);
-        this.setColour(160);
+        this.setColour('text');
         this.interpolateMsg(Blockly.Msg.TEXT_PRINT_TITLE,
             ['TEXT', null, Blockly.ALIGN_RIGHT],
             Blockly.ALIGN_RIGHT);
@@ -600,7 +612,7 @@ Blockly.Blocks['text_prompt'] = {
         // Assign 'this' to a variable for use in the closure below.
         var thisBlock = this;
         this.setHelpUrl(Blockly.Msg.TEXT_PROMPT_HELPURL);
-        this.setColour(160);
+        this.setColour('text');
         var dropdown = new Blockly.FieldDropdown(TYPES, function (newOp) {
             if (newOp == 'NUMBER') {
                 thisBlock.changeOutput('Number');
@@ -34,7 +34,7 @@ Blockly.Blocks['variables_get'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.VARIABLES_GET_HELPURL);
-        this.setColour(330);
+        this.setColour('variables');
         this.appendDummyInput()
             .appendField(Blockly.Msg.VARIABLES_GET_TITLE)
             .appendField(new Blockly.FieldVariable(
@@ -52,8 +52,6 @@ Blockly.Blocks['variables_get'] = {
      * @this Blockly.Block
      */
     getVars: function (varType) {
-        if(varType == null)
-            return [this.getFieldValue('VAR')];
         return [this.getFieldValue(varType)];
     },
     /**
@@ -78,11 +76,8 @@ Blockly.Blocks['variables_get'] = {
         var option = {enabled: true};
         var name = this.getFieldValue('VAR');
         option.text = this.contextMenuMsg_.replace('%1', name);
-        var xmlField = Ext.DomHelper.createDom({tag: "field", children: name})
-        xmlField.setAttribute('name', 'VAR');
-        var xmlBlock = Ext.DomHelper.createDom({tag: "block", children: xmlField})
-        xmlBlock.setAttribute('type', this.contextMenuType_);
-        option.callback = Blockly.ContextMenu.callbackFactory(this, xmlBlock);
+        var jsonBlock = {type: this.contextMenuType_, fields: [{name: 'VAR', value: name}]};
+        option.callback = Blockly.ContextMenu.callbackFactory(this, jsonBlock);
         options.push(option);
     }
 };
@@ -94,7 +89,7 @@ Blockly.Blocks['variables_set'] = {
      */
     init: function () {
         this.setHelpUrl(Blockly.Msg.VARIABLES_SET_HELPURL);
-        this.setColour(330);
+        this.setColour('variables');
         this.interpolateMsg(
             // TODO: Combine these messages instead of using concatenation.
                 Blockly.Msg.VARIABLES_SET_TITLE + ' %1 ' +
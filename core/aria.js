@@ -0,0 +1,192 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Screen reader support.
+ * Blocks and fields carry ARIA roles and labels, and the workspace points at
+ * the keyboard cursor's node with aria-activedescendant.  Changes to the
+ * blocks are announced through a live region.
+ */
+'use strict';
+
+Blockly.Aria = {};
+
+/**
+ * Maximum length of a block's label.
+ */
+Blockly.Aria.LABEL_LENGTH = 100;
+
+/**
+ * The live region used for announcements (shared by all workspaces).
+ * @type {Element}
+ * @private
+ */
+Blockly.Aria.liveRegion_ = null;
+
+/**
+ * Have a screen reader read out some text.
+ * @param {string} text The text.
+ */
+Blockly.Aria.announce = function (text) {
+    if (!Blockly.Aria.liveRegion_) {
+        Blockly.Aria.liveRegion_ = Ext.DomHelper.append(document.body,
+            {tag: 'div', cls: 'blocklyLiveRegion', role: 'status',
+                'aria-live': 'polite'});
+    }
+    Blockly.Aria.liveRegion_.textContent = text;
+};
+
+/**
+ * Get a short name for a block - the text of its own fields, without the
+ * blocks plugged into it.
+ * @param {!Blockly.Block} block The block.
+ * @return {string} The name.
+ */
+Blockly.Aria.blockName = function (block) {
+    var text = [];
+    for (var x = 0, input; input = block.inputList[x]; x++) {
+        for (var y = 0, field; field = input.fieldRow[y]; y++) {
+            text.push(field.getText());
+        }
+    }
+    return Ext.util.Format.trim(text.join(' ')) || block.type;
+};
+
+/**
+ * Update the label of a block's SVG group.
+ * @param {!Blockly.Block} block The rendered block.
+ */
+Blockly.Aria.labelBlock = function (block) {
+    block.getSvgRoot().setAttribute('aria-label',
+        block.toString(Blockly.Aria.LABEL_LENGTH));
+};
+
+/**
+ * Describe an empty connection, e.g. "value input NAME empty".
+ * @param {!Blockly.Connection} connection The connection.
+ * @return {string} The description.
+ */
+Blockly.Aria.connectionLabel = function (connection) {
+    var block = connection.sourceBlock_;
+    if (connection == block.nextConnection) {
+        return Blockly.Msg.ARIA_NEXT_STATEMENT_EMPTY.replace('%1',
+            Blockly.Aria.blockName(block));
+    }
+    var name = '';
+    for (var x = 0, input; input = block.inputList[x]; x++) {
+        if (input.connection == connection) {
+            name = input.name;
+        }
+    }
+    var message = connection.type == Blockly.INPUT_VALUE ?
+        Blockly.Msg.ARIA_VALUE_INPUT_EMPTY :
+        Blockly.Msg.ARIA_STATEMENT_INPUT_EMPTY;
+    return message.replace('%1', name);
+};
+
+/**
+ * Point the workspace at the element the keyboard cursor is on, so that
+ * screen readers read it out.
+ * @param {Element} element The element, or null if there is none.
+ */
+Blockly.Aria.setActiveDescendant = function (element) {
+    if (!Blockly.svg) {
+        return;
+    }
+    if (element) {
+        Blockly.svg.setAttribute('aria-activedescendant', Ext.id(element));
+    } else {
+        Blockly.svg.removeAttribute('aria-activedescendant');
+    }
+};
+
+/**
+ * Describe a command's block events in a sentence or two, e.g.
+ * "connected print to if do".
+ * @param {!Blockly.Workspace} workspace The workspace the blocks belong to.
+ * @param {!Array.<!Object>} events The events (see Blockly.Events).
+ * @return {string} The description, or '' if there is nothing to tell.
+ */
+Blockly.Aria.describeEvents = function (workspace, events) {
+    var name = function (id) {
+        var block = workspace.getBlockById(id);
+        return block ? Blockly.Aria.blockName(block) : '';
+    };
+    var created = [];
+    var deleted = 0;
+    var connect = null;
+    var disconnect = null;
+    for (var x = 0, event; event = events[x]; x++) {
+        if (event.type == Blockly.Events.CREATE) {
+            created.push(event.blockId);
+        } else if (event.type == Blockly.Events.DELETE) {
+            deleted++;
+        } else if (event.type == Blockly.Events.CONNECT) {
+            // Connecting a block may move others, only tell of the first.
+            connect = connect || event;
+        } else if (event.type == Blockly.Events.DISCONNECT) {
+            disconnect = disconnect || event;
+        }
+    }
+    var sentences = [];
+    if (created.length == 1) {
+        sentences.push(Blockly.Msg.ARIA_ADDED.replace('%1', name(created[0])));
+    } else if (created.length) {
+        sentences.push(Blockly.Msg.ARIA_ADDED_BLOCKS.replace('%1', created.length));
+    }
+    if (deleted == 1) {
+        sentences.push(Blockly.Msg.ARIA_DELETED_BLOCK);
+    } else if (deleted) {
+        sentences.push(Blockly.Msg.ARIA_DELETED_BLOCKS.replace('%1', deleted));
+    }
+    if (connect) {
+        sentences.push(Blockly.Msg.ARIA_CONNECTED
+            .replace('%1', name(connect.blockId))
+            .replace('%2', name(connect.json.newLocation.parent)));
+    } else if (disconnect) {
+        sentences.push(Blockly.Msg.ARIA_DISCONNECTED
+            .replace('%1', name(disconnect.blockId))
+            .replace('%2', name(disconnect.json.oldLocation.parent)));
+    }
+    return sentences.join('. ');
+};
+
+/**
+ * Announce the changes made to the blocks of a workspace.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {!Array.<!Array>} Opaque data that can be passed to
+ *     Blockly.unbindEvent_.
+ */
+Blockly.Aria.bindWorkspace = function (workspace) {
+    var events = [];
+    return Blockly.Events.addListener(workspace, function (event) {
+        if (!events.length) {
+            // Describe all the events of the command together.
+            window.setTimeout(function () {
+                var text = Blockly.Aria.describeEvents(workspace, events);
+                events = [];
+                if (text) {
+                    Blockly.Aria.announce(text);
+                }
+            }, 0);
+        }
+        events.push(event);
+    });
+};
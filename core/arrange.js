@@ -0,0 +1,340 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Arranging the top blocks of a workspace.
+ * The stacks can be laid out in a column or a grid, optionally sorted, or
+ * just moved apart where they overlap.  The layout starts at the top left
+ * (top right in RTL mode) of the blocks, each arrangement is one undoable
+ * command, and the blocks glide to their new places.
+ */
+'use strict';
+
+Blockly.Arrange = {};
+
+/**
+ * Space left between the stacks, in workspace units.
+ */
+Blockly.Arrange.SPACING = 25;
+
+/**
+ * Duration of the animation, in milliseconds.
+ */
+Blockly.Arrange.ANIMATION_TIME = 200;
+
+/**
+ * Time between the frames of the animation, in milliseconds.
+ */
+Blockly.Arrange.FRAME_TIME = 20;
+
+/**
+ * Sort the stacks by the type of their first block.
+ * @const
+ */
+Blockly.Arrange.SORT_TYPE = 'type';
+
+/**
+ * Sort the stacks by the name of their first block.
+ * @const
+ */
+Blockly.Arrange.SORT_NAME = 'name';
+
+/**
+ * The animation in progress, if any.
+ * @type {Object}
+ * @private
+ */
+Blockly.Arrange.animation_ = null;
+
+/**
+ * Arrange the top blocks in a column.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @param {?string=} opt_sortBy Blockly.Arrange.SORT_TYPE or SORT_NAME to
+ *     sort the stacks.  Otherwise they keep their order.
+ */
+Blockly.Arrange.column = function (workspace, opt_sortBy) {
+    var stacks = Blockly.Arrange.getStacks_(workspace, opt_sortBy);
+    Blockly.Arrange.moveStacks_(workspace, stacks,
+        Blockly.Arrange.layoutColumn_(stacks));
+};
+
+/**
+ * Arrange the top blocks in a grid, row by row.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @param {?string=} opt_sortBy Blockly.Arrange.SORT_TYPE or SORT_NAME to
+ *     sort the stacks.  Otherwise they keep their order.
+ */
+Blockly.Arrange.grid = function (workspace, opt_sortBy) {
+    var stacks = Blockly.Arrange.getStacks_(workspace, opt_sortBy);
+    var columns = Math.ceil(Math.sqrt(stacks.length));
+    Blockly.Arrange.moveStacks_(workspace, stacks,
+        Blockly.Arrange.layoutGrid_(stacks, columns));
+};
+
+/**
+ * Move the top blocks apart where they overlap.  Stacks are only moved down,
+ * so their order is kept.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ */
+Blockly.Arrange.cleanUp = function (workspace) {
+    var stacks = Blockly.Arrange.getStacks_(workspace, null);
+    Blockly.Arrange.moveStacks_(workspace, stacks,
+        Blockly.Arrange.layoutCleanUp_(stacks));
+};
+
+/**
+ * Get the top blocks of a workspace with their places and sizes.
+ * Horizontal positions are mirrored in RTL mode, so that the layout always
+ * runs from left to right.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @param {?string|undefined} sortBy How to sort the stacks, if at all.
+ * @return {!Array.<!Object>} Objects with block, x, y, width and height
+ *     properties, in workspace units.
+ * @private
+ */
+Blockly.Arrange.getStacks_ = function (workspace, sortBy) {
+    var blocks = workspace.getTopBlocks(true);
+    var stacks = [];
+    for (var x = 0, block; block = blocks[x]; x++) {
+        var xy = block.getRelativeToSurfaceXY();
+        var size = block.svg_ ? block.getHeightWidth() : {width: 0, height: 0};
+        stacks.push({block: block, index: x, x: Blockly.RTL ? -xy.x : xy.x,
+            y: xy.y, width: size.width, height: size.height});
+    }
+    if (sortBy) {
+        var key = sortBy == Blockly.Arrange.SORT_NAME ?
+            Blockly.Arrange.getName_ : function (block) {
+                return block.type;
+            };
+        stacks.sort(function (a, b) {
+            var aKey = key(a.block).toLowerCase();
+            var bKey = key(b.block).toLowerCase();
+            if (aKey != bKey) {
+                return aKey < bKey ? -1 : 1;
+            }
+            // Keep the order of stacks with the same key.
+            return a.index - b.index;
+        });
+    }
+    return stacks;
+};
+
+/**
+ * Get the name of a block, for sorting.  This is its NAME field (e.g. the
+ * name of a procedure) if it has one, or else its text.
+ * @param {!Blockly.Block} block The block.
+ * @return {string} The name.
+ * @private
+ */
+Blockly.Arrange.getName_ = function (block) {
+    return String(block.getFieldValue('NAME') || block.toString());
+};
+
+/**
+ * Find the top left corner of some stacks.
+ * @param {!Array.<!Object>} stacks Stacks, as from getStacks_.
+ * @return {!Object} Object with x and y properties.
+ * @private
+ */
+Blockly.Arrange.getOrigin_ = function (stacks) {
+    var origin = {x: Infinity, y: Infinity};
+    for (var x = 0; x < stacks.length; x++) {
+        origin.x = Math.min(origin.x, stacks[x].x);
+        origin.y = Math.min(origin.y, stacks[x].y);
+    }
+    return origin;
+};
+
+/**
+ * Lay out stacks in a column.
+ * @param {!Array.<!Object>} stacks Stacks, as from getStacks_.
+ * @return {!Array.<!Object>} New positions of the stacks (objects with x and
+ *     y properties), in the same order.
+ * @private
+ */
+Blockly.Arrange.layoutColumn_ = function (stacks) {
+    var origin = Blockly.Arrange.getOrigin_(stacks);
+    var positions = [];
+    var y = origin.y;
+    for (var x = 0; x < stacks.length; x++) {
+        positions.push({x: origin.x, y: y});
+        y += stacks[x].height + Blockly.Arrange.SPACING;
+    }
+    return positions;
+};
+
+/**
+ * Lay out stacks in a grid, row by row.  Each column is as wide as its widest
+ * stack, and each row as high as its highest stack.
+ * @param {!Array.<!Object>} stacks Stacks, as from getStacks_.
+ * @param {number} columns Number of columns.
+ * @return {!Array.<!Object>} New positions of the stacks (objects with x and
+ *     y properties), in the same order.
+ * @private
+ */
+Blockly.Arrange.layoutGrid_ = function (stacks, columns) {
+    var origin = Blockly.Arrange.getOrigin_(stacks);
+    var widths = [];
+    var heights = [];
+    for (var x = 0; x < stacks.length; x++) {
+        var column = x % columns;
+        var row = Math.floor(x / columns);
+        widths[column] = Math.max(widths[column] || 0, stacks[x].width);
+        heights[row] = Math.max(heights[row] || 0, stacks[x].height);
+    }
+    var positions = [];
+    var y = origin.y;
+    for (var row = 0; row < heights.length; row++) {
+        var left = origin.x;
+        for (var column = 0; column < columns; column++) {
+            if (row * columns + column < stacks.length) {
+                positions.push({x: left, y: y});
+            }
+            left += widths[column] + Blockly.Arrange.SPACING;
+        }
+        y += heights[row] + Blockly.Arrange.SPACING;
+    }
+    return positions;
+};
+
+/**
+ * Move stacks down until they don't overlap the stacks before them.
+ * @param {!Array.<!Object>} stacks Stacks, as from getStacks_.
+ * @return {!Array.<!Object>} New positions of the stacks (objects with x and
+ *     y properties), in the same order.
+ * @private
+ */
+Blockly.Arrange.layoutCleanUp_ = function (stacks) {
+    var placed = [];
+    var positions = [];
+    for (var x = 0, stack; stack = stacks[x]; x++) {
+        var y = stack.y;
+        do {
+            var moved = false;
+            for (var i = 0, other; other = placed[i]; i++) {
+                if (stack.x < other.x + other.width &&
+                    other.x < stack.x + stack.width &&
+                    y < other.y + other.height &&
+                    other.y < y + stack.height) {
+                    y = other.y + other.height + Blockly.Arrange.SPACING;
+                    moved = true;
+                }
+            }
+        } while (moved);
+        placed.push({x: stack.x, y: y, width: stack.width,
+            height: stack.height});
+        positions.push({x: stack.x, y: y});
+    }
+    return positions;
+};
+
+/**
+ * Move stacks to new positions as one command, then animate them there.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @param {!Array.<!Object>} stacks Stacks, as from getStacks_.
+ * @param {!Array.<!Object>} positions New positions of the stacks.
+ * @private
+ */
+Blockly.Arrange.moveStacks_ = function (workspace, stacks, positions) {
+    Blockly.Arrange.finishAnimation_();
+    var moves = [];
+    Blockly.doCommand(function () {
+        for (var x = 0, stack; stack = stacks[x]; x++) {
+            var dx = positions[x].x - stack.x;
+            var dy = positions[x].y - stack.y;
+            if (dx || dy) {
+                if (Blockly.RTL) {
+                    dx = -dx;
+                }
+                var start = stack.block.getRelativeToSurfaceXY();
+                Blockly.UndoManager.record(stack.block);
+                stack.block.moveBy(dx, dy);
+                moves.push({block: stack.block, start: start,
+                    end: stack.block.getRelativeToSurfaceXY()});
+            }
+        }
+    });
+    if (workspace.scrollbar) {
+        workspace.scrollbar.resize();
+    }
+    Blockly.Arrange.animate_(moves);
+};
+
+/**
+ * Glide blocks from where they were to where they have been moved.  Only the
+ * drawing moves; the blocks are already in their new places.
+ * @param {!Array.<!Object>} moves Objects with block, start and end
+ *     properties.
+ * @private
+ */
+Blockly.Arrange.animate_ = function (moves) {
+    var rendered = [];
+    for (var x = 0; x < moves.length; x++) {
+        if (moves[x].block.svg_) {
+            rendered.push(moves[x]);
+        }
+    }
+    if (!rendered.length) {
+        return;
+    }
+    var setPositions = function (fraction) {
+        for (var x = 0, move; move = rendered[x]; x++) {
+            if (!move.block.svg_) {
+                // Deleted during the animation.
+                continue;
+            }
+            var left = move.start.x + (move.end.x - move.start.x) * fraction;
+            var top = move.start.y + (move.end.y - move.start.y) * fraction;
+            move.block.getSvgRoot().setAttribute('transform',
+                'translate(' + left + ', ' + top + ')');
+        }
+    };
+    var startTime = new Date().getTime();
+    var animation = {
+        finish: function () {
+            window.clearTimeout(animation.pid);
+            Blockly.Arrange.animation_ = null;
+            setPositions(1);
+        }
+    };
+    var step = function () {
+        var fraction = (new Date().getTime() - startTime) /
+            Blockly.Arrange.ANIMATION_TIME;
+        if (fraction >= 1) {
+            animation.finish();
+            return;
+        }
+        // Ease out.
+        setPositions(1 - Math.pow(1 - fraction, 2));
+        animation.pid = window.setTimeout(step, Blockly.Arrange.FRAME_TIME);
+    };
+    Blockly.Arrange.animation_ = animation;
+    step();
+};
+
+/**
+ * Put the blocks being animated straight into their places.
+ * @private
+ */
+Blockly.Arrange.finishAnimation_ = function () {
+    if (Blockly.Arrange.animation_) {
+        Blockly.Arrange.animation_.finish();
+    }
+};
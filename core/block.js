@@ -69,11 +69,12 @@ Blockly.Block = function () {
  * @param {!Blockly.Workspace} workspace The block's workspace.
  * @param {?string} prototypeName Name of the language object containing
  *     type-specific functions for this block.
+ * @param {?string=} opt_id Id to give the block, instead of a new one.
  * @return {!Blockly.Block} The created block
  */
-Blockly.Block.obtain = function (workspace, prototypeName) {
+Blockly.Block.obtain = function (workspace, prototypeName, opt_id) {
     var newBlock = new Blockly.Block();
-    newBlock.initialize(workspace, prototypeName);
+    newBlock.initialize(workspace, prototypeName, opt_id);
     return newBlock;
 };
 
@@ -82,13 +83,24 @@ Blockly.Block.obtain = function (workspace, prototypeName) {
  * @param {!Blockly.Workspace} workspace The new block's workspace.
  * @param {?string} prototypeName Name of the language object containing
  *     type-specific functions for this block.
- */
-Blockly.Block.prototype.initialize = function (workspace, prototypeName) {
-    this.id = Blockly.genUid();
+ * @param {?string=} opt_id Id to give the block, instead of a new one.
+ */
+Blockly.Block.prototype.initialize = function (workspace, prototypeName, opt_id) {
+    if (opt_id) {
+        this.id = String(opt_id);
+        // Make sure generated ids never collide with this one.
+        var uid = parseInt(this.id, 10);
+        if (String(uid) == this.id && uid > Blockly.uidCounter_) {
+            Blockly.uidCounter_ = uid;
+        }
+    } else {
+        this.id = Blockly.genUid();
+    }
     workspace.addTopBlock(this);
     this.fill(workspace, prototypeName);
+    Blockly.UndoManager.record(this);
     // Bind an onchange function, if it exists.
-    if (Ext.isFunction(this.onchange)) {
+    if (Ext.isFunction(this.onchange) && !workspace.headless) {
         Blockly.bindEvent_(workspace.getCanvas(), 'blocklyWorkspaceChange', this, this.onchange);
     }
 };
@@ -118,13 +130,17 @@ Blockly.Block.prototype.fill = function (workspace, prototypeName) {
 
     this.workspace = workspace;
     this.isInFlyout = workspace.isFlyout;
+    this.missingJson_ = null;
 
     // Copy the type-specific functions and data from the prototype.
     if (prototypeName) {
         this.type = prototypeName;
         var prototype = Blockly.Blocks[prototypeName];
-        if (typeof(prototype) !== "object")
-            console.log('Error: "%s" is an unknown language block.', prototypeName);
+        if (typeof(prototype) !== "object") {
+            // Stand in for a block whose definition isn't loaded.
+            prototype = Blockly.Block.MISSING_;
+            this.missingJson_ = {type: prototypeName};
+        }
         Blockly.mixin(this, prototype);
     }
     // Call an initialization function, if it exists.
@@ -133,6 +149,55 @@ Blockly.Block.prototype.fill = function (workspace, prototypeName) {
     }
 };
 
+/**
+ * Definition of the placeholders standing in for blocks whose type isn't in
+ * Blockly.Blocks, for example from a block library that is no longer loaded.
+ * @private
+ */
+Blockly.Block.MISSING_ = {
+    init: function () {
+        this.setColour(0);
+        this.appendDummyInput()
+            .appendField(Blockly.Msg.MISSING_BLOCK_TITLE.replace('%1', this.type));
+        this.setTooltip(Blockly.Msg.MISSING_BLOCK_WARNING.replace('%1', this.type));
+    }
+};
+
+/**
+ * JSON properties of a placeholder block, kept so that it is saved unchanged
+ * (see Blockly.Json.domToBlock).  Null for blocks of known types.
+ * @type {Object}
+ * @private
+ */
+Blockly.Block.prototype.missingJson_ = null;
+
+/**
+ * Is this a placeholder for a block whose type isn't available?
+ * @return {boolean} True if the block's type is missing.
+ */
+Blockly.Block.prototype.isMissing = function () {
+    return this.missingJson_ != null;
+};
+
+/**
+ * Give a placeholder the connections it needs to be plugged in somewhere.
+ * Its original shape is unknown, so it takes that of the first place it is
+ * connected to.
+ * @param {boolean} isValue True to plug into a value input, false to be a
+ *     statement.
+ */
+Blockly.Block.prototype.fitMissing = function (isValue) {
+    if (!this.isMissing() || this.outputConnection || this.previousConnection) {
+        return;
+    }
+    if (isValue) {
+        this.setOutput(true);
+    } else {
+        this.setPreviousStatement(true);
+        this.setNextStatement(true);
+    }
+};
+
 /**
  * Get an existing block.
  * @param {string} id The block's id.
@@ -150,6 +215,13 @@ Blockly.Block.getById = function (id, workspace) {
  */
 Blockly.Block.prototype.svg_ = null;
 
+/**
+ * Position of the block when it has no SVG (on a headless workspace).
+ * @type {Object}
+ * @private
+ */
+Blockly.Block.prototype.xy_ = null;
+
 /**
  * Block's mutator icon (if any).
  * @type {Blockly.Mutator}
@@ -168,6 +240,13 @@ Blockly.Block.prototype.comment = null;
  */
 Blockly.Block.prototype.warning = null;
 
+/**
+ * Whether the workspace's debugger should pause before running this block.
+ * @type {boolean}
+ * @private
+ */
+Blockly.Block.prototype.breakpoint_ = false;
+
 /**
  * Returns a list of mutator, comment, and warning icons.
  * @return {!Array} List of icons.
@@ -230,6 +309,13 @@ Blockly.Block.onMouseUpWrapper_ = null;
  */
 Blockly.Block.onMouseMoveWrapper_ = null;
 
+/**
+ * Undo manager recording the current drag as one command, if any.
+ * @type {Blockly.UndoManager}
+ * @private
+ */
+Blockly.Block.dragUndoManager_ = null;
+
 /**
  * Stop binding to the global mouseup and mousemove events.
  * @private
@@ -254,6 +340,7 @@ Blockly.Block.terminateDrag_ = function () {
             selected.moveConnections_(dx, dy);
             delete selected.draggedBubbles_;
             selected.setDragging_(false);
+            Blockly.Selection.endDrag_();
             selected.render();
             var task = new Ext.util.DelayedTask(selected.bumpNeighbours_, selected);
             task.delay(Blockly.BUMP_DELAY);
@@ -268,6 +355,10 @@ Blockly.Block.terminateDrag_ = function () {
         selected.workspace.fireChangeEvent();
     }
     Blockly.Block.dragMode_ = 0;
+    if (Blockly.Block.dragUndoManager_) {
+        Blockly.Block.dragUndoManager_.endGroup();
+        Blockly.Block.dragUndoManager_ = null;
+    }
 };
 
 /**
@@ -276,9 +367,21 @@ Blockly.Block.terminateDrag_ = function () {
 Blockly.Block.prototype.select = function () {
     if (typeof(this.svg_) !== "object")
         console.log('Block is not rendered.');
-    if (Blockly.selected) {
-        // Unselect any previously selected block.
-        Blockly.selected.unselect();
+    // Unselect any previously selected blocks.
+    Blockly.Selection.clear();
+    this.addToSelection();
+};
+
+/**
+ * Add this block to the selection, keeping the blocks already selected.
+ * It becomes Blockly.selected.
+ */
+Blockly.Block.prototype.addToSelection = function () {
+    if (Blockly.selectedComment) {
+        Blockly.selectedComment.unselect();
+    }
+    if (!this.isSelected()) {
+        Blockly.selection.push(this);
     }
     Blockly.selected = this;
     this.svg_.addSelect();
@@ -291,11 +394,34 @@ Blockly.Block.prototype.select = function () {
 Blockly.Block.prototype.unselect = function () {
     if (typeof(this.svg_) !== "object")
         console.log('Block is not rendered.');
-    Blockly.selected = null;
+    this.removeFromSelection_();
     this.svg_.removeSelect();
     Blockly.fireUiEvent(this.workspace.getCanvas(), 'blocklySelectChange');
 };
 
+/**
+ * Is this block selected?
+ * @return {boolean} True if it is one of the selected blocks.
+ */
+Blockly.Block.prototype.isSelected = function () {
+    return Blockly.selection.indexOf(this) != -1;
+};
+
+/**
+ * Take this block out of Blockly.selection.  If it was Blockly.selected, the
+ * block selected before it takes its place.
+ * @private
+ */
+Blockly.Block.prototype.removeFromSelection_ = function () {
+    var index = Blockly.selection.indexOf(this);
+    if (index != -1) {
+        Blockly.selection.splice(index, 1);
+    }
+    if (Blockly.selected == this) {
+        Blockly.selected = Blockly.selection[Blockly.selection.length - 1] || null;
+    }
+};
+
 /**
  * Dispose of this block.
  * @param {boolean} healStack If true, then try to heal any gap by connecting
@@ -306,6 +432,9 @@ Blockly.Block.prototype.unselect = function () {
  *     from the workspace's list of top blocks.
  */
 Blockly.Block.prototype.dispose = function (healStack, animate, dontRemoveFromWorkspace) {
+    if (!dontRemoveFromWorkspace) {
+        Blockly.UndoManager.record(this);
+    }
     // Switch off rerendering.
     this.rendered = false;
     this.unplug(healStack);
@@ -325,8 +454,9 @@ Blockly.Block.prototype.dispose = function (healStack, animate, dontRemoveFromWo
     // well as corruption of the connection database.  Therefore we must
     // methodically step through the blocks and carefully disassemble them.
 
-    if (Blockly.selected == this) {
-        Blockly.selected = null;
+    var wasSelected = Blockly.selected == this;
+    this.removeFromSelection_();
+    if (wasSelected) {
         // If there's a drag in-progress, unlink the mouse events.
         Blockly.terminateDrag_();
     }
@@ -424,6 +554,9 @@ Blockly.Block.prototype.getRelativeToSurfaceXY = function () {
             y += xy.y;
             element = element.parentNode;
         } while (element && element != this.workspace.getCanvas());
+    } else if (this.xy_) {
+        x = this.xy_.x;
+        y = this.xy_.y;
     }
     return {x: x, y: y};
 };
@@ -435,8 +568,13 @@ Blockly.Block.prototype.getRelativeToSurfaceXY = function () {
  */
 Blockly.Block.prototype.moveBy = function (dx, dy) {
     var xy = this.getRelativeToSurfaceXY();
-    this.svg_.getRootElement().setAttribute('transform',
-            'translate(' + (xy.x + dx) + ', ' + (xy.y + dy) + ')');
+    if (this.svg_) {
+        this.svg_.getRootElement().setAttribute('transform',
+                'translate(' + (xy.x + dx) + ', ' + (xy.y + dy) + ')');
+    } else {
+        // Blocks on a headless workspace just remember where they are.
+        this.xy_ = {x: xy.x + dx, y: xy.y + dy};
+    }
     this.moveConnections_(dx, dy);
 };
 
@@ -476,7 +614,24 @@ Blockly.Block.prototype.onMouseDown_ = function (e) {
         Blockly.mainWorkspace.scrollbar.resize();
     }
     Blockly.terminateDrag_();
-    this.select();
+    if (e.shiftKey && !Blockly.isRightButton(e)) {
+        // Shift-click adds the block to the selection, or takes it out.
+        if (this.isSelected()) {
+            this.unselect();
+            Blockly.hideChaff();
+            e.stopPropagation();
+            return;
+        }
+        this.addToSelection();
+    } else if (this.isSelected() && Blockly.selection.length > 1 &&
+        (Blockly.isRightButton(e) || this.isMovable())) {
+        // Keep the other selected blocks, so that they are dragged along or
+        // used by the context menu.  A click without a drag selects just this
+        // block (see onMouseUp_).
+        this.addToSelection();
+    } else {
+        this.select();
+    }
     Blockly.hideChaff();
     if (Blockly.isRightButton(e)) {
         // Right-click.
@@ -498,6 +653,11 @@ Blockly.Block.prototype.onMouseDown_ = function (e) {
         this.startDragMouseX = e.clientX;
         this.startDragMouseY = e.clientY;
         Blockly.Block.dragMode_ = 1;
+        // Everything up to the mouse up (drag, connection, trash) is one command.
+        if (this.workspace.undoManager) {
+            Blockly.Block.dragUndoManager_ = this.workspace.undoManager;
+            Blockly.Block.dragUndoManager_.beginGroup();
+        }
         Blockly.Block.onMouseUpWrapper_ = Blockly.bindEvent_(document,
             'mouseup', this, this.onMouseUp_);
         Blockly.Block.onMouseMoveWrapper_ = Blockly.bindEvent_(document,
@@ -529,8 +689,14 @@ Blockly.Block.prototype.onMouseUp_ = function (e) {
     console.log("block.onMouseUp " + this.id + " (" + e.clientX + ","+ e.clientY + ")" );
 
     var this_ = this;
+    var isClick = Blockly.Block.dragMode_ == 1;
+    // The other selected stacks dragged along with this block.
+    var dragged = Blockly.Selection.getDragged_();
     Blockly.doCommand(function () {
         Blockly.terminateDrag_();
+        if (isClick && !e.shiftKey && Blockly.selection.length > 1) {
+            this_.select();
+        }
         if (Blockly.selected && Blockly.highlightedConnection_) {
             // Connect two blocks together.
             Blockly.localConnection_.connect(Blockly.highlightedConnection_);
@@ -555,11 +721,24 @@ Blockly.Block.prototype.onMouseUp_ = function (e) {
             task.delay(100);
 
             Blockly.selected.dispose(false, true);
+            for (var x = 0; x < dragged.length; x++) {
+                if (dragged[x].isDeletable()) {
+                    dragged[x].dispose(false, true);
+                }
+            }
             // Dropping a block on the trash can will usually cause the workspace to
             // resize to contain the newly positioned block.  Force a second resize
             // now that the block has been deleted.
             Blockly.fireUiEvent(window, 'resize');
         }
+        if (!isClick && this_.workspace && this_.workspace.grid) {
+            // Line the dropped stacks up with the grid (unless they were
+            // connected or thrown away).
+            this_.workspace.grid.snapBlock(this_);
+            for (var x = 0; x < dragged.length; x++) {
+                this_.workspace.grid.snapBlock(dragged[x]);
+            }
+        }
         if (Blockly.highlightedConnection_) {
             Blockly.highlightedConnection_.unhighlight();
             Blockly.highlightedConnection_ = null;
@@ -611,6 +790,11 @@ Blockly.Block.prototype.showContextMenu_ = function (e) {
     if (Blockly.readOnly || !this.contextMenu) {
         return;
     }
+    if (this.isSelected() && Blockly.selection.length > 1) {
+        // Act on all the selected blocks.
+        Blockly.Selection.showContextMenu_(e);
+        return;
+    }
     // Save the current block in a variable for use in closures.
     var block = this;
     var options = [];
@@ -629,6 +813,24 @@ Blockly.Block.prototype.showContextMenu_ = function (e) {
         }
         options.push(duplicateOption);
 
+        // Options to copy this block, or the rest of its stack.
+        options.push({
+            text: Blockly.Msg.COPY_BLOCK,
+            enabled: true,
+            callback: function () {
+                Blockly.Clipboard.copy(block);
+            }
+        });
+        if (this.nextConnection && this.nextConnection.targetBlock()) {
+            options.push({
+                text: Blockly.Msg.COPY_STACK,
+                enabled: true,
+                callback: function () {
+                    Blockly.Clipboard.copy(block, true);
+                }
+            });
+        }
+
         if (this.isEditable() && !this.collapsed_) {
             // Option to add/remove a comment.
             var commentOption = {enabled: true};
@@ -693,6 +895,21 @@ Blockly.Block.prototype.showContextMenu_ = function (e) {
         };
         options.push(disableOption);
 
+        // Option to add/remove a breakpoint, on blocks which are run by
+        // themselves.
+        if (this.workspace.debugger &&
+            (this.previousConnection || this.nextConnection)) {
+            var breakpointOption = {
+                text: this.breakpoint_ ?
+                    Blockly.Msg.REMOVE_BREAKPOINT : Blockly.Msg.ADD_BREAKPOINT,
+                enabled: true,
+                callback: function () {
+                    block.setBreakpoint(!block.hasBreakpoint());
+                }
+            };
+            options.push(breakpointOption);
+        }
+
         // Option to delete this block.
         // Count the number of blocks that are nested in this block.
         var descendantCount = this.getDescendants().length;
@@ -712,6 +929,24 @@ Blockly.Block.prototype.showContextMenu_ = function (e) {
         options.push(deleteOption);
     }
 
+    if (!block.isInFlyout) {
+        // Options to make a picture of this block and the blocks below it.
+        options.push({
+            text: Blockly.Msg.SAVE_IMAGE,
+            enabled: true,
+            callback: function () {
+                Blockly.Export.saveImage(block.workspace, [block]);
+            }
+        });
+        options.push({
+            text: Blockly.Msg.COPY_IMAGE,
+            enabled: Blockly.Export.canCopyImage(),
+            callback: function () {
+                Blockly.Export.copyImage(block.workspace, [block]);
+            }
+        });
+    }
+
     // Option to get help.
     var url = Ext.isFunction(this.helpUrl) ? this.helpUrl() : this.helpUrl;
     var helpOption = {enabled: !!url};
@@ -839,15 +1074,22 @@ Blockly.Block.prototype.onMouseMove_ = function (e) {
                 // Push this block to the very top of the stack.
                 this_.setParent(null);
                 this_.setDragging_(true);
+                // The other selected stacks move along.
+                Blockly.Selection.startDrag_(this_);
             }
         }
         if (Blockly.Block.dragMode_ == 2) {
             console.log("block.onMouseMove " + this_.id + " ** 3 **");
             // Unrestricted dragging.
+            // The mouse moves in pixels, the block in workspace units.
+            var scale = this_.workspace.scale;
+            dx /= scale;
+            dy /= scale;
             var x = this_.startDragX + dx;
             var y = this_.startDragY + dy;
             this_.svg_.getRootElement().setAttribute('transform',
                     'translate(' + x + ', ' + y + ')');
+            Blockly.Selection.drag_(dx, dy);
             // Drag all the nested bubbles.
             for (var i = 0; i < this_.draggedBubbles_.length; i++) {
                 var commentData = this_.draggedBubbles_[i];
@@ -860,7 +1102,8 @@ Blockly.Block.prototype.onMouseMove_ = function (e) {
             var myConnections = this_.getConnections_(false);
             var closestConnection = null;
             var localConnection = null;
-            var radiusConnection = Blockly.SNAP_RADIUS;
+            // Snap within the same distance on screen at any zoom level.
+            var radiusConnection = Blockly.SNAP_RADIUS / scale;
             for (var i = 0; i < myConnections.length; i++) {
                 var myConnection = myConnections[i];
                 var neighbour = myConnection.closest(radiusConnection, dx, dy);
@@ -1004,6 +1247,7 @@ Blockly.Block.prototype.getChildren = function () {
  * @param {Blockly.Block} newParent New parent block.
  */
 Blockly.Block.prototype.setParent = function (newParent) {
+    Blockly.UndoManager.record(this);
     if (this.parentBlock_) {
         // Remove this block from the old parent's child list.
         var children = this.parentBlock_.childBlocks_;
@@ -1014,10 +1258,12 @@ Blockly.Block.prototype.setParent = function (newParent) {
             }
         }
         // Move this block up the DOM.  Keep track of x/y translations.
-        var xy = this.getRelativeToSurfaceXY();
-        this.workspace.getCanvas().appendChild(this.svg_.getRootElement());
-        this.svg_.getRootElement().setAttribute('transform',
-                'translate(' + xy.x + ', ' + xy.y + ')');
+        if (this.svg_) {
+            var xy = this.getRelativeToSurfaceXY();
+            this.workspace.getCanvas().appendChild(this.svg_.getRootElement());
+            this.svg_.getRootElement().setAttribute('transform',
+                    'translate(' + xy.x + ', ' + xy.y + ')');
+        }
 
         // Disconnect from superior blocks.
         this.parentBlock_ = null;
@@ -1033,7 +1279,7 @@ Blockly.Block.prototype.setParent = function (newParent) {
         // Remove this block from the workspace's list of top-most blocks.
         // Note that during realtime sync we sometimes create child blocks that are
         // not top level so we check first before removing.
-        if (this.workspace.getTopBlocks(false).indexOf(this)) {
+        if (this.workspace.getTopBlocks(false).indexOf(this) != -1) {
             this.workspace.removeTopBlock(this);
         }
     }
@@ -1117,6 +1363,9 @@ Blockly.Block.prototype.isEditable = function () {
  */
 Blockly.Block.prototype.setEditable = function (editable) {
     this.editable_ = editable;
+    if (!this.svg_) {
+        return;
+    }
     for (var x = 0, input; input = this.inputList[x]; x++) {
         for (var y = 0, field; field = input.fieldRow[y]; y++) {
             field.updateEditable();
@@ -1139,7 +1388,7 @@ Blockly.Block.prototype.setHelpUrl = function (url) {
 
 /**
  * Get the colour of a block.
- * @return {number} HSV hue value.
+ * @return {number|string} HSV hue value, RGB code, or category style name.
  */
 Blockly.Block.prototype.getColour = function () {
     return this.colourHue_;
@@ -1147,7 +1396,8 @@ Blockly.Block.prototype.getColour = function () {
 
 /**
  * Change the colour of a block.
- * @param {number} colourHue HSV hue value.
+ * @param {number|string} colourHue HSV hue value, RGB code (e.g. '#5ba65b'),
+ *     or the name of a category style of the theme (e.g. 'logic').
  */
 Blockly.Block.prototype.setColour = function (colourHue) {
     this.colourHue_ = colourHue;
@@ -1344,6 +1594,7 @@ Blockly.Block.prototype.changeOutput = function (check) {
  * @param {boolean} newBoolean True if inputs are horizontal.
  */
 Blockly.Block.prototype.setInputsInline = function (newBoolean) {
+    Blockly.UndoManager.record(this);
     this.inputsInline = newBoolean;
     if (this.rendered) {
         this.render();
@@ -1360,11 +1611,38 @@ Blockly.Block.prototype.setDisabled = function (disabled) {
     if (this.disabled == disabled) {
         return;
     }
+    Blockly.UndoManager.record(this);
     this.disabled = disabled;
-    this.svg_.updateDisabled();
+    if (this.svg_) {
+        this.svg_.updateDisabled();
+    }
     this.workspace.fireChangeEvent();
 };
 
+/**
+ * Get whether the debugger pauses before running this block.
+ * @return {boolean} True if the block has a breakpoint.
+ */
+Blockly.Block.prototype.hasBreakpoint = function () {
+    return this.breakpoint_;
+};
+
+/**
+ * Set whether the debugger pauses before running this block.
+ * Breakpoints are part of the debugging session rather than the program,
+ * so they are neither undoable nor saved.
+ * @param {boolean} breakpoint True to add a breakpoint.
+ */
+Blockly.Block.prototype.setBreakpoint = function (breakpoint) {
+    if (this.breakpoint_ == breakpoint) {
+        return;
+    }
+    this.breakpoint_ = breakpoint;
+    if (this.svg_) {
+        this.svg_.updateBreakpoint();
+    }
+};
+
 /**
  * Get whether the block is disabled or not due to parents.
  * The block's own disabled property is not considered.
@@ -1399,6 +1677,7 @@ Blockly.Block.prototype.setCollapsed = function (collapsed) {
     if (this.collapsed_ == collapsed) {
         return;
     }
+    Blockly.UndoManager.record(this);
     this.collapsed_ = collapsed;
     var renderList = [];
     // Show/hide the inputs.
@@ -1781,6 +2060,7 @@ Blockly.Block.prototype.getCommentText = function () {
  * @param {?string} text The text, or null to delete.
  */
 Blockly.Block.prototype.setCommentText = function (text) {
+    Blockly.UndoManager.record(this);
     var changedState = false;
     if (Ext.isString(text)) {
         if (!this.comment) {
@@ -54,6 +54,13 @@ Blockly.BlockSvg.prototype.height = 0;
  */
 Blockly.BlockSvg.prototype.width = 0;
 
+/**
+ * Marker of the block's breakpoint (if any).
+ * @type {Element}
+ * @private
+ */
+Blockly.BlockSvg.prototype.svgBreakpoint_ = null;
+
 /**
  * Constant for identifying rows that are to be rendered inline.
  * Don't collide with Blockly.INPUT_VALUE and friends.
@@ -67,6 +74,8 @@ Blockly.BlockSvg.INLINE = -1;
  */
 Blockly.BlockSvg.prototype.init = function () {
     var block = this.block_;
+    this.svgGroup_.setAttribute('role', 'group');
+    this.svgGroup_.setAttribute('aria-roledescription', Blockly.Msg.ARIA_BLOCK);
     this.updateColour();
     for (var x = 0, input; input = block.inputList[x]; x++) {
         input.init();
@@ -97,204 +106,148 @@ Blockly.BlockSvg.prototype.getRootElement = function () {
     return this.svgGroup_;
 };
 
-// UI constants for rendering blocks.
+// UI constants for rendering blocks.  They are set by the renderer of the
+// active theme (see Blockly.Renderer), and these are the classic ones.
 /**
  * Horizontal space between elements.
- * @const
  */
 Blockly.BlockSvg.SEP_SPACE_X = 10;
 /**
  * Vertical space between elements.
- * @const
  */
 Blockly.BlockSvg.SEP_SPACE_Y = 10;
 /**
  * Vertical padding around inline elements.
- * @const
  */
 Blockly.BlockSvg.INLINE_PADDING_Y = 5;
 /**
  * Minimum height of a block.
- * @const
  */
 Blockly.BlockSvg.MIN_BLOCK_Y = 25;
 /**
  * Height of horizontal puzzle tab.
- * @const
  */
 Blockly.BlockSvg.TAB_HEIGHT = 20;
 /**
  * Width of horizontal puzzle tab.
- * @const
  */
 Blockly.BlockSvg.TAB_WIDTH = 8;
 /**
  * Width of vertical tab (inc left margin).
- * @const
  */
 Blockly.BlockSvg.NOTCH_WIDTH = 30;
 /**
  * Rounded corner radius.
- * @const
  */
 Blockly.BlockSvg.CORNER_RADIUS = 8;
 /**
  * Minimum height of field rows.
- * @const
  */
 Blockly.BlockSvg.FIELD_HEIGHT = 18;
-/**
- * Distance from shape edge to intersect with a curved corner at 45 degrees.
- * Applies to highlighting on around the inside of a curve.
- * @const
- */
-Blockly.BlockSvg.DISTANCE_45_INSIDE = (1 - Math.SQRT1_2) *
-    (Blockly.BlockSvg.CORNER_RADIUS - 1) + 1;
-/**
- * Distance from shape edge to intersect with a curved corner at 45 degrees.
- * Applies to highlighting on around the outside of a curve.
- * @const
- */
-Blockly.BlockSvg.DISTANCE_45_OUTSIDE = (1 - Math.SQRT1_2) *
-    (Blockly.BlockSvg.CORNER_RADIUS + 1) - 1;
 /**
  * SVG path for drawing next/previous notch from left to right.
- * @const
+ * The notch is 15 wide.
  */
 Blockly.BlockSvg.NOTCH_PATH_LEFT = 'l 6,4 3,0 6,-4';
 /**
  * SVG path for drawing next/previous notch from left to right with
  * highlighting.
- * @const
  */
 Blockly.BlockSvg.NOTCH_PATH_LEFT_HIGHLIGHT = 'l 6.5,4 2,0 6.5,-4';
 /**
  * SVG path for drawing next/previous notch from right to left.
- * @const
  */
 Blockly.BlockSvg.NOTCH_PATH_RIGHT = 'l -6,4 -3,0 -6,-4';
 /**
  * SVG path for drawing jagged teeth at the end of collapsed blocks.
- * @const
  */
 Blockly.BlockSvg.JAGGED_TEETH = 'l 8,0 0,4 8,4 -16,8 8,4';
 /**
  * Height of SVG path for jagged teeth at the end of collapsed blocks.
- * @const
  */
 Blockly.BlockSvg.JAGGED_TEETH_HEIGHT = 20;
 /**
  * Width of SVG path for jagged teeth at the end of collapsed blocks.
- * @const
  */
 Blockly.BlockSvg.JAGGED_TEETH_WIDTH = 15;
-/**
- * SVG path for drawing a horizontal puzzle tab from top to bottom.
- * @const
- */
-Blockly.BlockSvg.TAB_PATH_DOWN = 'v 5 c 0,10 -' + Blockly.BlockSvg.TAB_WIDTH +
-    ',-8 -' + Blockly.BlockSvg.TAB_WIDTH + ',7.5 s ' +
-    Blockly.BlockSvg.TAB_WIDTH + ',-2.5 ' + Blockly.BlockSvg.TAB_WIDTH + ',7.5';
-/**
- * SVG path for drawing a horizontal puzzle tab from top to bottom with
- * highlighting from the upper-right.
- * @const
- */
-Blockly.BlockSvg.TAB_PATH_DOWN_HIGHLIGHT_RTL = 'v 6.5 m -' +
-    (Blockly.BlockSvg.TAB_WIDTH * 0.98) + ',2.5 q -' +
-    (Blockly.BlockSvg.TAB_WIDTH * .05) + ',10 ' +
-    (Blockly.BlockSvg.TAB_WIDTH * .27) + ',10 m ' +
-    (Blockly.BlockSvg.TAB_WIDTH * .71) + ',-2.5 v 1.5';
 
 /**
- * SVG start point for drawing the top-left corner.
- * @const
- */
-Blockly.BlockSvg.TOP_LEFT_CORNER_START =
-    'm 0,' + Blockly.BlockSvg.CORNER_RADIUS;
-/**
- * SVG start point for drawing the top-left corner's highlight in RTL.
- * @const
- */
-Blockly.BlockSvg.TOP_LEFT_CORNER_START_HIGHLIGHT_RTL =
-    'm ' + Blockly.BlockSvg.DISTANCE_45_INSIDE + ',' +
-    Blockly.BlockSvg.DISTANCE_45_INSIDE;
-/**
- * SVG start point for drawing the top-left corner's highlight in LTR.
- * @const
- */
-Blockly.BlockSvg.TOP_LEFT_CORNER_START_HIGHLIGHT_LTR =
-    'm 1,' + (Blockly.BlockSvg.CORNER_RADIUS - 1);
-/**
- * SVG path for drawing the rounded top-left corner.
- * @const
- */
-Blockly.BlockSvg.TOP_LEFT_CORNER =
-    'A ' + Blockly.BlockSvg.CORNER_RADIUS + ',' +
-    Blockly.BlockSvg.CORNER_RADIUS + ' 0 0,1 ' +
-    Blockly.BlockSvg.CORNER_RADIUS + ',0';
-/**
- * SVG path for drawing the highlight on the rounded top-left corner.
- * @const
- */
-Blockly.BlockSvg.TOP_LEFT_CORNER_HIGHLIGHT =
-    'A ' + (Blockly.BlockSvg.CORNER_RADIUS - 1) + ',' +
-    (Blockly.BlockSvg.CORNER_RADIUS - 1) + ' 0 0,1 ' +
-    Blockly.BlockSvg.CORNER_RADIUS + ',1';
-/**
- * SVG path for drawing the top-left corner of a statement input.
- * Includes the top notch, a horizontal space, and the rounded inside corner.
- * @const
- */
-Blockly.BlockSvg.INNER_TOP_LEFT_CORNER =
-    Blockly.BlockSvg.NOTCH_PATH_RIGHT + ' h -' +
-    (Blockly.BlockSvg.NOTCH_WIDTH - 15 - Blockly.BlockSvg.CORNER_RADIUS) +
-    ' a ' + Blockly.BlockSvg.CORNER_RADIUS + ',' +
-    Blockly.BlockSvg.CORNER_RADIUS + ' 0 0,0 -' +
-    Blockly.BlockSvg.CORNER_RADIUS + ',' +
-    Blockly.BlockSvg.CORNER_RADIUS;
-/**
- * SVG path for drawing the bottom-left corner of a statement input.
- * Includes the rounded inside corner.
- * @const
- */
-Blockly.BlockSvg.INNER_BOTTOM_LEFT_CORNER =
-    'a ' + Blockly.BlockSvg.CORNER_RADIUS + ',' +
-    Blockly.BlockSvg.CORNER_RADIUS + ' 0 0,0 ' +
-    Blockly.BlockSvg.CORNER_RADIUS + ',' +
-    Blockly.BlockSvg.CORNER_RADIUS;
-/**
- * SVG path for drawing highlight on the top-left corner of a statement
- * input in RTL.
- * @const
- */
-Blockly.BlockSvg.INNER_TOP_LEFT_CORNER_HIGHLIGHT_RTL =
-    'a ' + (Blockly.BlockSvg.CORNER_RADIUS + 1) + ',' +
-    (Blockly.BlockSvg.CORNER_RADIUS + 1) + ' 0 0,0 ' +
-    (-Blockly.BlockSvg.DISTANCE_45_OUTSIDE - 1) + ',' +
-    (Blockly.BlockSvg.CORNER_RADIUS -
-        Blockly.BlockSvg.DISTANCE_45_OUTSIDE);
-/**
- * SVG path for drawing highlight on the bottom-left corner of a statement
- * input in RTL.
- * @const
- */
-Blockly.BlockSvg.INNER_BOTTOM_LEFT_CORNER_HIGHLIGHT_RTL =
-    'a ' + (Blockly.BlockSvg.CORNER_RADIUS + 1) + ',' +
-    (Blockly.BlockSvg.CORNER_RADIUS + 1) + ' 0 0,0 ' +
-    (Blockly.BlockSvg.CORNER_RADIUS + 1) + ',' +
-    (Blockly.BlockSvg.CORNER_RADIUS + 1);
-/**
- * SVG path for drawing highlight on the bottom-left corner of a statement
- * input in LTR.
- * @const
+ * Compute the SVG paths which depend on the tab size and corner radius.
+ * Called again by Blockly.Renderer whenever the UI constants change.
+ * @private
  */
-Blockly.BlockSvg.INNER_BOTTOM_LEFT_CORNER_HIGHLIGHT_LTR =
-    'a ' + (Blockly.BlockSvg.CORNER_RADIUS + 1) + ',' +
-    (Blockly.BlockSvg.CORNER_RADIUS + 1) + ' 0 0,0 ' +
-    (Blockly.BlockSvg.CORNER_RADIUS -
-        Blockly.BlockSvg.DISTANCE_45_OUTSIDE) + ',' +
-    (Blockly.BlockSvg.DISTANCE_45_OUTSIDE + 1);
+Blockly.BlockSvg.computePaths_ = function () {
+    var radius = Blockly.BlockSvg.CORNER_RADIUS;
+    var tabWidth = Blockly.BlockSvg.TAB_WIDTH;
+    // Distance from shape edge to intersect with a curved corner at 45
+    // degrees.  Applies to highlighting on around the inside of a curve.
+    Blockly.BlockSvg.DISTANCE_45_INSIDE = (1 - Math.SQRT1_2) *
+        (radius - 1) + 1;
+    // Distance from shape edge to intersect with a curved corner at 45
+    // degrees.  Applies to highlighting on around the outside of a curve.
+    Blockly.BlockSvg.DISTANCE_45_OUTSIDE = (1 - Math.SQRT1_2) *
+        (radius + 1) - 1;
+    // SVG path for drawing a horizontal puzzle tab from top to bottom.
+    Blockly.BlockSvg.TAB_PATH_DOWN = 'v 5 c 0,10 -' + tabWidth +
+        ',-8 -' + tabWidth + ',7.5 s ' +
+        tabWidth + ',-2.5 ' + tabWidth + ',7.5';
+    // SVG path for drawing a horizontal puzzle tab from bottom to top,
+    // ending 5 below the top of the tab.
+    Blockly.BlockSvg.TAB_PATH_UP = 'c 0,-10 -' + tabWidth + ',8 -' +
+        tabWidth + ',-7.5 s ' + tabWidth + ',2.5 ' + tabWidth + ',-7.5';
+    // SVG path for drawing a horizontal puzzle tab from top to bottom
+    // with highlighting from the upper-right.
+    Blockly.BlockSvg.TAB_PATH_DOWN_HIGHLIGHT_RTL = 'v 6.5 m -' +
+        (tabWidth * 0.98) + ',2.5 q -' +
+        (tabWidth * .05) + ',10 ' +
+        (tabWidth * .27) + ',10 m ' +
+        (tabWidth * .71) + ',-2.5 v 1.5';
+    // SVG start point for drawing the top-left corner.
+    Blockly.BlockSvg.TOP_LEFT_CORNER_START = 'm 0,' + radius;
+    // SVG start point for drawing the top-left corner's highlight in RTL.
+    Blockly.BlockSvg.TOP_LEFT_CORNER_START_HIGHLIGHT_RTL =
+        'm ' + Blockly.BlockSvg.DISTANCE_45_INSIDE + ',' +
+        Blockly.BlockSvg.DISTANCE_45_INSIDE;
+    // SVG start point for drawing the top-left corner's highlight in LTR.
+    Blockly.BlockSvg.TOP_LEFT_CORNER_START_HIGHLIGHT_LTR =
+        'm 1,' + (radius - 1);
+    // SVG path for drawing the rounded top-left corner.
+    Blockly.BlockSvg.TOP_LEFT_CORNER =
+        'A ' + radius + ',' + radius + ' 0 0,1 ' + radius + ',0';
+    // SVG path for drawing the highlight on the rounded top-left corner.
+    Blockly.BlockSvg.TOP_LEFT_CORNER_HIGHLIGHT =
+        'A ' + (radius - 1) + ',' + (radius - 1) + ' 0 0,1 ' + radius + ',1';
+    // SVG path for drawing the top-left corner of a statement input.
+    // Includes the top notch, a horizontal space, and the rounded inside
+    // corner.
+    Blockly.BlockSvg.INNER_TOP_LEFT_CORNER =
+        Blockly.BlockSvg.NOTCH_PATH_RIGHT + ' h -' +
+        (Blockly.BlockSvg.NOTCH_WIDTH - 15 - radius) +
+        ' a ' + radius + ',' + radius + ' 0 0,0 -' + radius + ',' + radius;
+    // SVG path for drawing the bottom-left corner of a statement input.
+    // Includes the rounded inside corner.
+    Blockly.BlockSvg.INNER_BOTTOM_LEFT_CORNER =
+        'a ' + radius + ',' + radius + ' 0 0,0 ' + radius + ',' + radius;
+    // SVG path for drawing highlight on the top-left corner of a statement
+    // input in RTL.
+    Blockly.BlockSvg.INNER_TOP_LEFT_CORNER_HIGHLIGHT_RTL =
+        'a ' + (radius + 1) + ',' + (radius + 1) + ' 0 0,0 ' +
+        (-Blockly.BlockSvg.DISTANCE_45_OUTSIDE - 1) + ',' +
+        (radius - Blockly.BlockSvg.DISTANCE_45_OUTSIDE);
+    // SVG path for drawing highlight on the bottom-left corner of a statement
+    // input in RTL.
+    Blockly.BlockSvg.INNER_BOTTOM_LEFT_CORNER_HIGHLIGHT_RTL =
+        'a ' + (radius + 1) + ',' + (radius + 1) + ' 0 0,0 ' +
+        (radius + 1) + ',' + (radius + 1);
+    // SVG path for drawing highlight on the bottom-left corner of a statement
+    // input in LTR.
+    Blockly.BlockSvg.INNER_BOTTOM_LEFT_CORNER_HIGHLIGHT_LTR =
+        'a ' + (radius + 1) + ',' + (radius + 1) + ' 0 0,0 ' +
+        (radius - Blockly.BlockSvg.DISTANCE_45_OUTSIDE) + ',' +
+        (Blockly.BlockSvg.DISTANCE_45_OUTSIDE + 1);
+};
+
+Blockly.BlockSvg.computePaths_();
 
 /**
  * Dispose of this SVG block.
@@ -305,6 +258,7 @@ Blockly.BlockSvg.prototype.dispose = function () {
     this.svgGroup_ = null;
     this.svgPath_ = null;
     this.svgPathLight_ = null;
+    this.svgBreakpoint_ = null;
     this.svgPathDark_ = null;
     // Break circular references.
     this.block_ = null;
@@ -321,8 +275,11 @@ Blockly.BlockSvg.prototype.disposeUiEffect = function () {
     var clone = this.svgGroup_.cloneNode(true);
     clone.translateX_ = xy.x;
     clone.translateY_ = xy.y;
+    // The clone is drawn outside of the workspace, so it must be zoomed too.
+    clone.scale_ = this.block_.workspace.scale;
     clone.setAttribute('transform',
-            'translate(' + clone.translateX_ + ',' + clone.translateY_ + ')');
+            'translate(' + clone.translateX_ + ',' + clone.translateY_ + ')' +
+            ' scale(' + clone.scale_ + ')');
     Blockly.svg.appendChild(clone);
     clone.bBox_ = clone.getBBox();
     // Start the animation.
@@ -342,10 +299,10 @@ Blockly.BlockSvg.disposeUiStep_ = function (clone) {
         Ext.removeNode(clone);
     } else {
         var x = clone.translateX_ +
-            (Blockly.RTL ? -1 : 1) * clone.bBox_.width / 2 * percent;
-        var y = clone.translateY_ + clone.bBox_.height * percent;
+            (Blockly.RTL ? -1 : 1) * clone.bBox_.width * clone.scale_ / 2 * percent;
+        var y = clone.translateY_ + clone.bBox_.height * clone.scale_ * percent;
         var translate = x + ', ' + y;
-        var scale = 1 - percent;
+        var scale = (1 - percent) * clone.scale_;
         clone.setAttribute('transform', 'translate(' + translate + ')' +
             ' scale(' + scale + ')');
         var closure = function () {
@@ -364,12 +321,13 @@ Blockly.BlockSvg.prototype.connectionUiEffect = function () {
     // Determine the absolute coordinates of the inferior block.
     var xy = Blockly.getSvgXY_(/** @type {!Element} */ (this.svgGroup_));
     // Offset the coordinates based on the two connection types.
+    var scale = this.block_.workspace.scale;
     if (this.block_.outputConnection) {
-        xy.x += Blockly.RTL ? 3 : -3;
-        xy.y += 13;
+        xy.x += (Blockly.RTL ? 3 : -3) * scale;
+        xy.y += 13 * scale;
     } else if (this.block_.previousConnection) {
-        xy.x += Blockly.RTL ? -23 : 23;
-        xy.y += 3;
+        xy.x += (Blockly.RTL ? -23 : 23) * scale;
+        xy.y += 3 * scale;
     }
     var ripple = Blockly.createSvgElement('circle',
         {'cx': xy.x, 'cy': xy.y, 'r': 0, 'fill': 'none',
@@ -415,6 +373,16 @@ Blockly.BlockSvg.prototype.updateColour = function () {
     this.svgPathLight_.setAttribute('stroke', rgbLight.toString());
     this.svgPathDark_.setAttribute('fill', rgbDark.toString());
     this.svgPath_.setAttribute('fill', hexColour);
+    // The theme's outline is an attribute, so that the CSS outlines of
+    // selected and marked blocks still win.
+    var theme = Blockly.theme;
+    if (theme && theme.outlineColour) {
+        this.svgPath_.setAttribute('stroke', theme.outlineColour);
+        this.svgPath_.setAttribute('stroke-width', theme.outlineWidth);
+    } else {
+        this.svgPath_.removeAttribute('stroke');
+        this.svgPath_.removeAttribute('stroke-width');
+    }
 };
 
 /**
@@ -436,6 +404,29 @@ Blockly.BlockSvg.prototype.updateDisabled = function () {
     }
 };
 
+/**
+ * Show or hide the marker of the block's breakpoint.
+ */
+Blockly.BlockSvg.prototype.updateBreakpoint = function () {
+    if (this.block_.hasBreakpoint()) {
+        Blockly.addClass_(/** @type {!Element} */ (this.svgGroup_),
+            'blocklyBreakpoint');
+        if (!this.svgBreakpoint_) {
+            // A dot on the block's top corner, at its origin in LTR and RTL.
+            this.svgBreakpoint_ = Blockly.createSvgElement('circle',
+                {'class': 'blocklyBreakpointMarker', 'cx': 0, 'cy': 0, 'r': 5},
+                this.svgGroup_);
+        }
+    } else {
+        Blockly.removeClass_(/** @type {!Element} */ (this.svgGroup_),
+            'blocklyBreakpoint');
+        if (this.svgBreakpoint_) {
+            Ext.removeNode(this.svgBreakpoint_);
+            this.svgBreakpoint_ = null;
+        }
+    }
+};
+
 /**
  * Select this block.  Highlight it visually.
  */
@@ -454,6 +445,22 @@ Blockly.BlockSvg.prototype.removeSelect = function () {
         'blocklySelected');
 };
 
+/**
+ * Mark this block as matching a search.
+ */
+Blockly.BlockSvg.prototype.addSearchMatch = function () {
+    Blockly.addClass_(/** @type {!Element} */ (this.svgGroup_),
+        'blocklySearchMatch');
+};
+
+/**
+ * Remove the search match marking from this block.
+ */
+Blockly.BlockSvg.prototype.removeSearchMatch = function () {
+    Blockly.removeClass_(/** @type {!Element} */ (this.svgGroup_),
+        'blocklySearchMatch');
+};
+
 /**
  * Adds the dragging class to this block.
  * Also disables the highlights/shadows to improve performance.
@@ -494,6 +501,7 @@ Blockly.BlockSvg.prototype.render = function () {
 
     var inputRows = this.renderCompute_(cursorX);
     this.renderDraw_(cursorX, inputRows);
+    Blockly.Aria.labelBlock(this.block_);
 
     // Render all blocks above this one (propagate a reflow).
     var parentBlock = this.block_.getParent();
@@ -1118,9 +1126,7 @@ Blockly.BlockSvg.prototype.renderDrawLeft_ = function (steps, highlightSteps, co
         this.block_.outputConnection.moveTo(connectionsXY.x, connectionsXY.y);
         // This connection will be tightened when the parent renders.
         steps.push('V', Blockly.BlockSvg.TAB_HEIGHT);
-        steps.push('c 0,-10 -' + Blockly.BlockSvg.TAB_WIDTH + ',8 -' +
-            Blockly.BlockSvg.TAB_WIDTH + ',-7.5 s ' + Blockly.BlockSvg.TAB_WIDTH +
-            ',2.5 ' + Blockly.BlockSvg.TAB_WIDTH + ',-7.5');
+        steps.push(Blockly.BlockSvg.TAB_PATH_UP);
         if (Blockly.RTL) {
             highlightSteps.push('M', (Blockly.BlockSvg.TAB_WIDTH * -0.3) + ',8.9');
             highlightSteps.push('l', (Blockly.BlockSvg.TAB_WIDTH * -0.45) + ',-2.1');
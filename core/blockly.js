@@ -57,12 +57,20 @@ Blockly.HSV_SATURATION = 0.45;
 Blockly.HSV_VALUE = 0.65;
 
 /**
- * Convert a hue (HSV model) into an RGB hex triplet.
- * @param {number} hue Hue on a colour wheel (0-360).
+ * Convert a block's colour into an RGB hex triplet.
+ * @param {number|string} colour Hue on a colour wheel (0-360), an RGB code
+ *     (e.g. '#5ba65b'), or the name of a category style of the active theme
+ *     (e.g. 'logic').
  * @return {string} RGB code, e.g. '#5ba65b'.
  */
-Blockly.makeColour = function (hue) {
-    return Ext.draw.Color.fromHSL(hue, Blockly.HSV_SATURATION, Blockly.HSV_VALUE).toString();
+Blockly.makeColour = function (colour) {
+    if (typeof colour == 'string' && colour.charAt(0) != '#' && isNaN(colour)) {
+        colour = (Blockly.theme || Blockly.Theme.CLASSIC).getCategoryColour(colour);
+    }
+    if (typeof colour == 'string' && colour.charAt(0) == '#') {
+        return colour;
+    }
+    return Ext.draw.Color.fromHSL(Number(colour), Blockly.HSV_SATURATION, Blockly.HSV_VALUE).toString();
 };
 
 /**
@@ -125,11 +133,26 @@ Blockly.OPPOSITE_TYPE[Blockly.PREVIOUS_STATEMENT] = Blockly.NEXT_STATEMENT;
 Blockly.SOUNDS_ = Object.create(null);
 
 /**
- * Currently selected block.
+ * Currently selected block.  If several blocks are selected, this is the one
+ * selected last.
  * @type {Blockly.Block}
  */
 Blockly.selected = null;
 
+/**
+ * All the selected blocks, in the order they were selected (see
+ * selection.js).
+ * @type {!Array.<!Blockly.Block>}
+ */
+Blockly.selection = [];
+
+/**
+ * Currently selected workspace comment.  A comment is only selected while no
+ * blocks are.
+ * @type {Blockly.WorkspaceComment}
+ */
+Blockly.selectedComment = null;
+
 /**
  * Is Blockly in a read-only, non-editable mode?
  * Note that this property may only be set before init is called.
@@ -163,6 +186,44 @@ Blockly.DRAG_RADIUS = 5;
  */
 Blockly.SNAP_RADIUS = 20;
 
+/**
+ * Smallest scale the workspace may be zoomed out to.
+ * @const
+ */
+Blockly.ZOOM_MIN_SCALE = 0.3;
+
+/**
+ * Largest scale the workspace may be zoomed in to.
+ * @const
+ */
+Blockly.ZOOM_MAX_SCALE = 3;
+
+/**
+ * Factor by which the scale changes for each step of zooming in or out.
+ * @const
+ */
+Blockly.ZOOM_SCALE_SPEED = 1.2;
+
+/**
+ * Default distance between the points of the background grid, in workspace
+ * units.
+ * @const
+ */
+Blockly.GRID_SPACING = 20;
+
+/**
+ * Default length of the lines drawn at each grid point.  Lines as long as the
+ * spacing join up into a full grid.
+ * @const
+ */
+Blockly.GRID_LENGTH = 3;
+
+/**
+ * Default colour of the grid.
+ * @const
+ */
+Blockly.GRID_COLOUR = '#ccc';
+
 /**
  * Delay in ms between trigger and bumping unconnected block out of alignment.
  * @const
@@ -182,8 +243,8 @@ Blockly.COLLAPSE_CHARS = 30;
 Blockly.mainWorkspace = null;
 
 /**
- * Contents of the local clipboard.
- * @type {Element}
+ * Contents of the local clipboard (see Blockly.Clipboard).
+ * @type {Object}
  * @private
  */
 Blockly.clipboard_ = null;
@@ -222,6 +283,9 @@ Blockly.svgResize = function () {
     if (Blockly.mainWorkspace.trashcan) {
         Blockly.mainWorkspace.trashcan.position_();
     }
+    if (Blockly.mainWorkspace.zoomControls) {
+        Blockly.mainWorkspace.zoomControls.position_();
+    }
 };
 
 /**
@@ -236,13 +300,18 @@ Blockly.onMouseDown_ = function (e) {
     Blockly.hideChaff();
     var isTargetSvg = e.target && e.target.nodeName &&
         e.target.nodeName.toLowerCase() == 'svg';
-    if (!Blockly.readOnly && Blockly.selected && isTargetSvg) {
+    if (!Blockly.readOnly && isTargetSvg && !e.shiftKey) {
         // Clicking on the document clears the selection.
-        Blockly.selected.unselect();
+        Blockly.Selection.clear();
     }
     if (e.target == Blockly.svg && Blockly.isRightButton(e)) {
         // Right-click.
         Blockly.showContextMenu_(e);
+    } else if (!Blockly.readOnly && isTargetSvg &&
+        (e.shiftKey || !Blockly.mainWorkspace.scrollbar)) {
+        // Drag out a rectangle to select blocks.  Without scrollbars the
+        // workspace can't be dragged, so Shift isn't needed.
+        Blockly.Selection.startRubberBand_(e);
     } else if ((Blockly.readOnly || isTargetSvg) &&
         Blockly.mainWorkspace.scrollbar) {
         // If the workspace is editable, only allow dragging when gripping empty
@@ -297,6 +366,32 @@ Blockly.onMouseMove_ = function (e) {
     }
 };
 
+/**
+ * Handle a mouse wheel on SVG drawing surface.  With Ctrl (or Cmd) held down
+ * the workspace is zoomed around the mouse cursor.
+ * @param {!Event} e Wheel event.
+ * @private
+ */
+Blockly.onMouseWheel_ = function (e) {
+    if (!e.ctrlKey && !e.metaKey) {
+        return;
+    }
+    // Stop the browser from zooming the whole page.
+    e.preventDefault();
+    var delta = e.deltaY;
+    if (!delta) {
+        return;
+    }
+    Blockly.hideChaff();
+    var metrics = Blockly.mainWorkspace.getMetrics();
+    if (!metrics) {
+        return;
+    }
+    var xy = Blockly.mouseToSvg(e);
+    Blockly.mainWorkspace.zoom(xy.x - metrics.absoluteLeft,
+            xy.y - metrics.absoluteTop, delta < 0 ? 1 : -1);
+};
+
 /**
  * Handle a key-down on SVG drawing surface.
  * @param {!Event} e Key down event.
@@ -307,16 +402,28 @@ Blockly.onKeyDown_ = function (e) {
         // When focused on an HTML text input widget, don't trap any keys.
         return;
     }
-    // TODO: Add keyboard support for cursoring around the context menu.
+    var cursor = Blockly.mainWorkspace && Blockly.mainWorkspace.cursor;
+    if (cursor && cursor.onKeyDown_(e)) {
+        // The keyboard cursor used the key.
+        e.preventDefault();
+        return;
+    }
     if (e.keyCode == 27) {
         // Pressing esc closes the context menu.
         Blockly.hideChaff();
     } else if (e.keyCode == 8 || e.keyCode == 46) {
         // Delete or backspace.
         try {
-            if (Blockly.selected && Blockly.selected.isDeletable()) {
+            if (Blockly.selection.length) {
                 Blockly.hideChaff();
-                Blockly.selected.dispose(true, true);
+                Blockly.Selection.deleteBlocks();
+            } else if (Blockly.selectedComment &&
+                Blockly.selectedComment.isDeletable()) {
+                Blockly.hideChaff();
+                var comment = Blockly.selectedComment;
+                Blockly.doCommand(function () {
+                    comment.dispose();
+                });
             }
         } finally {
             // Stop the browser from going back to the previous page.
@@ -330,18 +437,34 @@ Blockly.onKeyDown_ = function (e) {
             Blockly.hideChaff();
             if (e.keyCode == 67) {
                 // 'c' for copy.
-                Blockly.copy_(Blockly.selected);
+                Blockly.Selection.copy();
             } else if (e.keyCode == 88) {
                 // 'x' for cut.
-                Blockly.copy_(Blockly.selected);
-                Blockly.selected.dispose(true, true);
+                Blockly.Selection.cut();
+            }
+        } else if (Blockly.selectedComment &&
+            Blockly.selectedComment.isDeletable()) {
+            Blockly.hideChaff();
+            if (e.keyCode == 67) {
+                Blockly.Clipboard.copyComment(Blockly.selectedComment);
+            } else if (e.keyCode == 88) {
+                Blockly.Clipboard.cutComment(Blockly.selectedComment);
             }
         }
         if (e.keyCode == 86) {
             // 'v' for paste.
-            if (Blockly.clipboard_) {
-                Blockly.mainWorkspace.paste(Blockly.clipboard_);
+            if (Blockly.mainWorkspace && !Blockly.readOnly) {
+                Blockly.Clipboard.onPasteKey_();
+            }
+        } else if ((e.keyCode == 90 || e.keyCode == 89) && !e.altKey &&
+            Blockly.mainWorkspace && !Blockly.readOnly) {
+            // 'z' for undo, shift-'z' or 'y' for redo.
+            if (e.keyCode == 89 || e.shiftKey) {
+                Blockly.mainWorkspace.undoManager.redo();
+            } else {
+                Blockly.mainWorkspace.undoManager.undo();
             }
+            e.preventDefault();
         }
     }
 };
@@ -353,21 +476,9 @@ Blockly.onKeyDown_ = function (e) {
 Blockly.terminateDrag_ = function () {
     Blockly.Block.terminateDrag_();
     Blockly.Flyout.terminateDrag_();
-};
-
-/**
- * Copy a block onto the local clipboard.
- * @param {!Blockly.Block} block Block to be copied.
- * @private
- */
-Blockly.copy_ = function (block) {
-    var xmlBlock = Blockly.Json.blockToDom_(block);
-    Blockly.Json.deleteNext(xmlBlock);
-    // Encode start position in XML.
-    var xy = block.getRelativeToSurfaceXY();
-    xmlBlock.setAttribute('x', Blockly.RTL ? -xy.x : xy.x);
-    xmlBlock.setAttribute('y', xy.y);
-    Blockly.clipboard_ = xmlBlock;
+    Blockly.Selection.terminateDrag_();
+    Blockly.WorkspaceComment.terminateDrag_();
+    Blockly.Frame.terminateDrag_();
 };
 
 /**
@@ -380,6 +491,63 @@ Blockly.showContextMenu_ = function (e) {
         return;
     }
     var options = [];
+    var workspace = Blockly.mainWorkspace;
+
+    // Option to paste the blocks on the clipboard.
+    var clipboard = navigator.clipboard;
+    options.push({
+        text: Blockly.Msg.PASTE,
+        enabled: !!(Blockly.clipboard_ || (clipboard && clipboard.readText)),
+        callback: function () {
+            Blockly.Clipboard.pasteFromSystem(workspace);
+        }
+    });
+
+    // Where the workspace was clicked, in workspace units.
+    var mouseXY = Blockly.mouseToSvg(e);
+    var metrics = workspace.getMetrics();
+    var clickX = (mouseXY.x - workspace.scrollX - metrics.absoluteLeft) /
+        workspace.scale;
+    var clickY = (mouseXY.y - workspace.scrollY - metrics.absoluteTop) /
+        workspace.scale;
+
+    // Option to add a comment where the workspace was clicked.
+    options.push({
+        text: Blockly.Msg.ADD_COMMENT,
+        enabled: true,
+        callback: function () {
+            Blockly.doCommand(function () {
+                var comment = Blockly.WorkspaceComment.fromJson(workspace,
+                    {text: '', x: clickX, y: clickY});
+                comment.select();
+            });
+        }
+    });
+
+    // Option to add a frame around the selected stacks, or where the
+    // workspace was clicked.
+    options.push({
+        text: Blockly.Msg.ADD_FRAME,
+        enabled: true,
+        callback: function () {
+            var stacks = [];
+            for (var i = 0, block; block = Blockly.selection[i]; i++) {
+                var root = block.getRootBlock();
+                if (stacks.indexOf(root) == -1) {
+                    stacks.push(root);
+                }
+            }
+            Blockly.doCommand(function () {
+                if (stacks.length) {
+                    Blockly.Frame.aroundBlocks(workspace, stacks,
+                        Blockly.Msg.NEW_FRAME);
+                } else {
+                    Blockly.Frame.fromJson(workspace,
+                        {title: Blockly.Msg.NEW_FRAME, x: clickX, y: clickY});
+                }
+            });
+        }
+    });
 
     if (Blockly.collapse) {
         var hasCollapsedBlocks = false;
@@ -414,6 +582,41 @@ Blockly.showContextMenu_ = function (e) {
         options.push(expandOption);
     }
 
+    // Options to arrange the top blocks.
+    var hasBlocks = workspace.getTopBlocks(false).length > 0;
+    var arrangeOption = function (text, arrange, opt_sortBy) {
+        return {
+            text: text,
+            enabled: hasBlocks,
+            callback: function () {
+                arrange(workspace, opt_sortBy);
+            }
+        };
+    };
+    options.push(arrangeOption(Blockly.Msg.CLEAN_UP, Blockly.Arrange.cleanUp));
+    options.push(arrangeOption(Blockly.Msg.ARRANGE_COLUMN, Blockly.Arrange.column));
+    options.push(arrangeOption(Blockly.Msg.ARRANGE_GRID, Blockly.Arrange.grid));
+    options.push(arrangeOption(Blockly.Msg.SORT_BY_TYPE, Blockly.Arrange.column,
+        Blockly.Arrange.SORT_TYPE));
+    options.push(arrangeOption(Blockly.Msg.SORT_BY_NAME, Blockly.Arrange.column,
+        Blockly.Arrange.SORT_NAME));
+
+    // Options to make a picture of the whole workspace.
+    options.push({
+        text: Blockly.Msg.SAVE_IMAGE,
+        enabled: hasBlocks,
+        callback: function () {
+            Blockly.Export.saveImage(workspace);
+        }
+    });
+    options.push({
+        text: Blockly.Msg.COPY_IMAGE,
+        enabled: hasBlocks && Blockly.Export.canCopyImage(),
+        callback: function () {
+            Blockly.Export.copyImage(workspace);
+        }
+    });
+
     Blockly.ContextMenu.show(e, options);
 };
 
@@ -436,6 +639,8 @@ Blockly.onContextMenu_ = function (e) {
 Blockly.hideChaff = function (opt_allowToolbox) {
     Blockly.Tooltip.hide();
     Blockly.WidgetDiv.hide();
+    // Blocks being arranged must be in place before they are used.
+    Blockly.Arrange.finishAnimation_();
 };
 
 /**
@@ -574,6 +779,10 @@ Blockly.getMainWorkspaceMetrics_ = function () {
         // Firefox has trouble with hidden elements (Bug 528969).
         return null;
     }
+    // The content is measured in workspace units, the view in pixels.
+    var scale = Blockly.mainWorkspace.scale;
+    blockBox = {x: blockBox.x * scale, y: blockBox.y * scale,
+        width: blockBox.width * scale, height: blockBox.height * scale};
     if (Blockly.mainWorkspace.scrollbar) {
         // Add a border around the content that is at least half a screenful wide.
         // Ensure border is wide enough that blocks can scroll over entire screen.
@@ -625,24 +834,32 @@ Blockly.setMainWorkspaceMetrics_ = function (xyRatio) {
         Blockly.mainWorkspace.scrollY = -metrics.contentHeight * xyRatio.y -
             metrics.contentTop;
     }
-    var translation = 'translate(' +
-        (Blockly.mainWorkspace.scrollX + metrics.absoluteLeft) + ',' +
-        (Blockly.mainWorkspace.scrollY + metrics.absoluteTop) + ')';
-    Blockly.mainWorkspace.getCanvas().setAttribute('transform', translation);
-    Blockly.mainWorkspace.getBubbleCanvas().setAttribute('transform',
-        translation);
+    Blockly.mainWorkspace.translate(
+            Blockly.mainWorkspace.scrollX + metrics.absoluteLeft,
+            Blockly.mainWorkspace.scrollY + metrics.absoluteTop);
 };
 
 /**
  * Execute a command.  Generally, a command is the result of a user action
  * e.g., a click, drag or context menu selection.  Calling the cmdThunk function
  * through doCommand() allows us to capture information that can be used for
- * capabilities like undo (which is supported by the realtime collaboration
- * feature).
+ * capabilities like undo.  All the changes made by the command are undone
+ * (and redone) as one step.
  * @param {function()} cmdThunk A function representing the command execution.
  */
 Blockly.doCommand = function (cmdThunk) {
-    cmdThunk();
+    Blockly.Arrange.finishAnimation_();
+    var undoManager = Blockly.mainWorkspace && Blockly.mainWorkspace.undoManager;
+    if (undoManager) {
+        undoManager.beginGroup();
+    }
+    try {
+        cmdThunk();
+    } finally {
+        if (undoManager) {
+            undoManager.endGroup();
+        }
+    }
 };
 
 /**
@@ -672,6 +889,140 @@ Blockly.getMainWorkspace = function () {
     return Blockly.mainWorkspace;
 };
 
+/**
+ * List of the workspaces created by Blockly.inject that are still alive.
+ * @type {!Array.<!Blockly.Workspace>}
+ * @private
+ */
+Blockly.workspaces_ = [];
+
+/**
+ * Names of the global properties that make up the state of one injected
+ * editor.  Blockly keeps a single set of globals; when several editors live
+ * on the same page, these are saved into the inactive workspaces and swapped
+ * back in by Blockly.setMainWorkspace.
+ * Properties of sub-namespaces are given as 'Namespace.property'.
+ * @const
+ * @private
+ */
+Blockly.WORKSPACE_STATE_ = [
+    'DIV', 'svg', 'mainWorkspace',
+    'RTL', 'collapse', 'readOnly', 'maxBlocks', 'pathToBlockly',
+    'hasScrollbars', 'hasTrashcan', 'hasZoom', 'gridOptions', 'hasDebugger',
+    'theme', 'languageTree',
+    'selected', 'selection', 'selectedComment', 'clipboard_', 'highlightedConnection_', 'localConnection_',
+    'Tooltip.svgGroup_', 'Tooltip.svgText_', 'Tooltip.svgBackground_',
+    'Tooltip.svgShadow_'
+];
+
+/**
+ * Copy the current global state into a workspace so it can be restored later.
+ * @param {!Blockly.Workspace} workspace The workspace that owns the globals.
+ * @private
+ */
+Blockly.saveWorkspaceState_ = function (workspace) {
+    var state = {};
+    for (var i = 0; i < Blockly.WORKSPACE_STATE_.length; i++) {
+        var path = Blockly.WORKSPACE_STATE_[i].split('.');
+        var owner = path.length == 2 ? Blockly[path[0]] : Blockly;
+        state[Blockly.WORKSPACE_STATE_[i]] = owner[path[path.length - 1]];
+    }
+    workspace.state_ = state;
+};
+
+/**
+ * Restore the global state saved in a workspace.
+ * @param {Object} state State from Blockly.saveWorkspaceState_, or null to
+ *     leave Blockly without any active editor.
+ * @private
+ */
+Blockly.loadWorkspaceState_ = function (state) {
+    for (var i = 0; i < Blockly.WORKSPACE_STATE_.length; i++) {
+        var name = Blockly.WORKSPACE_STATE_[i];
+        var path = name.split('.');
+        var owner = path.length == 2 ? Blockly[path[0]] : Blockly;
+        if (state) {
+            owner[path[path.length - 1]] = state[name];
+        } else if (name == 'selection') {
+            owner[name] = [];
+        } else if (name == 'DIV' || name == 'svg' || name == 'mainWorkspace' ||
+            name == 'selected' || name == 'selectedComment' ||
+            name == 'clipboard_' || path.length == 2 ||
+            name == 'highlightedConnection_' || name == 'localConnection_') {
+            // Only clear references to DOM and blocks.  Options are kept.
+            owner[path[path.length - 1]] = null;
+        }
+    }
+    if (state && Blockly.theme) {
+        // Blocks are drawn with the geometry and colours of the active theme.
+        Blockly.theme.apply_();
+    }
+};
+
+/**
+ * Make a workspace created by Blockly.inject the active one.  All the global
+ * Blockly state (DIV, svg, options, selection, clipboard...) is switched to
+ * that of the given workspace.  The widget and context menu, which belong to
+ * the editor that opened them, are closed.
+ * @param {Blockly.Workspace} workspace The workspace to activate, or null.
+ */
+Blockly.setMainWorkspace = function (workspace) {
+    if (workspace == Blockly.mainWorkspace) {
+        return;
+    }
+    if (workspace && !workspace.state_) {
+        throw 'Workspace was not created by Blockly.inject.';
+    }
+    Blockly.WidgetDiv.hide();
+    if (Blockly.openMenu != null) {
+        Ext.destroy(Blockly.openMenu);
+        Blockly.openMenu = null;
+    }
+    Blockly.switchWorkspace_(workspace);
+};
+
+/**
+ * Switch the global Blockly state to that of a workspace, leaving the widget
+ * and context menu open.
+ * @param {Blockly.Workspace} workspace The workspace to activate, or null.
+ * @private
+ */
+Blockly.switchWorkspace_ = function (workspace) {
+    if (workspace == Blockly.mainWorkspace) {
+        return;
+    }
+    if (workspace && !workspace.state_) {
+        throw 'Workspace was not created by Blockly.inject.';
+    }
+    if (Blockly.mainWorkspace && Blockly.mainWorkspace.state_) {
+        Blockly.saveWorkspaceState_(Blockly.mainWorkspace);
+    }
+    Blockly.loadWorkspaceState_(workspace ? workspace.state_ : null);
+};
+
+/**
+ * Run a function with a workspace temporarily made the active one.
+ * The previously active workspace is restored afterwards.  As the switch
+ * doesn't outlast the call, the widget and context menu are left open.
+ * @param {!Blockly.Workspace} workspace The workspace to activate.
+ * @param {!Function} func Function to call.
+ * @param {Object=} opt_this The value of 'this' in the function.
+ * @return {*} Whatever the function returns.
+ */
+Blockly.withWorkspace = function (workspace, func, opt_this) {
+    var previous = Blockly.mainWorkspace;
+    Blockly.switchWorkspace_(workspace);
+    try {
+        return func.call(opt_this);
+    } finally {
+        // The previous workspace may have been disposed by the function.
+        if (previous && previous.state_ &&
+            Blockly.workspaces_.indexOf(previous) != -1) {
+            Blockly.switchWorkspace_(previous);
+        }
+    }
+};
+
 /**
  * Inherit the prototype methods from one constructor into another.
  * @param {Function} childCtor Child class.
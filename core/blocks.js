@@ -37,9 +37,10 @@ Blockly.Blocks = {};
  * @param {!Object} details Details about the block that should be created.
  *     The following fields are used:
  *     - blockName {string} The name of the block, which should be unique.
- *     - colour {number} The hue value of the colour to use for the block.
- *       (Blockly.HSV_SATURATION and Blockly.HSV_VALUE are used for saturation
- *       and value, respectively.)
+ *     - colour {number|string} The hue value of the colour to use for the
+ *       block (Blockly.HSV_SATURATION and Blockly.HSV_VALUE are used for
+ *       saturation and value, respectively), an RGB code, or the name of a
+ *       category style of the theme.
  *     - output {?string|Array.<string>} Output type.  If undefined, there are
  *       assumed to be no outputs.  Otherwise, this is interpreted the same way
  *       as arguments to Blockly.Block.setCheck():
@@ -247,12 +247,14 @@ Blockly.Bubble.prototype.bubbleMouseDown_ = function (e) {
     // Left-click (or middle click)
     Blockly.setCursorHand_(true);
     // Record the starting offset between the current location and the mouse.
+    // The mouse moves in pixels, the bubble in workspace units.
+    var scale = this.workspace_.scale;
     if (Blockly.RTL) {
-        this.dragDeltaX = this.relativeLeft_ + e.clientX;
+        this.dragDeltaX = this.relativeLeft_ + e.clientX / scale;
     } else {
-        this.dragDeltaX = this.relativeLeft_ - e.clientX;
+        this.dragDeltaX = this.relativeLeft_ - e.clientX / scale;
     }
-    this.dragDeltaY = this.relativeTop_ - e.clientY;
+    this.dragDeltaY = this.relativeTop_ - e.clientY / scale;
 
     Blockly.Bubble.onMouseUpWrapper_ = Blockly.bindEvent_(document,
         'mouseup', this, Blockly.Bubble.unbindDragEvents_);
@@ -270,12 +272,13 @@ Blockly.Bubble.prototype.bubbleMouseDown_ = function (e) {
  */
 Blockly.Bubble.prototype.bubbleMouseMove_ = function (e) {
     this.autoLayout_ = false;
+    var scale = this.workspace_.scale;
     if (Blockly.RTL) {
-        this.relativeLeft_ = this.dragDeltaX - e.clientX;
+        this.relativeLeft_ = this.dragDeltaX - e.clientX / scale;
     } else {
-        this.relativeLeft_ = this.dragDeltaX + e.clientX;
+        this.relativeLeft_ = this.dragDeltaX + e.clientX / scale;
     }
-    this.relativeTop_ = this.dragDeltaY + e.clientY;
+    this.relativeTop_ = this.dragDeltaY + e.clientY / scale;
     this.positionBubble_();
     this.renderArrow_();
 };
@@ -295,12 +298,13 @@ Blockly.Bubble.prototype.resizeMouseDown_ = function (e) {
     // Left-click (or middle click)
     Blockly.setCursorHand_(true);
     // Record the starting offset between the current location and the mouse.
+    var scale = this.workspace_.scale;
     if (Blockly.RTL) {
-        this.resizeDeltaWidth = this.width_ + e.clientX;
+        this.resizeDeltaWidth = this.width_ + e.clientX / scale;
     } else {
-        this.resizeDeltaWidth = this.width_ - e.clientX;
+        this.resizeDeltaWidth = this.width_ - e.clientX / scale;
     }
-    this.resizeDeltaHeight = this.height_ - e.clientY;
+    this.resizeDeltaHeight = this.height_ - e.clientY / scale;
 
     Blockly.Bubble.onMouseUpWrapper_ = Blockly.bindEvent_(document,
         'mouseup', this, Blockly.Bubble.unbindDragEvents_);
@@ -318,14 +322,15 @@ Blockly.Bubble.prototype.resizeMouseDown_ = function (e) {
  */
 Blockly.Bubble.prototype.resizeMouseMove_ = function (e) {
     this.autoLayout_ = false;
+    var scale = this.workspace_.scale;
     var w = this.resizeDeltaWidth;
-    var h = this.resizeDeltaHeight + e.clientY;
+    var h = this.resizeDeltaHeight + e.clientY / scale;
     if (Blockly.RTL) {
         // RTL drags the bottom-left corner.
-        w -= e.clientX;
+        w -= e.clientX / scale;
     } else {
         // LTR drags the bottom-right corner.
-        w += e.clientX;
+        w += e.clientX / scale;
     }
     this.setBubbleSize(w, h);
     if (Blockly.RTL) {
@@ -376,6 +381,10 @@ Blockly.Bubble.prototype.layoutBubble_ = function () {
     var relativeTop = -this.height_ - Blockly.BlockSvg.MIN_BLOCK_Y;
     // Prevent the bubble from being offscreen.
     var metrics = this.workspace_.getMetrics();
+    // Work in workspace units, like the bubble.
+    var scale = this.workspace_.scale;
+    metrics = {viewLeft: metrics.viewLeft / scale, viewTop: metrics.viewTop / scale,
+        viewWidth: metrics.viewWidth / scale};
     if (Blockly.RTL) {
         if (this.anchorX_ - metrics.viewLeft - relativeLeft - this.width_ <
             Blockly.Scrollbar.scrollbarThickness) {
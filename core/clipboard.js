@@ -0,0 +1,378 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Copy, cut and paste of blocks and workspace comments.
+ * Copied blocks are kept as JSON (see json.js) in the editor's clipboard, and
+ * the same JSON is put on the system clipboard as plain text, so that blocks
+ * may also be pasted into another editor, browser tab or session.
+ * The clipboard holds {format, blocks, comments}.
+ */
+'use strict';
+
+Blockly.Clipboard = {};
+
+/**
+ * Marker identifying clipboard text that holds blocks.
+ * @const
+ */
+Blockly.Clipboard.FORMAT = 'blockly';
+
+/**
+ * Name of the DOM event dispatched on the workspace's canvas when blocks
+ * can't be pasted.
+ * @const
+ */
+Blockly.Clipboard.DOM_EVENT = 'blocklyPasteError';
+
+/**
+ * Clipboard text waiting for the browser's copy event.
+ * @type {?string}
+ * @private
+ */
+Blockly.Clipboard.pendingText_ = null;
+
+/**
+ * PID of a paste from the editor's clipboard, waiting to see if the browser's
+ * paste event brings blocks from the system clipboard instead.
+ * @type {?number}
+ * @private
+ */
+Blockly.Clipboard.pastePid_ = null;
+
+/**
+ * Copy a block onto the clipboard.
+ * @param {!Blockly.Block} block Block to be copied, with its children.
+ * @param {boolean=} opt_stack True to also copy the blocks following it in
+ *     its stack.
+ */
+Blockly.Clipboard.copy = function (block, opt_stack) {
+    Blockly.Clipboard.setData_([Blockly.Clipboard.blockToJson_(block, opt_stack)]);
+};
+
+/**
+ * Convert a block to clipboard JSON.
+ * @param {!Blockly.Block} block Block to convert, with its children.
+ * @param {boolean=} opt_stack True to also convert the blocks following it in
+ *     its stack.
+ * @return {!Object} JSON block, with its position.
+ * @private
+ */
+Blockly.Clipboard.blockToJson_ = function (block, opt_stack) {
+    var jsonBlock = Blockly.Json.blockToDom_(block);
+    if (!opt_stack) {
+        Blockly.Json.deleteNext(jsonBlock);
+    }
+    // Encode start position.
+    var xy = block.getRelativeToSurfaceXY();
+    jsonBlock.x = Blockly.RTL ? -xy.x : xy.x;
+    jsonBlock.y = xy.y;
+    return jsonBlock;
+};
+
+/**
+ * Put blocks on the editor's clipboard and the system clipboard.
+ * @param {!Array.<!Object>} jsonBlocks JSON blocks, with their positions.
+ * @param {Array.<!Object>=} opt_jsonComments JSON workspace comments.
+ * @private
+ */
+Blockly.Clipboard.setData_ = function (jsonBlocks, opt_jsonComments) {
+    Blockly.clipboard_ = {format: Blockly.Clipboard.FORMAT, blocks: jsonBlocks};
+    if (opt_jsonComments && opt_jsonComments.length) {
+        Blockly.clipboard_.comments = opt_jsonComments;
+    }
+    Blockly.Clipboard.writeText_(JSON.stringify(Blockly.clipboard_));
+};
+
+/**
+ * Copy a workspace comment onto the clipboard.
+ * @param {!Blockly.WorkspaceComment} comment Comment to be copied.
+ */
+Blockly.Clipboard.copyComment = function (comment) {
+    var json = comment.toJson();
+    delete json.id;
+    if (Blockly.RTL) {
+        json.x = -json.x;
+    }
+    Blockly.Clipboard.setData_([], [json]);
+};
+
+/**
+ * Copy a workspace comment onto the clipboard and delete it.
+ * @param {!Blockly.WorkspaceComment} comment Comment to be cut.
+ */
+Blockly.Clipboard.cutComment = function (comment) {
+    Blockly.Clipboard.copyComment(comment);
+    Blockly.doCommand(function () {
+        comment.dispose();
+    });
+};
+
+/**
+ * Copy a block onto the clipboard and delete it.
+ * @param {!Blockly.Block} block Block to be cut, with its children.
+ * @param {boolean=} opt_stack True to also cut the blocks following it in
+ *     its stack.  Otherwise the stack is healed.
+ */
+Blockly.Clipboard.cut = function (block, opt_stack) {
+    Blockly.Clipboard.copy(block, opt_stack);
+    Blockly.doCommand(function () {
+        block.dispose(!opt_stack, true);
+    });
+};
+
+/**
+ * Paste blocks and comments onto a workspace, and select them.  Nothing is
+ * pasted if the workspace doesn't have room for all of the blocks, and the
+ * listeners added with Blockly.Clipboard.addListener are told.
+ * @param {!Blockly.Workspace} workspace The workspace to paste onto.
+ * @param {Object=} opt_data Clipboard data, as read by
+ *     Blockly.Clipboard.parseText.  Defaults to the editor's clipboard.
+ * @return {boolean} True if the blocks were pasted.
+ */
+Blockly.Clipboard.paste = function (workspace, opt_data) {
+    var data = opt_data || Blockly.clipboard_;
+    if (!data) {
+        return false;
+    }
+    var count = 0;
+    for (var x = 0; x < data.blocks.length; x++) {
+        count += Blockly.Clipboard.countBlocks_(data.blocks[x]);
+    }
+    var capacity = workspace.remainingCapacity();
+    if (count > capacity) {
+        console.log('Not enough room to paste ' + count + ' blocks.');
+        var canvas = workspace.getCanvas();
+        if (canvas) {
+            canvas.dispatchEvent(new CustomEvent(Blockly.Clipboard.DOM_EVENT,
+                {detail: {count: count, remainingCapacity: capacity}}));
+        }
+        return false;
+    }
+    Blockly.doCommand(function () {
+        var comments = data.comments || [];
+        for (var x = 0; x < comments.length; x++) {
+            workspace.pasteComment(comments[x]);
+        }
+        var blocks = [];
+        for (var x = 0; x < data.blocks.length; x++) {
+            blocks.push(workspace.paste(Blockly.Clipboard.withoutIds_(data.blocks[x])));
+        }
+        if (blocks.length) {
+            // Select all the pasted blocks.
+            Blockly.Selection.set(blocks);
+        }
+    });
+    return true;
+};
+
+/**
+ * When blocks can't be pasted onto a workspace, because there isn't room for
+ * them, call a function.  This includes the pastes made with the keyboard and
+ * the context menus.
+ * @param {!Blockly.Workspace} workspace The workspace to listen to.
+ * @param {!Function} func Function to call with {count, remainingCapacity},
+ *     the number of blocks that were to be pasted and the number there was
+ *     room for.
+ * @return {!Array.<!Array>} Opaque data that can be passed to
+ *     Blockly.unbindEvent_.
+ */
+Blockly.Clipboard.addListener = function (workspace, func) {
+    return Blockly.bindEvent_(workspace.getCanvas(), Blockly.Clipboard.DOM_EVENT,
+        null, function (e) {
+            func(e.detail);
+        });
+};
+
+/**
+ * Paste the blocks on the system clipboard, if the browser lets us read it,
+ * or those on the editor's clipboard.
+ * @param {!Blockly.Workspace} workspace The workspace to paste onto.
+ */
+Blockly.Clipboard.pasteFromSystem = function (workspace) {
+    var paste = function (text) {
+        Blockly.withWorkspace(workspace, function () {
+            Blockly.Clipboard.paste(workspace, Blockly.Clipboard.parseText(text));
+        });
+    };
+    var clipboard = navigator.clipboard;
+    if (clipboard && clipboard.readText) {
+        clipboard.readText().then(paste, function () {
+            // Permission refused.
+            paste(null);
+        });
+    } else {
+        paste(null);
+    }
+};
+
+/**
+ * Read the blocks in some clipboard text.
+ * @param {?string} text Text from the clipboard.
+ * @return {Object} Clipboard data, or null if the text doesn't hold blocks.
+ */
+Blockly.Clipboard.parseText = function (text) {
+    if (!text) {
+        return null;
+    }
+    var data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return null;
+    }
+    if (!data || data.format != Blockly.Clipboard.FORMAT ||
+        !Ext.isArray(data.blocks)) {
+        return null;
+    }
+    for (var x = 0; x < data.blocks.length; x++) {
+        if (!data.blocks[x] || !data.blocks[x].type) {
+            return null;
+        }
+    }
+    if (data.comments != null) {
+        if (!Ext.isArray(data.comments)) {
+            return null;
+        }
+        for (var x = 0; x < data.comments.length; x++) {
+            if (!Ext.isObject(data.comments[x])) {
+                return null;
+            }
+        }
+    }
+    return data;
+};
+
+/**
+ * Put text on the system clipboard.  It is written during the browser's copy
+ * event if there is one (keyboard copy), and through the asynchronous
+ * clipboard API where the browser supports it.
+ * @param {string} text Text to copy.
+ * @private
+ */
+Blockly.Clipboard.writeText_ = function (text) {
+    Blockly.Clipboard.pendingText_ = text;
+    window.setTimeout(function () {
+        // No copy event is coming.
+        Blockly.Clipboard.pendingText_ = null;
+    }, 0);
+    var clipboard = navigator.clipboard;
+    if (clipboard && clipboard.writeText) {
+        clipboard.writeText(text).then(null, function () {
+            // Not allowed.  The editor's clipboard still works.
+        });
+    }
+};
+
+/**
+ * Start a keyboard paste.  The blocks on the editor's clipboard are pasted,
+ * unless the browser's paste event that follows brings blocks from the
+ * system clipboard.
+ * @private
+ */
+Blockly.Clipboard.onPasteKey_ = function () {
+    var workspace = Blockly.mainWorkspace;
+    if (Blockly.Clipboard.pastePid_) {
+        window.clearTimeout(Blockly.Clipboard.pastePid_);
+    }
+    Blockly.Clipboard.pastePid_ = window.setTimeout(function () {
+        Blockly.Clipboard.pastePid_ = null;
+        Blockly.withWorkspace(workspace, function () {
+            Blockly.Clipboard.paste(workspace);
+        });
+    }, 0);
+};
+
+/**
+ * Handle the browser's copy and cut events.
+ * @param {!Event} e Copy or cut event.
+ * @private
+ */
+Blockly.Clipboard.onCopy_ = function (e) {
+    var text = Blockly.Clipboard.pendingText_;
+    Blockly.Clipboard.pendingText_ = null;
+    if (text != null && e.clipboardData) {
+        e.clipboardData.setData('text/plain', text);
+        e.preventDefault();
+    }
+};
+
+/**
+ * Handle the browser's paste event.
+ * @param {!Event} e Paste event.
+ * @private
+ */
+Blockly.Clipboard.onPaste_ = function (e) {
+    if (!Blockly.Clipboard.pastePid_ || !e.clipboardData) {
+        return;
+    }
+    var data = Blockly.Clipboard.parseText(e.clipboardData.getData('text/plain'));
+    if (data) {
+        window.clearTimeout(Blockly.Clipboard.pastePid_);
+        Blockly.Clipboard.pastePid_ = null;
+        Blockly.Clipboard.paste(Blockly.mainWorkspace, data);
+        e.preventDefault();
+    }
+};
+
+/**
+ * Count the blocks in a JSON block tree.
+ * @param {!Object} jsonBlock JSON block.
+ * @return {number} Number of blocks, including the children and next blocks.
+ * @private
+ */
+Blockly.Clipboard.countBlocks_ = function (jsonBlock) {
+    var count = 1;
+    var children = [].concat(jsonBlock.children || []);
+    for (var x = 0; x < children.length; x++) {
+        if (children[x].block) {
+            count += Blockly.Clipboard.countBlocks_(children[x].block);
+        }
+    }
+    if (jsonBlock.next) {
+        count += Blockly.Clipboard.countBlocks_(jsonBlock.next);
+    }
+    return count;
+};
+
+/**
+ * Copy a JSON block tree without its block ids, so that pasted blocks always
+ * get new ones.
+ * @param {!Object} jsonBlock JSON block.
+ * @return {!Object} The copy.
+ * @private
+ */
+Blockly.Clipboard.withoutIds_ = function (jsonBlock) {
+    var strip = function (block) {
+        delete block.id;
+        var children = [].concat(block.children || []);
+        for (var x = 0; x < children.length; x++) {
+            if (children[x].block) {
+                strip(children[x].block);
+            }
+        }
+        if (block.next) {
+            strip(block.next);
+        }
+    };
+    var copy = JSON.parse(JSON.stringify(jsonBlock));
+    strip(copy);
+    return copy;
+};
@@ -42,6 +42,12 @@ Blockly.inherits(Blockly.Comment, Blockly.Icon);
  */
 Blockly.Comment.prototype.text_ = '';
 
+/**
+ * Comment text as it was before the current edit in the textarea.
+ * @private
+ */
+Blockly.Comment.prototype.savedText_ = '';
+
 /**
  * Width of bubble.
  * @private
@@ -104,6 +110,7 @@ Blockly.Comment.prototype.createEditor_ = function () {
     body.appendChild(this.textarea_);
     this.foreignObject_.appendChild(body);
     Blockly.bindEvent_(this.textarea_, 'mouseup', this, this.textareaFocus_);
+    Blockly.bindEvent_(this.textarea_, 'change', this, this.textareaChange_);
     return this.foreignObject_;
 };
 
@@ -131,6 +138,10 @@ Blockly.Comment.prototype.updateEditable = function () {
  * @private
  */
 Blockly.Comment.prototype.resizeBubble_ = function () {
+    if (!this.bubble_) {
+        // The bubble was closed before the resize event arrived.
+        return;
+    }
     var size = this.bubble_.getBubbleSize();
     var doubleBorderWidth = 2 * Blockly.Bubble.BORDER_WIDTH;
     this.foreignObject_.setAttribute('width', size.width - doubleBorderWidth);
@@ -188,6 +199,16 @@ Blockly.Comment.prototype.textareaFocus_ = function (e) {
     this.textarea_.focus();
 };
 
+/**
+ * Record an edit of the comment's text for undo.
+ * @param {!Event} e Change event.
+ * @private
+ */
+Blockly.Comment.prototype.textareaChange_ = function (e) {
+    Blockly.UndoManager.record(this.block_, this.savedText_);
+    this.savedText_ = this.textarea_.value;
+};
+
 /**
  * Get the dimensions of this comment's bubble.
  * @return {!Object} Object with width and height properties.
@@ -227,6 +248,7 @@ Blockly.Comment.prototype.getText = function () {
  * @param {string} text Comment text.
  */
 Blockly.Comment.prototype.setText = function (text) {
+    this.savedText_ = text;
     if (this.isVisible()) {
         this.textarea_.value = text;
     } else {
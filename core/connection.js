@@ -334,24 +334,19 @@ Blockly.Connection.prototype.moveBy = function (dx, dy) {
 Blockly.Connection.prototype.highlight = function () {
     var steps;
     if (this.type == Blockly.INPUT_VALUE || this.type == Blockly.OUTPUT_VALUE) {
-        var tabWidth = Blockly.RTL ? -Blockly.BlockSvg.TAB_WIDTH :
-            Blockly.BlockSvg.TAB_WIDTH;
-        steps = 'm 0,0 v 5 c 0,10 ' + -tabWidth + ',-8 ' + -tabWidth + ',7.5 s ' +
-            tabWidth + ',-2.5 ' + tabWidth + ',7.5 v 5';
+        steps = 'm 0,0 ' + Blockly.BlockSvg.TAB_PATH_DOWN + ' v 5';
     } else {
-        if (Blockly.RTL) {
-            steps = 'm 20,0 h -5 l -6,4 -3,0 -6,-4 h -5';
-        } else {
-            steps = 'm -20,0 h 5 l 6,4 3,0 6,-4 h 5';
-        }
+        steps = 'm -20,0 h 5 ' + Blockly.BlockSvg.NOTCH_PATH_LEFT + ' h 5';
     }
+    // The paths are drawn left to right, so are mirrored in RTL.
+    var mirror = Blockly.RTL ? ' scale(-1 1)' : '';
     var xy = this.sourceBlock_.getRelativeToSurfaceXY();
     var x = this.x_ - xy.x;
     var y = this.y_ - xy.y;
     Blockly.Connection.highlightedPath_ = Blockly.createSvgElement('path',
         {'class': 'blocklyHighlightedConnectionPath',
             'd': steps,
-            transform: 'translate(' + x + ', ' + y + ')'},
+            transform: 'translate(' + x + ', ' + y + ')' + mirror},
         this.sourceBlock_.getSvgRoot());
 };
 
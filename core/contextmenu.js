@@ -109,12 +109,13 @@ Blockly.ContextMenu.hide = function () {
  * Create a callback function that creates and configures a block,
  *   then places the new block next to the original.
  * @param {!Blockly.Block} block Original block.
- * @param {!Element} xml XML representation of new block.
+ * @param {!Object|!Element} xml JSON or XML representation of new block.
  * @return {!Function} Function that creates a block.
  */
 Blockly.ContextMenu.callbackFactory = function (block, xml) {
     return function () {
-        var newBlock = Blockly.Json.domToBlock(block.workspace, xml);
+        var newBlock = xml.nodeType ? Blockly.Xml.domToBlock(block.workspace, xml) :
+            Blockly.Json.domToBlock(block.workspace, xml);
         // Move the new block next to the old block.
         var xy = block.getRelativeToSurfaceXY();
         if (Blockly.RTL) {
@@ -26,6 +26,13 @@
 
 Blockly.Css = {};
 
+/**
+ * Has the CSS already been injected into the DOM?
+ * @type {boolean}
+ * @private
+ */
+Blockly.Css.injected_ = false;
+
 /**
  * Inject the CSS into the DOM.  This is preferable over using a regular CSS
  * file since:
@@ -34,10 +41,12 @@ Blockly.Css = {};
  * c) The CSS content may be made dynamic depending on init options.
  */
 Blockly.Css.inject = function () {
-    var text = Blockly.Css.CONTENT.join('\n');
-    // Strip off any trailing slash (either Unix or Windows).
-    var path = Blockly.pathToBlockly.replace(/[\\\/]$/, '');
-    text = text.replace(/<<<PATH>>>/g, path);
+    // The style sheet is shared by all the editors on the page.
+    if (Blockly.Css.injected_) {
+        return;
+    }
+    Blockly.Css.injected_ = true;
+    var text = Blockly.Css.getText();
 
     var cssNode = document.createElement('style');
     cssNode.type = 'text/css';
@@ -53,6 +62,17 @@ Blockly.Css.inject = function () {
     }
 };
 
+/**
+ * Get the CSS content for Blockly, with the path to Blockly's media filled in.
+ * @return {string} The CSS.
+ */
+Blockly.Css.getText = function () {
+    var text = Blockly.Css.CONTENT.join('\n');
+    // Strip off any trailing slash (either Unix or Windows).
+    var path = Blockly.pathToBlockly.replace(/[\\\/]$/, '');
+    return text.replace(/<<<PATH>>>/g, path);
+};
+
 /**
  * Array making up the CSS content for Blockly.
  */
@@ -105,6 +125,88 @@ Blockly.Css.CONTENT = [
     '  stroke-linecap: round;',
     '}',
 
+    '.blocklySearchMatch>.blocklyPath {',
+    '  stroke-width: 3px;',
+    '  stroke: #f80;',
+    '}',
+
+    '.blocklySearchMatch>.blocklyPathLight {',
+    '  display: none;',
+    '}',
+
+    '.blocklyBreakpoint>.blocklyPath {',
+    '  stroke-width: 2px;',
+    '  stroke: #c00;',
+    '}',
+
+    '.blocklyBreakpointMarker {',
+    '  fill: #c00;',
+    '  stroke: #fff;',
+    '  stroke-width: 1px;',
+    '}',
+
+    '.blocklyLiveRegion {',
+    '  position: absolute;',
+    '  left: -10000px;',
+    '  width: 1px;',
+    '  height: 1px;',
+    '  overflow: hidden;',
+    '}',
+
+    '.blocklyCursorMoving>.blocklyPath {',
+    '  stroke-dasharray: 5,3;',
+    '}',
+
+    '.blocklyCursorField>rect {',
+    '  stroke: #09f;',
+    '  stroke-width: 2px;',
+    '}',
+
+    '.blocklyGrid {',
+    '  pointer-events: none;',
+    '}',
+
+    '.blocklyWorkspaceCommentRect {',
+    '  fill: #ffc;',
+    '  stroke: #cc9;',
+    '  stroke-width: 1px;',
+    '}',
+
+    '.blocklySelected>.blocklyWorkspaceCommentRect {',
+    '  stroke: #fc3;',
+    '  stroke-width: 3px;',
+    '}',
+
+    '.blocklyFrameBody {',
+    '  fill-opacity: .1;',
+    '  stroke-width: 2px;',
+    '  pointer-events: none;',
+    '}',
+
+    '.blocklyFrameTitle, .blocklyFrameToggle {',
+    '  fill: #fff;',
+    '  font-family: tahoma,arial,verdana,sans-serif;',
+    '  font-size: 10pt;',
+    '}',
+
+    '.blocklyFrameToggle {',
+    '  cursor: pointer;',
+    '}',
+
+    '.blocklyRubberBand {',
+    '  fill: #39f;',
+    '  fill-opacity: .15;',
+    '  stroke: #39f;',
+    '  stroke-width: 1px;',
+    '  pointer-events: none;',
+    '}',
+
+    '.blocklyCursorConnection {',
+    '  stroke: #09f;',
+    '  stroke-width: 4px;',
+    '  stroke-linecap: round;',
+    '}',
+
     '.blocklySelected>.blocklyPath {',
     '  stroke-width: 3px;',
     '  stroke: #fc3;',
@@ -277,6 +379,38 @@ Blockly.Css.CONTENT = [
     '  fill: #bbb;',
     '}',
 
+    '.blocklyZoomButton {',
+    '  fill: #fff;',
+    '  stroke: #ccc;',
+    '  stroke-width: 1;',
+    '  cursor: pointer;',
+    '}',
+
+    '.blocklyZoomButton:hover {',
+    '  stroke: #999;',
+    '}',
+
+    '.blocklyZoomIcon {',
+    '  fill: none;',
+    '  stroke: #666;',
+    '  stroke-width: 2;',
+    '  pointer-events: none;',
+    '}',
+
+    '.blocklyMinimapBackground {',
+    '  fill: #fff;',
+    '  fill-opacity: .8;',
+    '  stroke: #ccc;',
+    '}',
+
+    '.blocklyMinimapView {',
+    '  fill: #000;',
+    '  fill-opacity: .1;',
+    '  stroke: #666;',
+    '  stroke-width: 1;',
+    '  cursor: move;',
+    '}',
+
     '.blocklyInvalidInput {',
     '  background: #faa;',
     '}',
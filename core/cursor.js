@@ -0,0 +1,742 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Keyboard cursor for navigating and editing the blocks of a
+ * workspace without a mouse.
+ * The cursor walks a tree of nodes.  The top of the tree is the workspace's
+ * stacks.  The children of a block are its editable fields and the contents of
+ * its inputs - the blocks plugged into them, or the empty connections where a
+ * block could be plugged in.  A stack of statements is a run of siblings,
+ * followed by the empty connection at the end of the stack.
+ */
+'use strict';
+
+
+/**
+ * Class for the keyboard cursor of a workspace.
+ * @param {!Blockly.Workspace} workspace The workspace to navigate.
+ * @constructor
+ */
+Blockly.Cursor = function (workspace) {
+    this.workspace_ = workspace;
+};
+
+/**
+ * Node types.  A node is an object with a type and a block, as well as the
+ * field for FIELD nodes and the empty connection for INPUT and NEXT nodes.
+ */
+Blockly.Cursor.BLOCK = 'block';
+Blockly.Cursor.FIELD = 'field';
+Blockly.Cursor.INPUT = 'input';
+Blockly.Cursor.NEXT = 'next';
+
+/**
+ * Distance (in workspace units) that a stack moves with each Shift+arrow key.
+ */
+Blockly.Cursor.NUDGE = 20;
+
+/**
+ * Function returning the blocks offered when inserting a block at the cursor,
+ * as an array of objects with a name and the block's JSON.
+ * @type {?function(): !Array.<{name: string, block: !Object}>}
+ */
+Blockly.Cursor.prototype.toolbox = null;
+
+/**
+ * The node the cursor is on.
+ * @type {Object}
+ * @private
+ */
+Blockly.Cursor.prototype.node_ = null;
+
+/**
+ * SVG element marking the cursor's field or connection.
+ * @type {Element}
+ * @private
+ */
+Blockly.Cursor.prototype.marker_ = null;
+
+/**
+ * Block waiting to be moved to another place with the keyboard.
+ * @type {Blockly.Block}
+ * @private
+ */
+Blockly.Cursor.prototype.movingBlock_ = null;
+
+/**
+ * Start following the selection.
+ */
+Blockly.Cursor.prototype.init = function () {
+    // Clicking a block moves the cursor to it.
+    this.selectWrapper_ = Blockly.bindEvent_(this.workspace_.getCanvas(),
+        'blocklySelectChange', this, this.onSelectChange_);
+};
+
+/**
+ * Dispose of the cursor.
+ */
+Blockly.Cursor.prototype.dispose = function () {
+    if (this.selectWrapper_) {
+        Blockly.unbindEvent_(this.selectWrapper_);
+        this.selectWrapper_ = null;
+    }
+    this.removeMarker_();
+    this.node_ = null;
+    this.movingBlock_ = null;
+    this.workspace_ = null;
+};
+
+/**
+ * Get the node the cursor is on.
+ * @return {Object} The node, or null if the cursor is not on any node.
+ */
+Blockly.Cursor.prototype.getNode = function () {
+    if (this.node_ && !this.isValid_(this.node_)) {
+        this.setNode(null);
+    }
+    if (!this.node_ && Blockly.selected &&
+        Blockly.selected.workspace == this.workspace_) {
+        this.node_ = {type: Blockly.Cursor.BLOCK, block: Blockly.selected};
+    }
+    return this.node_;
+};
+
+/**
+ * Move the cursor to a node, selecting its block and scrolling it into view.
+ * @param {Object} node The node, or null to take the cursor away.
+ */
+Blockly.Cursor.prototype.setNode = function (node) {
+    this.removeMarker_();
+    this.node_ = node;
+    if (!node) {
+        Blockly.Aria.setActiveDescendant(null);
+        return;
+    }
+    if (Blockly.selected != node.block) {
+        node.block.select();
+    }
+    if (node.type == Blockly.Cursor.FIELD) {
+        this.marker_ = node.field.getRootElement();
+        Blockly.addClass_(/** @type {!Element} */ (this.marker_),
+            'blocklyCursorField');
+    } else if (node.type != Blockly.Cursor.BLOCK) {
+        this.marker_ = this.createConnectionMarker_(node.connection);
+    }
+    Blockly.Aria.setActiveDescendant(this.marker_ || node.block.getSvgRoot());
+    this.workspace_.scrollBlockIntoView(node.block);
+};
+
+/**
+ * Draw a line across an empty connection.
+ * @param {!Blockly.Connection} connection The connection.
+ * @return {!Element} The marker.
+ * @private
+ */
+Blockly.Cursor.prototype.createConnectionMarker_ = function (connection) {
+    var block = connection.sourceBlock_;
+    var xy = block.getRelativeToSurfaceXY();
+    var x = connection.x_ - xy.x;
+    var y = connection.y_ - xy.y;
+    var path;
+    if (connection.type == Blockly.INPUT_VALUE) {
+        path = 'M ' + x + ',' + y + ' v 20';
+    } else {
+        path = 'M ' + x + ',' + y + ' h ' + (Blockly.RTL ? -40 : 40);
+    }
+    return Blockly.createSvgElement('path',
+        {'class': 'blocklyCursorConnection', 'd': path, 'role': 'img',
+            'aria-label': Blockly.Aria.connectionLabel(connection)},
+        block.getSvgRoot());
+};
+
+/**
+ * Remove the marking of the cursor's field or connection.
+ * @private
+ */
+Blockly.Cursor.prototype.removeMarker_ = function () {
+    if (!this.marker_) {
+        return;
+    }
+    if (this.node_ && this.node_.type == Blockly.Cursor.FIELD) {
+        Blockly.removeClass_(/** @type {!Element} */ (this.marker_),
+            'blocklyCursorField');
+    } else {
+        Ext.removeNode(this.marker_);
+    }
+    this.marker_ = null;
+};
+
+/**
+ * Follow the selection when the user selects another block.
+ * @private
+ */
+Blockly.Cursor.prototype.onSelectChange_ = function () {
+    if (this.node_ && Blockly.selected != this.node_.block) {
+        this.setNode(null);
+    }
+};
+
+/**
+ * Is a node still in the workspace, and is its block still selected?
+ * @param {!Object} node The node.
+ * @return {boolean} True if the cursor can stay on the node.
+ * @private
+ */
+Blockly.Cursor.prototype.isValid_ = function (node) {
+    if (node.block.workspace != this.workspace_ ||
+        Blockly.selected != node.block) {
+        // The block was deleted, or the user has selected something else.
+        return false;
+    }
+    if (node.type == Blockly.Cursor.FIELD) {
+        return node.field.sourceBlock_ == node.block && node.field.isVisible();
+    }
+    if (node.type != Blockly.Cursor.BLOCK) {
+        return !node.connection.targetConnection;
+    }
+    return true;
+};
+
+/**
+ * Are two nodes the same?
+ * @param {!Object} a One node.
+ * @param {!Object} b The other node.
+ * @return {boolean} True if they are.
+ * @private
+ */
+Blockly.Cursor.sameNode_ = function (a, b) {
+    return a.type == b.type && a.block == b.block && a.field == b.field &&
+        a.connection == b.connection;
+};
+
+/**
+ * Get the nodes of a stack of blocks, followed by the empty connection at the
+ * end of the stack (if the blocks are statements).
+ * @param {!Blockly.Block} block First block of the stack.
+ * @return {!Array.<!Object>} The nodes.
+ * @private
+ */
+Blockly.Cursor.stackNodes_ = function (block) {
+    var nodes = [];
+    var last;
+    do {
+        nodes.push({type: Blockly.Cursor.BLOCK, block: block});
+        last = block;
+        block = block.nextConnection && block.nextConnection.targetBlock();
+    } while (block);
+    if (last.nextConnection) {
+        nodes.push({type: Blockly.Cursor.NEXT, block: last,
+            connection: last.nextConnection});
+    }
+    return nodes;
+};
+
+/**
+ * Get the child nodes of a block - its editable fields, and the blocks or
+ * empty connections of its inputs.
+ * @param {!Blockly.Block} block The block.
+ * @return {!Array.<!Object>} The nodes.
+ * @private
+ */
+Blockly.Cursor.childNodes_ = function (block) {
+    var nodes = [];
+    for (var x = 0, input; input = block.inputList[x]; x++) {
+        if (!input.isVisible()) {
+            continue;
+        }
+        for (var y = 0, field; field = input.fieldRow[y]; y++) {
+            if (field.EDITABLE && field.isVisible()) {
+                nodes.push({type: Blockly.Cursor.FIELD, block: block,
+                    field: field});
+            }
+        }
+        if (!input.connection) {
+            continue;
+        }
+        var target = input.connection.targetBlock();
+        if (!target) {
+            nodes.push({type: Blockly.Cursor.INPUT, block: block,
+                connection: input.connection});
+        } else if (input.type == Blockly.NEXT_STATEMENT) {
+            nodes = nodes.concat(Blockly.Cursor.stackNodes_(target));
+        } else {
+            nodes.push({type: Blockly.Cursor.BLOCK, block: target});
+        }
+    }
+    return nodes;
+};
+
+/**
+ * Get the block whose input holds a node.
+ * @param {!Object} node The node.
+ * @return {Blockly.Block} The block, or null for the workspace's stacks.
+ * @private
+ */
+Blockly.Cursor.parentBlock_ = function (node) {
+    if (node.type == Blockly.Cursor.FIELD || node.type == Blockly.Cursor.INPUT) {
+        return node.block;
+    }
+    return node.block.getSurroundParent();
+};
+
+/**
+ * Get a node and its siblings.
+ * @param {!Object} node The node.
+ * @return {!Array.<!Object>} The nodes at the same level, in order.
+ * @private
+ */
+Blockly.Cursor.prototype.siblings_ = function (node) {
+    var parent = Blockly.Cursor.parentBlock_(node);
+    if (parent) {
+        return Blockly.Cursor.childNodes_(parent);
+    }
+    var nodes = [];
+    var blocks = this.workspace_.getTopBlocks(true);
+    for (var x = 0; x < blocks.length; x++) {
+        nodes = nodes.concat(Blockly.Cursor.stackNodes_(blocks[x]));
+    }
+    return nodes;
+};
+
+/**
+ * Move to the next (or previous) node at the same level.
+ * @param {number} direction 1 for the next node, -1 for the previous one.
+ * @return {boolean} True if the cursor moved.
+ */
+Blockly.Cursor.prototype.step = function (direction) {
+    var node = this.getNode();
+    if (!node) {
+        return this.stepStack(direction);
+    }
+    var siblings = this.siblings_(node);
+    for (var x = 0; x < siblings.length; x++) {
+        if (Blockly.Cursor.sameNode_(siblings[x], node)) {
+            var sibling = siblings[x + direction];
+            if (sibling) {
+                this.setNode(sibling);
+                return true;
+            }
+            break;
+        }
+    }
+    return false;
+};
+
+/**
+ * Move into the first field or input of the cursor's block.
+ * @return {boolean} True if the cursor moved.
+ */
+Blockly.Cursor.prototype.stepIn = function () {
+    var node = this.getNode();
+    if (!node || node.type != Blockly.Cursor.BLOCK) {
+        return false;
+    }
+    var children = Blockly.Cursor.childNodes_(node.block);
+    if (!children.length) {
+        return false;
+    }
+    this.setNode(children[0]);
+    return true;
+};
+
+/**
+ * Move out to the block whose input holds the cursor's node.
+ * @return {boolean} True if the cursor moved.
+ */
+Blockly.Cursor.prototype.stepOut = function () {
+    var node = this.getNode();
+    var parent = node && Blockly.Cursor.parentBlock_(node);
+    if (!parent) {
+        return false;
+    }
+    this.setNode({type: Blockly.Cursor.BLOCK, block: parent});
+    return true;
+};
+
+/**
+ * Move to the first block of the next (or previous) stack on the workspace.
+ * @param {number} direction 1 for the next stack, -1 for the previous one.
+ * @return {boolean} True if the cursor moved.
+ */
+Blockly.Cursor.prototype.stepStack = function (direction) {
+    var blocks = this.workspace_.getTopBlocks(true);
+    if (!blocks.length) {
+        return false;
+    }
+    var node = this.getNode();
+    var index = node ? blocks.indexOf(node.block.getRootBlock()) : -1;
+    if (index == -1) {
+        // Start from the first (or last) stack.
+        index = direction > 0 ? 0 : blocks.length - 1;
+    } else {
+        index += direction;
+        if (index < 0 || index >= blocks.length) {
+            return false;
+        }
+    }
+    this.setNode({type: Blockly.Cursor.BLOCK, block: blocks[index]});
+    return true;
+};
+
+/**
+ * Connect a block at a node, or put it next to the node if it can't be
+ * connected there.
+ * @param {!Blockly.Block} block Top block to place.
+ * @param {Object} node Where to place it.
+ * @private
+ */
+Blockly.Cursor.prototype.place_ = function (block, node) {
+    var target = null;
+    var connection = null;
+    if (node && node.type != Blockly.Cursor.BLOCK &&
+        node.type != Blockly.Cursor.FIELD) {
+        target = node.connection;
+        connection = target.type == Blockly.INPUT_VALUE ?
+            block.outputConnection : block.previousConnection;
+    } else if (node && node.block.nextConnection) {
+        // Insert after the cursor's statement.
+        target = node.block.nextConnection;
+        connection = block.previousConnection;
+    }
+    if (connection && target.checkType_(connection)) {
+        connection.connect(target);
+        return;
+    }
+    // Leave the block on its own, below and to the side of the cursor.
+    var xy;
+    if (node) {
+        xy = node.block.getRelativeToSurfaceXY();
+    } else {
+        var metrics = this.workspace_.getMetrics();
+        xy = {x: metrics.viewLeft / this.workspace_.scale,
+            y: metrics.viewTop / this.workspace_.scale};
+    }
+    var offset = Blockly.SNAP_RADIUS * 2;
+    var blockXY = block.getRelativeToSurfaceXY();
+    block.moveBy(xy.x + (Blockly.RTL ? -offset : offset) - blockXY.x,
+            xy.y + offset - blockXY.y);
+};
+
+/**
+ * Create a block and connect it at the cursor.
+ * @param {!Object} json The block's JSON.
+ * @return {Blockly.Block} The new block, or null if it couldn't be created.
+ */
+Blockly.Cursor.prototype.insertBlock = function (json) {
+    if (Blockly.readOnly) {
+        return null;
+    }
+    var cursor = this;
+    var node = this.getNode();
+    var block = null;
+    Blockly.doCommand(function () {
+        block = Blockly.Json.domToBlock(cursor.workspace_, json);
+        if (block) {
+            cursor.place_(block, node);
+        }
+    });
+    if (block) {
+        this.setNode({type: Blockly.Cursor.BLOCK, block: block});
+    }
+    return block;
+};
+
+/**
+ * Disconnect the cursor's block from its parent, healing the stack it was in.
+ * @return {boolean} True if the block was disconnected.
+ */
+Blockly.Cursor.prototype.disconnect = function () {
+    var node = this.getNode();
+    if (Blockly.readOnly || !node || node.type != Blockly.Cursor.BLOCK ||
+        !node.block.getParent() || !node.block.isMovable()) {
+        return false;
+    }
+    Blockly.doCommand(function () {
+        node.block.unplug(true, true);
+    });
+    this.setNode(node);
+    return true;
+};
+
+/**
+ * Start moving the cursor's block, or finish moving it to the cursor.
+ * The block (and the blocks below it) is connected at the cursor if it can be,
+ * otherwise it is put next to the cursor.
+ * @return {boolean} True if a move was started or finished.
+ */
+Blockly.Cursor.prototype.move = function () {
+    var node = this.getNode();
+    if (Blockly.readOnly || !node) {
+        return false;
+    }
+    var block = this.movingBlock_;
+    if (!block || block.workspace != this.workspace_) {
+        // Start a move.
+        this.movingBlock_ = null;
+        if (node.type != Blockly.Cursor.BLOCK || !node.block.isMovable()) {
+            return false;
+        }
+        this.movingBlock_ = node.block;
+        Blockly.addClass_(/** @type {!Element} */ (node.block.getSvgRoot()),
+            'blocklyCursorMoving');
+        Blockly.Aria.announce(Blockly.Msg.ARIA_MOVING.replace('%1',
+            Blockly.Aria.blockName(node.block)));
+        return true;
+    }
+    if (node.type == Blockly.Cursor.BLOCK && node.block == block) {
+        // Pressing 'm' again on the block cancels the move.
+        this.cancelMove();
+        return true;
+    }
+    // Don't move a block into itself.
+    for (var parent = node.block; parent; parent = parent.getParent()) {
+        if (parent == block) {
+            return false;
+        }
+    }
+    var cursor = this;
+    this.cancelMove();
+    Blockly.doCommand(function () {
+        block.unplug(false, false);
+        cursor.place_(block, node);
+    });
+    this.setNode({type: Blockly.Cursor.BLOCK, block: block});
+    return true;
+};
+
+/**
+ * Stop a move started with move().
+ */
+Blockly.Cursor.prototype.cancelMove = function () {
+    if (this.movingBlock_ && this.movingBlock_.svg_) {
+        Blockly.removeClass_(
+            /** @type {!Element} */ (this.movingBlock_.getSvgRoot()),
+            'blocklyCursorMoving');
+    }
+    this.movingBlock_ = null;
+};
+
+/**
+ * Move the stack holding the cursor around the workspace.
+ * @param {number} dx Horizontal distance, in workspace units.
+ * @param {number} dy Vertical distance, in workspace units.
+ * @return {boolean} True if the stack moved.
+ */
+Blockly.Cursor.prototype.moveStack = function (dx, dy) {
+    var node = this.getNode();
+    if (Blockly.readOnly || !node) {
+        return false;
+    }
+    var root = node.block.getRootBlock();
+    if (!root.isMovable()) {
+        return false;
+    }
+    Blockly.doCommand(function () {
+        Blockly.UndoManager.record(root);
+        root.moveBy(dx, dy);
+    });
+    this.setNode(node);
+    return true;
+};
+
+/**
+ * Open the editor of the cursor's field.
+ * @return {boolean} True if an editor was opened.
+ */
+Blockly.Cursor.prototype.editField = function () {
+    var node = this.getNode();
+    if (Blockly.readOnly || !node || node.type != Blockly.Cursor.FIELD ||
+        !node.block.isEditable()) {
+        return false;
+    }
+    node.field.showEditor_();
+    Blockly.Cursor.focusMenu_();
+    return true;
+};
+
+/**
+ * Show the context menu of the cursor's block (or of the workspace).
+ * @return {boolean} True if the menu was shown.
+ */
+Blockly.Cursor.prototype.showContextMenu = function () {
+    var node = this.getNode();
+    var e = this.getMenuPosition_(node);
+    if (node) {
+        node.block.showContextMenu_(e);
+    } else {
+        Blockly.showContextMenu_(e);
+    }
+    Blockly.Cursor.focusMenu_();
+    return true;
+};
+
+/**
+ * Show a menu of the toolbox's blocks, to insert one of them at the cursor.
+ * @return {boolean} True if the menu was shown.
+ */
+Blockly.Cursor.prototype.showToolboxMenu = function () {
+    if (Blockly.readOnly || !this.toolbox) {
+        return false;
+    }
+    var cursor = this;
+    var blocks = this.toolbox();
+    var options = [];
+    for (var x = 0; x < blocks.length; x++) {
+        options.push({
+            text: blocks[x].name,
+            enabled: true,
+            callback: Blockly.Cursor.insertCallback_(cursor, blocks[x].block)
+        });
+    }
+    Blockly.ContextMenu.show(this.getMenuPosition_(this.getNode()), options);
+    Blockly.Cursor.focusMenu_();
+    return true;
+};
+
+/**
+ * Make a menu callback which inserts a block at the cursor.
+ * @param {!Blockly.Cursor} cursor The cursor.
+ * @param {!Object} json The block's JSON.
+ * @return {!Function} The callback.
+ * @private
+ */
+Blockly.Cursor.insertCallback_ = function (cursor, json) {
+    return function () {
+        Blockly.withWorkspace(cursor.workspace_, function () {
+            cursor.insertBlock(json);
+        });
+    };
+};
+
+/**
+ * Work out where to show a menu for a node.
+ * @param {Object} node The node, or null for the workspace.
+ * @return {!Object} Object with the clientX and clientY of the menu.
+ * @private
+ */
+Blockly.Cursor.prototype.getMenuPosition_ = function (node) {
+    var element = node ? (this.marker_ || node.block.getSvgRoot()) :
+        this.workspace_.getCanvas();
+    var xy = Blockly.getAbsoluteXY_(element);
+    if (!node) {
+        var metrics = this.workspace_.getMetrics();
+        xy.x += metrics.viewLeft;
+        xy.y += metrics.viewTop;
+    }
+    return {clientX: xy.x + Blockly.SNAP_RADIUS,
+        clientY: xy.y + Blockly.SNAP_RADIUS};
+};
+
+/**
+ * Give the keyboard to the menu which has just been opened (if any), so that
+ * it can be used with the arrow keys.
+ * @private
+ */
+Blockly.Cursor.focusMenu_ = function () {
+    var menu = Blockly.openMenu;
+    if (!menu) {
+        return;
+    }
+    menu.items.each(function (item) {
+        if (menu.canActivateItem(item)) {
+            menu.setActiveItem(item);
+            return false;
+        }
+    });
+};
+
+/**
+ * Handle a key-down on the workspace.
+ * @param {!Event} e Key down event.
+ * @return {boolean} True if the key was used by the cursor.
+ * @private
+ */
+Blockly.Cursor.prototype.onKeyDown_ = function (e) {
+    if (Blockly.openMenu || e.altKey || e.ctrlKey || e.metaKey) {
+        // Any open menu has the keyboard.
+        return false;
+    }
+    var target = e.target;
+    if (target != document.body && target != document.documentElement &&
+        !(Blockly.svg && Blockly.svg.contains(target))) {
+        // Leave the keys of other widgets on the page alone.
+        return false;
+    }
+    // Left and right are mirrored in RTL mode.
+    var inKey = Blockly.RTL ? 37 : 39;
+    var outKey = Blockly.RTL ? 39 : 37;
+    if (e.shiftKey) {
+        switch (e.keyCode) {
+            case 37:
+                return this.moveStack(-Blockly.Cursor.NUDGE, 0);
+            case 39:
+                return this.moveStack(Blockly.Cursor.NUDGE, 0);
+            case 38:
+                return this.moveStack(0, -Blockly.Cursor.NUDGE);
+            case 40:
+                return this.moveStack(0, Blockly.Cursor.NUDGE);
+            case 121:
+                // Shift+F10.
+                return this.showContextMenu();
+        }
+        return false;
+    }
+    switch (e.keyCode) {
+        case 38:
+            this.step(-1);
+            return true;
+        case 40:
+            this.step(1);
+            return true;
+        case inKey:
+            this.stepIn();
+            return true;
+        case outKey:
+            this.stepOut();
+            return true;
+        case 33:
+            // Page up.
+            return this.stepStack(-1);
+        case 34:
+            // Page down.
+            return this.stepStack(1);
+        case 13:
+            // Enter edits a field, or goes into a block.
+            return this.editField() || this.stepIn();
+        case 93:
+            // Context menu key.
+            return this.showContextMenu();
+        case 73:
+            // 'i' for insert.
+            return this.showToolboxMenu();
+        case 68:
+            // 'd' for disconnect.
+            return this.disconnect();
+        case 77:
+            // 'm' for move.
+            return this.move();
+        case 27:
+            // Leave esc for Blockly.onKeyDown_ to close any menu.
+            this.cancelMove();
+            return false;
+    }
+    return false;
+};
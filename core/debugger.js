@@ -0,0 +1,449 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Step-through debugger for the JavaScript generated from a
+ * workspace.
+ * The code is generated with a hook before every statement, which yields the
+ * block's ID and a function to read variables in the statement's scope.  The
+ * whole program is a generator function, as is every procedure, and calls to
+ * procedures yield the procedure's generator object.  The debugger keeps a
+ * stack of these generator objects, so it decides where to pause by itself
+ * and knows how deep the calls are when stepping over them.
+ */
+'use strict';
+
+
+/**
+ * Class for the debugger of a workspace.
+ * @param {!Blockly.Workspace} workspace The workspace to run the blocks of.
+ * @constructor
+ */
+Blockly.Debugger = function (workspace) {
+    this.workspace_ = workspace;
+    this.stack_ = [];
+    this.variables_ = [];
+};
+
+/**
+ * States of the debugger.
+ */
+Blockly.Debugger.IDLE = 'idle';
+Blockly.Debugger.RUNNING = 'running';
+Blockly.Debugger.PAUSED = 'paused';
+
+/**
+ * Types of debugger events.  Each event is an object with a type, the ID of
+ * the block the program is at, and JSON with the values of the variables.
+ * The FINISH event has no block, and JSON with the error which ended the
+ * program (null if it ran to the end or was stopped).
+ */
+Blockly.Debugger.BREAKPOINT_HIT = 'breakpointhit';
+Blockly.Debugger.STEP_COMPLETE = 'stepcomplete';
+Blockly.Debugger.PAUSE = 'debugpause';
+Blockly.Debugger.FINISH = 'debugfinish';
+
+/**
+ * Name of the DOM event dispatched on the workspace's canvas for each
+ * debugger event.
+ */
+Blockly.Debugger.DOM_EVENT = 'blocklyDebugEvent';
+
+/**
+ * Code run before every statement and in every loop, with '%1' replaced by
+ * the block's ID and '%2' by the names of the variables, whose values are
+ * read where the program pauses.
+ */
+Blockly.Debugger.HOOK = 'yield [%1, function () { return [%2]; }];\n';
+
+/**
+ * Number of statements run before giving the browser a chance to respond to
+ * the user.
+ */
+Blockly.Debugger.STEPS_PER_TICK = 1000;
+
+/**
+ * State of the debugger.
+ * @type {string}
+ * @private
+ */
+Blockly.Debugger.prototype.state_ = Blockly.Debugger.IDLE;
+
+/**
+ * Where to pause next: 'continue' only at breakpoints, 'into' at the next
+ * statement, 'over' at the next statement no deeper in calls than stepDepth_,
+ * and 'pause' at the next statement.
+ * @type {string}
+ * @private
+ */
+Blockly.Debugger.prototype.mode_ = 'continue';
+
+/**
+ * Depth of calls of the statement a step over started from.
+ * @type {number}
+ * @private
+ */
+Blockly.Debugger.prototype.stepDepth_ = 0;
+
+/**
+ * The statement the program is paused at, as an object with the block's ID,
+ * the function reading variables and the depth of calls.
+ * @type {Object}
+ * @private
+ */
+Blockly.Debugger.prototype.current_ = null;
+
+/**
+ * Timer of the next run of statements.
+ * @type {?number}
+ * @private
+ */
+Blockly.Debugger.prototype.timer_ = null;
+
+/**
+ * Generate the code the debugger runs, with a hook before every statement.
+ * @param {!Blockly.Workspace} workspace The workspace to generate code from.
+ * @return {string} The body of a generator function running the blocks.
+ */
+Blockly.Debugger.workspaceToCode = function (workspace) {
+    var generator = Blockly.JavaScript;
+    var prefix = generator.STATEMENT_PREFIX;
+    var trap = generator.INFINITE_LOOP_TRAP;
+    var steppable = generator.STEPPABLE;
+    var variables = Blockly.Debugger.getVariableNames_(workspace);
+    var codes = [];
+    for (var x = 0; x < variables.length; x++) {
+        codes.push(variables[x].code);
+    }
+    var hook = Blockly.Debugger.HOOK.replace('%2', codes.join(', '));
+    // Loops and procedures also get a hook, so that an empty loop can still
+    // be paused.
+    generator.STATEMENT_PREFIX = hook;
+    generator.INFINITE_LOOP_TRAP = hook;
+    generator.STEPPABLE = true;
+    try {
+        return generator.workspaceToCode(workspace);
+    } finally {
+        generator.STATEMENT_PREFIX = prefix;
+        generator.INFINITE_LOOP_TRAP = trap;
+        generator.STEPPABLE = steppable;
+    }
+};
+
+/**
+ * List the variables of a workspace with the names they have in the generated
+ * code.  These are given in the same order as Blockly.JavaScript.init does,
+ * so they are the same.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {!Array.<!Object>} The variables, as {name, code}.
+ * @private
+ */
+Blockly.Debugger.getVariableNames_ = function (workspace) {
+    var db = new Blockly.Names(Blockly.JavaScript.RESERVED_WORDS_);
+    var names = Blockly.Variables.allVariables(null, workspace);
+    var variables = [];
+    for (var x = 0; x < names.length; x++) {
+        variables.push({name: names[x],
+            code: db.getName(names[x], Blockly.Variables.NAME_TYPE)});
+    }
+    return variables;
+};
+
+/**
+ * When the debugger of a workspace pauses or finishes, call a function.
+ * @param {!Blockly.Workspace} workspace The workspace to listen to.
+ * @param {!Function} func Function to call with each debugger event.
+ * @return {!Array.<!Array>} Opaque data that can be passed to
+ *     Blockly.unbindEvent_.
+ */
+Blockly.Debugger.addListener = function (workspace, func) {
+    return Blockly.bindEvent_(workspace.getCanvas(), Blockly.Debugger.DOM_EVENT,
+        null, function (e) {
+            func(e.detail);
+        });
+};
+
+/**
+ * Dispose of the debugger, stopping the program.
+ */
+Blockly.Debugger.prototype.dispose = function () {
+    this.stop();
+    this.workspace_ = null;
+};
+
+/**
+ * Get the state of the debugger.
+ * @return {string} IDLE, RUNNING or PAUSED.
+ */
+Blockly.Debugger.prototype.getState = function () {
+    return this.state_;
+};
+
+/**
+ * Get the block the program is paused at.
+ * @return {?string} The block's ID, or null if the program is not paused.
+ */
+Blockly.Debugger.prototype.getCurrentBlockId = function () {
+    return this.current_ ? this.current_.id : null;
+};
+
+/**
+ * Get the values of the variables where the program is paused.
+ * @return {!Object} Dictionary of the values by variable name, empty if the
+ *     program is not paused.
+ */
+Blockly.Debugger.prototype.getVariables = function () {
+    var values = {};
+    if (!this.current_) {
+        return values;
+    }
+    // The hook lists the values in the order of the variables.
+    var list = this.current_.getter();
+    for (var x = 0; x < this.variables_.length; x++) {
+        values[this.variables_[x].name] = list[x];
+    }
+    return values;
+};
+
+/**
+ * Run the program, or carry on running it if it is paused.
+ * It pauses only at breakpoints.
+ */
+Blockly.Debugger.prototype.run = function () {
+    this.go_('continue');
+};
+
+/**
+ * Pause the running program at the next statement.
+ */
+Blockly.Debugger.prototype.pause = function () {
+    if (this.state_ == Blockly.Debugger.RUNNING) {
+        this.mode_ = 'pause';
+    }
+};
+
+/**
+ * Run the program up to the next statement, including those of a procedure
+ * called by the current one.  Starts the program if it is not running.
+ */
+Blockly.Debugger.prototype.stepInto = function () {
+    this.go_('into');
+};
+
+/**
+ * Run the program up to the next statement, running any procedure called by
+ * the current one without pausing (unless it has a breakpoint).
+ * Starts the program if it is not running.
+ */
+Blockly.Debugger.prototype.stepOver = function () {
+    this.go_('over');
+};
+
+/**
+ * Stop the program.
+ */
+Blockly.Debugger.prototype.stop = function () {
+    if (this.state_ != Blockly.Debugger.IDLE) {
+        this.finish_(null);
+    }
+};
+
+/**
+ * Start or resume the program.  Nothing happens if it is already running.
+ * @param {string} mode Where to pause next (see mode_).
+ * @private
+ */
+Blockly.Debugger.prototype.go_ = function (mode) {
+    if (this.state_ == Blockly.Debugger.RUNNING) {
+        return;
+    }
+    if (this.state_ == Blockly.Debugger.IDLE && !this.start_()) {
+        return;
+    }
+    this.mode_ = mode;
+    this.stepDepth_ = this.current_ ? this.current_.depth : 1;
+    this.current_ = null;
+    this.state_ = Blockly.Debugger.RUNNING;
+    this.highlight_(null);
+    this.runSteps_();
+};
+
+/**
+ * Generate and compile the code of the workspace.
+ * @return {boolean} True if the program is ready to run.
+ * @private
+ */
+Blockly.Debugger.prototype.start_ = function () {
+    var program;
+    try {
+        var code = Blockly.Debugger.workspaceToCode(this.workspace_);
+        program = new Function('return function* () {\n' + code + '\n};')();
+    } catch (e) {
+        this.finish_(String(e));
+        return false;
+    }
+    this.variables_ = Blockly.Debugger.getVariableNames_(this.workspace_);
+    this.stack_ = [program()];
+    return true;
+};
+
+/**
+ * Run statements until one where the program should pause, or until it is
+ * time to let the browser respond to the user.
+ * @private
+ */
+Blockly.Debugger.prototype.runSteps_ = function () {
+    this.timer_ = null;
+    for (var steps = 0; steps < Blockly.Debugger.STEPS_PER_TICK; steps++) {
+        var hook;
+        try {
+            hook = this.nextHook_();
+        } catch (e) {
+            this.finish_(String(e));
+            return;
+        }
+        if (!hook) {
+            this.finish_(null);
+            return;
+        }
+        var type = this.getPauseType_(hook);
+        if (type) {
+            this.pauseAt_(hook, type);
+            return;
+        }
+    }
+    var thisDebugger = this;
+    this.timer_ = window.setTimeout(function () {
+        Blockly.withWorkspace(thisDebugger.workspace_, thisDebugger.runSteps_,
+            thisDebugger);
+    }, 0);
+};
+
+/**
+ * Run the program up to the next statement hook.
+ * Procedure calls are pushed on the stack, and the values procedures return
+ * are sent back to their callers.
+ * @return {Object} The hook (see current_), or null if the program ended.
+ * @private
+ */
+Blockly.Debugger.prototype.nextHook_ = function () {
+    var value;
+    while (this.stack_.length) {
+        var result = this.stack_[this.stack_.length - 1].next(value);
+        value = undefined;
+        if (result.done) {
+            this.stack_.pop();
+            value = result.value;
+        } else if (Ext.isFunction(result.value.next)) {
+            this.stack_.push(result.value);
+        } else {
+            return {id: result.value[0], getter: result.value[1],
+                depth: this.stack_.length};
+        }
+    }
+    return null;
+};
+
+/**
+ * Decide whether the program should pause at a statement.
+ * @param {!Object} hook The statement (see current_).
+ * @return {?string} Type of the event to fire when pausing, or null to carry
+ *     on running.
+ * @private
+ */
+Blockly.Debugger.prototype.getPauseType_ = function (hook) {
+    if (this.mode_ == 'into' ||
+        (this.mode_ == 'over' && hook.depth <= this.stepDepth_)) {
+        return Blockly.Debugger.STEP_COMPLETE;
+    }
+    var block = this.workspace_.getBlockById(hook.id);
+    if (block && block.hasBreakpoint()) {
+        return Blockly.Debugger.BREAKPOINT_HIT;
+    }
+    if (this.mode_ == 'pause') {
+        return Blockly.Debugger.PAUSE;
+    }
+    return null;
+};
+
+/**
+ * Pause the program at a statement.
+ * @param {!Object} hook The statement (see current_).
+ * @param {string} type Type of the event to fire.
+ * @private
+ */
+Blockly.Debugger.prototype.pauseAt_ = function (hook, type) {
+    this.state_ = Blockly.Debugger.PAUSED;
+    this.current_ = hook;
+    this.highlight_(hook.id);
+    this.fire_(type, hook.id, {variables: this.getVariables()});
+};
+
+/**
+ * End the program.
+ * @param {?string} error The error which ended the program, if any.
+ * @private
+ */
+Blockly.Debugger.prototype.finish_ = function (error) {
+    if (this.timer_) {
+        window.clearTimeout(this.timer_);
+        this.timer_ = null;
+    }
+    this.state_ = Blockly.Debugger.IDLE;
+    this.stack_ = [];
+    this.current_ = null;
+    this.highlight_(null);
+    this.fire_(Blockly.Debugger.FINISH, null, {error: error});
+};
+
+/**
+ * Select the block the program is paused at, or deselect it.
+ * @param {?string} id The block's ID.
+ * @private
+ */
+Blockly.Debugger.prototype.highlight_ = function (id) {
+    var workspace = this.workspace_;
+    if (!workspace.getCanvas()) {
+        return;
+    }
+    if (id) {
+        workspace.traceOn(true);
+        workspace.highlightBlock(id);
+    } else {
+        workspace.highlightBlock(null);
+        workspace.traceOn(false);
+    }
+};
+
+/**
+ * Tell the listeners about a debugger event.
+ * @param {string} type Type of the event.
+ * @param {?string} blockId The block the program is at.
+ * @param {!Object} json Details of the event.
+ * @private
+ */
+Blockly.Debugger.prototype.fire_ = function (type, blockId, json) {
+    var canvas = this.workspace_.getCanvas();
+    if (!canvas) {
+        return;
+    }
+    canvas.dispatchEvent(new CustomEvent(Blockly.Debugger.DOM_EVENT,
+        {detail: {type: type, blockId: blockId, json: json}}));
+};
@@ -0,0 +1,303 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Typed block change events.
+ * Once a command is complete (and whenever one is undone or redone), the
+ * changes made to each block are reported as events such as
+ * {type: 'fieldchange', blockId: '12', json: {name: 'NUM', oldValue: '1',
+ * newValue: '2'}}.  They are dispatched synchronously on the workspace canvas
+ * as the DOM event 'blocklyBlockEvent', in the order the blocks were changed.
+ */
+'use strict';
+
+Blockly.Events = {};
+
+/**
+ * Name of the DOM event carrying block events.
+ * @const
+ */
+Blockly.Events.DOM_EVENT = 'blocklyBlockEvent';
+
+/**
+ * A block was created.  json: {block, location}.
+ * @const
+ */
+Blockly.Events.CREATE = 'blockcreate';
+
+/**
+ * A block was deleted.  json: {block, location} as they were.
+ * @const
+ */
+Blockly.Events.DELETE = 'blockdelete';
+
+/**
+ * A top block was moved.  json: {oldLocation, newLocation}.
+ * @const
+ */
+Blockly.Events.MOVE = 'blockmove';
+
+/**
+ * A block was connected to a parent.  json: {oldLocation, newLocation}.
+ * @const
+ */
+Blockly.Events.CONNECT = 'blockconnect';
+
+/**
+ * A block was disconnected from its parent.  json: {oldLocation, newLocation}.
+ * @const
+ */
+Blockly.Events.DISCONNECT = 'blockdisconnect';
+
+/**
+ * A field's value changed.  json: {name, oldValue, newValue}.
+ * @const
+ */
+Blockly.Events.FIELD_CHANGE = 'fieldchange';
+
+/**
+ * A block's mutation changed.  json: {oldValue, newValue}.
+ * @const
+ */
+Blockly.Events.MUTATION_CHANGE = 'mutationchange';
+
+/**
+ * A block's comment was added, edited or removed.  json: {oldValue, newValue}.
+ * @const
+ */
+Blockly.Events.COMMENT_CHANGE = 'commentchange';
+
+/**
+ * A block was collapsed or expanded.  json: {oldValue, newValue}.
+ * @const
+ */
+Blockly.Events.COLLAPSE = 'blockcollapse';
+
+/**
+ * A block was disabled or enabled.  json: {oldValue, newValue}.
+ * @const
+ */
+Blockly.Events.DISABLE = 'blockdisable';
+
+/**
+ * A workspace comment was created.  json: {comment}.
+ * Workspace comment events have a commentId instead of a blockId.
+ * @const
+ */
+Blockly.Events.WORKSPACE_COMMENT_CREATE = 'workspacecommentcreate';
+
+/**
+ * A workspace comment was deleted.  json: {comment} as it was.
+ * @const
+ */
+Blockly.Events.WORKSPACE_COMMENT_DELETE = 'workspacecommentdelete';
+
+/**
+ * A workspace comment was moved, resized or edited.
+ * json: {oldValue, newValue}, both JSON comments.
+ * @const
+ */
+Blockly.Events.WORKSPACE_COMMENT_CHANGE = 'workspacecommentchange';
+
+/**
+ * A frame was created.  json: {frame}.
+ * Frame events have a frameId instead of a blockId.
+ * @const
+ */
+Blockly.Events.FRAME_CREATE = 'framecreate';
+
+/**
+ * A frame was deleted.  json: {frame} as it was.
+ * @const
+ */
+Blockly.Events.FRAME_DELETE = 'framedelete';
+
+/**
+ * A frame was moved, resized, renamed, recoloured, collapsed or expanded.
+ * json: {oldValue, newValue}, both JSON frames.
+ * @const
+ */
+Blockly.Events.FRAME_CHANGE = 'framechange';
+
+/**
+ * Dispatch block events on a workspace.
+ * @param {!Blockly.Workspace} workspace The workspace the blocks belong to.
+ * @param {!Array.<!Object>} events The events, from Blockly.Events.diff.
+ */
+Blockly.Events.fire = function (workspace, events) {
+    var canvas = workspace.getCanvas();
+    if (!canvas) {
+        return;
+    }
+    for (var x = 0; x < events.length; x++) {
+        canvas.dispatchEvent(new CustomEvent(Blockly.Events.DOM_EVENT,
+            {detail: events[x]}));
+    }
+};
+
+/**
+ * When a block of a workspace changes, call a function.
+ * The events are worked out by the workspace's undo history, so only the
+ * workspaces made by Blockly.inject have them.  Throws an error for others,
+ * such as headless workspaces.
+ * @param {!Blockly.Workspace} workspace The workspace to listen to.
+ * @param {!Function} func Function to call with each block event.
+ * @return {!Array.<!Array>} Opaque data that can be passed to
+ *     Blockly.removeChangeListener.
+ */
+Blockly.Events.addListener = function (workspace, func) {
+    if (!workspace.undoManager) {
+        throw 'Workspace was not created by Blockly.inject.';
+    }
+    return Blockly.bindEvent_(workspace.getCanvas(), Blockly.Events.DOM_EVENT,
+        null, function (e) {
+            func(e.detail);
+        });
+};
+
+/**
+ * Work out the events describing how one block went from a state to another.
+ * @param {string} id The block's id.
+ * @param {!Object} from The old state (see Blockly.UndoManager.getState_).
+ * @param {!Object} to The new state.
+ * @return {!Array.<!Object>} The events.
+ */
+Blockly.Events.diff = function (id, from, to) {
+    var events = [];
+    var add = function (type, json) {
+        events.push({type: type, blockId: id, json: json});
+    };
+    if (!from.exists || !to.exists) {
+        if (to.exists) {
+            add(Blockly.Events.CREATE, {block: to.block, location: to.location});
+        } else if (from.exists) {
+            add(Blockly.Events.DELETE, {block: from.block, location: from.location});
+        }
+        return events;
+    }
+
+    var oldLocation = from.location;
+    var newLocation = to.location;
+    if (!Blockly.UndoManager.sameLocation_(oldLocation, newLocation)) {
+        var json = {oldLocation: oldLocation, newLocation: newLocation};
+        if (oldLocation.parent != null) {
+            add(Blockly.Events.DISCONNECT, json);
+        }
+        if (newLocation.parent != null) {
+            add(Blockly.Events.CONNECT, json);
+        } else if (oldLocation.parent == null) {
+            add(Blockly.Events.MOVE, json);
+        }
+    }
+
+    var oldBlock = from.block;
+    var newBlock = to.block;
+    var oldFields = {};
+    for (var x = 0, field; field = (oldBlock.fields || [])[x]; x++) {
+        oldFields[field.name] = field.value;
+    }
+    for (var x = 0, field; field = (newBlock.fields || [])[x]; x++) {
+        if (oldFields[field.name] !== field.value) {
+            add(Blockly.Events.FIELD_CHANGE, {name: field.name,
+                oldValue: Blockly.Events.value_(oldFields[field.name]),
+                newValue: field.value});
+        }
+    }
+    var oldMutation = Blockly.Events.value_(oldBlock.mutation);
+    var newMutation = Blockly.Events.value_(newBlock.mutation);
+    if (JSON.stringify(oldMutation) != JSON.stringify(newMutation)) {
+        add(Blockly.Events.MUTATION_CHANGE,
+            {oldValue: oldMutation, newValue: newMutation});
+    }
+    var oldComment = oldBlock.comment ? oldBlock.comment.text : null;
+    var newComment = newBlock.comment ? newBlock.comment.text : null;
+    if (oldComment !== newComment) {
+        add(Blockly.Events.COMMENT_CHANGE,
+            {oldValue: oldComment, newValue: newComment});
+    }
+    if (!!oldBlock.collapsed != !!newBlock.collapsed) {
+        add(Blockly.Events.COLLAPSE,
+            {oldValue: !!oldBlock.collapsed, newValue: !!newBlock.collapsed});
+    }
+    if (!!oldBlock.disabled != !!newBlock.disabled) {
+        add(Blockly.Events.DISABLE,
+            {oldValue: !!oldBlock.disabled, newValue: !!newBlock.disabled});
+    }
+    return events;
+};
+
+/**
+ * Work out the event describing how a workspace comment went from a state to
+ * another.
+ * @param {string} id The comment's id.
+ * @param {!Object} from The old state: {exists, comment}.
+ * @param {!Object} to The new state.
+ * @return {!Array.<!Object>} The events.
+ */
+Blockly.Events.diffComment = function (id, from, to) {
+    var event = {commentId: id};
+    if (from.exists && to.exists) {
+        event.type = Blockly.Events.WORKSPACE_COMMENT_CHANGE;
+        event.json = {oldValue: from.comment, newValue: to.comment};
+    } else if (to.exists) {
+        event.type = Blockly.Events.WORKSPACE_COMMENT_CREATE;
+        event.json = {comment: to.comment};
+    } else if (from.exists) {
+        event.type = Blockly.Events.WORKSPACE_COMMENT_DELETE;
+        event.json = {comment: from.comment};
+    } else {
+        return [];
+    }
+    return [event];
+};
+
+/**
+ * Work out the event describing how a frame went from a state to another.
+ * @param {string} id The frame's id.
+ * @param {!Object} from The old state: {exists, frame}.
+ * @param {!Object} to The new state.
+ * @return {!Array.<!Object>} The events.
+ */
+Blockly.Events.diffFrame = function (id, from, to) {
+    var event = {frameId: id};
+    if (from.exists && to.exists) {
+        event.type = Blockly.Events.FRAME_CHANGE;
+        event.json = {oldValue: from.frame, newValue: to.frame};
+    } else if (to.exists) {
+        event.type = Blockly.Events.FRAME_CREATE;
+        event.json = {frame: to.frame};
+    } else if (from.exists) {
+        event.type = Blockly.Events.FRAME_DELETE;
+        event.json = {frame: from.frame};
+    } else {
+        return [];
+    }
+    return [event];
+};
+
+/**
+ * Turn a missing value into null, so it survives JSON encoding.
+ * @param {*} value The value.
+ * @return {*} The value, or null if undefined.
+ * @private
+ */
+Blockly.Events.value_ = function (value) {
+    return value === undefined ? null : value;
+};
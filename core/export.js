@@ -0,0 +1,324 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Export of the blocks as pictures.  The blocks' SVG is copied
+ * into a standalone SVG document, along with Blockly's style sheet, that of
+ * the theme and the editor's filters and patterns, so that it looks the same
+ * outside of the page.  PNG images are drawn from that SVG on a canvas.
+ */
+'use strict';
+
+Blockly.Export = {};
+
+/**
+ * Space around the blocks in the picture, in workspace units.
+ */
+Blockly.Export.MARGIN = 10;
+
+/**
+ * Name of the file pictures are saved as.
+ */
+Blockly.Export.FILE_NAME = 'blocks.png';
+
+/**
+ * Classes marking the state of the editor rather than the blocks, which are
+ * left out of pictures.
+ */
+Blockly.Export.TRANSIENT_CLASSES = ['blocklySelected', 'blocklyDragging',
+    'blocklySearchMatch', 'blocklyCursorMoving', 'blocklyCursorField'];
+
+/**
+ * Classes of elements drawn for the state of the editor, which are left out
+ * of pictures.
+ */
+Blockly.Export.TRANSIENT_ELEMENTS = ['blocklyHighlightedConnectionPath',
+    'blocklyCursorConnection'];
+
+/**
+ * Name of the DOM event dispatched on the workspace's canvas when a picture
+ * can't be saved or copied.
+ * @const
+ */
+Blockly.Export.DOM_EVENT = 'blocklyExportError';
+
+/**
+ * Make a standalone SVG picture of blocks.
+ * @param {!Blockly.Workspace} workspace The workspace the blocks are on.
+ * @param {Array.<!Blockly.Block>=} opt_blocks The blocks to draw, each with
+ *     its children and the blocks below it.  Without them, the whole
+ *     workspace is drawn, with its comments and frames.
+ * @return {string} The SVG document.
+ */
+Blockly.Export.toSvg = function (workspace, opt_blocks) {
+    var svg = Blockly.Export.createSvg_(workspace, opt_blocks);
+    return new XMLSerializer().serializeToString(svg);
+};
+
+/**
+ * Make a PNG picture of blocks.  The picture is drawn asynchronously.
+ * @param {!Blockly.Workspace} workspace The workspace the blocks are on.
+ * @param {Array.<!Blockly.Block>} blocks The blocks to draw, or null for the
+ *     whole workspace (see Blockly.Export.toSvg).
+ * @param {!Function} callback Function called with the PNG as a Blob, or with
+ *     null if the browser couldn't draw it.
+ * @param {number=} opt_scale Pixels per workspace unit (1 by default).
+ */
+Blockly.Export.toPng = function (workspace, blocks, callback, opt_scale) {
+    var scale = opt_scale || 1;
+    var svg = Blockly.Export.createSvg_(workspace, blocks);
+    var width = Math.ceil(parseFloat(svg.getAttribute('width')) * scale);
+    var height = Math.ceil(parseFloat(svg.getAttribute('height')) * scale);
+    var canvas = document.createElement('canvas');
+    if (!canvas.getContext || !canvas.toBlob) {
+        callback(null);
+        return;
+    }
+    canvas.width = width;
+    canvas.height = height;
+    var image = new Image();
+    image.onload = function () {
+        canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+        canvas.toBlob(callback, 'image/png');
+    };
+    image.onerror = function () {
+        callback(null);
+    };
+    image.src = 'data:image/svg+xml;charset=utf-8,' +
+        encodeURIComponent(new XMLSerializer().serializeToString(svg));
+};
+
+/**
+ * Save a PNG picture of blocks as a file.
+ * @param {!Blockly.Workspace} workspace The workspace the blocks are on.
+ * @param {Array.<!Blockly.Block>=} opt_blocks The blocks to draw, or nothing
+ *     for the whole workspace (see Blockly.Export.toSvg).
+ */
+Blockly.Export.saveImage = function (workspace, opt_blocks) {
+    Blockly.Export.toPng(workspace, opt_blocks || null, function (blob) {
+        if (!blob) {
+            Blockly.Export.fireError_(workspace, 'save',
+                'Unable to draw the blocks as an image.');
+            return;
+        }
+        var url = URL.createObjectURL(blob);
+        var link = document.createElement('a');
+        link.href = url;
+        link.download = Blockly.Export.FILE_NAME;
+        document.body.appendChild(link);
+        link.click();
+        Ext.removeNode(link);
+        window.setTimeout(function () {
+            URL.revokeObjectURL(url);
+        }, 0);
+    }, window.devicePixelRatio);
+};
+
+/**
+ * Can pictures be copied to the system clipboard?
+ * @return {boolean} True if the browser lets us write images to it.
+ */
+Blockly.Export.canCopyImage = function () {
+    return !!(navigator.clipboard && navigator.clipboard.write &&
+        window.ClipboardItem);
+};
+
+/**
+ * Copy a PNG picture of blocks to the system clipboard.
+ * @param {!Blockly.Workspace} workspace The workspace the blocks are on.
+ * @param {Array.<!Blockly.Block>=} opt_blocks The blocks to draw, or nothing
+ *     for the whole workspace (see Blockly.Export.toSvg).
+ */
+Blockly.Export.copyImage = function (workspace, opt_blocks) {
+    if (!Blockly.Export.canCopyImage()) {
+        Blockly.Export.fireError_(workspace, 'copy',
+            'Images can\'t be copied to the clipboard.');
+        return;
+    }
+    Blockly.Export.toPng(workspace, opt_blocks || null, function (blob) {
+        if (!blob) {
+            Blockly.Export.fireError_(workspace, 'copy',
+                'Unable to draw the blocks as an image.');
+            return;
+        }
+        navigator.clipboard.write([new ClipboardItem({'image/png': blob})]).then(
+            null, function (e) {
+                Blockly.Export.fireError_(workspace, 'copy',
+                    'Unable to copy the image: ' + e);
+            });
+    }, window.devicePixelRatio);
+};
+
+/**
+ * When a picture of the blocks of a workspace can't be saved or copied, call
+ * a function.  This includes the pictures made from the context menus.
+ * @param {!Blockly.Workspace} workspace The workspace to listen to.
+ * @param {!Function} func Function to call with {action, message}, where
+ *     action is 'save' or 'copy'.
+ * @return {!Array.<!Array>} Opaque data that can be passed to
+ *     Blockly.unbindEvent_.
+ */
+Blockly.Export.addListener = function (workspace, func) {
+    return Blockly.bindEvent_(workspace.getCanvas(), Blockly.Export.DOM_EVENT,
+        null, function (e) {
+            func(e.detail);
+        });
+};
+
+/**
+ * Tell the listeners that a picture couldn't be saved or copied.
+ * @param {!Blockly.Workspace} workspace The workspace the blocks are on.
+ * @param {string} action 'save' or 'copy'.
+ * @param {string} message What went wrong.
+ * @private
+ */
+Blockly.Export.fireError_ = function (workspace, action, message) {
+    console.log(message);
+    var canvas = workspace.getCanvas();
+    if (!canvas) {
+        return;
+    }
+    canvas.dispatchEvent(new CustomEvent(Blockly.Export.DOM_EVENT,
+        {detail: {action: action, message: message}}));
+};
+
+/**
+ * Build the SVG document of a picture.
+ * @param {!Blockly.Workspace} workspace The workspace the blocks are on.
+ * @param {Array.<!Blockly.Block>=} opt_blocks The blocks to draw, or nothing
+ *     for the whole workspace.
+ * @return {!Element} The SVG element, sized to the blocks.
+ * @private
+ */
+Blockly.Export.createSvg_ = function (workspace, opt_blocks) {
+    var svg;
+    Blockly.withWorkspace(workspace, function () {
+        var content = Blockly.createSvgElement('g', {}, null);
+        var box = null;
+        var add = function (node, x, y) {
+            var bBox = node.getBBox();
+            var clone = Blockly.Export.cleanClone_(node);
+            clone.setAttribute('transform', 'translate(' + x + ',' + y + ')');
+            content.appendChild(clone);
+            var left = x + bBox.x;
+            var top = y + bBox.y;
+            if (box) {
+                box.right = Math.max(box.right, left + bBox.width);
+                box.bottom = Math.max(box.bottom, top + bBox.height);
+                box.left = Math.min(box.left, left);
+                box.top = Math.min(box.top, top);
+            } else {
+                box = {left: left, top: top, right: left + bBox.width,
+                    bottom: top + bBox.height};
+            }
+        };
+        if (opt_blocks) {
+            var blocks = Blockly.Export.outermost_(opt_blocks);
+            for (var x = 0; x < blocks.length; x++) {
+                var xy = blocks[x].getRelativeToSurfaceXY();
+                add(blocks[x].getSvgRoot(), xy.x, xy.y);
+            }
+        } else {
+            // The canvas and the bubbles, without the scroll and zoom.
+            add(workspace.getCanvas(), 0, 0);
+            add(workspace.getBubbleCanvas(), 0, 0);
+        }
+        if (!box) {
+            box = {left: 0, top: 0, right: 0, bottom: 0};
+        }
+        var margin = Blockly.Export.MARGIN;
+        var width = box.right - box.left + 2 * margin;
+        var height = box.bottom - box.top + 2 * margin;
+        content.setAttribute('transform', 'translate(' +
+            (margin - box.left) + ',' + (margin - box.top) + ')');
+        svg = Blockly.createSvgElement('svg', {
+            'version': '1.1',
+            'class': 'blocklyExport blocklyTheme-' + Blockly.theme.name,
+            'width': width,
+            'height': height,
+            'viewBox': '0 0 ' + width + ' ' + height
+        }, null);
+        var style = Blockly.createSvgElement('style', {'type': 'text/css'}, svg);
+        style.appendChild(document.createTextNode(Blockly.Css.getText() +
+            '\n' + Blockly.theme.getCss_().join('\n')));
+        var defs = Blockly.svg.getElementsByTagName('defs')[0];
+        if (defs) {
+            svg.appendChild(defs.cloneNode(true));
+        }
+        svg.appendChild(content);
+    });
+    return svg;
+};
+
+/**
+ * Copy an SVG element, leaving out the marks of the editor's state, such as
+ * the selection and the keyboard cursor.
+ * @param {!Element} node The element.
+ * @return {!Element} The copy.
+ * @private
+ */
+Blockly.Export.cleanClone_ = function (node) {
+    var clone = node.cloneNode(true);
+    // The text of comments is in their text areas' values, which aren't
+    // copied.
+    var textareas = node.getElementsByTagName('textarea');
+    var cloneTextareas = clone.getElementsByTagName('textarea');
+    for (var x = 0; x < textareas.length; x++) {
+        cloneTextareas[x].textContent = textareas[x].value;
+    }
+    var elements = [clone].concat(
+        Array.prototype.slice.call(clone.getElementsByTagName('*')));
+    for (var x = 0; x < elements.length; x++) {
+        var element = elements[x];
+        for (var y = 0; y < Blockly.Export.TRANSIENT_ELEMENTS.length; y++) {
+            if (Blockly.hasClass_(element, Blockly.Export.TRANSIENT_ELEMENTS[y])) {
+                Ext.removeNode(element);
+                break;
+            }
+        }
+        for (var y = 0; y < Blockly.Export.TRANSIENT_CLASSES.length; y++) {
+            Blockly.removeClass_(element, Blockly.Export.TRANSIENT_CLASSES[y]);
+        }
+        // The name spaces are declared by the serializer.
+        element.removeAttribute('xmlns');
+    }
+    return clone;
+};
+
+/**
+ * Leave out the blocks which are inside others in a list, since they are
+ * drawn with them.
+ * @param {!Array.<!Blockly.Block>} blocks The blocks.
+ * @return {!Array.<!Blockly.Block>} The blocks which aren't inside others.
+ * @private
+ */
+Blockly.Export.outermost_ = function (blocks) {
+    var outermost = [];
+    for (var x = 0; x < blocks.length; x++) {
+        var parent = blocks[x].getParent();
+        while (parent && blocks.indexOf(parent) == -1) {
+            parent = parent.getParent();
+        }
+        if (!parent) {
+            outermost.push(blocks[x]);
+        }
+    }
+    return outermost;
+};
@@ -68,6 +68,11 @@ Blockly.Field.NBSP = '\u00A0';
  */
 Blockly.Field.prototype.EDITABLE = true;
 
+/**
+ * Role of editable fields for screen readers.
+ */
+Blockly.Field.prototype.ARIA_ROLE = 'button';
+
 /**
  * Install this field on a block.
  * @param {!Blockly.Block} block The block containing this field.
@@ -77,6 +82,9 @@ Blockly.Field.prototype.init = function (block) {
         throw 'Field has already been initialized once.';
     }
     this.sourceBlock_ = block;
+    if (this.EDITABLE) {
+        this.fieldGroup_.setAttribute('role', this.ARIA_ROLE);
+    }
     this.updateEditable();
     block.getSvgRoot().appendChild(this.fieldGroup_);
     this.mouseUpWrapper_ =
@@ -190,6 +198,9 @@ Blockly.Field.prototype.setText = function (text) {
         // No change if null.
         return;
     }
+    if (this.sourceBlock_) {
+        Blockly.UndoManager.record(this.sourceBlock_);
+    }
     this.text_ = text;
     this.updateTextNode_();
 
@@ -220,6 +231,9 @@ Blockly.Field.prototype.updateTextNode_ = function () {
     }
     var textNode = document.createTextNode(text);
     this.textElement_.appendChild(textNode);
+    if (this.EDITABLE && this.fieldGroup_) {
+        this.fieldGroup_.setAttribute('aria-label', this.text_);
+    }
 
     // Cached width is obsolete.  Clear it.
     this.size_.width = 0;
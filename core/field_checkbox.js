@@ -63,6 +63,11 @@ Blockly.FieldCheckbox.prototype.clone = function () {
  */
 Blockly.FieldCheckbox.prototype.CURSOR = 'default';
 
+/**
+ * Role of the checkbox for screen readers.
+ */
+Blockly.FieldCheckbox.prototype.ARIA_ROLE = 'checkbox';
+
 /**
  * Return 'TRUE' if the checkbox is checked, 'FALSE' otherwise.
  * @return {string} Current state.
@@ -78,8 +83,12 @@ Blockly.FieldCheckbox.prototype.getValue = function () {
 Blockly.FieldCheckbox.prototype.setValue = function (strBool) {
     var newState = (strBool == 'TRUE');
     if (this.state_ !== newState) {
+        if (this.sourceBlock_) {
+            Blockly.UndoManager.record(this.sourceBlock_);
+        }
         this.state_ = newState;
         this.checkElement_.style.display = newState ? 'block' : 'none';
+        this.fieldGroup_.setAttribute('aria-checked', newState);
         if (this.sourceBlock_ && this.sourceBlock_.rendered) {
             this.sourceBlock_.workspace.fireChangeEvent();
         }
@@ -80,6 +80,9 @@ Blockly.FieldColour.prototype.getValue = function () {
  * @param {string} colour The new colour in '#rrggbb' format.
  */
 Blockly.FieldColour.prototype.setValue = function (colour) {
+    if (this.sourceBlock_ && colour !== this.colour_) {
+        Blockly.UndoManager.record(this.sourceBlock_);
+    }
     this.colour_ = colour;
     this.borderRect_.style.fill = colour;
     if (this.sourceBlock_ && this.sourceBlock_.rendered) {
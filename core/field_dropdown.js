@@ -201,6 +201,9 @@ Blockly.FieldDropdown.prototype.getValue = function () {
  * @param {string} newValue New value to set.
  */
 Blockly.FieldDropdown.prototype.setValue = function (newValue) {
+    if (this.sourceBlock_ && newValue !== this.value_) {
+        Blockly.UndoManager.record(this.sourceBlock_);
+    }
     this.value_ = newValue;
     // Look up and display the human-readable text.
     var options = this.getOptions_();
@@ -229,6 +232,9 @@ Blockly.FieldDropdown.prototype.setText = function (text) {
         // No change if null.
         return;
     }
+    if (this.sourceBlock_) {
+        Blockly.UndoManager.record(this.sourceBlock_);
+    }
     this.text_ = text;
     this.updateTextNode_();
 
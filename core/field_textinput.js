@@ -122,6 +122,11 @@ Blockly.FieldTextInput.prototype.showEditor_ = function () {
         }
     })
     Blockly.WidgetDiv.show(this, this.widgetDispose_());
+    // The whole edit is undone in one go.
+    this.undoManager_ = this.sourceBlock_.workspace.undoManager;
+    if (this.undoManager_) {
+        this.undoManager_.beginGroup();
+    }
 
     var xy = this.resizeEditor_();
     Blockly.FieldTextInput.htmlInput_.show();
@@ -231,7 +236,9 @@ Blockly.FieldTextInput.prototype.resizeEditor_ = function () {
 //    div.style.top = xy.y + 'px';
 
     htmlInput.setPosition(xy.x, xy.y);
-    htmlInput.setSize(bBox.width + 2, bBox.height + 2);
+    // The field is drawn at the workspace's zoom level.
+    var scale = this.sourceBlock_.workspace.scale;
+    htmlInput.setSize(bBox.width * scale + 2, bBox.height * scale + 2);
 
 //    return xy;
 };
@@ -256,6 +263,10 @@ Blockly.FieldTextInput.prototype.widgetDispose_ = function () {
             }
         }
         thisField.setText(text);
+        if (thisField.undoManager_) {
+            thisField.undoManager_.endGroup();
+            thisField.undoManager_ = null;
+        }
 //        thisField.sourceBlock_.rendered && thisField.sourceBlock_.render();
 //        Blockly.unbindEvent_(htmlInput.onKeyUpWrapper_);
 //        Blockly.unbindEvent_(htmlInput.onKeyPressWrapper_);
@@ -90,6 +90,9 @@ Blockly.FieldVariable.prototype.getValue = function () {
  * @param {string} text New text.
  */
 Blockly.FieldVariable.prototype.setValue = function (text) {
+    if (this.sourceBlock_ && text !== this.value_) {
+        Blockly.UndoManager.record(this.sourceBlock_);
+    }
     this.value_ = text;
     this.setText(text);
 };
@@ -101,7 +104,8 @@ Blockly.FieldVariable.prototype.setValue = function (text) {
  * @this {!Blockly.FieldVariable}
  */
 Blockly.FieldVariable.dropdownCreate = function () {
-    var variableList = Blockly.Variables.allVariables(this.name);
+    var variableList = Blockly.Variables.allVariables(this.name,
+        this.sourceBlock_ && this.sourceBlock_.workspace);
     // Ensure that the currently selected variable is an option.
     var name = this.getText();
     if (name && variableList.indexOf(name) == -1) {
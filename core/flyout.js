@@ -560,7 +560,9 @@ Blockly.Flyout.prototype.createBlockFunc_ = function (originBlock) {
             throw 'block is not rendered.';
         }
         var xyNew = Blockly.getSvgXY_(svgRootNew);
-        block.moveBy(xyOld.x - xyNew.x, xyOld.y - xyNew.y);
+        // The workspace may be zoomed, the flyout isn't.
+        var scale = flyout.targetWorkspace_.scale;
+        block.moveBy((xyOld.x - xyNew.x) / scale, (xyOld.y - xyNew.y) / scale);
         if (flyout.autoClose) {
             flyout.hide();
         } else {
@@ -0,0 +1,743 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Object representing a frame on the workspace.
+ * A frame is a titled, coloured rectangle drawn behind the blocks to group
+ * related stacks.  The top blocks and workspace comments whose top corner is
+ * inside the frame belong to it: they move with it, and are hidden while it
+ * is collapsed.  As JSON a frame is {id, title, colour, x, y, w, h,
+ * collapsed}, where the colour is a hue like those of blocks.
+ */
+'use strict';
+
+
+/**
+ * Class for a frame.
+ * @param {!Blockly.Workspace} workspace The workspace to put the frame on.
+ * @param {string} title The frame's title.
+ * @param {?string=} opt_id The frame's ID.  A new one is made if not given.
+ * @constructor
+ */
+Blockly.Frame = function (workspace, title, opt_id) {
+    this.id = opt_id || Blockly.genUid();
+    this.workspace = workspace;
+    this.title_ = title;
+    this.colour_ = Blockly.Frame.DEFAULT_COLOUR;
+    this.xy_ = {x: 0, y: 0};
+    this.width_ = Blockly.Frame.DEFAULT_WIDTH;
+    this.height_ = Blockly.Frame.DEFAULT_HEIGHT;
+    this.collapsed_ = false;
+    Blockly.UndoManager.recordFrame(this);
+    workspace.addTopFrame(this);
+    if (workspace.getCanvas()) {
+        this.createDom_();
+    }
+};
+
+/**
+ * Default hue of a frame.
+ */
+Blockly.Frame.DEFAULT_COLOUR = 210;
+
+/**
+ * Default width of a frame, in workspace units.
+ */
+Blockly.Frame.DEFAULT_WIDTH = 300;
+
+/**
+ * Default height of a frame.
+ */
+Blockly.Frame.DEFAULT_HEIGHT = 200;
+
+/**
+ * Smallest size a frame may be resized to.
+ */
+Blockly.Frame.MIN_SIZE = 60;
+
+/**
+ * Height of the title bar, by which a frame is dragged.
+ */
+Blockly.Frame.TITLE_HEIGHT = 24;
+
+/**
+ * Space left around the blocks when a frame is drawn around them.
+ */
+Blockly.Frame.PADDING = 20;
+
+/**
+ * Wrapper function called when a mouseUp occurs during a drag or resize.
+ * @type {Array.<!Array>}
+ * @private
+ */
+Blockly.Frame.onMouseUpWrapper_ = null;
+
+/**
+ * Wrapper function called when a mouseMove occurs during a drag or resize.
+ * @type {Array.<!Array>}
+ * @private
+ */
+Blockly.Frame.onMouseMoveWrapper_ = null;
+
+/**
+ * Undo manager of the workspace whose frame is being dragged or resized.
+ * @type {Blockly.UndoManager}
+ * @private
+ */
+Blockly.Frame.dragUndoManager_ = null;
+
+/**
+ * The frame's SVG group.
+ * @type {Element}
+ * @private
+ */
+Blockly.Frame.prototype.svgGroup_ = null;
+
+/**
+ * Blocks and comments being dragged along with the frame.
+ * @type {Object}
+ * @private
+ */
+Blockly.Frame.prototype.dragContents_ = null;
+
+/**
+ * Create a frame from JSON.
+ * @param {!Blockly.Workspace} workspace The workspace to put the frame on.
+ * @param {!Object} json JSON frame: {id, title, colour, x, y, w, h,
+ *     collapsed}.  The position is in workspace units.
+ * @return {!Blockly.Frame} The new frame.
+ */
+Blockly.Frame.fromJson = function (workspace, json) {
+    // A frame whose id is taken gets a new one.
+    var id = json.id != null && !workspace.getFrameById(json.id) ?
+        String(json.id) : null;
+    var frame = new Blockly.Frame(workspace,
+        json.title == null ? '' : String(json.title), id);
+    frame.setJson_(json);
+    return frame;
+};
+
+/**
+ * Create a frame around some stacks of blocks.
+ * @param {!Blockly.Workspace} workspace The rendered workspace.
+ * @param {!Array.<!Blockly.Block>} blocks Top blocks to put in the frame.
+ * @param {string} title The frame's title.
+ * @return {!Blockly.Frame} The new frame.
+ */
+Blockly.Frame.aroundBlocks = function (workspace, blocks, title) {
+    var left = Infinity;
+    var top = Infinity;
+    var right = -Infinity;
+    var bottom = -Infinity;
+    for (var i = 0, block; block = blocks[i]; i++) {
+        var xy = block.getRelativeToSurfaceXY();
+        var size = block.getHeightWidth();
+        // In RTL mode a block's origin is its top right corner.
+        var x = Blockly.RTL ? xy.x - size.width : xy.x;
+        left = Math.min(left, x);
+        top = Math.min(top, xy.y);
+        right = Math.max(right, x + size.width);
+        bottom = Math.max(bottom, xy.y + size.height);
+    }
+    var padding = Blockly.Frame.PADDING;
+    // The blocks' origins must be inside the frame, below its title bar.
+    return Blockly.Frame.fromJson(workspace, {title: title,
+        x: left - padding, y: top - padding - Blockly.Frame.TITLE_HEIGHT,
+        w: right - left + 2 * padding,
+        h: bottom - top + 2 * padding + Blockly.Frame.TITLE_HEIGHT});
+};
+
+/**
+ * Stop binding to the global mouseup and mousemove events.
+ * @private
+ */
+Blockly.Frame.terminateDrag_ = function () {
+    if (Blockly.Frame.onMouseUpWrapper_) {
+        Blockly.unbindEvent_(Blockly.Frame.onMouseUpWrapper_);
+        Blockly.Frame.onMouseUpWrapper_ = null;
+    }
+    if (Blockly.Frame.onMouseMoveWrapper_) {
+        Blockly.unbindEvent_(Blockly.Frame.onMouseMoveWrapper_);
+        Blockly.Frame.onMouseMoveWrapper_ = null;
+    }
+    if (Blockly.Frame.dragUndoManager_) {
+        Blockly.Frame.dragUndoManager_.endGroup();
+        Blockly.Frame.dragUndoManager_ = null;
+    }
+};
+
+/**
+ * Create the frame's DOM, behind the comments and blocks.
+ * @private
+ */
+Blockly.Frame.prototype.createDom_ = function () {
+    /* Here's the markup that will be generated:
+     <g class="blocklyFrame">
+     <rect class="blocklyFrameBody" rx="6" ry="6"/>
+     <rect class="blocklyFrameTitleBar blocklyDraggable" rx="6" ry="6"/>
+     <text class="blocklyFrameToggle">&#9662;</text>
+     <text class="blocklyFrameTitle">Title</text>
+     <g class="blocklyResizeSE">...</g>
+     </g>
+     */
+    var border = Blockly.Bubble.BORDER_WIDTH;
+    var top = Blockly.Frame.TITLE_HEIGHT;
+    this.svgGroup_ = Blockly.createSvgElement('g',
+        {'class': 'blocklyFrame', 'role': 'group'}, null);
+    // The body lets the mouse through to the workspace (see Blockly.Css).
+    this.svgBody_ = Blockly.createSvgElement('rect',
+        {'class': 'blocklyFrameBody', 'rx': border, 'ry': border},
+        this.svgGroup_);
+    this.svgTitleBar_ = Blockly.createSvgElement('rect',
+        {'class': 'blocklyFrameTitleBar blocklyDraggable',
+            'rx': border, 'ry': border, 'height': top}, this.svgGroup_);
+    this.svgToggle_ = Blockly.createSvgElement('text',
+        {'class': 'blocklyFrameToggle', 'y': top / 2 + 5}, this.svgGroup_);
+    this.svgTitle_ = Blockly.createSvgElement('text',
+        {'class': 'blocklyFrameTitle', 'y': top / 2 + 5}, this.svgGroup_);
+    this.svgTitle_.appendChild(document.createTextNode(''));
+    this.svgToggle_.appendChild(document.createTextNode(''));
+    this.resizeGroup_ = Blockly.createSvgElement('g',
+        {'class': 'blocklyResizeSE'}, this.svgGroup_);
+    var resizeSize = 2 * border;
+    Blockly.createSvgElement('polygon',
+        {'points': '0,x x,x x,0'.replace(/x/g, resizeSize.toString())},
+        this.resizeGroup_);
+    Blockly.createSvgElement('line',
+        {'class': 'blocklyResizeLine',
+            'x1': resizeSize / 3, 'y1': resizeSize - 1,
+            'x2': resizeSize - 1, 'y2': resizeSize / 3}, this.resizeGroup_);
+    Blockly.createSvgElement('line',
+        {'class': 'blocklyResizeLine',
+            'x1': resizeSize * 2 / 3, 'y1': resizeSize - 1,
+            'x2': resizeSize - 1, 'y2': resizeSize * 2 / 3}, this.resizeGroup_);
+
+    var canvas = this.workspace.getCanvas();
+    canvas.insertBefore(this.svgGroup_, canvas.firstChild);
+    Blockly.bindEvent_(this.svgTitleBar_, 'mousedown', this,
+        this.onMouseDown_);
+    Blockly.bindEvent_(this.svgTitle_, 'mousedown', this, this.onMouseDown_);
+    Blockly.bindEvent_(this.svgTitleBar_, 'dblclick', this, this.rename_);
+    Blockly.bindEvent_(this.svgTitle_, 'dblclick', this, this.rename_);
+    Blockly.bindEvent_(this.svgToggle_, 'mousedown', this, function (e) {
+        Blockly.hideChaff();
+        if (!Blockly.isRightButton(e) && !Blockly.readOnly) {
+            var frame = this;
+            Blockly.doCommand(function () {
+                frame.setCollapsed(!frame.collapsed_);
+            });
+        }
+        e.stopPropagation();
+    });
+    Blockly.bindEvent_(this.resizeGroup_, 'mousedown', this,
+        this.resizeMouseDown_);
+    this.render_();
+};
+
+/**
+ * Draw the frame at its position and size, with its title and colour.
+ * @private
+ */
+Blockly.Frame.prototype.render_ = function () {
+    if (!this.svgGroup_) {
+        return;
+    }
+    var border = Blockly.Bubble.BORDER_WIDTH;
+    var top = Blockly.Frame.TITLE_HEIGHT;
+    var colour = Blockly.makeColour(this.colour_);
+    this.svgGroup_.setAttribute('transform',
+        'translate(' + this.xy_.x + ', ' + this.xy_.y + ')');
+    this.svgGroup_.setAttribute('aria-label',
+        Blockly.Msg.ARIA_FRAME.replace('%1', this.title_));
+    this.svgBody_.setAttribute('width', this.width_);
+    this.svgBody_.setAttribute('height', this.height_);
+    this.svgBody_.setAttribute('fill', colour);
+    this.svgBody_.setAttribute('stroke', colour);
+    this.svgBody_.style.display = this.collapsed_ ? 'none' : '';
+    this.svgTitleBar_.setAttribute('width', this.width_);
+    this.svgTitleBar_.setAttribute('fill', colour);
+    // The toggle is at the start of the title bar, the title after it.
+    var toggleX = Blockly.RTL ? this.width_ - border : border;
+    var titleX = Blockly.RTL ? toggleX - top : toggleX + top;
+    this.svgToggle_.setAttribute('x', toggleX);
+    this.svgTitle_.setAttribute('x', titleX);
+    var anchor = Blockly.RTL ? 'end' : 'start';
+    this.svgToggle_.setAttribute('text-anchor', anchor);
+    this.svgTitle_.setAttribute('text-anchor', anchor);
+    // Triangles pointing to the title, or down when expanded.
+    this.svgToggle_.firstChild.data = this.collapsed_ ?
+        (Blockly.RTL ? '\u25C2' : '\u25B8') : '\u25BE';
+    this.svgTitle_.firstChild.data = this.title_;
+    this.resizeGroup_.style.display = this.collapsed_ ? 'none' : '';
+    this.resizeGroup_.setAttribute('transform', 'translate(' +
+        (this.width_ - 2 * border) + ', ' + (this.height_ - 2 * border) + ')');
+};
+
+/**
+ * Dispose of this frame.  The blocks and comments inside it are kept.
+ * Unlink from all DOM elements to prevent memory leaks.
+ */
+Blockly.Frame.prototype.dispose = function () {
+    if (!this.workspace) {
+        // Already disposed.
+        return;
+    }
+    Blockly.UndoManager.recordFrame(this);
+    if (this.collapsed_) {
+        this.setContentsVisible_(true);
+    }
+    this.workspace.removeTopFrame(this);
+    if (this.svgGroup_) {
+        Ext.removeNode(this.svgGroup_);
+        this.svgGroup_ = null;
+    }
+    this.svgBody_ = null;
+    this.svgTitleBar_ = null;
+    this.svgToggle_ = null;
+    this.svgTitle_ = null;
+    this.resizeGroup_ = null;
+    this.workspace = null;
+};
+
+/**
+ * Get the frame's title.
+ * @return {string} The title.
+ */
+Blockly.Frame.prototype.getTitle = function () {
+    return this.title_;
+};
+
+/**
+ * Set the frame's title.
+ * @param {string} title The title.
+ */
+Blockly.Frame.prototype.setTitle = function (title) {
+    if (title == this.title_) {
+        return;
+    }
+    Blockly.UndoManager.recordFrame(this);
+    this.title_ = title;
+    this.render_();
+    this.workspace.fireChangeEvent();
+};
+
+/**
+ * Get the frame's colour.
+ * @return {number} HSV hue value.
+ */
+Blockly.Frame.prototype.getColour = function () {
+    return this.colour_;
+};
+
+/**
+ * Change the colour of the frame.
+ * @param {number} colourHue HSV hue value.
+ */
+Blockly.Frame.prototype.setColour = function (colourHue) {
+    if (colourHue == this.colour_) {
+        return;
+    }
+    Blockly.UndoManager.recordFrame(this);
+    this.colour_ = colourHue;
+    this.render_();
+    this.workspace.fireChangeEvent();
+};
+
+/**
+ * Get the position of the frame's top left corner.
+ * @return {!Object} Object with x and y properties, in workspace units.
+ */
+Blockly.Frame.prototype.getRelativeToSurfaceXY = function () {
+    return {x: this.xy_.x, y: this.xy_.y};
+};
+
+/**
+ * Move the frame by a relative offset.  Its contents are left where they are.
+ * @param {number} dx Horizontal offset, in workspace units.
+ * @param {number} dy Vertical offset.
+ */
+Blockly.Frame.prototype.moveBy = function (dx, dy) {
+    this.xy_ = {x: this.xy_.x + dx, y: this.xy_.y + dy};
+    this.render_();
+};
+
+/**
+ * Get the size of the frame, as it is when expanded.
+ * @return {!Object} Object with width and height properties.
+ */
+Blockly.Frame.prototype.getSize = function () {
+    return {width: this.width_, height: this.height_};
+};
+
+/**
+ * Resize the frame.  It can't be made smaller than MIN_SIZE.
+ * @param {number} width The new width, in workspace units.
+ * @param {number} height The new height.
+ */
+Blockly.Frame.prototype.setSize = function (width, height) {
+    this.width_ = Math.max(width, Blockly.Frame.MIN_SIZE);
+    this.height_ = Math.max(height, Blockly.Frame.MIN_SIZE);
+    this.render_();
+};
+
+/**
+ * Is the frame collapsed?
+ * @return {boolean} True if only the title bar is shown.
+ */
+Blockly.Frame.prototype.isCollapsed = function () {
+    return this.collapsed_;
+};
+
+/**
+ * Collapse the frame down to its title bar, hiding its contents, or expand it.
+ * @param {boolean} collapsed True to collapse the frame.
+ */
+Blockly.Frame.prototype.setCollapsed = function (collapsed) {
+    collapsed = !!collapsed;
+    if (collapsed == this.collapsed_) {
+        return;
+    }
+    Blockly.UndoManager.recordFrame(this);
+    this.collapsed_ = collapsed;
+    this.setContentsVisible_(!collapsed);
+    this.render_();
+    this.workspace.fireChangeEvent();
+};
+
+/**
+ * Find the top blocks and workspace comments inside the frame.  These are the
+ * ones whose top corner is inside the frame's expanded area.
+ * @return {!Object} Object with blocks and comments lists.
+ */
+Blockly.Frame.prototype.getContents = function () {
+    var x = this.xy_.x;
+    var y = this.xy_.y;
+    var width = this.width_;
+    var height = this.height_;
+    var inside = function (xy) {
+        return xy.x >= x && xy.x <= x + width && xy.y >= y && xy.y <= y + height;
+    };
+    var contents = {blocks: [], comments: []};
+    var blocks = this.workspace.getTopBlocks(true);
+    for (var i = 0, block; block = blocks[i]; i++) {
+        if (inside(block.getRelativeToSurfaceXY())) {
+            contents.blocks.push(block);
+        }
+    }
+    var comments = this.workspace.getTopComments();
+    for (var i = 0, comment; comment = comments[i]; i++) {
+        if (inside(comment.getRelativeToSurfaceXY())) {
+            contents.comments.push(comment);
+        }
+    }
+    return contents;
+};
+
+/**
+ * Show or hide the blocks and comments inside the frame.  Hidden blocks are
+ * taken out of the connection database, so nothing can connect to them.
+ * @param {boolean} visible True to show the contents.
+ * @private
+ */
+Blockly.Frame.prototype.setContentsVisible_ = function (visible) {
+    if (!this.svgGroup_) {
+        return;
+    }
+    var contents = this.getContents();
+    if (!visible) {
+        // Nothing inside a hidden stack may stay selected.
+        for (var i = 0, selected; selected = Blockly.selection[i]; i++) {
+            if (contents.blocks.indexOf(selected.getRootBlock()) != -1) {
+                Blockly.Selection.clear();
+                break;
+            }
+        }
+    }
+    for (var i = 0, block; block = contents.blocks[i]; i++) {
+        if (!block.svg_) {
+            continue;
+        }
+        // Inputs of a collapsed block stay hidden.
+        var connections = visible && block.isCollapsed() ?
+            [block.outputConnection, block.nextConnection,
+                block.previousConnection] : block.getConnections_(true);
+        for (var c = 0; c < connections.length; c++) {
+            if (!connections[c]) {
+                continue;
+            }
+            if (visible) {
+                connections[c].unhideAll();
+            } else {
+                connections[c].hideAll();
+            }
+        }
+        block.getSvgRoot().style.display = visible ? '' : 'none';
+    }
+    for (var i = 0, comment; comment = contents.comments[i]; i++) {
+        if (!visible && Blockly.selectedComment == comment) {
+            comment.unselect();
+        }
+        if (comment.svgGroup_) {
+            comment.svgGroup_.style.display = visible ? '' : 'none';
+        }
+    }
+};
+
+/**
+ * Encode the frame as JSON.
+ * @return {!Object} JSON frame: {id, title, colour, x, y, w, h, collapsed},
+ *     with the position in workspace units.
+ */
+Blockly.Frame.prototype.toJson = function () {
+    return {id: this.id, title: this.title_, colour: this.colour_,
+        x: this.xy_.x, y: this.xy_.y, w: this.width_, h: this.height_,
+        collapsed: this.collapsed_};
+};
+
+/**
+ * Restore the title, colour, position, size and collapsed state of the frame
+ * from JSON.
+ * @param {!Object} json JSON frame, as from toJson.
+ * @private
+ */
+Blockly.Frame.prototype.setJson_ = function (json) {
+    // Show the old contents before the frame moves away from them.
+    if (this.collapsed_) {
+        this.setContentsVisible_(true);
+        this.collapsed_ = false;
+    }
+    this.title_ = json.title == null ? '' : String(json.title);
+    var colour = parseFloat(json.colour);
+    this.colour_ = isNaN(colour) ? Blockly.Frame.DEFAULT_COLOUR : colour;
+    var x = parseFloat(json.x);
+    var y = parseFloat(json.y);
+    this.xy_ = {x: isNaN(x) ? 0 : x, y: isNaN(y) ? 0 : y};
+    var width = parseFloat(json.w);
+    var height = parseFloat(json.h);
+    this.setSize(isNaN(width) ? Blockly.Frame.DEFAULT_WIDTH : width,
+        isNaN(height) ? Blockly.Frame.DEFAULT_HEIGHT : height);
+    if (json.collapsed) {
+        this.collapsed_ = true;
+        this.setContentsVisible_(false);
+        this.render_();
+    }
+};
+
+/**
+ * Handle a mouse-down on the frame's title bar: start dragging it and its
+ * contents, or show its context menu.
+ * @param {!Event} e Mouse down event.
+ * @private
+ */
+Blockly.Frame.prototype.onMouseDown_ = function (e) {
+    Blockly.terminateDrag_();
+    Blockly.hideChaff();
+    Blockly.Selection.clear();
+    this.promote_();
+    if (Blockly.isRightButton(e)) {
+        this.showContextMenu_(e);
+    } else if (!Blockly.readOnly) {
+        Blockly.removeAllRanges();
+        Blockly.setCursorHand_(true);
+        var xy = this.getRelativeToSurfaceXY();
+        this.startDragX_ = xy.x;
+        this.startDragY_ = xy.y;
+        this.startDragMouseX_ = e.clientX;
+        this.startDragMouseY_ = e.clientY;
+        this.startUndoGroup_();
+        Blockly.UndoManager.recordFrame(this);
+        // The contents are those inside the frame when the drag starts.
+        this.dragContents_ = this.getContents();
+        for (var i = 0, block; block = this.dragContents_.blocks[i]; i++) {
+            Blockly.UndoManager.record(block);
+        }
+        for (var i = 0, comment; comment = this.dragContents_.comments[i]; i++) {
+            Blockly.UndoManager.recordComment(comment);
+        }
+        Blockly.Frame.onMouseUpWrapper_ = Blockly.bindEvent_(document,
+            'mouseup', this, this.onMouseUp_);
+        Blockly.Frame.onMouseMoveWrapper_ = Blockly.bindEvent_(document,
+            'mousemove', this, this.onMouseMove_);
+    }
+    // This event has been handled.  No need to bubble up to the document.
+    e.stopPropagation();
+};
+
+/**
+ * Bring the frame in front of the other frames.  Frames are drawn before all
+ * the comments and blocks, so it goes just before the first of those.
+ * @private
+ */
+Blockly.Frame.prototype.promote_ = function () {
+    var node = this.svgGroup_.parentNode.firstChild;
+    while (node && (node == this.svgGroup_ ||
+        (' ' + node.getAttribute('class') + ' ').indexOf(
+            ' blocklyFrame ') != -1)) {
+        node = node.nextSibling;
+    }
+    this.svgGroup_.parentNode.insertBefore(this.svgGroup_, node);
+};
+
+/**
+ * Drag the frame and its contents to follow the mouse.
+ * @param {!Event} e Mouse move event.
+ * @private
+ */
+Blockly.Frame.prototype.onMouseMove_ = function (e) {
+    var scale = this.workspace.scale;
+    var xy = this.getRelativeToSurfaceXY();
+    var dx = this.startDragX_ + (e.clientX - this.startDragMouseX_) / scale -
+        xy.x;
+    var dy = this.startDragY_ + (e.clientY - this.startDragMouseY_) / scale -
+        xy.y;
+    this.moveBy(dx, dy);
+    for (var i = 0, block; block = this.dragContents_.blocks[i]; i++) {
+        block.moveBy(dx, dy);
+    }
+    for (var i = 0, comment; comment = this.dragContents_.comments[i]; i++) {
+        comment.moveBy(dx, dy);
+    }
+    // This event has been handled.  No need to bubble up to the document.
+    e.stopPropagation();
+};
+
+/**
+ * Finish dragging or resizing the frame.
+ * @param {!Event} e Mouse up event.
+ * @private
+ */
+Blockly.Frame.prototype.onMouseUp_ = function (e) {
+    var workspace = this.workspace;
+    this.dragContents_ = null;
+    Blockly.terminateDrag_();
+    workspace.fireChangeEvent();
+    if (workspace.scrollbar) {
+        workspace.scrollbar.resize();
+    }
+};
+
+/**
+ * Handle a mouse-down on the frame's resize corner.
+ * @param {!Event} e Mouse down event.
+ * @private
+ */
+Blockly.Frame.prototype.resizeMouseDown_ = function (e) {
+    Blockly.terminateDrag_();
+    Blockly.hideChaff();
+    if (!Blockly.isRightButton(e) && !Blockly.readOnly) {
+        Blockly.setCursorHand_(true);
+        this.startWidth_ = this.width_;
+        this.startHeight_ = this.height_;
+        this.startDragMouseX_ = e.clientX;
+        this.startDragMouseY_ = e.clientY;
+        this.startUndoGroup_();
+        Blockly.UndoManager.recordFrame(this);
+        Blockly.Frame.onMouseUpWrapper_ = Blockly.bindEvent_(document,
+            'mouseup', this, this.onMouseUp_);
+        Blockly.Frame.onMouseMoveWrapper_ = Blockly.bindEvent_(document,
+            'mousemove', this, this.resizeMouseMove_);
+    }
+    // This event has been handled.  No need to bubble up to the document.
+    e.stopPropagation();
+};
+
+/**
+ * Resize the frame to follow the mouse.
+ * @param {!Event} e Mouse move event.
+ * @private
+ */
+Blockly.Frame.prototype.resizeMouseMove_ = function (e) {
+    var scale = this.workspace.scale;
+    this.setSize(this.startWidth_ + (e.clientX - this.startDragMouseX_) / scale,
+        this.startHeight_ + (e.clientY - this.startDragMouseY_) / scale);
+    e.stopPropagation();
+};
+
+/**
+ * Make everything up to the mouse up one command.
+ * @private
+ */
+Blockly.Frame.prototype.startUndoGroup_ = function () {
+    if (this.workspace.undoManager) {
+        Blockly.Frame.dragUndoManager_ = this.workspace.undoManager;
+        Blockly.Frame.dragUndoManager_.beginGroup();
+    }
+};
+
+/**
+ * Ask the user for a new title for the frame.
+ * @param {Event=} opt_e Double-click event, if any.
+ * @private
+ */
+Blockly.Frame.prototype.rename_ = function (opt_e) {
+    if (opt_e) {
+        opt_e.stopPropagation();
+    }
+    if (Blockly.readOnly) {
+        return;
+    }
+    var title = window.prompt(Blockly.Msg.RENAME_FRAME_TITLE, this.title_);
+    if (title != null) {
+        var frame = this;
+        Blockly.doCommand(function () {
+            frame.setTitle(title);
+        });
+    }
+};
+
+/**
+ * Show the context menu for this frame.
+ * @param {!Event} e Mouse event.
+ * @private
+ */
+Blockly.Frame.prototype.showContextMenu_ = function (e) {
+    if (Blockly.readOnly) {
+        return;
+    }
+    var frame = this;
+    var options = [];
+    options.push({
+        text: Blockly.Msg.RENAME_FRAME,
+        enabled: true,
+        callback: function () {
+            frame.rename_();
+        }
+    });
+    options.push({
+        text: this.collapsed_ ? Blockly.Msg.EXPAND_FRAME :
+            Blockly.Msg.COLLAPSE_FRAME,
+        enabled: true,
+        callback: function () {
+            Blockly.doCommand(function () {
+                frame.setCollapsed(!frame.collapsed_);
+            });
+        }
+    });
+    options.push({
+        text: Blockly.Msg.DELETE_FRAME,
+        enabled: true,
+        callback: function () {
+            Blockly.doCommand(function () {
+                frame.dispose();
+            });
+        }
+    });
+    Blockly.ContextMenu.show(e, options);
+};
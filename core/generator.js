@@ -40,14 +40,25 @@ Blockly.Generator = function (name) {
  */
 Blockly.Generator.NAME_TYPE = 'generated_function';
 
+/**
+ * Arbitrary code to inject before the code of every statement block.
+ * Any instances of '%1' will be replaced by the block ID of the statement.
+ * E.g. 'highlightBlock(%1);\n'
+ * @type ?string
+ */
+Blockly.Generator.prototype.STATEMENT_PREFIX = null;
+
 /**
  * Generate code for all blocks in the workspace to the specified language.
+ * @param {Blockly.Workspace=} opt_workspace Workspace to generate code from,
+ *     defaults to the main workspace.
  * @return {string} Generated code.
  */
-Blockly.Generator.prototype.workspaceToCode = function () {
+Blockly.Generator.prototype.workspaceToCode = function (opt_workspace) {
+    var workspace = opt_workspace || Blockly.mainWorkspace;
     var code = [];
-    this.init();
-    var blocks = Blockly.mainWorkspace.getTopBlocks(true);
+    this.init(workspace);
+    var blocks = workspace.getTopBlocks(true);
     for (var x = 0, block; block = blocks[x]; x++) {
         var line = this.blockToCode(block);
         if (Ext.isArray(line)) {
@@ -138,6 +149,10 @@ Blockly.Generator.prototype.blockToCode = function (block) {
         // Value blocks return tuples of code and operator order.
         return [this.scrub_(block, code[0]), code[1]];
     } else {
+        if (code && this.STATEMENT_PREFIX) {
+            code = this.STATEMENT_PREFIX.replace(/%1/g,
+                '\'' + block.id + '\'') + code;
+        }
         return this.scrub_(block, code);
     }
 };
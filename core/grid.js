@@ -0,0 +1,171 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Object representing the background grid of a workspace.
+ * The grid is an SVG pattern behind the blocks, which scrolls and zooms with
+ * them.  Its points are in the middle of each cell, at half the spacing from
+ * the workspace's origin, and top blocks may be snapped to them when dropped.
+ */
+'use strict';
+
+
+/**
+ * Class for a workspace's grid.
+ * @param {!Blockly.Workspace} workspace The workspace to draw the grid of.
+ * @param {!Object} options Grid options, as from Blockly.parseGridOptions_.
+ * @constructor
+ */
+Blockly.Grid = function (workspace, options) {
+    this.workspace_ = workspace;
+    this.spacing_ = options.spacing;
+    this.length_ = options.length;
+    this.colour_ = options.colour;
+    this.snap_ = options.snap;
+};
+
+/**
+ * Number of grid patterns created so far.  Patterns are referred to by ID,
+ * which must be unique among all the editors on the page.
+ * @type {number}
+ * @private
+ */
+Blockly.Grid.count_ = 0;
+
+/**
+ * The grid's SVG pattern.
+ * @type {Element}
+ * @private
+ */
+Blockly.Grid.prototype.pattern_ = null;
+
+/**
+ * The lines in the pattern.
+ * @type {Element}
+ * @private
+ */
+Blockly.Grid.prototype.path_ = null;
+
+/**
+ * The rectangle filled with the pattern.
+ * @type {Element}
+ * @private
+ */
+Blockly.Grid.prototype.svgBackground_ = null;
+
+/**
+ * Round a position to the nearest grid point.
+ * @param {number} value Horizontal or vertical position, in workspace units.
+ * @param {number} spacing Distance between grid points.
+ * @return {number} Position of the nearest grid point.
+ */
+Blockly.Grid.snapValue = function (value, spacing) {
+    var half = spacing / 2;
+    return Math.round((value - half) / spacing) * spacing + half;
+};
+
+/**
+ * Create the grid's pattern and background.
+ * @param {!Element} defs The SVG's defs element, to hold the pattern.
+ * @return {!Element} The background, to put behind the workspace.
+ */
+Blockly.Grid.prototype.createDom = function (defs) {
+    /*
+     <pattern id="blocklyGridPattern1" patternUnits="userSpaceOnUse">
+     <path stroke="#ccc" d="..." />
+     </pattern>
+     <rect class="blocklyGrid" width="100%" height="100%"
+     fill="url(#blocklyGridPattern1)" />
+     */
+    var id = 'blocklyGridPattern' + (++Blockly.Grid.count_);
+    this.pattern_ = Blockly.createSvgElement('pattern',
+        {'id': id, 'patternUnits': 'userSpaceOnUse'}, defs);
+    this.path_ = Blockly.createSvgElement('path',
+        {'stroke': this.colour_, 'stroke-width': 1}, this.pattern_);
+    // The background lets the mouse through to the SVG (see Blockly.Css).
+    this.svgBackground_ = Blockly.createSvgElement('rect',
+        {'class': 'blocklyGrid', 'width': '100%', 'height': '100%',
+            'fill': 'url(#' + id + ')'}, null);
+    this.update(0, 0, this.workspace_.scale);
+    return this.svgBackground_;
+};
+
+/**
+ * Dispose of the grid.
+ * Unlink from all DOM elements to prevent memory leaks.
+ */
+Blockly.Grid.prototype.dispose = function () {
+    if (this.pattern_) {
+        Ext.removeNode(this.pattern_);
+        this.pattern_ = null;
+    }
+    if (this.svgBackground_) {
+        Ext.removeNode(this.svgBackground_);
+        this.svgBackground_ = null;
+    }
+    this.path_ = null;
+    this.workspace_ = null;
+};
+
+/**
+ * Move and scale the grid along with the blocks.
+ * @param {number} x Horizontal translation of the workspace, in pixels.
+ * @param {number} y Vertical translation of the workspace, in pixels.
+ * @param {number} scale Zoom level of the workspace.
+ */
+Blockly.Grid.prototype.update = function (x, y, scale) {
+    if (!this.pattern_) {
+        return;
+    }
+    var spacing = this.spacing_ * scale;
+    var half = spacing / 2;
+    // Lines as long as the spacing join up into a full grid.
+    var length = Math.min(this.length_, this.spacing_) * scale / 2;
+    this.pattern_.setAttribute('width', spacing);
+    this.pattern_.setAttribute('height', spacing);
+    this.pattern_.setAttribute('x', x);
+    this.pattern_.setAttribute('y', y);
+    var path = 'M ' + (half - length) + ' ' + half +
+        ' H ' + (half + length);
+    if (length > 0.5 * scale) {
+        // Longer than a dot, so also draw the vertical line.
+        path += ' M ' + half + ' ' + (half - length) +
+            ' V ' + (half + length);
+    }
+    this.path_.setAttribute('d', path);
+};
+
+/**
+ * Move a top block to the nearest grid point, if snapping is on.
+ * Blocks connected to a parent are left where they are.
+ * @param {!Blockly.Block} block The block.
+ */
+Blockly.Grid.prototype.snapBlock = function (block) {
+    if (!this.snap_ || !block.workspace || block.getParent()) {
+        return;
+    }
+    var xy = block.getRelativeToSurfaceXY();
+    var dx = Blockly.Grid.snapValue(xy.x, this.spacing_) - xy.x;
+    var dy = Blockly.Grid.snapValue(xy.y, this.spacing_) - xy.y;
+    if (dx || dy) {
+        Blockly.UndoManager.record(block);
+        block.moveBy(dx, dy);
+    }
+};
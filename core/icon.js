@@ -67,6 +67,10 @@ Blockly.Icon.prototype.createIcon_ = function () {
     /* Here's the markup that will be generated:
      <g class="blocklyIconGroup"></g>
      */
+    if (!this.block_.getSvgRoot()) {
+        // Blocks on a headless workspace have no SVG to hold the icon.
+        return;
+    }
     this.iconGroup_ = Blockly.createSvgElement('g', {}, null);
     this.block_.getSvgRoot().appendChild(this.iconGroup_);
     Blockly.bindEvent_(this.iconGroup_, 'mouseup', this, this.iconClick_);
@@ -26,25 +26,110 @@
 
 /**
  * Initialize the SVG document with various handlers.
+ * Each call creates an independent editor.  Any editor which is already on
+ * the page is parked (see Blockly.setMainWorkspace) and the new one becomes
+ * the active editor.
  * @param {!Element} container Containing element.
  * @param {Object} opt_options Optional dictionary of options.
+ * @return {!Blockly.Workspace} The workspace of the new editor.
  */
 Blockly.inject = function (container, opt_options) {
     // Verify that the container is in document.
     if (Ext.getDom(container) == null) {
         throw 'Error: container is not in current document.';
     }
-    Blockly.DIV = container;
-    if (opt_options) {
-        // TODO(scr): don't mix this in to global variables.
-        Blockly.mixin(Blockly, Blockly.parseOptions_(opt_options));
+    // Park the state of the editor which is currently active.
+    if (Blockly.mainWorkspace && Blockly.mainWorkspace.state_) {
+        Blockly.saveWorkspaceState_(Blockly.mainWorkspace);
     }
+    Blockly.loadWorkspaceState_(null);
+
+    Blockly.DIV = container;
+    var options = Blockly.parseOptions_(opt_options || {});
+    Blockly.mixin(Blockly, options);
+    options.theme.apply_();
+    options.theme.injectCss_();
     var startUi = function () {
         Blockly.createDom_(container);
         Blockly.init_();
     };
 
     startUi();
+
+    var workspace = Blockly.mainWorkspace;
+    workspace.options = options;
+    workspace.undoManager = new Blockly.UndoManager(workspace);
+    workspace.search = new Blockly.Search(workspace);
+    workspace.cursor = new Blockly.Cursor(workspace);
+    workspace.cursor.init();
+    if (options.hasDebugger) {
+        workspace.debugger = new Blockly.Debugger(workspace);
+    }
+    workspace.bindData_.push(Blockly.Aria.bindWorkspace(workspace));
+    Blockly.saveWorkspaceState_(workspace);
+    Blockly.workspaces_.push(workspace);
+    return workspace;
+};
+
+/**
+ * Remove an editor created by Blockly.inject from the page.
+ * The other editors on the page are not affected.
+ * @param {!Blockly.Workspace} workspace The workspace returned by inject.
+ */
+Blockly.uninject = function (workspace) {
+    var index = Blockly.workspaces_.indexOf(workspace);
+    if (index == -1) {
+        return;
+    }
+    Blockly.setMainWorkspace(workspace);
+    Blockly.hideChaff();
+    Blockly.terminateDrag_();
+    workspace.undoManager.dispose();
+    workspace.undoManager = null;
+    workspace.search = null;
+    workspace.cursor.dispose();
+    workspace.cursor = null;
+    if (workspace.debugger) {
+        workspace.debugger.dispose();
+        workspace.debugger = null;
+    }
+    workspace.clear();
+    if (workspace.scrollbar) {
+        workspace.scrollbar.dispose();
+        workspace.scrollbar = null;
+    }
+    for (var x = 0; x < workspace.bindData_.length; x++) {
+        Blockly.unbindEvent_(workspace.bindData_[x]);
+    }
+    workspace.bindData_ = [];
+    workspace.dispose();
+    if (Blockly.svg) {
+        Ext.removeNode(Blockly.svg);
+    }
+
+    Blockly.workspaces_.splice(index, 1);
+    workspace.state_ = null;
+    // Hand over to another editor, if there is one left.
+    Blockly.loadWorkspaceState_(null);
+    if (Blockly.workspaces_.length) {
+        Blockly.setMainWorkspace(
+            Blockly.workspaces_[Blockly.workspaces_.length - 1]);
+    }
+};
+
+/**
+ * Make the editor that the user is interacting with the active one.
+ * Bound (in the capture phase) to mouse-down on each editor's SVG.
+ * @param {!Blockly.Workspace} workspace The editor's workspace.
+ * @private
+ */
+Blockly.activateWorkspace_ = function (workspace) {
+    if (workspace == Blockly.mainWorkspace) {
+        return;
+    }
+    // Menus and editors belong to the editor that opened them.
+    Blockly.hideChaff();
+    Blockly.setMainWorkspace(workspace);
 };
 
 /**
@@ -73,6 +158,10 @@ Blockly.parseOptions_ = function (options) {
     if (hasScrollbars === undefined) {
         hasScrollbars = true;
     }
+    var hasZoom = options['zoom'];
+    if (hasZoom === undefined) {
+        hasZoom = true;
+    }
     return {
         RTL: !!options['rtl'],
         collapse: hasCollapse,
@@ -81,10 +170,44 @@ Blockly.parseOptions_ = function (options) {
         pathToBlockly: options['path'] || './',
         hasScrollbars: hasScrollbars,
         hasTrashcan: hasTrashcan,
+        hasZoom: hasZoom,
+        gridOptions: Blockly.parseGridOptions_(options['grid']),
+        hasDebugger: !!options['debug'],
+        theme: Blockly.Theme.get(options['theme']),
         languageTree: tree
     };
 };
 
+/**
+ * Parse the grid option: true for the default grid, or a dictionary of
+ * spacing, length, colour and snap.
+ * @param {*} grid The grid option.
+ * @return {Object} Parsed grid options, or null if there is no grid.
+ * @private
+ */
+Blockly.parseGridOptions_ = function (grid) {
+    if (!grid) {
+        return null;
+    }
+    if (!Ext.isObject(grid)) {
+        grid = {};
+    }
+    var spacing = parseFloat(grid['spacing']);
+    if (isNaN(spacing)) {
+        spacing = Blockly.GRID_SPACING;
+    }
+    if (spacing <= 0) {
+        return null;
+    }
+    var length = parseFloat(grid['length']);
+    return {
+        spacing: spacing,
+        length: isNaN(length) ? Blockly.GRID_LENGTH : length,
+        colour: grid['colour'] || Blockly.GRID_COLOUR,
+        snap: !!grid['snap']
+    };
+};
+
 /**
  * Create the SVG image.
  * @param {!Element} container Containing element.
@@ -115,7 +238,11 @@ Blockly.createDom_ = function (container) {
         'xmlns:html': 'http://www.w3.org/1999/xhtml',
         'xmlns:xlink': 'http://www.w3.org/1999/xlink',
         'version': '1.1',
-        'class': 'blocklySvg'
+        'class': 'blocklySvg blocklyTheme-' + Blockly.theme.name,
+        // The keyboard cursor's node is the active descendant (see Blockly.Aria).
+        'role': 'application',
+        'aria-label': Blockly.Msg.ARIA_WORKSPACE,
+        'tabindex': 0
     }, null);
     /*
      <defs>
@@ -197,6 +324,11 @@ Blockly.createDom_ = function (container) {
     Blockly.mainWorkspace = new Blockly.Workspace(
         Blockly.getMainWorkspaceMetrics_,
         Blockly.setMainWorkspaceMetrics_);
+    var workspace = Blockly.mainWorkspace;
+    if (Blockly.gridOptions) {
+        workspace.grid = new Blockly.Grid(workspace, Blockly.gridOptions);
+        svg.appendChild(workspace.grid.createDom(defs));
+    }
     svg.appendChild(Blockly.mainWorkspace.createDom());
     Blockly.mainWorkspace.maxBlocks = Blockly.maxBlocks;
 
@@ -214,6 +346,10 @@ Blockly.createDom_ = function (container) {
         Ext.DomHelper.insertBefore(Blockly.mainWorkspace.svgGroup_, flyoutSvg);
 
         var workspaceChanged = function () {
+            // This fires asynchronously, possibly while another editor is active.
+            Blockly.withWorkspace(workspace, bumpBlocks);
+        };
+        var bumpBlocks = function () {
             if (Blockly.Block.dragMode_ == 0) {
                 var metrics = Blockly.mainWorkspace.getMetrics();
                 if (metrics.contentTop < 0 ||
@@ -223,28 +359,34 @@ Blockly.createDom_ = function (container) {
                     metrics.contentLeft + metrics.contentWidth >
                     metrics.viewWidth + (Blockly.RTL ? 2 : 1) * metrics.viewLeft) {
                     // One or more blocks is out of bounds.  Bump them back in.
-                    var MARGIN = 25;
+                    // Blocks are positioned in workspace units, the view in pixels.
+                    var scale = Blockly.mainWorkspace.scale;
+                    var viewTop = metrics.viewTop / scale;
+                    var viewLeft = metrics.viewLeft / scale;
+                    var viewHeight = metrics.viewHeight / scale;
+                    var viewWidth = metrics.viewWidth / scale;
+                    var MARGIN = 25 / scale;
                     var blocks = Blockly.mainWorkspace.getTopBlocks(false);
                     for (var b = 0, block; block = blocks[b]; b++) {
                         var blockXY = block.getRelativeToSurfaceXY();
                         var blockHW = block.getHeightWidth();
                         // Bump any block that's above the top back inside.
-                        var overflow = metrics.viewTop + MARGIN - blockHW.height - blockXY.y;
+                        var overflow = viewTop + MARGIN - blockHW.height - blockXY.y;
                         if (overflow > 0) {
                             block.moveBy(0, overflow);
                         }
                         // Bump any block that's below the bottom back inside.
-                        var overflow = metrics.viewTop + metrics.viewHeight - MARGIN - blockXY.y;
+                        var overflow = viewTop + viewHeight - MARGIN - blockXY.y;
                         if (overflow < 0) {
                             block.moveBy(0, overflow);
                         }
                         // Bump any block that's off the left back inside.
-                        var overflow = MARGIN + metrics.viewLeft - blockXY.x - (Blockly.RTL ? 0 : blockHW.width);
+                        var overflow = MARGIN + viewLeft - blockXY.x - (Blockly.RTL ? 0 : blockHW.width);
                         if (overflow > 0) {
                             block.moveBy(overflow, 0);
                         }
                         // Bump any block that's off the right back inside.
-                        var overflow = metrics.viewLeft + metrics.viewWidth - MARGIN - blockXY.x + (Blockly.RTL ? blockHW.width : 0);
+                        var overflow = viewLeft + viewWidth - MARGIN - blockXY.x + (Blockly.RTL ? blockHW.width : 0);
                         if (overflow < 0) {
                             block.moveBy(overflow, 0);
                         }
@@ -258,7 +400,7 @@ Blockly.createDom_ = function (container) {
                 }
             }
         };
-        Blockly.addChangeListener(workspaceChanged);
+        workspace.bindData_.push(Blockly.addChangeListener(workspaceChanged));
     }
 
     svg.appendChild(Blockly.Tooltip.createDom());
@@ -287,8 +429,23 @@ Blockly.init_ = function () {
     // out of bounds and released will know that it has been released.
     // Also, 'keydown' has to be on the whole document since the browser doesn't
     // understand a concept of focus on the SVG image.
-    Blockly.bindEvent_(Blockly.svg, 'mousedown', null, Blockly.onMouseDown_);
-    Blockly.bindEvent_(Blockly.svg, 'mousemove', null, Blockly.onMouseMove_);
+    var workspace = Blockly.mainWorkspace;
+    // Switch to this editor before any of its own handlers run.
+    // These listeners go away with the SVG when the editor is uninjected.
+    var activate = function () {
+        Blockly.activateWorkspace_(workspace);
+    };
+    Blockly.svg.addEventListener('mousedown', activate, true);
+    if ('mousedown' in Blockly.bindEvent_.TOUCH_MAP) {
+        Blockly.svg.addEventListener(Blockly.bindEvent_.TOUCH_MAP['mousedown'],
+            activate, true);
+    }
+    workspace.bindData_.push(
+        Blockly.bindEvent_(Blockly.svg, 'mousedown', null, Blockly.onMouseDown_));
+    workspace.bindData_.push(
+        Blockly.bindEvent_(Blockly.svg, 'mousemove', null, Blockly.onMouseMove_));
+    workspace.bindData_.push(
+        Blockly.bindEvent_(Blockly.svg, 'wheel', null, Blockly.onMouseWheel_));
 //    Blockly.bindEvent_(Blockly.svg, 'contextmenu', null, Blockly.onContextMenu_);
 //    Blockly.bindEvent_(Blockly.WidgetDiv.DIV, 'contextmenu', null, Blockly.onContextMenu_);
 //    Blockly.bindEvent_(Blockly.DIV, 'contextmenu', null, Blockly.onContextMenu_);
@@ -298,6 +455,10 @@ Blockly.init_ = function () {
         // Destroying and reinjecting Blockly should not bind again.
 //    Blockly.bindEvent_(window, 'resize', document, Blockly.svgResize);
         Blockly.bindEvent_(document, 'keydown', null, Blockly.onKeyDown_);
+        // Copied blocks also go through the system clipboard.
+        Blockly.bindEvent_(document, 'copy', null, Blockly.Clipboard.onCopy_);
+        Blockly.bindEvent_(document, 'cut', null, Blockly.Clipboard.onCopy_);
+        Blockly.bindEvent_(document, 'paste', null, Blockly.Clipboard.onPaste_);
         // Don't use bindEvent_ for document's mouseup isce that would create a
         // corresponding touch handler that would squeltch the ability to interact
         // with non-Blockly elements.
@@ -317,9 +478,7 @@ Blockly.init_ = function () {
         Blockly.mainWorkspace.flyout_.show(Blockly.languageTree.childNodes);
         // Translate the workspace sideways to avoid the fixed flyout.
         Blockly.mainWorkspace.scrollX = Blockly.mainWorkspace.flyout_.width_;
-        var translation = 'translate(' + Blockly.mainWorkspace.scrollX + ', 0)';
-        Blockly.mainWorkspace.getCanvas().setAttribute('transform', translation);
-        Blockly.mainWorkspace.getBubbleCanvas().setAttribute('transform', translation);
+        Blockly.mainWorkspace.translate(Blockly.mainWorkspace.scrollX, 0);
 
     }
     if (Blockly.hasScrollbars) {
@@ -328,6 +487,7 @@ Blockly.init_ = function () {
     }
 
     Blockly.mainWorkspace.addTrashcan();
+    Blockly.mainWorkspace.addZoomControls();
 
     // Load the sounds.
     Blockly.loadAudio_(['media/click.mp3', 'media/click.wav', 'media/click.ogg'], 'click');
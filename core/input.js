@@ -63,6 +63,10 @@ Blockly.Input.prototype.appendField = function (field, opt_name) {
     }
     if (this.sourceBlock_.svg_) {
         field.init(this.sourceBlock_);
+    } else if (this.sourceBlock_.workspace.headless) {
+        // Headless blocks are never initialized, but their fields still need
+        // to know their block.
+        field.sourceBlock_ = this.sourceBlock_;
     }
     field.name = opt_name;
 
@@ -150,7 +154,8 @@ Blockly.Input.prototype.setVisible = function (visible) {
             this.connection.hideAll();
         }
         var child = this.connection.targetBlock();
-        if (child) {
+        // Headless blocks have no SVG to hide.
+        if (child && child.svg_) {
             child.svg_.getRootElement().style.display = display;
             if (!visible) {
                 child.rendered = false;
@@ -28,21 +28,65 @@
 Blockly.Json = {};
 
 /**
- * Encode a block tree as XML.
- * @param {!Object} workspace The SVG workspace.
- * @return {!Object} XML document.
+ * Version of the workspace format written by Blockly.Json.getWorkspace.
+ * Documents of older versions are upgraded when they are loaded (see
+ * Blockly.Json.registerMigration).  Version 0 is the original format, which
+ * had no envelope: {block: [...]}.
+ * @const
+ */
+Blockly.Json.VERSION = 1;
+
+/**
+ * Encode a workspace as a versioned document:
+ * {version, metadata: {name, description, author, created, modified}, blocks,
+ * comments, frames}.  The comments on the workspace (see
+ * Blockly.WorkspaceComment) and the frames (see Blockly.Frame) are only
+ * written if there are any.
+ * The schema is in schema/workspace.schema.json.
+ * @param {!Object} workspace The SVG or headless workspace.
+ * @return {!Object} Workspace document.
  */
 Blockly.Json.getWorkspace = function (workspace) {
-    var width = Blockly.svgSize().width;
-    var json = {};
-    json.block = [];
+    var width = workspace.headless ? 0 : Blockly.svgSize().width;
+    var now = new Date().toISOString();
+    workspace.metadata = workspace.metadata || {};
+    if (!workspace.metadata.created) {
+        // First save.
+        workspace.metadata.created = now;
+    }
+    var metadata = Ext.apply({}, workspace.metadata);
+    metadata.modified = now;
+    var json = {version: Blockly.Json.VERSION, metadata: metadata, blocks: []};
     var blocks = workspace.getTopBlocks(true);
     for (var i = 0, block; block = blocks[i]; i++) {
         var element = Blockly.Json.blockToDom_(block);
         var xy = block.getRelativeToSurfaceXY();
-        element.x = Blockly.RTL ? width - xy.x : xy.x;
-        element.y = xy.y;
-        json.block.push(element);
+        // Blocks dragged on a zoomed workspace may be between pixels.
+        element.x = Math.round(Blockly.RTL ? width - xy.x : xy.x);
+        element.y = Math.round(xy.y);
+        json.blocks.push(element);
+    }
+    var comments = workspace.getTopComments();
+    if (comments.length) {
+        json.comments = [];
+        for (var i = 0, comment; comment = comments[i]; i++) {
+            var jsonComment = comment.toJson();
+            jsonComment.x = Math.round(Blockly.RTL ? width - jsonComment.x :
+                jsonComment.x);
+            jsonComment.y = Math.round(jsonComment.y);
+            json.comments.push(jsonComment);
+        }
+    }
+    var frames = workspace.getTopFrames();
+    if (frames.length) {
+        json.frames = [];
+        for (var i = 0, frame; frame = frames[i]; i++) {
+            var jsonFrame = frame.toJson();
+            jsonFrame.x = Math.round(Blockly.RTL ? width - jsonFrame.x :
+                jsonFrame.x);
+            jsonFrame.y = Math.round(jsonFrame.y);
+            json.frames.push(jsonFrame);
+        }
     }
     return json;
 };
@@ -50,13 +94,19 @@ Blockly.Json.getWorkspace = function (workspace) {
 /**
  * Return a javascript object tree
  * @param {!Blockly.Block} block The root block to encode.
+ * @param {boolean=} opt_shallow If true, only encode the block itself and
+ *     leave out the blocks connected to its inputs and next statement.
  * @return {!Object} Tree of javascript object elements.
  * @private
  */
-Blockly.Json.blockToDom_ = function (block) {
+Blockly.Json.blockToDom_ = function (block, opt_shallow) {
     var element = {};
     element.type = block.type;
     element.id = block.id;
+    if (block.isMissing()) {
+        // Save the placeholder's properties as they were loaded.
+        Ext.apply(element, JSON.parse(JSON.stringify(block.missingJson_)));
+    }
     if (block.mutationToDom) {
         // Custom data for an advanced block.
         var mutation = block.mutationToDom();
@@ -104,15 +154,21 @@ Blockly.Json.blockToDom_ = function (block) {
         } else if (input.type == Blockly.NEXT_STATEMENT) {
             container.type = 'statement';
         }
-        if (childBlock) {
+        if (childBlock && !opt_shallow) {
             if (element.children == null)
                 element.children = [];
             container.name = input.name;
             container.block = Blockly.Json.blockToDom_(childBlock);
             element.children.push(container);
+        } else if (opt_shallow && block.isMissing()) {
+            // A placeholder's inputs are made from its children.
+            if (element.children == null)
+                element.children = [];
+            container.name = input.name;
+            element.children.push(container);
         }
     }
-    if (hasValues) {
+    if (hasValues && !block.isMissing()) {
         element.inline = block.inputsInline;
     }
     if (block.isCollapsed()) {
@@ -131,7 +187,7 @@ Blockly.Json.blockToDom_ = function (block) {
         element.editable = false;
     }
 
-    if (block.nextConnection) {
+    if (block.nextConnection && !opt_shallow) {
         var nextBlock = block.nextConnection.targetBlock();
         if (nextBlock) {
             element.next = Blockly.Json.blockToDom_(nextBlock);
@@ -142,24 +198,63 @@ Blockly.Json.blockToDom_ = function (block) {
 };
 
 /**
- * Decode an XML DOM and create blocks on the workspace.
- * @param {!Blockly.Workspace} workspace The SVG workspace.
- * @param {!Object} json input object array.
+ * Create the blocks of a workspace document on the workspace, and keep its
+ * metadata.  Older versions of the format are upgraded first.  Problems found
+ * in the document are returned, and as much of it as possible is loaded.
+ * @param {!Blockly.Workspace} workspace The SVG or headless workspace.
+ * @param {Object} json Workspace document.
+ * @return {!Array.<!Object>} Errors, as returned by Blockly.Json.validate.
  */
 Blockly.Json.setWorkspace = function (workspace, json) {
-    var width = Blockly.svgSize().width;
-    if (json == null || json.block == null)
-        return;
-    var blocks = [].concat(json.block);
+    var width = workspace.headless ? 0 : Blockly.svgSize().width;
+    if (json == null) {
+        return [];
+    }
+    var errors = [];
+    json = Blockly.Json.migrate_(json, errors);
+    if (json == null) {
+        console.log('Unable to load workspace: ' + errors[0].message);
+        return errors;
+    }
+    Blockly.Json.validateDocument_(json, errors);
+    workspace.metadata = Ext.isObject(json.metadata) ? Ext.apply({}, json.metadata) : {};
+    var blocks = [].concat(json.blocks || []);
     for (var x = 0; x < blocks.length; x++) {
         var child = blocks[x];
-        var block = Blockly.Json.domToBlock(workspace, child);
-        var blockX = parseInt(block.x, 10);
-        var blockY = parseInt(block.y, 10);
+        var block = Ext.isObject(child) ? Blockly.Json.domToBlock(workspace, child) : null;
+        if (!block) {
+            continue;
+        }
+        var blockX = parseInt(child.x, 10);
+        var blockY = parseInt(child.y, 10);
         if (!isNaN(blockX) && !isNaN(blockY)) {
             block.moveBy(Blockly.RTL ? width - blockX : blockX, blockY);
         }
     }
+    var comments = Ext.isArray(json.comments) ? json.comments : [];
+    for (var x = 0; x < comments.length; x++) {
+        if (!Ext.isObject(comments[x])) {
+            continue;
+        }
+        var jsonComment = Blockly.mixin({}, comments[x]);
+        if (Blockly.RTL) {
+            jsonComment.x = width - (parseFloat(jsonComment.x) || 0);
+        }
+        Blockly.WorkspaceComment.fromJson(workspace, jsonComment);
+    }
+    // Frames go last, as collapsed ones hide the blocks and comments in them.
+    var frames = Ext.isArray(json.frames) ? json.frames : [];
+    for (var x = 0; x < frames.length; x++) {
+        if (!Ext.isObject(frames[x])) {
+            continue;
+        }
+        var jsonFrame = Blockly.mixin({}, frames[x]);
+        if (Blockly.RTL) {
+            jsonFrame.x = width - (parseFloat(jsonFrame.x) || 0);
+        }
+        Blockly.Frame.fromJson(workspace, jsonFrame);
+    }
+    return errors;
 };
 
 /**
@@ -196,11 +291,18 @@ Blockly.Json.domToBlock = function (workspace, jsonBlock, opt_reuseBlock) {
         block.fill(workspace, prototypeName);
         block.parent_ = parentBlock;
     } else {
-        block = Blockly.Block.obtain(workspace, prototypeName);
+        // Keep the saved id unless another block already uses it.
+        if (id && workspace.getBlockById(id)) {
+            id = null;
+        }
+        block = Blockly.Block.obtain(workspace, prototypeName, id);
     }
-    if (!block.svg_) {
+    if (!block.svg_ && !workspace.headless) {
         block.initSvg();
     }
+    if (block.isMissing()) {
+        Blockly.Json.initMissing_(block, jsonBlock);
+    }
 
     var inline = jsonBlock.inline;
     if (inline != null) {
@@ -233,7 +335,7 @@ Blockly.Json.domToBlock = function (workspace, jsonBlock, opt_reuseBlock) {
     if (jsonBlock.comment != null) {
         block.setCommentText(jsonBlock.comment.text);
         var visible = jsonBlock.comment.pinned;
-        if (visible) {
+        if (visible && !workspace.headless) {
             block.comment.setVisible(this.parseBoolean(visible));
         }
         var bubbleW = parseInt(jsonBlock.comment.w, 10);
@@ -243,7 +345,7 @@ Blockly.Json.domToBlock = function (workspace, jsonBlock, opt_reuseBlock) {
         }
     }
 
-    if (jsonBlock.fields != null) {
+    if (jsonBlock.fields != null && !block.isMissing()) {
         var fields = [].concat(jsonBlock.fields);
         for (var i = 0; i < fields.length; i++) {
             if (fields[i].value != null && fields[i].name != null)
@@ -257,14 +359,21 @@ Blockly.Json.domToBlock = function (workspace, jsonBlock, opt_reuseBlock) {
         for (var x = 0; x < children.length; x++) {
             var child = children[x];
             var input;
+            // There are no shadow blocks in the editor: a shadow is loaded as an
+            // ordinary block when its input has no other block.
+            var childJson = child.block != null ? child.block : child.shadow;
 
-            if (child.block != null) {
+            if (childJson != null) {
                 input = block.getInput(child.name);
                 if (!input) {
                     console.log('Input ' + child.name + ' does not exist in block ' + prototypeName);
                     continue;
                 }
-                blockChild = Blockly.Json.domToBlock(workspace, child.block, opt_reuseBlock);
+                blockChild = Blockly.Json.domToBlock(workspace, childJson, opt_reuseBlock);
+                if (!blockChild) {
+                    continue;
+                }
+                blockChild.fitMissing(input.type == Blockly.INPUT_VALUE);
                 if (blockChild.outputConnection) {
                     input.connection.connect(blockChild.outputConnection);
                 } else if (blockChild.previousConnection) {
@@ -278,6 +387,7 @@ Blockly.Json.domToBlock = function (workspace, jsonBlock, opt_reuseBlock) {
     // Next
     if (jsonBlock.next) {
 //                && firstRealGrandchild.nodeName.toLowerCase() == 'block') {
+        block.fitMissing(false);
         if (!block.nextConnection) {
             console.log('Next statement does not exist.');
         } else if (block.nextConnection.targetConnection) {
@@ -286,7 +396,12 @@ Blockly.Json.domToBlock = function (workspace, jsonBlock, opt_reuseBlock) {
         }
         blockChild = Blockly.Json.domToBlock(workspace, jsonBlock.next,
             opt_reuseBlock);
-        if (!blockChild.previousConnection) {
+        if (blockChild) {
+            blockChild.fitMissing(false);
+        }
+        if (!blockChild) {
+            // Already reported.
+        } else if (!blockChild.previousConnection) {
             console.log('Next block does not have previous statement.');
         }
         else {
@@ -299,13 +414,15 @@ Blockly.Json.domToBlock = function (workspace, jsonBlock, opt_reuseBlock) {
     if (collapsed != null) {
         block.setCollapsed(this.parseBoolean(collapsed));
     }
-    var next = block.nextConnection && block.nextConnection.targetBlock();
-    if (next) {
-        // Next block in a stack needs to square off its corners.
-        // Rendering a child will render its parent.
-        next.render();
-    } else {
-        block.render();
+    if (!workspace.headless) {
+        var next = block.nextConnection && block.nextConnection.targetBlock();
+        if (next) {
+            // Next block in a stack needs to square off its corners.
+            // Rendering a child will render its parent.
+            next.render();
+        } else {
+            block.render();
+        }
     }
     return block;
 };
@@ -318,23 +435,615 @@ Blockly.Json.parseBoolean = function (boolIn) {
     return false;
 }
 
+/**
+ * Properties of a block that a placeholder for an unknown type doesn't need to
+ * keep, as they are restored from the placeholder itself when it is saved.
+ * @const
+ * @private
+ */
+Blockly.Json.MISSING_RESTORED_ = ['id', 'x', 'y', 'comment', 'children', 'next',
+    'collapsed', 'disabled', 'deletable', 'movable', 'editable'];
+
+/**
+ * Set up a placeholder for a block whose type isn't available.  It keeps the
+ * block's own properties (fields, mutation...) to save them unchanged, and
+ * gets inputs for the block's children, which are loaded as usual.
+ * @param {!Blockly.Block} block The placeholder.
+ * @param {!Object} jsonBlock JSON block.
+ * @private
+ */
+Blockly.Json.initMissing_ = function (block, jsonBlock) {
+    var kept = {};
+    for (var key in jsonBlock) {
+        if (Blockly.Json.MISSING_RESTORED_.indexOf(key) == -1) {
+            kept[key] = jsonBlock[key];
+        }
+    }
+    block.missingJson_ = JSON.parse(JSON.stringify(kept));
+    var children = [].concat(jsonBlock.children || []);
+    for (var x = 0; x < children.length; x++) {
+        var child = children[x];
+        if (!child || !Ext.isString(child.name) || block.getInput(child.name)) {
+            continue;
+        }
+        if (child.type == 'value') {
+            block.appendValueInput(child.name)
+                .setAlign(Blockly.ALIGN_RIGHT)
+                .appendField(child.name);
+        } else if (child.type == 'statement') {
+            block.appendStatementInput(child.name)
+                .appendField(child.name);
+        }
+    }
+    if (!block.workspace.headless) {
+        block.setWarningText(Blockly.Msg.MISSING_BLOCK_WARNING.replace('%1',
+            block.type));
+    }
+};
+
 /**
  * Remove any 'next' block (statements in a stack).
- * @param {!Element} xmlBlock XML block element.
+ * @param {!Object} jsonBlock JSON block.
  */
 Blockly.Json.deleteNext = function (jsonBlock) {
-    if (jsonBlock.children != null) {
-        var children = [].concat(jsonBlock.children);
+    delete jsonBlock.next;
+};
+
+/**
+ * Functions upgrading a workspace document to the next version of the format,
+ * by the version they upgrade from.
+ * @type {!Object.<number, function(!Object): !Object>}
+ * @private
+ */
+Blockly.Json.migrations_ = {};
+
+/**
+ * Register the function upgrading workspace documents from one version of the
+ * format to the next.  It is given a copy of the document, and its result is
+ * stamped with the new version.
+ * @param {number} fromVersion Version of the documents it upgrades.
+ * @param {function(!Object): !Object} func Upgrade function.
+ */
+Blockly.Json.registerMigration = function (fromVersion, func) {
+    Blockly.Json.migrations_[fromVersion] = func;
+};
+
+/**
+ * Upgrade a workspace document to the current version of the format.
+ * The document passed in is left untouched.
+ * @param {!Object} json Workspace document, of any version.
+ * @return {!Object} Workspace document of version Blockly.Json.VERSION.
+ */
+Blockly.Json.migrate = function (json) {
+    var errors = [];
+    var result = Blockly.Json.migrate_(json, errors);
+    if (!result) {
+        throw errors[0].message;
+    }
+    return result;
+};
+
+/**
+ * Check a workspace document against the schema, and against the block types
+ * of this editor: unknown blocks, fields and inputs, and children that can't
+ * be connected where they are.  Older versions of the format are upgraded
+ * first, and error paths point into the upgraded document.
+ * @param {Object} json Workspace document.
+ * @return {!Array.<!Object>} Errors, as {path, code, message}.  The path is a
+ *     JSON Pointer, such as '/blocks/0/children/1/block'.  An empty array if
+ *     the document is valid.
+ */
+Blockly.Json.validate = function (json) {
+    var errors = [];
+    json = Blockly.Json.migrate_(json, errors);
+    if (json) {
+        Blockly.Json.validateDocument_(json, errors);
+    }
+    return errors;
+};
+
+/**
+ * Read a workspace document given in any of the supported forms: a JSON
+ * object, JSON text, XML text or an XML DOM (see Blockly.Xml.domToJson).
+ * Throws an error if text can't be parsed.
+ * @param {*} data The document.
+ * @return {*} The document as a JSON object, to be validated or loaded.
+ */
+Blockly.Json.read = function (data) {
+    if (data && data.nodeType) {
+        return Blockly.Xml.domToJson(data);
+    }
+    if (!Ext.isString(data)) {
+        return data;
+    }
+    data = Ext.String.trim(data);
+    if (data.charAt(0) == '<') {
+        return Blockly.Xml.domToJson(Blockly.Xml.textToDom(data));
+    }
+    try {
+        return JSON.parse(data);
+    } catch (e) {
+        throw 'Blockly.Json.read did not obtain valid JSON or XML.';
+    }
+};
+
+/**
+ * Make a validation error.
+ * @param {string} path JSON Pointer to the faulty value.
+ * @param {string} code Error code, such as 'unknownBlockType'.
+ * @param {string} message Description of the error.
+ * @return {!Object} The error.
+ * @private
+ */
+Blockly.Json.error_ = function (path, code, message) {
+    return {path: path, code: code, message: message};
+};
+
+/**
+ * Upgrade a workspace document to the current version of the format.
+ * @param {*} json Workspace document, of any version.
+ * @param {!Array.<!Object>} errors Errors found are added to this.
+ * @return {Object} Upgraded copy of the document, or null if it can't be read.
+ * @private
+ */
+Blockly.Json.migrate_ = function (json, errors) {
+    if (!Ext.isObject(json)) {
+        errors.push(Blockly.Json.error_('', 'invalidDocument',
+            'Workspace document must be an object.'));
+        return null;
+    }
+    // Documents of the original format have no version, and keep their blocks
+    // in 'block'.  A document with 'blocks' but no version would lose them.
+    if (json.version == null && json.blocks != null) {
+        errors.push(Blockly.Json.error_('/version', 'missingProperty',
+            'Workspace document has no version.'));
+        return null;
+    }
+    var version = json.version == null ? 0 : json.version;
+    if (typeof version != 'number' || version < 0 || version % 1 != 0) {
+        errors.push(Blockly.Json.error_('/version', 'invalidType',
+            'Version must be a whole number.'));
+        return null;
+    }
+    if (version > Blockly.Json.VERSION) {
+        errors.push(Blockly.Json.error_('/version', 'unsupportedVersion',
+            'Version ' + version + ' is newer than this editor supports (' +
+            Blockly.Json.VERSION + ').'));
+        return null;
+    }
+    json = JSON.parse(JSON.stringify(json));
+    while (version < Blockly.Json.VERSION) {
+        var migration = Blockly.Json.migrations_[version];
+        if (!migration) {
+            errors.push(Blockly.Json.error_('/version', 'unsupportedVersion',
+                'No migration from version ' + version + '.'));
+            return null;
+        }
+        json = migration(json);
+        version++;
+        json.version = version;
+    }
+    return json;
+};
+
+/**
+ * Upgrade from version 0: put the blocks in an envelope, and turn the strings
+ * older editors wrote for booleans and numbers into proper values.
+ */
+Blockly.Json.registerMigration(0, function (json) {
+    var booleans = ['inline', 'collapsed', 'disabled', 'deletable', 'movable',
+        'editable'];
+    var toBoolean = function (object, key) {
+        if (typeof object[key] == 'string') {
+            object[key] = Blockly.Json.parseBoolean(object[key]);
+        }
+    };
+    var toNumber = function (object, key) {
+        if (typeof object[key] == 'string' && !isNaN(parseFloat(object[key]))) {
+            object[key] = parseFloat(object[key]);
+        }
+    };
+    var upgrade = function (jsonBlock) {
+        if (!Ext.isObject(jsonBlock)) {
+            return;
+        }
+        for (var x = 0; x < booleans.length; x++) {
+            toBoolean(jsonBlock, booleans[x]);
+        }
+        toNumber(jsonBlock, 'x');
+        toNumber(jsonBlock, 'y');
+        // Single items used to be stored without an array.
+        var lists = ['mutation', 'fields', 'children'];
+        for (var x = 0; x < lists.length; x++) {
+            if (jsonBlock[lists[x]] != null) {
+                jsonBlock[lists[x]] = [].concat(jsonBlock[lists[x]]);
+            }
+        }
+        if (Ext.isObject(jsonBlock.comment)) {
+            toBoolean(jsonBlock.comment, 'pinned');
+            toNumber(jsonBlock.comment, 'w');
+            toNumber(jsonBlock.comment, 'h');
+        }
+        for (var x = 0, child; child = (jsonBlock.children || [])[x]; x++) {
+            upgrade(child.block);
+        }
+        upgrade(jsonBlock.next);
+    };
+    var blocks = json.block == null ? [] : [].concat(json.block);
+    for (var x = 0; x < blocks.length; x++) {
+        upgrade(blocks[x]);
+    }
+    return {version: 1, metadata: {}, blocks: blocks};
+});
+
+/**
+ * Validate a workspace document of the current version.
+ * @param {!Object} json Workspace document.
+ * @param {!Array.<!Object>} errors Errors found are added to this.
+ * @private
+ */
+Blockly.Json.validateDocument_ = function (json, errors) {
+    var metadata = json.metadata;
+    if (metadata != null) {
+        if (!Ext.isObject(metadata)) {
+            errors.push(Blockly.Json.error_('/metadata', 'invalidType',
+                'Metadata must be an object.'));
+        } else {
+            var keys = ['name', 'description', 'author', 'created', 'modified'];
+            for (var x = 0; x < keys.length; x++) {
+                if (metadata[keys[x]] != null && !Ext.isString(metadata[keys[x]])) {
+                    errors.push(Blockly.Json.error_('/metadata/' + keys[x],
+                        'invalidType', 'Metadata ' + keys[x] + ' must be a string.'));
+                }
+            }
+        }
+    }
+    if (json.blocks == null) {
+        errors.push(Blockly.Json.error_('/blocks', 'missingProperty',
+            'Workspace document has no blocks.'));
+        return;
+    }
+    if (!Ext.isArray(json.blocks)) {
+        errors.push(Blockly.Json.error_('/blocks', 'invalidType',
+            'Blocks must be an array.'));
+        return;
+    }
+    // Blocks are built on a scratch workspace to check their inputs and fields.
+    var workspace = Blockly.Workspace.createHeadless();
+    try {
+        var ids = {};
+        for (var x = 0; x < json.blocks.length; x++) {
+            var path = '/blocks/' + x;
+            var jsonBlock = json.blocks[x];
+            Blockly.Json.validateBlock_(workspace, jsonBlock, path, ids, errors);
+            if (Ext.isObject(jsonBlock)) {
+                Blockly.Json.checkType_(jsonBlock, 'x', 'number', path, errors);
+                Blockly.Json.checkType_(jsonBlock, 'y', 'number', path, errors);
+            }
+        }
+    } finally {
+        var blocks = workspace.getTopBlocks(false);
+        for (var x = 0; x < blocks.length; x++) {
+            blocks[x].dispose(false);
+        }
+        workspace.dispose();
+    }
+    if (json.comments != null) {
+        Blockly.Json.validateComments_(json.comments, errors);
+    }
+    if (json.frames != null) {
+        Blockly.Json.validateFrames_(json.frames, errors);
+    }
+};
+
+/**
+ * Validate the workspace comments of a document.
+ * @param {*} comments The document's comments.
+ * @param {!Array.<!Object>} errors Errors found are added to this.
+ * @private
+ */
+Blockly.Json.validateComments_ = function (comments, errors) {
+    if (!Ext.isArray(comments)) {
+        errors.push(Blockly.Json.error_('/comments', 'invalidType',
+            'Comments must be an array.'));
+        return;
+    }
+    var commentIds = {};
+    for (var x = 0; x < comments.length; x++) {
+        var path = '/comments/' + x;
+        var comment = comments[x];
+        if (!Ext.isObject(comment)) {
+            errors.push(Blockly.Json.error_(path, 'invalidType',
+                'Comment must be an object.'));
+            continue;
+        }
+        Blockly.Json.checkType_(comment, 'id', 'string', path, errors);
+        Blockly.Json.checkType_(comment, 'text', 'string', path, errors);
+        var keys = ['x', 'y', 'w', 'h'];
+        for (var i = 0; i < keys.length; i++) {
+            Blockly.Json.checkType_(comment, keys[i], 'number', path, errors);
+        }
+        if (comment.id != null) {
+            if (commentIds[comment.id]) {
+                errors.push(Blockly.Json.error_(path + '/id', 'duplicateId',
+                    'Comment id ' + comment.id +
+                    ' is used more than once.'));
+            }
+            commentIds[comment.id] = true;
+        }
+    }
+};
+
+/**
+ * Validate the frames of a document.
+ * @param {*} frames The document's frames.
+ * @param {!Array.<!Object>} errors Errors found are added to this.
+ * @private
+ */
+Blockly.Json.validateFrames_ = function (frames, errors) {
+    if (!Ext.isArray(frames)) {
+        errors.push(Blockly.Json.error_('/frames', 'invalidType',
+            'Frames must be an array.'));
+        return;
+    }
+    var frameIds = {};
+    for (var x = 0; x < frames.length; x++) {
+        var path = '/frames/' + x;
+        var frame = frames[x];
+        if (!Ext.isObject(frame)) {
+            errors.push(Blockly.Json.error_(path, 'invalidType',
+                'Frame must be an object.'));
+            continue;
+        }
+        Blockly.Json.checkType_(frame, 'id', 'string', path, errors);
+        Blockly.Json.checkType_(frame, 'title', 'string', path, errors);
+        Blockly.Json.checkType_(frame, 'collapsed', 'boolean', path, errors);
+        var keys = ['colour', 'x', 'y', 'w', 'h'];
+        for (var i = 0; i < keys.length; i++) {
+            Blockly.Json.checkType_(frame, keys[i], 'number', path, errors);
+        }
+        if (frame.id != null) {
+            if (frameIds[frame.id]) {
+                errors.push(Blockly.Json.error_(path + '/id', 'duplicateId',
+                    'Frame id ' + frame.id + ' is used more than once.'));
+            }
+            frameIds[frame.id] = true;
+        }
+    }
+};
+
+/**
+ * Properties a JSON block may have.
+ * @type {!Array.<string>}
+ * @private
+ */
+Blockly.Json.BLOCK_PROPERTIES_ = ['type', 'id', 'x', 'y', 'inline', 'collapsed',
+    'disabled', 'deletable', 'movable', 'editable', 'mutation', 'comment',
+    'fields', 'children', 'next'];
+
+/**
+ * Validate a block, its children and the blocks following it.
+ * @param {!Blockly.Workspace} workspace Scratch headless workspace.
+ * @param {*} jsonBlock JSON block.
+ * @param {string} path JSON Pointer to the block.
+ * @param {!Object} ids Ids of the blocks seen so far.
+ * @param {!Array.<!Object>} errors Errors found are added to this.
+ * @return {Blockly.Block} The block built from it, or null if it has none.
+ * @private
+ */
+Blockly.Json.validateBlock_ = function (workspace, jsonBlock, path, ids, errors) {
+    var error = function (subPath, code, message) {
+        errors.push(Blockly.Json.error_(path + subPath, code, message));
+    };
+    if (!Ext.isObject(jsonBlock)) {
+        error('', 'invalidType', 'Block must be an object.');
+        return null;
+    }
+    var type = jsonBlock.type;
+    if (type == null || type === '') {
+        error('/type', 'missingProperty', 'Block type unspecified.');
+    } else if (!Ext.isString(type)) {
+        error('/type', 'invalidType', 'Block type must be a string.');
+    }
+    if (jsonBlock.id != null) {
+        if (!Ext.isString(jsonBlock.id) && !Ext.isNumber(jsonBlock.id)) {
+            error('/id', 'invalidType', 'Block id must be a string.');
+        } else if (ids[jsonBlock.id]) {
+            error('/id', 'duplicateId', 'Block id ' + jsonBlock.id +
+                ' is used more than once.');
+        } else {
+            ids[jsonBlock.id] = true;
+        }
+    }
+    var booleans = ['inline', 'collapsed', 'disabled', 'deletable', 'movable',
+        'editable'];
+    for (var x = 0; x < booleans.length; x++) {
+        Blockly.Json.checkType_(jsonBlock, booleans[x], 'boolean', path, errors);
+    }
+    for (var key in jsonBlock) {
+        if (Blockly.Json.BLOCK_PROPERTIES_.indexOf(key) == -1) {
+            error('/' + key, 'unknownProperty', 'Unknown block property ' +
+                key + '.');
+        }
+    }
+
+    var block = null;
+    if (Ext.isString(type) && type) {
+        if (!Blockly.Blocks[type]) {
+            error('/type', 'unknownBlockType', 'Unknown block type ' + type + '.');
+        } else {
+            block = Blockly.Block.obtain(workspace, type);
+        }
+    }
+
+    var comment = jsonBlock.comment;
+    if (comment != null) {
+        if (!Ext.isObject(comment)) {
+            error('/comment', 'invalidType', 'Comment must be an object.');
+        } else {
+            Blockly.Json.checkType_(comment, 'text', 'string', path + '/comment', errors);
+            Blockly.Json.checkType_(comment, 'pinned', 'boolean', path + '/comment', errors);
+            Blockly.Json.checkType_(comment, 'w', 'number', path + '/comment', errors);
+            Blockly.Json.checkType_(comment, 'h', 'number', path + '/comment', errors);
+        }
+    }
+
+    var mutation = jsonBlock.mutation;
+    if (mutation != null) {
+        if (Blockly.Json.checkList_(mutation, path + '/mutation', errors) &&
+            block) {
+            if (!block.domToMutation) {
+                error('/mutation', 'invalidMutation', 'Block type ' + type +
+                    ' has no mutation.');
+            } else {
+                try {
+                    block.domToMutation(mutation);
+                } catch (e) {
+                    error('/mutation', 'invalidMutation', 'Mutation of block type ' +
+                        type + ' can\'t be read: ' + e);
+                }
+            }
+        }
+    }
+
+    var fields = jsonBlock.fields;
+    if (fields != null && Blockly.Json.checkList_(fields, path + '/fields', errors)) {
+        for (var x = 0; x < fields.length; x++) {
+            if (block && Ext.isString(fields[x].name) &&
+                !block.getField_(fields[x].name)) {
+                error('/fields/' + x + '/name', 'unknownField', 'Field ' +
+                    fields[x].name + ' does not exist in block ' + type + '.');
+            }
+        }
+    }
+
+    var children = jsonBlock.children;
+    if (children != null) {
+        if (!Ext.isArray(children)) {
+            error('/children', 'invalidType', 'Children must be an array.');
+            children = [];
+        }
         for (var x = 0; x < children.length; x++) {
+            var childPath = path + '/children/' + x;
+            var child = children[x];
+            if (!Ext.isObject(child)) {
+                error('/children/' + x, 'invalidType', 'Child must be an object.');
+                continue;
+            }
+            if (child.type != 'value' && child.type != 'statement') {
+                error('/children/' + x + '/type', 'invalidValue',
+                    'Child type must be \'value\' or \'statement\'.');
+            }
+            if (!Ext.isString(child.name)) {
+                error('/children/' + x + '/name', 'missingProperty',
+                    'Child has no input name.');
+            }
+            if (child.block == null && child.shadow == null) {
+                continue;
+            }
+            var input = null;
+            if (block && Ext.isString(child.name)) {
+                input = block.getInput(child.name);
+                if (!input || input.type == Blockly.DUMMY_INPUT) {
+                    error('/children/' + x + '/name', 'unknownInput', 'Input ' +
+                        child.name + ' does not exist in block ' + type + '.');
+                    input = null;
+                } else if ((input.type == Blockly.INPUT_VALUE) !=
+                    (child.type == 'value')) {
+                    error('/children/' + x + '/type', 'inputTypeMismatch', 'Input ' +
+                        child.name + ' of block ' + type + ' is not a ' +
+                        child.type + ' input.');
+                }
+            }
+            // The shadow is checked like the block, as it is loaded when
+            // there is no block.
+            var keys = ['shadow', 'block'];
+            for (var i = 0; i < keys.length; i++) {
+                if (child[keys[i]] == null) {
+                    continue;
+                }
+                var childBlock = Blockly.Json.validateBlock_(workspace,
+                    child[keys[i]], childPath + '/' + keys[i], ids, errors);
+                if (input && childBlock) {
+                    Blockly.Json.checkConnection_(input.connection, childBlock,
+                        childPath + '/' + keys[i], errors);
+                }
+            }
+        }
+    }
+
+    if (jsonBlock.next != null) {
+        var nextBlock = Blockly.Json.validateBlock_(workspace, jsonBlock.next,
+            path + '/next', ids, errors);
+        if (block && !block.nextConnection) {
+            error('/next', 'noNextConnection', 'Block ' + type +
+                ' can\'t be followed by another block.');
+        } else if (block && nextBlock) {
+            Blockly.Json.checkConnection_(block.nextConnection, nextBlock,
+                path + '/next', errors);
         }
     }
-    return;
+    return block;
+};
+
+/**
+ * Check that a child block can be plugged into a connection.
+ * @param {!Blockly.Connection} connection Value input, statement input or next
+ *     connection of the parent block.
+ * @param {!Blockly.Block} childBlock The child block.
+ * @param {string} path JSON Pointer to the child block.
+ * @param {!Array.<!Object>} errors Errors found are added to this.
+ * @private
+ */
+Blockly.Json.checkConnection_ = function (connection, childBlock, path, errors) {
+    var type = connection.sourceBlock_.type;
+    var childConnection = connection.type == Blockly.INPUT_VALUE ?
+        childBlock.outputConnection : childBlock.previousConnection;
+    if (!childConnection) {
+        errors.push(Blockly.Json.error_(path, 'notConnectable', 'Block ' +
+            childBlock.type + ' can\'t be connected to block ' + type + '.'));
+    } else if (!connection.checkType_(childConnection)) {
+        errors.push(Blockly.Json.error_(path, 'typeMismatch', 'Block ' +
+            childBlock.type + ' has the wrong type for block ' + type + '.'));
+    }
+};
+
+/**
+ * Check the type of an optional property.
+ * @param {!Object} object Object holding the property.
+ * @param {string} key Name of the property.
+ * @param {string} type Expected type, as given by typeof.
+ * @param {string} path JSON Pointer to the object.
+ * @param {!Array.<!Object>} errors Errors found are added to this.
+ * @private
+ */
+Blockly.Json.checkType_ = function (object, key, type, path, errors) {
+    if (object[key] != null && typeof object[key] != type) {
+        errors.push(Blockly.Json.error_(path + '/' + key, 'invalidType',
+            'Property ' + key + ' must be a ' + type + '.'));
+    }
+};
 
-    /*
-     for (var x = 0, child; child = xmlBlock.childNodes[x]; x++) {
-     if (child.nodeName.toLowerCase() == 'next') {
-     xmlBlock.removeChild(child);
-     break;
-     }
-     }*/
+/**
+ * Check a list of {name, value} pairs, as used by fields and mutations.
+ * @param {*} list The list.
+ * @param {string} path JSON Pointer to the list.
+ * @param {!Array.<!Object>} errors Errors found are added to this.
+ * @return {boolean} True if the list is valid.
+ * @private
+ */
+Blockly.Json.checkList_ = function (list, path, errors) {
+    if (!Ext.isArray(list)) {
+        errors.push(Blockly.Json.error_(path, 'invalidType', 'Must be an array.'));
+        return false;
+    }
+    var valid = true;
+    for (var x = 0; x < list.length; x++) {
+        if (!Ext.isObject(list[x]) || !Ext.isString(list[x].name)) {
+            errors.push(Blockly.Json.error_(path + '/' + x, 'invalidType',
+                'Must be an object with a name.'));
+            valid = false;
+        }
+    }
+    return valid;
 };
@@ -0,0 +1,345 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Overview of a workspace.
+ * The minimap draws each stack of blocks as a rectangle of its colour, scaled
+ * down so that all of them fit, along with a rectangle for the part of the
+ * workspace that is in view.  Clicking or dragging in the minimap scrolls the
+ * workspace.  It lives in its own SVG, so it can be placed anywhere on the page.
+ */
+'use strict';
+
+
+/**
+ * Class for a minimap.
+ * @param {!Blockly.Workspace} workspace The workspace to show.  It must have
+ *     been created by Blockly.inject, with scrollbars.
+ * @constructor
+ */
+Blockly.Minimap = function (workspace) {
+    this.workspace_ = workspace;
+};
+
+/**
+ * Space between the edge of the minimap and the content, in pixels.
+ * @type {number}
+ * @private
+ */
+Blockly.Minimap.prototype.PADDING_ = 5;
+
+/**
+ * The minimap's SVG element.
+ * @type {Element}
+ * @private
+ */
+Blockly.Minimap.prototype.svg_ = null;
+
+/**
+ * The SVG group holding a rectangle for each stack of blocks.
+ * @type {Element}
+ * @private
+ */
+Blockly.Minimap.prototype.svgBlocks_ = null;
+
+/**
+ * The SVG rectangle showing the part of the workspace that is in view.
+ * @type {Element}
+ * @private
+ */
+Blockly.Minimap.prototype.svgView_ = null;
+
+/**
+ * Area covered by the blocks, in workspace units: {left, top, right, bottom}.
+ * Null if there are no blocks.
+ * @type {Object}
+ * @private
+ */
+Blockly.Minimap.prototype.blocksBox_ = null;
+
+/**
+ * Transformation from workspace units to minimap pixels: {x, y, scale}.
+ * @type {Object}
+ * @private
+ */
+Blockly.Minimap.prototype.transform_ = null;
+
+/**
+ * Offset between the mouse and the centre of the view during a drag, in
+ * workspace units.
+ * @type {Object}
+ * @private
+ */
+Blockly.Minimap.prototype.dragOffset_ = null;
+
+/**
+ * Event bindings to remove when the minimap is disposed of.
+ * @type {Array.<!Array>}
+ * @private
+ */
+Blockly.Minimap.prototype.bindData_ = null;
+
+/**
+ * Create the minimap elements.
+ * @return {!Element} The minimap's SVG element, to be added to the page.
+ */
+Blockly.Minimap.prototype.createDom = function () {
+    /*
+     <svg class="blocklyMinimap" width="100%" height="100%">
+     <rect class="blocklyMinimapBackground" width="100%" height="100%"/>
+     <g></g>
+     <rect class="blocklyMinimapView"/>
+     </svg>
+     */
+    this.svg_ = Blockly.createSvgElement('svg', {
+        'xmlns': 'http://www.w3.org/2000/svg',
+        'version': '1.1',
+        'class': 'blocklyMinimap',
+        'width': '100%',
+        'height': '100%'
+    }, null);
+    Blockly.createSvgElement('rect', {'class': 'blocklyMinimapBackground',
+        'width': '100%', 'height': '100%'}, this.svg_);
+    this.svgBlocks_ = Blockly.createSvgElement('g', {}, this.svg_);
+    this.svgView_ = Blockly.createSvgElement('rect',
+        {'class': 'blocklyMinimapView'}, this.svg_);
+    return this.svg_;
+};
+
+/**
+ * Start showing the workspace.  The minimap's SVG must be on the page.
+ */
+Blockly.Minimap.prototype.init = function () {
+    this.workspace_.minimap = this;
+    this.bindData_ = [
+        Blockly.bindEvent_(this.workspace_.getCanvas(), 'blocklyWorkspaceChange',
+            this, this.render),
+        Blockly.bindEvent_(this.svg_, 'mousedown', this, this.onMouseDown_)
+    ];
+    this.render();
+};
+
+/**
+ * Dispose of this minimap.
+ * Unlink from all DOM elements to prevent memory leaks.
+ */
+Blockly.Minimap.prototype.dispose = function () {
+    Blockly.Minimap.unbindDragEvents_();
+    if (this.bindData_) {
+        for (var x = 0; x < this.bindData_.length; x++) {
+            Blockly.unbindEvent_(this.bindData_[x]);
+        }
+        this.bindData_ = null;
+    }
+    if (this.svg_) {
+        Ext.removeNode(this.svg_);
+        this.svg_ = null;
+    }
+    if (this.workspace_ && this.workspace_.minimap == this) {
+        this.workspace_.minimap = null;
+    }
+    this.svgBlocks_ = null;
+    this.svgView_ = null;
+    this.workspace_ = null;
+};
+
+/**
+ * Redraw the blocks.  Called whenever the workspace changes.
+ */
+Blockly.Minimap.prototype.render = function () {
+    if (!this.svg_) {
+        return;
+    }
+    while (this.svgBlocks_.firstChild) {
+        this.svgBlocks_.removeChild(this.svgBlocks_.firstChild);
+    }
+    var box = null;
+    var blocks = this.workspace_.getTopBlocks(false);
+    for (var x = 0, block; block = blocks[x]; x++) {
+        var xy = block.getRelativeToSurfaceXY();
+        var hw = block.getHeightWidth();
+        // In RTL, blocks grow to the left of their position.
+        var left = Blockly.RTL ? xy.x - hw.width : xy.x;
+        Blockly.createSvgElement('rect', {'x': left, 'y': xy.y,
+            'width': hw.width, 'height': hw.height,
+            'fill': Blockly.makeColour(block.getColour())}, this.svgBlocks_);
+        if (box) {
+            box.left = Math.min(box.left, left);
+            box.top = Math.min(box.top, xy.y);
+            box.right = Math.max(box.right, left + hw.width);
+            box.bottom = Math.max(box.bottom, xy.y + hw.height);
+        } else {
+            box = {left: left, top: xy.y, right: left + hw.width,
+                bottom: xy.y + hw.height};
+        }
+    }
+    this.blocksBox_ = box;
+    this.updateView();
+};
+
+/**
+ * Move the view rectangle to the part of the workspace that is in view, and
+ * rescale the minimap so that both the blocks and the view fit.  Called
+ * whenever the workspace is scrolled or zoomed.
+ */
+Blockly.Minimap.prototype.updateView = function () {
+    if (!this.svg_) {
+        return;
+    }
+    var metrics = this.workspace_.getMetrics();
+    var width = this.svg_.parentNode ? this.svg_.parentNode.clientWidth : 0;
+    var height = this.svg_.parentNode ? this.svg_.parentNode.clientHeight : 0;
+    if (!metrics || !width || !height) {
+        // Not visible.
+        return;
+    }
+    // The view, in workspace units.
+    var scale = this.workspace_.scale;
+    var view = {left: metrics.viewLeft / scale, top: metrics.viewTop / scale,
+        right: (metrics.viewLeft + metrics.viewWidth) / scale,
+        bottom: (metrics.viewTop + metrics.viewHeight) / scale};
+    var box = Ext.apply({}, view);
+    if (this.blocksBox_) {
+        box.left = Math.min(box.left, this.blocksBox_.left);
+        box.top = Math.min(box.top, this.blocksBox_.top);
+        box.right = Math.max(box.right, this.blocksBox_.right);
+        box.bottom = Math.max(box.bottom, this.blocksBox_.bottom);
+    }
+    // Fit the box in the minimap, and centre it.
+    var innerWidth = Math.max(width - 2 * this.PADDING_, 1);
+    var innerHeight = Math.max(height - 2 * this.PADDING_, 1);
+    var mapScale = Math.min(innerWidth / (box.right - box.left),
+            innerHeight / (box.bottom - box.top));
+    this.transform_ = {
+        x: this.PADDING_ + (innerWidth - (box.right - box.left) * mapScale) / 2 -
+            box.left * mapScale,
+        y: this.PADDING_ + (innerHeight - (box.bottom - box.top) * mapScale) / 2 -
+            box.top * mapScale,
+        scale: mapScale
+    };
+    this.svgBlocks_.setAttribute('transform', 'translate(' + this.transform_.x +
+        ',' + this.transform_.y + ') scale(' + mapScale + ')');
+    this.svgView_.setAttribute('x', this.transform_.x + view.left * mapScale);
+    this.svgView_.setAttribute('y', this.transform_.y + view.top * mapScale);
+    this.svgView_.setAttribute('width', (view.right - view.left) * mapScale);
+    this.svgView_.setAttribute('height', (view.bottom - view.top) * mapScale);
+};
+
+/**
+ * Convert the position of a mouse event into workspace units.
+ * @param {!Event} e Mouse event.
+ * @return {!Object} Object with .x and .y properties.
+ * @private
+ */
+Blockly.Minimap.prototype.mouseToWorkspace_ = function (e) {
+    var rect = this.svg_.getBoundingClientRect();
+    return {x: (e.clientX - rect.left - this.transform_.x) / this.transform_.scale,
+        y: (e.clientY - rect.top - this.transform_.y) / this.transform_.scale};
+};
+
+/**
+ * Scroll the workspace so that a point is in the centre of the view.
+ * @param {number} x Horizontal position of the point, in workspace units.
+ * @param {number} y Vertical position of the point, in workspace units.
+ */
+Blockly.Minimap.prototype.scrollTo = function (x, y) {
+    var workspace = this.workspace_;
+    if (!workspace.scrollbar) {
+        return;
+    }
+    Blockly.withWorkspace(workspace, function () {
+        workspace.scrollCenter(x, y);
+    });
+};
+
+/**
+ * Handle a mouse-down on the minimap.  The view jumps to the mouse, unless
+ * the view rectangle itself is being dragged.
+ * @param {!Event} e Mouse down event.
+ * @private
+ */
+Blockly.Minimap.prototype.onMouseDown_ = function (e) {
+    Blockly.Minimap.unbindDragEvents_();
+    if (Blockly.isRightButton(e) || !this.transform_) {
+        return;
+    }
+    var xy = this.mouseToWorkspace_(e);
+    this.dragOffset_ = {x: 0, y: 0};
+    if (e.target == this.svgView_) {
+        var mapScale = this.transform_.scale;
+        var viewX = parseFloat(this.svgView_.getAttribute('x')) +
+            parseFloat(this.svgView_.getAttribute('width')) / 2;
+        var viewY = parseFloat(this.svgView_.getAttribute('y')) +
+            parseFloat(this.svgView_.getAttribute('height')) / 2;
+        this.dragOffset_.x = xy.x - (viewX - this.transform_.x) / mapScale;
+        this.dragOffset_.y = xy.y - (viewY - this.transform_.y) / mapScale;
+    }
+    this.scrollTo(xy.x - this.dragOffset_.x, xy.y - this.dragOffset_.y);
+    Blockly.Minimap.onMouseUpWrapper_ = Blockly.bindEvent_(document,
+        'mouseup', null, Blockly.Minimap.unbindDragEvents_);
+    Blockly.Minimap.onMouseMoveWrapper_ = Blockly.bindEvent_(document,
+        'mousemove', this, this.onMouseMove_);
+    // Don't select any text on the page.
+    e.preventDefault();
+    e.stopPropagation();
+};
+
+/**
+ * Scroll the workspace to follow the mouse.
+ * @param {!Event} e Mouse move event.
+ * @private
+ */
+Blockly.Minimap.prototype.onMouseMove_ = function (e) {
+    if (!this.svg_) {
+        return;
+    }
+    var xy = this.mouseToWorkspace_(e);
+    this.scrollTo(xy.x - this.dragOffset_.x, xy.y - this.dragOffset_.y);
+    e.stopPropagation();
+};
+
+/**
+ * Wrapper function called when a mouseUp occurs during a drag operation.
+ * @type {Array.<!Array>}
+ * @private
+ */
+Blockly.Minimap.onMouseUpWrapper_ = null;
+
+/**
+ * Wrapper function called when a mouseMove occurs during a drag operation.
+ * @type {Array.<!Array>}
+ * @private
+ */
+Blockly.Minimap.onMouseMoveWrapper_ = null;
+
+/**
+ * Stop binding to the global mouseup and mousemove events.
+ * @private
+ */
+Blockly.Minimap.unbindDragEvents_ = function () {
+    if (Blockly.Minimap.onMouseUpWrapper_) {
+        Blockly.unbindEvent_(Blockly.Minimap.onMouseUpWrapper_);
+        Blockly.Minimap.onMouseUpWrapper_ = null;
+    }
+    if (Blockly.Minimap.onMouseMoveWrapper_) {
+        Blockly.unbindEvent_(Blockly.Minimap.onMouseMoveWrapper_);
+        Blockly.Minimap.onMouseMoveWrapper_ = null;
+    }
+};
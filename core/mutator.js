@@ -272,6 +272,7 @@ Blockly.Mutator.prototype.workspaceChanged_ = function () {
         // Switch off rendering while the source block is rebuilt.
         var savedRendered = this.block_.rendered;
         this.block_.rendered = false;
+        Blockly.UndoManager.record(this.block_);
         // Allow the source block to rebuild itself.
         this.block_.compose(this.rootBlock_);
         // Restore rendering and show the changes.
@@ -33,13 +33,15 @@ Blockly.Procedures.NAME_TYPE = 'PROCEDURE';
 
 /**
  * Find all user-created procedure definitions.
+ * @param {Blockly.Workspace=} opt_workspace Optional workspace to search
+ *     instead of the main workspace.
  * @return {!Array.<!Array.<!Array>>} Pair of arrays, the
  *     first contains procedures without return variables, the second with.
  *     Each procedure is defined by a three-element list of name, parameter
  *     list, and return value boolean.
  */
-Blockly.Procedures.allProcedures = function () {
-    var blocks = Blockly.mainWorkspace.getAllBlocks();
+Blockly.Procedures.allProcedures = function (opt_workspace) {
+    var blocks = (opt_workspace || Blockly.mainWorkspace).getAllBlocks();
     var proceduresReturn = [];
     var proceduresNoReturn = [];
     for (var x = 0; x < blocks.length; x++) {
@@ -205,6 +207,33 @@ Blockly.Procedures.flyoutCategory = function (blocks, gaps, margin, workspace) {
     populateProcedures(tuple[1], 'procedures_callreturn');
 };
 
+/**
+ * Describe the blocks of the procedure category of a toolbox: a call to each
+ * of the procedures defined on the workspace.  Unlike
+ * Blockly.Procedures.flyoutCategory, the definition blocks aren't included.
+ * @param {!Blockly.Workspace} workspace The workspace whose procedures are
+ *     listed.
+ * @return {!Array.<!Object>} List of JSON blocks.
+ */
+Blockly.Procedures.toolboxCategory = function (workspace) {
+    var blocks = [];
+    var tuple = Blockly.Procedures.allProcedures(workspace);
+    var templateNames = ['procedures_callnoreturn', 'procedures_callreturn'];
+    for (var t = 0; t < templateNames.length; t++) {
+        if (!Blockly.Blocks[templateNames[t]]) {
+            continue;
+        }
+        for (var x = 0; x < tuple[t].length; x++) {
+            var mutation = [{name: 'name', value: tuple[t][x][0]}];
+            for (var y = 0; y < tuple[t][x][1].length; y++) {
+                mutation.push({name: 'arg', value: tuple[t][x][1][y]});
+            }
+            blocks.push({type: templateNames[t], mutation: mutation});
+        }
+    }
+    return blocks;
+};
+
 /**
  * Find all the callers of a named procedure.
  * @param {string} name Name of procedure.
@@ -0,0 +1,118 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Object representing the geometry blocks are drawn with:
+ * spacing, corners, and the shapes of the tabs and notches.  Blocks are drawn
+ * by Blockly.BlockSvg from its UI constants, so a renderer is applied by
+ * setting those constants.  They are shared by all the editors on the page,
+ * so the renderer of the active editor's theme is applied whenever the
+ * active editor changes (see Blockly.Theme).
+ */
+'use strict';
+
+
+/**
+ * Class for a renderer.
+ * @param {string} name The renderer's name.
+ * @param {!Object} geometry Dictionary of the UI constants of Blockly.BlockSvg
+ *     to set, named as in Blockly.Renderer.GEOMETRY.  Those missing keep
+ *     their classic values.  TAB_PATH_DOWN and TAB_PATH_UP may be given to
+ *     change the shape of the value tabs: the first is drawn from the top of
+ *     the tab down by TAB_HEIGHT, the second from the bottom of the tab up to
+ *     5 below its top.  The highlights of the tabs are only drawn in the
+ *     classic shape, so themes with other tabs should turn highlights off.
+ * @constructor
+ */
+Blockly.Renderer = function (name, geometry) {
+    this.name = name;
+    this.geometry_ = {};
+    for (var x = 0; x < Blockly.Renderer.GEOMETRY.length; x++) {
+        var key = Blockly.Renderer.GEOMETRY[x];
+        this.geometry_[key] = geometry.hasOwnProperty(key) ?
+            geometry[key] : Blockly.Renderer.CLASSIC_GEOMETRY_[key];
+    }
+    this.tabPathDown_ = geometry['TAB_PATH_DOWN'] || null;
+    this.tabPathUp_ = geometry['TAB_PATH_UP'] || null;
+};
+
+/**
+ * Names of the UI constants of Blockly.BlockSvg which a renderer sets.
+ * The paths of the corners are computed from them.
+ */
+Blockly.Renderer.GEOMETRY = ['SEP_SPACE_X', 'SEP_SPACE_Y', 'INLINE_PADDING_Y',
+    'MIN_BLOCK_Y', 'TAB_HEIGHT', 'TAB_WIDTH', 'NOTCH_WIDTH', 'CORNER_RADIUS',
+    'FIELD_HEIGHT', 'NOTCH_PATH_LEFT', 'NOTCH_PATH_LEFT_HIGHLIGHT',
+    'NOTCH_PATH_RIGHT', 'JAGGED_TEETH', 'JAGGED_TEETH_HEIGHT',
+    'JAGGED_TEETH_WIDTH'];
+
+/**
+ * The classic values of the UI constants, as Blockly.BlockSvg defines them.
+ * @type {!Object}
+ * @private
+ */
+Blockly.Renderer.CLASSIC_GEOMETRY_ = (function () {
+    var geometry = {};
+    for (var x = 0; x < Blockly.Renderer.GEOMETRY.length; x++) {
+        var key = Blockly.Renderer.GEOMETRY[x];
+        geometry[key] = Blockly.BlockSvg[key];
+    }
+    return geometry;
+})();
+
+/**
+ * Set the UI constants of Blockly.BlockSvg, so that blocks rendered from now
+ * on are drawn by this renderer.
+ * @private
+ */
+Blockly.Renderer.prototype.apply_ = function () {
+    for (var key in this.geometry_) {
+        Blockly.BlockSvg[key] = this.geometry_[key];
+    }
+    Blockly.BlockSvg.computePaths_();
+    if (this.tabPathDown_) {
+        Blockly.BlockSvg.TAB_PATH_DOWN = this.tabPathDown_;
+    }
+    if (this.tabPathUp_) {
+        Blockly.BlockSvg.TAB_PATH_UP = this.tabPathUp_;
+    }
+};
+
+/**
+ * The renderer Blockly has always drawn blocks with: rounded corners and
+ * curved puzzle tabs.
+ */
+Blockly.Renderer.CLASSIC = new Blockly.Renderer('classic', {});
+
+/**
+ * A flatter renderer: small corners, roomier blocks, and angular tabs and
+ * notches, to sit with flat Ext themes such as Neptune and Crisp.
+ */
+Blockly.Renderer.FLAT = new Blockly.Renderer('flat', {
+    'SEP_SPACE_X': 12,
+    'MIN_BLOCK_Y': 30,
+    'CORNER_RADIUS': 4,
+    'FIELD_HEIGHT': 20,
+    'NOTCH_PATH_LEFT': 'l 5,5 5,0 5,-5',
+    'NOTCH_PATH_LEFT_HIGHLIGHT': 'l 5,5 5,0 5,-5',
+    'NOTCH_PATH_RIGHT': 'l -5,5 -5,0 -5,-5',
+    'TAB_PATH_DOWN': 'v 5 l -8,3 0,9 8,3',
+    'TAB_PATH_UP': 'l -8,-3 0,-9 8,-3'
+});
@@ -0,0 +1,465 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Runs the JavaScript generated from a workspace in a Web
+ * Worker, so that a program which never ends can't freeze the page.
+ * The code is generated with a hook before every statement, which tells the
+ * worker which block is running so that errors can be reported against it,
+ * and a hook in every loop, which counts the iterations.  The program can't
+ * reach the page: what it prints or asks is sent back as messages, and the
+ * functions of the host's API are called with messages too.
+ * Where the page can share memory with the worker (see
+ * Blockly.Runner.isSynchronous), the worker waits for the answer to an API
+ * call with Atomics.wait, and the page writes the function's result, as JSON,
+ * to a SharedArrayBuffer.  Results larger than the buffer are written in
+ * chunks, the worker asking for each of the following ones with a message.
+ */
+'use strict';
+
+
+/**
+ * Class for running the blocks of a workspace.
+ * @param {!Blockly.Workspace} workspace The workspace to run the blocks of.
+ * @param {Object=} opt_options Dictionary of options:
+ *     timeout - milliseconds before the program is stopped (5000 by default),
+ *     maxLoops - number of loop iterations before the program is stopped
+ *         (100000 by default),
+ *     api - dictionary of functions the program may call by name.  They are
+ *         called in the page with copies of the arguments.  If
+ *         Blockly.Runner.isSynchronous(), the program waits for them, and
+ *         gets a copy of their return value, which must be JSON.  Otherwise
+ *         they are only notified: the program carries on before they are
+ *         called, and always gets undefined.  An error thrown by one of them
+ *         stops the program,
+ *     input - list of answers to the program's prompts, in order.  Once they
+ *         are used up, prompts are answered with null (as if cancelled),
+ *     onOutput - function called with the text and 'print' for each line
+ *         printed, or the message, 'prompt' and the answer for each prompt,
+ *     onFinish - function called when the program ends, with null, or an
+ *         error as an object with a message and the ID of the block which
+ *         was running (if known).
+ * @constructor
+ */
+Blockly.Runner = function (workspace, opt_options) {
+    var options = opt_options || {};
+    this.workspace_ = workspace;
+    this.timeout_ = options.timeout || Blockly.Runner.TIMEOUT;
+    this.maxLoops_ = options.maxLoops || Blockly.Runner.MAX_LOOPS;
+    this.api_ = options.api || {};
+    this.input_ = options.input || [];
+    this.onOutput_ = options.onOutput || null;
+    this.onFinish_ = options.onFinish || null;
+};
+
+/**
+ * Default number of milliseconds before the program is stopped.
+ */
+Blockly.Runner.TIMEOUT = 5000;
+
+/**
+ * Default number of loop iterations before the program is stopped.
+ */
+Blockly.Runner.MAX_LOOPS = 100000;
+
+/**
+ * Globals of the worker which the program is kept from using.  This doesn't
+ * make the worker any safer, only the program more predictable.
+ */
+Blockly.Runner.HIDDEN_GLOBALS = ['self', 'globalThis', 'postMessage',
+    'onmessage', 'close', 'importScripts', 'fetch', 'XMLHttpRequest',
+    'WebSocket', 'EventSource', 'Worker', 'indexedDB', 'caches'];
+
+/**
+ * Size in bytes of the memory shared with the worker for the results of API
+ * calls, including the 8 bytes of its header.
+ */
+Blockly.Runner.BUFFER_SIZE = 64 * 1024;
+
+/**
+ * Can the program wait for the functions of the API, and get their return
+ * values?  This needs SharedArrayBuffer, which browsers only offer to pages
+ * that are cross-origin isolated.  Otherwise API calls are notify-only.
+ * @return {boolean} True if API calls are synchronous.
+ */
+Blockly.Runner.isSynchronous = function () {
+    return typeof SharedArrayBuffer == 'function' && typeof Atomics == 'object' &&
+        window.crossOriginIsolated !== false;
+};
+
+/**
+ * The worker running the program.
+ * @type {Worker}
+ * @private
+ */
+Blockly.Runner.prototype.worker_ = null;
+
+/**
+ * Timer stopping the program when it takes too long.
+ * @type {?number}
+ * @private
+ */
+Blockly.Runner.prototype.timer_ = null;
+
+/**
+ * Memory shared with the worker for the results of API calls, or null if API
+ * calls are notify-only.
+ * @type {SharedArrayBuffer}
+ * @private
+ */
+Blockly.Runner.prototype.buffer_ = null;
+
+/**
+ * Result of the last API call, as UTF-8 bytes, while it is being written to
+ * the shared memory in chunks.
+ * @type {Array.<number>}
+ * @private
+ */
+Blockly.Runner.prototype.result_ = null;
+
+/**
+ * Number of bytes of the result written so far.
+ * @type {number}
+ * @private
+ */
+Blockly.Runner.prototype.resultOffset_ = 0;
+
+/**
+ * Generate the code the runner runs, with hooks for the worker.
+ * @param {!Blockly.Workspace} workspace The workspace to generate code from.
+ * @return {string} The program.
+ */
+Blockly.Runner.workspaceToCode = function (workspace) {
+    var generator = Blockly.JavaScript;
+    var prefix = generator.STATEMENT_PREFIX;
+    var trap = generator.INFINITE_LOOP_TRAP;
+    // The names of the hooks can't clash with those of variables or
+    // procedures, which never contain '$'.
+    generator.STATEMENT_PREFIX = '$runner.block(%1);\n';
+    generator.INFINITE_LOOP_TRAP = '$runner.loop(%1);\n';
+    try {
+        return generator.workspaceToCode(workspace);
+    } finally {
+        generator.STATEMENT_PREFIX = prefix;
+        generator.INFINITE_LOOP_TRAP = trap;
+    }
+};
+
+/**
+ * The worker's script.  It is turned into text and run in the worker, so it
+ * can't use anything outside of itself.
+ * @param {!Object} self The worker's global scope.
+ * @private
+ */
+Blockly.Runner.workerMain_ = function (self) {
+    self.onmessage = function (e) {
+        var data = e.data;
+        var post = function (message) {
+            self.postMessage(message);
+        };
+        var blockId = null;
+        var loops = data.maxLoops;
+        var input = data.input.slice();
+        var runner = {
+            block: function (id) {
+                blockId = id;
+            },
+            loop: function (id) {
+                blockId = id;
+                if (--loops < 0) {
+                    throw data.loopMessage;
+                }
+            }
+        };
+        var window = {
+            alert: function (text) {
+                post({type: 'print', text: String(text)});
+            },
+            prompt: function (text) {
+                var answer = input.length ? String(input.shift()) : null;
+                post({type: 'prompt', text: String(text), answer: answer});
+                return answer;
+            }
+        };
+        var names = ['$runner', 'window'];
+        var values = [runner, window];
+        // Header of the shared memory: the state (0 while waiting, 1 when a
+        // chunk of the result is ready, 2 for its last chunk) and the chunk's
+        // length.  The chunk follows.
+        var state = data.buffer ? new Int32Array(data.buffer, 0, 2) : null;
+        var bytes = data.buffer ? new Uint8Array(data.buffer, 8) : null;
+        var receive = function () {
+            var text = '';
+            for (;;) {
+                Atomics.wait(state, 0, 0);
+                var last = Atomics.load(state, 0) == 2;
+                for (var x = 0; x < state[1]; x++) {
+                    text += String.fromCharCode(bytes[x]);
+                }
+                Atomics.store(state, 0, 0);
+                if (last) {
+                    // The bytes are UTF-8.
+                    return JSON.parse(decodeURIComponent(escape(text)));
+                }
+                post({type: 'more'});
+            }
+        };
+        var callApi = function (name) {
+            return function () {
+                if (state) {
+                    Atomics.store(state, 0, 0);
+                }
+                try {
+                    post({type: 'call', name: name, blockId: blockId,
+                        args: Array.prototype.slice.call(arguments),
+                        sync: !!state});
+                } catch (e) {
+                    // Functions, for one, can't be copied to the page.
+                    if (e && e.name == 'DataCloneError') {
+                        throw data.sendMessage.replace('%1', name);
+                    }
+                    throw e;
+                }
+                if (state) {
+                    var result = receive();
+                    if ('error' in result) {
+                        throw result.error;
+                    }
+                    return result.value;
+                }
+            };
+        };
+        for (var x = 0; x < data.api.length; x++) {
+            names.push(data.api[x]);
+            values.push(callApi(data.api[x]));
+        }
+        for (var x = 0; x < data.hidden.length; x++) {
+            names.push(data.hidden[x]);
+            values.push(undefined);
+        }
+        try {
+            var program = Function.apply(null, names.concat(data.code));
+            program.apply({}, values);
+            post({type: 'done'});
+        } catch (e) {
+            post({type: 'error', message: String(e), blockId: blockId});
+        }
+    };
+};
+
+/**
+ * Run the blocks of the workspace.  A program which is already running is
+ * stopped first.
+ */
+Blockly.Runner.prototype.run = function () {
+    this.stop();
+    var code;
+    try {
+        code = Blockly.Runner.workspaceToCode(this.workspace_);
+        this.worker_ = this.createWorker_();
+        if (Blockly.Runner.isSynchronous()) {
+            this.buffer_ = new SharedArrayBuffer(Blockly.Runner.BUFFER_SIZE);
+        }
+    } catch (e) {
+        this.finish_({message: String(e), blockId: null});
+        return;
+    }
+    var api = [];
+    for (var name in this.api_) {
+        api.push(name);
+    }
+    var thisRunner = this;
+    var worker = this.worker_;
+    // Ignore what a stopped worker sent before it was stopped.
+    worker.onmessage = function (e) {
+        if (thisRunner.worker_ == worker) {
+            thisRunner.onMessage_(e.data);
+        }
+    };
+    worker.onerror = function (e) {
+        if (thisRunner.worker_ == worker) {
+            thisRunner.finish_({message: e.message, blockId: null});
+        }
+    };
+    this.timer_ = window.setTimeout(function () {
+        thisRunner.finish_({message: Blockly.Msg.RUNNER_TIMEOUT.replace('%1',
+            thisRunner.timeout_ / 1000), blockId: null});
+    }, this.timeout_);
+    worker.postMessage({
+        code: code,
+        maxLoops: this.maxLoops_,
+        loopMessage: Blockly.Msg.RUNNER_TOO_MANY_LOOPS.replace('%1',
+            this.maxLoops_),
+        sendMessage: Blockly.Msg.RUNNER_CANT_SEND,
+        input: this.input_,
+        api: api,
+        buffer: this.buffer_,
+        hidden: Blockly.Runner.HIDDEN_GLOBALS
+    });
+};
+
+/**
+ * Stop the program, if it is running.  The finish function isn't called.
+ */
+Blockly.Runner.prototype.stop = function () {
+    if (this.timer_) {
+        window.clearTimeout(this.timer_);
+        this.timer_ = null;
+    }
+    if (this.worker_) {
+        this.worker_.terminate();
+        this.worker_ = null;
+    }
+    this.buffer_ = null;
+    this.result_ = null;
+};
+
+/**
+ * Is the program running?
+ * @return {boolean} True if it is running.
+ */
+Blockly.Runner.prototype.isRunning = function () {
+    return !!this.worker_;
+};
+
+/**
+ * Create a worker running Blockly.Runner.workerMain_.
+ * @return {!Worker} The worker.
+ * @private
+ */
+Blockly.Runner.prototype.createWorker_ = function () {
+    if (!window.Worker || !window.Blob || !window.URL) {
+        throw Blockly.Msg.RUNNER_NO_WORKER;
+    }
+    var source = '(' + Blockly.Runner.workerMain_ + ')(self);';
+    var url = URL.createObjectURL(new Blob([source],
+        {type: 'text/javascript'}));
+    var worker = new Worker(url);
+    URL.revokeObjectURL(url);
+    return worker;
+};
+
+/**
+ * Handle a message from the worker.
+ * @param {!Object} message The message.
+ * @private
+ */
+Blockly.Runner.prototype.onMessage_ = function (message) {
+    switch (message.type) {
+        case 'print':
+            if (this.onOutput_) {
+                this.onOutput_(message.text, 'print');
+            }
+            break;
+        case 'prompt':
+            if (this.onOutput_) {
+                this.onOutput_(message.text, 'prompt', message.answer);
+            }
+            break;
+        case 'call':
+            this.call_(message);
+            break;
+        case 'more':
+            this.sendResult_();
+            break;
+        case 'error':
+            this.finish_({message: message.message, blockId: message.blockId});
+            break;
+        case 'done':
+            this.finish_(null);
+            break;
+    }
+};
+
+/**
+ * Call a function of the API for the program.  If the program waits for it,
+ * its result or error is sent back, otherwise an error ends the program.
+ * @param {!Object} message The worker's message, with the function's name,
+ *     its arguments and the ID of the block calling it.
+ * @private
+ */
+Blockly.Runner.prototype.call_ = function (message) {
+    var sync = message.sync && this.buffer_;
+    var text = '{}';
+    // Only the functions of the API can be called.
+    if (Object.prototype.hasOwnProperty.call(this.api_, message.name)) {
+        try {
+            var value = this.api_[message.name].apply(null, message.args);
+            if (sync) {
+                // The result is sent to the program as JSON.
+                text = JSON.stringify({value: value});
+            }
+        } catch (e) {
+            var error = Blockly.Msg.RUNNER_API_ERROR
+                .replace('%1', message.name).replace('%2', String(e));
+            if (!sync) {
+                this.finish_({message: error, blockId: message.blockId});
+                return;
+            }
+            text = JSON.stringify({error: error});
+        }
+    }
+    if (sync) {
+        // Encode the result as UTF-8.
+        text = unescape(encodeURIComponent(text));
+        this.result_ = [];
+        for (var x = 0; x < text.length; x++) {
+            this.result_.push(text.charCodeAt(x));
+        }
+        this.resultOffset_ = 0;
+        this.sendResult_();
+    }
+};
+
+/**
+ * Write the next chunk of the result of an API call to the shared memory, and
+ * wake the worker up.
+ * @private
+ */
+Blockly.Runner.prototype.sendResult_ = function () {
+    if (!this.result_ || !this.buffer_) {
+        return;
+    }
+    var state = new Int32Array(this.buffer_, 0, 2);
+    var bytes = new Uint8Array(this.buffer_, 8);
+    var chunk = this.result_.slice(this.resultOffset_,
+        this.resultOffset_ + bytes.length);
+    bytes.set(chunk);
+    this.resultOffset_ += chunk.length;
+    state[1] = chunk.length;
+    var last = this.resultOffset_ >= this.result_.length;
+    if (last) {
+        this.result_ = null;
+    }
+    Atomics.store(state, 0, last ? 2 : 1);
+    Atomics.notify(state, 0);
+};
+
+/**
+ * End the program.
+ * @param {Object} error The error which ended the program, if any.
+ * @private
+ */
+Blockly.Runner.prototype.finish_ = function (error) {
+    this.stop();
+    if (this.onFinish_) {
+        this.onFinish_(error);
+    }
+};
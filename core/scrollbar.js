@@ -47,8 +47,10 @@ Blockly.ScrollbarPair = function (workspace) {
  * Unlink from all DOM elements to prevent memory leaks.
  */
 Blockly.ScrollbarPair.prototype.dispose = function () {
-    Blockly.unbindEvent_(this.onResizeWrapper_);
-    this.onResizeWrapper_ = null;
+    if (this.onResizeWrapper_) {
+        Blockly.unbindEvent_(this.onResizeWrapper_);
+        this.onResizeWrapper_ = null;
+    }
     Ext.removeNode(this.corner_);
     this.corner_ = null;
     this.workspace_ = null;
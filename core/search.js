@@ -0,0 +1,234 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Finding blocks in a workspace.
+ * Blocks match on their type, the text of their fields, their comment and,
+ * when collapsed, their summary.  Matches are highlighted and may be stepped
+ * through, scrolling each one into view.
+ */
+'use strict';
+
+
+/**
+ * Class for the search of one workspace.
+ * @param {!Blockly.Workspace} workspace The workspace to search.
+ * @constructor
+ */
+Blockly.Search = function (workspace) {
+    this.workspace_ = workspace;
+    /**
+     * Blocks matching the current query, in reading order.
+     * @type {!Array.<!Blockly.Block>}
+     * @private
+     */
+    this.results_ = [];
+};
+
+/**
+ * The current query.
+ * @type {string}
+ * @private
+ */
+Blockly.Search.prototype.query_ = '';
+
+/**
+ * Index of the current result (-1 before stepping to the first one).
+ * @type {number}
+ * @private
+ */
+Blockly.Search.prototype.index_ = -1;
+
+/**
+ * Does a block match a query?
+ * Blocks inside a collapsed block are not considered; the collapsed block
+ * matches on its summary instead.
+ * @param {!Blockly.Block} block Block to test.
+ * @param {string} query Lower case text to look for.
+ * @return {boolean} True if the block matches.
+ * @private
+ */
+Blockly.Search.blockMatches_ = function (block, query) {
+    var text = [block.type, block.getCommentText()];
+    for (var x = 0, input; input = block.inputList[x]; x++) {
+        for (var y = 0, field; field = input.fieldRow[y]; y++) {
+            // The displayed text (e.g. a dropdown option or a variable name).
+            text.push(field.getText());
+        }
+    }
+    if (block.isCollapsed()) {
+        text.push(block.toString());
+    }
+    for (var x = 0; x < text.length; x++) {
+        if (String(text[x]).toLowerCase().indexOf(query) != -1) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Find the blocks of a workspace which match a query.
+ * The search is case insensitive.
+ * @param {!Blockly.Workspace} workspace The workspace to search.
+ * @param {string} query Text to look for.
+ * @return {!Array.<!Blockly.Block>} Matching blocks, in reading order.
+ */
+Blockly.Search.findBlocks = function (workspace, query) {
+    var found = [];
+    query = Ext.util.Format.trim(String(query || '')).toLowerCase();
+    if (!query) {
+        return found;
+    }
+    function search(block) {
+        if (Blockly.Search.blockMatches_(block, query)) {
+            found.push(block);
+        }
+        if (!block.isCollapsed()) {
+            for (var x = 0, child; child = block.childBlocks_[x]; x++) {
+                search(child);
+            }
+        }
+    }
+
+    var blocks = workspace.getTopBlocks(true);
+    for (var x = 0; x < blocks.length; x++) {
+        search(blocks[x]);
+    }
+    return found;
+};
+
+/**
+ * Search the workspace, highlighting all the matches.
+ * @param {string} query Text to look for.  An empty query clears the search.
+ * @return {number} Number of matching blocks.
+ */
+Blockly.Search.prototype.setQuery = function (query) {
+    this.clear();
+    this.query_ = query || '';
+    this.results_ = Blockly.Search.findBlocks(this.workspace_, this.query_);
+    for (var x = 0; x < this.results_.length; x++) {
+        if (this.results_[x].svg_) {
+            this.results_[x].svg_.addSearchMatch();
+        }
+    }
+    return this.results_.length;
+};
+
+/**
+ * Get the current query.
+ * @return {string} The query.
+ */
+Blockly.Search.prototype.getQuery = function () {
+    return this.query_;
+};
+
+/**
+ * Get the blocks which matched the current query.
+ * Blocks deleted since the search are left out.
+ * @return {!Array.<!Blockly.Block>} Matching blocks, in reading order.
+ */
+Blockly.Search.prototype.getResults = function () {
+    this.removeDeleted_();
+    return [].concat(this.results_);
+};
+
+/**
+ * Get the index of the current result.
+ * @return {number} Index into getResults(), or -1 if there is none.
+ */
+Blockly.Search.prototype.getIndex = function () {
+    this.removeDeleted_();
+    return this.index_;
+};
+
+/**
+ * Step to the next result, wrapping around at the end.
+ * @return {Blockly.Block} The result, or null if there are no results.
+ */
+Blockly.Search.prototype.next = function () {
+    return this.step_(1);
+};
+
+/**
+ * Step to the previous result, wrapping around at the start.
+ * @return {Blockly.Block} The result, or null if there are no results.
+ */
+Blockly.Search.prototype.previous = function () {
+    return this.step_(-1);
+};
+
+/**
+ * Step through the results, then select the result and scroll it into view.
+ * @param {number} direction 1 to step forwards, -1 to step backwards.
+ * @return {Blockly.Block} The result, or null if there are no results.
+ * @private
+ */
+Blockly.Search.prototype.step_ = function (direction) {
+    this.removeDeleted_();
+    var count = this.results_.length;
+    if (!count) {
+        return null;
+    }
+    if (this.index_ == -1) {
+        this.index_ = direction > 0 ? 0 : count - 1;
+    } else {
+        this.index_ = (this.index_ + direction + count) % count;
+    }
+    var block = this.results_[this.index_];
+    if (block.svg_) {
+        block.select();
+        this.workspace_.scrollBlockIntoView(block);
+    }
+    return block;
+};
+
+/**
+ * Forget the query and remove the highlighting.
+ */
+Blockly.Search.prototype.clear = function () {
+    for (var x = 0; x < this.results_.length; x++) {
+        if (this.results_[x].svg_) {
+            this.results_[x].svg_.removeSearchMatch();
+        }
+    }
+    this.query_ = '';
+    this.results_ = [];
+    this.index_ = -1;
+};
+
+/**
+ * Drop results whose blocks have been deleted, keeping the current one
+ * current.
+ * @private
+ */
+Blockly.Search.prototype.removeDeleted_ = function () {
+    for (var x = this.results_.length - 1; x >= 0; x--) {
+        if (!this.results_[x].workspace) {
+            this.results_.splice(x, 1);
+            if (x < this.index_) {
+                this.index_--;
+            } else if (x == this.index_) {
+                // Step forwards from the result before the deleted one.
+                this.index_--;
+            }
+        }
+    }
+};
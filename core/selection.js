@@ -0,0 +1,548 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Selection of several blocks at once.
+ * Blocks are added to the selection with shift-click, or by dragging a
+ * rectangle around them on the empty canvas.  The selected stacks are dragged
+ * together, and deleting, copying, duplicating, disabling and collapsing act
+ * on all the selected blocks.  Blockly.selection holds the selected blocks,
+ * and Blockly.selected the one selected last.
+ */
+'use strict';
+
+Blockly.Selection = {};
+
+/**
+ * The rubber band rectangle being dragged out, if any.
+ * @type {Element}
+ * @private
+ */
+Blockly.Selection.rubberBand_ = null;
+
+/**
+ * Where the rubber band was started, in pixels relative to the SVG.
+ * @type {Object}
+ * @private
+ */
+Blockly.Selection.bandStart_ = null;
+
+/**
+ * The workspace the rubber band is dragged on.
+ * @type {Blockly.Workspace}
+ * @private
+ */
+Blockly.Selection.bandWorkspace_ = null;
+
+/**
+ * Wrapper function called when a mouseUp occurs during a rubber band drag.
+ * @type {Array.<!Array>}
+ * @private
+ */
+Blockly.Selection.onMouseUpWrapper_ = null;
+
+/**
+ * Wrapper function called when a mouseMove occurs during a rubber band drag.
+ * @type {Array.<!Array>}
+ * @private
+ */
+Blockly.Selection.onMouseMoveWrapper_ = null;
+
+/**
+ * Stacks dragged along with the block under the mouse, and where they
+ * started.
+ * @type {!Array.<!Object>}
+ * @private
+ */
+Blockly.Selection.dragged_ = [];
+
+/**
+ * Unselect all the blocks, and the selected workspace comment.
+ */
+Blockly.Selection.clear = function () {
+    var blocks = [].concat(Blockly.selection);
+    for (var x = blocks.length - 1; x >= 0; x--) {
+        blocks[x].unselect();
+    }
+    if (Blockly.selectedComment) {
+        Blockly.selectedComment.unselect();
+    }
+};
+
+/**
+ * Select some blocks.  The last one becomes Blockly.selected.
+ * @param {!Array.<!Blockly.Block>} blocks Blocks to select.
+ * @param {boolean=} opt_add True to keep the blocks already selected.
+ */
+Blockly.Selection.set = function (blocks, opt_add) {
+    if (!opt_add) {
+        Blockly.Selection.clear();
+    }
+    for (var x = 0; x < blocks.length; x++) {
+        blocks[x].addToSelection();
+    }
+};
+
+/**
+ * Get the selected blocks which aren't inside another selected block.
+ * @return {!Array.<!Blockly.Block>} The blocks, in the order they were
+ *     selected.
+ * @private
+ */
+Blockly.Selection.getOutermost_ = function () {
+    var blocks = [];
+    for (var x = 0, block; block = Blockly.selection[x]; x++) {
+        var parent = block.getParent();
+        while (parent && !parent.isSelected()) {
+            parent = parent.getParent();
+        }
+        if (!parent) {
+            blocks.push(block);
+        }
+    }
+    return blocks;
+};
+
+/**
+ * Convert the selected blocks to clipboard JSON.  Each block is taken with
+ * the blocks inside it, and with the blocks below it as far as they are
+ * selected too.  Blocks which may not be deleted are left out.
+ * @return {!Array.<!Object>} JSON blocks, with their positions.
+ * @private
+ */
+Blockly.Selection.toJson_ = function () {
+    var jsonBlocks = [];
+    var blocks = Blockly.Selection.getOutermost_();
+    for (var x = 0, block; block = blocks[x]; x++) {
+        if (!block.isDeletable()) {
+            continue;
+        }
+        var jsonBlock = Blockly.Clipboard.blockToJson_(block, true);
+        // Cut the stack after the last selected block.
+        var json = jsonBlock;
+        var next = Blockly.Selection.nextBlock_(block);
+        while (next && next.isSelected()) {
+            json = json.next;
+            next = Blockly.Selection.nextBlock_(next);
+        }
+        Blockly.Json.deleteNext(json);
+        jsonBlocks.push(jsonBlock);
+    }
+    return jsonBlocks;
+};
+
+/**
+ * Get the block below a block in its stack.
+ * @param {!Blockly.Block} block The block.
+ * @return {Blockly.Block} The next block, or null if there is none.
+ * @private
+ */
+Blockly.Selection.nextBlock_ = function (block) {
+    return block.nextConnection && block.nextConnection.targetBlock();
+};
+
+/**
+ * Copy the selected blocks onto the clipboard.
+ * @return {boolean} True if any blocks were copied.
+ */
+Blockly.Selection.copy = function () {
+    var jsonBlocks = Blockly.Selection.toJson_();
+    if (!jsonBlocks.length) {
+        return false;
+    }
+    Blockly.Clipboard.setData_(jsonBlocks);
+    return true;
+};
+
+/**
+ * Copy the selected blocks onto the clipboard and delete them.
+ * @return {boolean} True if any blocks were cut.
+ */
+Blockly.Selection.cut = function () {
+    if (!Blockly.Selection.copy()) {
+        return false;
+    }
+    Blockly.Selection.deleteBlocks();
+    return true;
+};
+
+/**
+ * Duplicate the selected blocks.  The duplicates are selected.
+ * @return {boolean} True if the blocks were duplicated, false if there is no
+ *     room for them.
+ */
+Blockly.Selection.duplicate = function () {
+    var jsonBlocks = Blockly.Selection.toJson_();
+    if (!jsonBlocks.length) {
+        return false;
+    }
+    // The duplicates are offset from the originals as they are pasted.
+    return Blockly.Clipboard.paste(Blockly.mainWorkspace,
+        {format: Blockly.Clipboard.FORMAT, blocks: jsonBlocks});
+};
+
+/**
+ * Delete the selected blocks.  The blocks below a deleted block move up to
+ * take its place.
+ * @return {number} Number of blocks deleted, including the blocks inside
+ *     them.
+ */
+Blockly.Selection.deleteBlocks = function () {
+    var count = Blockly.Selection.countDeleted_();
+    var blocks = [].concat(Blockly.selection);
+    Blockly.doCommand(function () {
+        for (var x = 0, block; block = blocks[x]; x++) {
+            // Blocks inside a deleted block are already gone.
+            if (block.workspace && block.isDeletable()) {
+                block.dispose(true, true);
+            }
+        }
+    });
+    return count;
+};
+
+/**
+ * Count the blocks that deleting the selection would delete.
+ * @return {number} Number of blocks.
+ * @private
+ */
+Blockly.Selection.countDeleted_ = function () {
+    var ids = Object.create(null);
+    var count = 0;
+    var add = function (block) {
+        if (!ids[block.id]) {
+            ids[block.id] = true;
+            count++;
+        }
+        var next = Blockly.Selection.nextBlock_(block);
+        for (var x = 0, child; child = block.childBlocks_[x]; x++) {
+            // The blocks below survive, unless they are selected too.
+            if (child != next || child.isSelected()) {
+                add(child);
+            }
+        }
+    };
+    for (var x = 0, block; block = Blockly.selection[x]; x++) {
+        if (block.isDeletable()) {
+            add(block);
+        }
+    }
+    return count;
+};
+
+/**
+ * Disable or enable the selected blocks.
+ * @param {boolean} disabled True to disable the blocks.
+ */
+Blockly.Selection.setDisabled = function (disabled) {
+    var blocks = [].concat(Blockly.selection);
+    Blockly.doCommand(function () {
+        for (var x = 0; x < blocks.length; x++) {
+            blocks[x].setDisabled(disabled);
+        }
+    });
+};
+
+/**
+ * Collapse or expand the selected blocks.
+ * @param {boolean} collapsed True to collapse the blocks.
+ */
+Blockly.Selection.setCollapsed = function (collapsed) {
+    var blocks = [].concat(Blockly.selection);
+    Blockly.doCommand(function () {
+        for (var x = 0; x < blocks.length; x++) {
+            blocks[x].setCollapsed(collapsed);
+        }
+    });
+};
+
+/**
+ * Show the context menu for the selected blocks.
+ * @param {!Event} e Mouse event.
+ * @private
+ */
+Blockly.Selection.showContextMenu_ = function (e) {
+    var workspace = Blockly.mainWorkspace;
+    var jsonBlocks = Blockly.Selection.toJson_();
+    var size = 0;
+    for (var x = 0; x < jsonBlocks.length; x++) {
+        size += Blockly.Clipboard.countBlocks_(jsonBlocks[x]);
+    }
+    var allDisabled = true;
+    var allCollapsed = true;
+    for (var x = 0, block; block = Blockly.selection[x]; x++) {
+        allDisabled = allDisabled && block.disabled;
+        allCollapsed = allCollapsed && block.isCollapsed();
+    }
+    var options = [];
+
+    options.push({
+        text: Blockly.Msg.DUPLICATE_BLOCK,
+        enabled: size > 0 && size <= workspace.remainingCapacity(),
+        callback: function () {
+            Blockly.Selection.duplicate();
+        }
+    });
+    options.push({
+        text: Blockly.Msg.COPY_BLOCK,
+        enabled: size > 0,
+        callback: function () {
+            Blockly.Selection.copy();
+        }
+    });
+    if (Blockly.collapse) {
+        options.push({
+            text: allCollapsed ? Blockly.Msg.EXPAND_ALL : Blockly.Msg.COLLAPSE_ALL,
+            enabled: true,
+            callback: function () {
+                Blockly.Selection.setCollapsed(!allCollapsed);
+            }
+        });
+    }
+    options.push({
+        text: allDisabled ? Blockly.Msg.ENABLE_BLOCKS : Blockly.Msg.DISABLE_BLOCKS,
+        enabled: true,
+        callback: function () {
+            Blockly.Selection.setDisabled(!allDisabled);
+        }
+    });
+    var blocks = Blockly.selection.slice();
+    options.push({
+        text: Blockly.Msg.SAVE_IMAGE,
+        enabled: true,
+        callback: function () {
+            Blockly.Export.saveImage(workspace, blocks);
+        }
+    });
+    options.push({
+        text: Blockly.Msg.COPY_IMAGE,
+        enabled: Blockly.Export.canCopyImage(),
+        callback: function () {
+            Blockly.Export.copyImage(workspace, blocks);
+        }
+    });
+    var count = Blockly.Selection.countDeleted_();
+    options.push({
+        text: count == 1 ? Blockly.Msg.DELETE_BLOCK :
+            Blockly.Msg.DELETE_X_BLOCKS.replace('%1', String(count)),
+        enabled: count > 0,
+        callback: function () {
+            Blockly.Selection.deleteBlocks();
+        }
+    });
+
+    Blockly.ContextMenu.show(e, options);
+};
+
+/**
+ * Start dragging the other selected stacks along with a block.  Only blocks
+ * at the top of a stack are moved; selected blocks inside other blocks stay
+ * where they are.
+ * @param {!Blockly.Block} block The block being dragged.
+ * @private
+ */
+Blockly.Selection.startDrag_ = function (block) {
+    Blockly.Selection.dragged_ = [];
+    for (var x = 0, other; other = Blockly.selection[x]; x++) {
+        if (other != block && !other.getParent() && other.isMovable() &&
+            other.workspace == block.workspace) {
+            Blockly.UndoManager.record(other);
+            Blockly.Selection.dragged_.push(
+                {block: other, xy: other.getRelativeToSurfaceXY()});
+            other.setDragging_(true);
+        }
+    }
+};
+
+/**
+ * Move the dragged stacks.
+ * @param {number} dx Horizontal distance from where they started, in
+ *     workspace units.
+ * @param {number} dy Vertical distance from where they started.
+ * @private
+ */
+Blockly.Selection.drag_ = function (dx, dy) {
+    for (var x = 0, data; data = Blockly.Selection.dragged_[x]; x++) {
+        var xy = data.block.getRelativeToSurfaceXY();
+        data.block.moveBy(data.xy.x + dx - xy.x, data.xy.y + dy - xy.y);
+    }
+};
+
+/**
+ * Get the stacks being dragged along.
+ * @return {!Array.<!Blockly.Block>} The blocks at the top of the stacks.
+ * @private
+ */
+Blockly.Selection.getDragged_ = function () {
+    var blocks = [];
+    for (var x = 0, data; data = Blockly.Selection.dragged_[x]; x++) {
+        blocks.push(data.block);
+    }
+    return blocks;
+};
+
+/**
+ * Finish dragging the stacks.
+ * @private
+ */
+Blockly.Selection.endDrag_ = function () {
+    for (var x = 0, data; data = Blockly.Selection.dragged_[x]; x++) {
+        if (data.block.svg_) {
+            data.block.setDragging_(false);
+            var task = new Ext.util.DelayedTask(data.block.bumpNeighbours_,
+                data.block);
+            task.delay(Blockly.BUMP_DELAY);
+        }
+    }
+    Blockly.Selection.dragged_ = [];
+};
+
+/**
+ * Start dragging out a rectangle on the empty canvas.  The blocks entirely
+ * inside it are selected when the mouse is released.
+ * @param {!Event} e Mouse down event.
+ * @private
+ */
+Blockly.Selection.startRubberBand_ = function (e) {
+    Blockly.Selection.terminateDrag_();
+    var xy = Blockly.mouseToSvg(e);
+    Blockly.Selection.bandStart_ = xy;
+    Blockly.Selection.bandWorkspace_ = Blockly.mainWorkspace;
+    Blockly.Selection.rubberBand_ = Blockly.createSvgElement('rect',
+        {'class': 'blocklyRubberBand', 'x': xy.x, 'y': xy.y,
+            'width': 0, 'height': 0}, Blockly.svg);
+    Blockly.Selection.onMouseUpWrapper_ = Blockly.bindEvent_(document,
+        'mouseup', null, Blockly.Selection.onRubberBandUp_);
+    Blockly.Selection.onMouseMoveWrapper_ = Blockly.bindEvent_(document,
+        'mousemove', null, Blockly.Selection.onRubberBandMove_);
+    // Don't start selecting text on the page.
+    e.preventDefault();
+};
+
+/**
+ * Get the rectangle between where the rubber band started and the mouse.
+ * @param {!Event} e Mouse event.
+ * @return {!Object} Object with left, top, right and bottom properties, in
+ *     pixels relative to the SVG.
+ * @private
+ */
+Blockly.Selection.getBandRect_ = function (e) {
+    var start = Blockly.Selection.bandStart_;
+    var xy = Blockly.mouseToSvg(e);
+    return {
+        left: Math.min(start.x, xy.x),
+        top: Math.min(start.y, xy.y),
+        right: Math.max(start.x, xy.x),
+        bottom: Math.max(start.y, xy.y)
+    };
+};
+
+/**
+ * Resize the rubber band to follow the mouse.
+ * @param {!Event} e Mouse move event.
+ * @private
+ */
+Blockly.Selection.onRubberBandMove_ = function (e) {
+    Blockly.removeAllRanges();
+    var rect = Blockly.Selection.getBandRect_(e);
+    var band = Blockly.Selection.rubberBand_;
+    band.setAttribute('x', rect.left);
+    band.setAttribute('y', rect.top);
+    band.setAttribute('width', rect.right - rect.left);
+    band.setAttribute('height', rect.bottom - rect.top);
+};
+
+/**
+ * Select the blocks inside the rubber band.
+ * @param {!Event} e Mouse up event.
+ * @private
+ */
+Blockly.Selection.onRubberBandUp_ = function (e) {
+    var workspace = Blockly.Selection.bandWorkspace_;
+    var rect = Blockly.Selection.getBandRect_(e);
+    Blockly.Selection.terminateDrag_();
+    Blockly.withWorkspace(workspace, function () {
+        Blockly.Selection.set(Blockly.Selection.getBlocksInRect_(workspace,
+            rect), e.shiftKey);
+    });
+};
+
+/**
+ * Find the blocks which are entirely inside a rectangle.
+ * @param {!Blockly.Workspace} workspace The workspace to look in.
+ * @param {!Object} rect Object with left, top, right and bottom properties,
+ *     in pixels relative to the SVG.
+ * @return {!Array.<!Blockly.Block>} The blocks.
+ * @private
+ */
+Blockly.Selection.getBlocksInRect_ = function (workspace, rect) {
+    var found = [];
+    var blocks = workspace.getAllBlocks();
+    for (var x = 0, block; block = blocks[x]; x++) {
+        if (!block.svg_ || Blockly.Selection.isHidden_(block)) {
+            continue;
+        }
+        var xy = Blockly.getSvgXY_(block.getSvgRoot());
+        var width = block.svg_.width * workspace.scale;
+        var height = block.svg_.height * workspace.scale;
+        var left = Blockly.RTL ? xy.x - width : xy.x;
+        if (left >= rect.left && xy.y >= rect.top &&
+            left + width <= rect.right && xy.y + height <= rect.bottom) {
+            found.push(block);
+        }
+    }
+    return found;
+};
+
+/**
+ * Is a block hidden inside a collapsed block?
+ * @param {!Blockly.Block} block The block.
+ * @return {boolean} True if it is hidden.
+ * @private
+ */
+Blockly.Selection.isHidden_ = function (block) {
+    for (var parent = block.getParent(); parent; parent = parent.getParent()) {
+        if (parent.isCollapsed()) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Stop dragging out a rubber band.
+ * @private
+ */
+Blockly.Selection.terminateDrag_ = function () {
+    if (Blockly.Selection.onMouseUpWrapper_) {
+        Blockly.unbindEvent_(Blockly.Selection.onMouseUpWrapper_);
+        Blockly.Selection.onMouseUpWrapper_ = null;
+    }
+    if (Blockly.Selection.onMouseMoveWrapper_) {
+        Blockly.unbindEvent_(Blockly.Selection.onMouseMoveWrapper_);
+        Blockly.Selection.onMouseMoveWrapper_ = null;
+    }
+    if (Blockly.Selection.rubberBand_) {
+        Blockly.Selection.rubberBand_.parentNode.removeChild(
+            Blockly.Selection.rubberBand_);
+        Blockly.Selection.rubberBand_ = null;
+    }
+    Blockly.Selection.bandWorkspace_ = null;
+};
@@ -0,0 +1,320 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Object representing the look of an editor: the renderer the
+ * blocks are drawn with, their colours, and the fonts and styling of the
+ * text, highlights, outlines and selection.  Blocks may be coloured by the
+ * name of a category style (e.g. 'logic') instead of a hue, which the theme
+ * turns into a colour.  The styling is a style sheet scoped to the editor's
+ * SVG, which has the class 'blocklyTheme-' followed by the theme's name.
+ */
+'use strict';
+
+
+/**
+ * Class for a theme.  Themes are registered by name, for the theme option of
+ * Blockly.inject.
+ * @param {string} name The theme's name.  It is used in a class name, so may
+ *     only contain letters, digits, '-' and '_'.
+ * @param {!Object} options Dictionary of options:
+ *     renderer - Blockly.Renderer to draw the blocks with (classic by default),
+ *     saturation, value - saturation and value of the colours made from hues,
+ *     categoryStyles - dictionary of category style names to a hue or an RGB
+ *         code (e.g. '#5b80a5'),
+ *     fontFamily, fontSize, fontWeight, fontColour - text on the blocks,
+ *     fieldOpacity - opacity of the background of the fields,
+ *     highlights - false to draw blocks without the light and dark edges,
+ *     outlineColour, outlineWidth - outline of every block,
+ *     selectedColour, selectedWidth - outline of the selected blocks,
+ *     disabledOpacity - opacity of the disabled blocks.
+ *     Those missing are left as the classic style has them.
+ * @constructor
+ */
+Blockly.Theme = function (name, options) {
+    this.name = name;
+    this.renderer = options.renderer || Blockly.Renderer.CLASSIC;
+    this.saturation = options.saturation || Blockly.Theme.SATURATION;
+    this.value = options.value || Blockly.Theme.VALUE;
+    this.categoryStyles = options.categoryStyles || {};
+    this.fontFamily = options.fontFamily || null;
+    this.fontSize = options.fontSize || null;
+    this.fontWeight = options.fontWeight || null;
+    this.fontColour = options.fontColour || null;
+    this.fieldOpacity = options.fieldOpacity === undefined ? null :
+        options.fieldOpacity;
+    this.highlights = options.highlights !== false;
+    this.outlineColour = options.outlineColour || null;
+    this.outlineWidth = options.outlineWidth || 1;
+    this.selectedColour = options.selectedColour || null;
+    this.selectedWidth = options.selectedWidth || null;
+    this.disabledOpacity = options.disabledOpacity === undefined ? null :
+        options.disabledOpacity;
+    Blockly.Theme.themes_[name] = this;
+};
+
+/**
+ * Saturation of the colours made from hues, as Blockly has always had it.
+ */
+Blockly.Theme.SATURATION = Blockly.HSV_SATURATION;
+
+/**
+ * Value of the colours made from hues, as Blockly has always had it.
+ */
+Blockly.Theme.VALUE = Blockly.HSV_VALUE;
+
+/**
+ * The registered themes, by name.
+ * @type {!Object.<string, !Blockly.Theme>}
+ * @private
+ */
+Blockly.Theme.themes_ = {};
+
+/**
+ * The theme whose renderer and colours are applied.
+ * @type {Blockly.Theme}
+ * @private
+ */
+Blockly.Theme.active_ = null;
+
+/**
+ * Has the theme's style sheet been injected into the DOM?
+ * @type {boolean}
+ * @private
+ */
+Blockly.Theme.prototype.cssInjected_ = false;
+
+/**
+ * Find a theme.
+ * @param {Blockly.Theme|string} theme The theme, or its name.  Null for the
+ *     classic theme.
+ * @return {!Blockly.Theme} The theme.  Unknown names get the classic theme.
+ */
+Blockly.Theme.get = function (theme) {
+    if (theme instanceof Blockly.Theme) {
+        return theme;
+    }
+    if (theme) {
+        if (Blockly.Theme.themes_.hasOwnProperty(theme)) {
+            return Blockly.Theme.themes_[theme];
+        }
+        console.log('Unknown theme: ' + theme);
+    }
+    return Blockly.Theme.CLASSIC;
+};
+
+/**
+ * Is there such a theme?
+ * @param {Blockly.Theme|string} theme The theme, or its name.  Null for the
+ *     classic theme.
+ * @return {boolean} False if Blockly.Theme.get would not find the theme, and
+ *     use the classic theme instead.
+ */
+Blockly.Theme.exists = function (theme) {
+    return !theme || theme instanceof Blockly.Theme ||
+        Blockly.Theme.themes_.hasOwnProperty(theme);
+};
+
+/**
+ * Get the colour of a category style.
+ * @param {string} style Name of the category style, e.g. 'logic'.
+ * @return {number|string} Hue or RGB code.  Styles this theme doesn't have
+ *     get their classic colour, and unknown styles are red.
+ */
+Blockly.Theme.prototype.getCategoryColour = function (style) {
+    if (this.categoryStyles.hasOwnProperty(style)) {
+        return this.categoryStyles[style];
+    }
+    if (Blockly.Theme.CLASSIC.categoryStyles.hasOwnProperty(style)) {
+        return Blockly.Theme.CLASSIC.categoryStyles[style];
+    }
+    return 0;
+};
+
+/**
+ * Make this theme's renderer and colours the ones blocks are drawn with.
+ * @private
+ */
+Blockly.Theme.prototype.apply_ = function () {
+    if (Blockly.Theme.active_ == this) {
+        return;
+    }
+    Blockly.Theme.active_ = this;
+    Blockly.HSV_SATURATION = this.saturation;
+    Blockly.HSV_VALUE = this.value;
+    this.renderer.apply_();
+};
+
+/**
+ * Inject the theme's style sheet into the DOM.  It is shared by all the
+ * editors on the page with this theme.
+ * @private
+ */
+Blockly.Theme.prototype.injectCss_ = function () {
+    if (this.cssInjected_) {
+        return;
+    }
+    this.cssInjected_ = true;
+    var text = this.getCss_().join('\n');
+    if (!text) {
+        return;
+    }
+    var cssNode = document.createElement('style');
+    cssNode.type = 'text/css';
+    var head = document.getElementsByTagName('head')[0];
+    head.appendChild(cssNode);
+    if (cssNode.styleSheet) {
+        // IE.
+        cssNode.styleSheet.cssText = text;
+    } else {
+        // W3C.
+        cssNode.appendChild(document.createTextNode(text));
+    }
+};
+
+/**
+ * Build the theme's style sheet.  The rules are scoped to the SVGs with the
+ * theme's class, so that they outweigh those of Blockly.Css.
+ * @return {!Array.<string>} The lines of CSS.
+ * @private
+ */
+Blockly.Theme.prototype.getCss_ = function () {
+    var scope = '.blocklyTheme-' + this.name + ' ';
+    var css = [];
+    var text = [];
+    if (this.fontFamily) {
+        text.push('  font-family: ' + this.fontFamily + ';');
+    }
+    if (this.fontSize) {
+        text.push('  font-size: ' + this.fontSize + ';');
+    }
+    if (this.fontWeight) {
+        text.push('  font-weight: ' + this.fontWeight + ';');
+    }
+    if (this.fontColour) {
+        text.push('  fill: ' + this.fontColour + ';');
+    }
+    if (text.length) {
+        css.push(scope + '.blocklyText {');
+        css.push.apply(css, text);
+        css.push('}');
+    }
+    if (this.fontColour) {
+        // The text of the fields is on a light background.
+        css.push(scope + '.blocklyNonEditableText>text,',
+            scope + '.blocklyEditableText>text {',
+            '  fill: #000;',
+            '}');
+    }
+    if (this.fieldOpacity !== null) {
+        css.push(scope + '.blocklyNonEditableText>rect,',
+            scope + '.blocklyEditableText>rect {',
+            '  fill-opacity: ' + this.fieldOpacity + ';',
+            '}');
+    }
+    if (!this.highlights) {
+        css.push(scope + '.blocklyPathLight,',
+            scope + '.blocklyPathDark {',
+            '  display: none;',
+            '}');
+    }
+    if (this.selectedColour || this.selectedWidth) {
+        css.push(scope + '.blocklySelected>.blocklyPath {');
+        if (this.selectedColour) {
+            css.push('  stroke: ' + this.selectedColour + ';');
+        }
+        if (this.selectedWidth) {
+            css.push('  stroke-width: ' + this.selectedWidth + 'px;');
+        }
+        css.push('}');
+    }
+    if (this.disabledOpacity !== null) {
+        css.push(scope + '.blocklyDisabled>.blocklyPath {',
+            '  fill-opacity: ' + this.disabledOpacity + ';',
+            '  stroke-opacity: ' + this.disabledOpacity + ';',
+            '}');
+    }
+    return css;
+};
+
+/**
+ * The look Blockly has always had.
+ */
+Blockly.Theme.CLASSIC = new Blockly.Theme('classic', {
+    categoryStyles: {
+        'logic': 210,
+        'loops': 120,
+        'math': 230,
+        'text': 160,
+        'lists': 260,
+        'colour': 20,
+        'variables': 330,
+        'procedures': 290
+    }
+});
+
+/**
+ * Flat blocks in plain colours, to match flat Ext themes such as Neptune and
+ * Crisp.
+ */
+Blockly.Theme.FLAT = new Blockly.Theme('flat', {
+    renderer: Blockly.Renderer.FLAT,
+    categoryStyles: {
+        'logic': '#3f7fbf',
+        'loops': '#3fa35b',
+        'math': '#4a5fc1',
+        'text': '#2f9e8f',
+        'lists': '#7750b8',
+        'colour': '#c7772e',
+        'variables': '#c74a7e',
+        'procedures': '#9c4ab5'
+    },
+    fontFamily: 'helvetica,arial,verdana,sans-serif',
+    highlights: false,
+    outlineColour: 'rgba(0,0,0,.2)'
+});
+
+/**
+ * Dark blocks with bold white text, thick outlines and a bright selection,
+ * for users who need more contrast.
+ */
+Blockly.Theme.HIGH_CONTRAST = new Blockly.Theme('highcontrast', {
+    renderer: Blockly.Renderer.FLAT,
+    categoryStyles: {
+        'logic': '#004080',
+        'loops': '#005c00',
+        'math': '#1c1c8c',
+        'text': '#00544c',
+        'lists': '#4b0082',
+        'colour': '#803300',
+        'variables': '#800040',
+        'procedures': '#5c005c'
+    },
+    fontSize: '11pt',
+    fontWeight: 'bold',
+    fontColour: '#fff',
+    fieldOpacity: 1,
+    highlights: false,
+    outlineColour: '#000',
+    outlineWidth: 2,
+    selectedColour: '#ff0',
+    selectedWidth: 5,
+    disabledOpacity: 0.3
+});
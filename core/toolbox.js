@@ -0,0 +1,83 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Categories of a toolbox whose blocks depend on the workspace,
+ * such as the variables and procedures it has.  Each is a function returning
+ * the blocks, as JSON, which the toolbox calls again whenever the workspace
+ * changes.  Variables and procedures are registered under their name types,
+ * 'VARIABLE' and 'PROCEDURE'.
+ */
+'use strict';
+
+Blockly.Toolbox = {};
+
+/**
+ * The functions building the custom categories, by name.
+ * @type {!Object.<string, function(!Blockly.Workspace): !Array.<!Object>>}
+ * @private
+ */
+Blockly.Toolbox.categories_ = {};
+
+/**
+ * Register the function building a custom category.  A category registered
+ * under the same name is replaced.
+ * @param {string} name Name of the category.
+ * @param {function(!Blockly.Workspace): !Array.<!Object>} func Function
+ *     called with the workspace, returning the list of JSON blocks to show.
+ */
+Blockly.Toolbox.registerCategory = function (name, func) {
+    Blockly.Toolbox.categories_[name] = func;
+};
+
+/**
+ * Is there a custom category of this name?
+ * @param {string} name Name of the category.
+ * @return {boolean} True if it has been registered.
+ */
+Blockly.Toolbox.hasCategory = function (name) {
+    return Blockly.Toolbox.categories_.hasOwnProperty(name);
+};
+
+/**
+ * Build the blocks of a custom category.
+ * @param {string} name Name of the category.
+ * @param {!Blockly.Workspace} workspace The workspace the toolbox is for.
+ * @return {!Array.<!Object>} List of JSON blocks.  Unknown categories, and
+ *     those whose function fails, are empty.
+ */
+Blockly.Toolbox.getCategory = function (name, workspace) {
+    if (!Blockly.Toolbox.hasCategory(name)) {
+        console.log('Unknown toolbox category: ' + name);
+        return [];
+    }
+    try {
+        return Blockly.Toolbox.categories_[name](workspace) || [];
+    } catch (e) {
+        console.log('Error in toolbox category ' + name + ': ' + e);
+        return [];
+    }
+};
+
+Blockly.Toolbox.registerCategory(Blockly.Variables.NAME_TYPE,
+    Blockly.Variables.toolboxCategory);
+Blockly.Toolbox.registerCategory(Blockly.Procedures.NAME_TYPE,
+    Blockly.Procedures.toolboxCategory);
@@ -0,0 +1,654 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Undo and redo stack for a workspace.
+ * Every block touched by a command has its state (existence, location and
+ * own properties) recorded before the change and again once the command is
+ * complete.  Undo restores the first set of states, redo the second.
+ * Workspace comments and frames are recorded in the same way, as their JSON.
+ * The differences between the two are also reported as block events (see
+ * events.js).
+ */
+'use strict';
+
+/**
+ * Class for the undo/redo history of one workspace.
+ * @param {!Blockly.Workspace} workspace The workspace to track.
+ * @constructor
+ */
+Blockly.UndoManager = function (workspace) {
+    this.workspace_ = workspace;
+    this.undoStack_ = [];
+    this.redoStack_ = [];
+    // Records of the command currently being recorded, or null.
+    this.group_ = null;
+    // Depth of nested beginGroup calls.
+    this.depth_ = 0;
+    // Pending timer that closes a group opened outside of beginGroup.
+    this.flushTimer_ = null;
+    // True while an undo or redo is being applied.
+    this.applying_ = false;
+};
+
+/**
+ * Maximum number of commands kept in the undo stack.
+ */
+Blockly.UndoManager.MAX_UNDO = 100;
+
+/**
+ * Record a block which is about to change, if its workspace keeps a history.
+ * @param {!Blockly.Block} block The block which is about to change.
+ * @param {?string=} opt_commentText The comment text before the change, for
+ *     comment edits which are only reported once they have been made.
+ */
+Blockly.UndoManager.record = function (block, opt_commentText) {
+    var workspace = block.workspace;
+    if (workspace && workspace.undoManager) {
+        workspace.undoManager.record(block, opt_commentText);
+    }
+};
+
+/**
+ * Record a workspace comment which is about to change, if its workspace keeps
+ * a history.
+ * @param {!Blockly.WorkspaceComment} comment The comment which is about to
+ *     change.
+ * @param {?string=} opt_text The comment's text before the change, for edits
+ *     which are only reported once they have been made.
+ */
+Blockly.UndoManager.recordComment = function (comment, opt_text) {
+    var workspace = comment.workspace;
+    if (workspace && workspace.undoManager) {
+        workspace.undoManager.recordComment(comment, opt_text);
+    }
+};
+
+/**
+ * Record a frame which is about to change, if its workspace keeps a history.
+ * @param {!Blockly.Frame} frame The frame which is about to change.
+ */
+Blockly.UndoManager.recordFrame = function (frame) {
+    var workspace = frame.workspace;
+    if (workspace && workspace.undoManager) {
+        workspace.undoManager.recordFrame(frame);
+    }
+};
+
+/**
+ * Start a command.  All the changes made until the matching endGroup are
+ * undone and redone as one.  Groups may be nested.
+ */
+Blockly.UndoManager.prototype.beginGroup = function () {
+    this.depth_++;
+    if (this.flushTimer_) {
+        // Changes recorded just before are part of this command.
+        window.clearTimeout(this.flushTimer_);
+        this.flushTimer_ = null;
+    }
+};
+
+/**
+ * End a command started with beginGroup.
+ */
+Blockly.UndoManager.prototype.endGroup = function () {
+    if (this.depth_ > 0) {
+        this.depth_--;
+    }
+    if (this.depth_ == 0) {
+        this.flush_();
+    }
+};
+
+/**
+ * Record the current state of a block which is about to change.
+ * Only the first call for a given block in a command is kept.
+ * @param {!Blockly.Block} block The block which is about to change.
+ * @param {?string=} opt_commentText The comment text before the change.
+ */
+Blockly.UndoManager.prototype.record = function (block, opt_commentText) {
+    if (this.applying_ || block.isInFlyout) {
+        return;
+    }
+    this.openGroup_();
+    if (this.group_.index[block.id]) {
+        return;
+    }
+    var record = {block: block, id: block.id};
+    if (block.svg_) {
+        record.before = Blockly.UndoManager.getState_(block);
+        if (Ext.isString(opt_commentText) && record.before.block.comment) {
+            record.before.block.comment.text = opt_commentText;
+        }
+    } else {
+        // The block is being created.
+        record.before = {exists: false};
+    }
+    this.group_.index[block.id] = record;
+    this.group_.records.push(record);
+};
+
+/**
+ * Record the current state of a workspace comment which is about to change.
+ * Only the first call for a given comment in a command is kept.
+ * @param {!Blockly.WorkspaceComment} comment The comment which is about to
+ *     change.
+ * @param {?string=} opt_text The comment's text before the change.
+ */
+Blockly.UndoManager.prototype.recordComment = function (comment, opt_text) {
+    var record = this.recordItem_('comment', comment);
+    if (record && Ext.isString(opt_text) && record.before.exists) {
+        record.before.comment.text = opt_text;
+    }
+};
+
+/**
+ * Record the current state of a frame which is about to change.
+ * Only the first call for a given frame in a command is kept.
+ * @param {!Blockly.Frame} frame The frame which is about to change.
+ */
+Blockly.UndoManager.prototype.recordFrame = function (frame) {
+    this.recordItem_('frame', frame);
+};
+
+/**
+ * Record the current state of a workspace comment or frame.
+ * @param {string} kind Either 'comment' or 'frame'.
+ * @param {!Blockly.WorkspaceComment|!Blockly.Frame} item The item.
+ * @return {Object} The new record, or null if the item was already recorded.
+ * @private
+ */
+Blockly.UndoManager.prototype.recordItem_ = function (kind, item) {
+    if (this.applying_) {
+        return null;
+    }
+    this.openGroup_();
+    // Comments, frames and blocks have separate ids.
+    var key = kind + ':' + item.id;
+    if (this.group_.index[key]) {
+        return null;
+    }
+    var record = {item: item, id: item.id, kind: kind,
+        before: this.getItemState_(kind, item)};
+    this.group_.index[key] = record;
+    this.group_.records.push(record);
+    return record;
+};
+
+/**
+ * Start recording a command, unless one is being recorded already.
+ * @private
+ */
+Blockly.UndoManager.prototype.openGroup_ = function () {
+    if (this.group_) {
+        return;
+    }
+    this.group_ = {records: [], index: {}};
+    if (this.depth_ == 0) {
+        // A change made outside of any command.  Everything changed in the
+        // same script execution is one command.
+        var thisManager = this;
+        this.flushTimer_ = window.setTimeout(function () {
+            thisManager.flushTimer_ = null;
+            if (thisManager.depth_ == 0) {
+                thisManager.flush_();
+            }
+        }, 0);
+    }
+};
+
+/**
+ * Get the state of a workspace comment or frame.
+ * @param {string} kind Either 'comment' or 'frame'.
+ * @param {!Blockly.WorkspaceComment|!Blockly.Frame} item The item.
+ * @return {!Object} The state of the item: whether it is on this workspace,
+ *     and if so its JSON, as the 'comment' or 'frame' property.
+ * @private
+ */
+Blockly.UndoManager.prototype.getItemState_ = function (kind, item) {
+    var current = kind == 'frame' ? this.workspace_.getFrameById(item.id) :
+        this.workspace_.getCommentById(item.id);
+    if (item.workspace != this.workspace_ || current != item) {
+        return {exists: false};
+    }
+    var state = {exists: true};
+    state[kind] = item.toJson();
+    return state;
+};
+
+/**
+ * Close the current command and push it onto the undo stack.
+ * Blocks whose state did not change are dropped, and so is the command if
+ * nothing changed at all.
+ * @private
+ */
+Blockly.UndoManager.prototype.flush_ = function () {
+    if (this.flushTimer_) {
+        window.clearTimeout(this.flushTimer_);
+        this.flushTimer_ = null;
+    }
+    var group = this.group_;
+    this.group_ = null;
+    if (!group) {
+        return;
+    }
+    var records = [];
+    for (var i = 0, record; record = group.records[i]; i++) {
+        if (record.kind) {
+            record.after = this.getItemState_(record.kind, record.item);
+            delete record.item;
+        } else {
+            var block = record.block;
+            if (block.workspace == this.workspace_ && block.svg_) {
+                record.after = Blockly.UndoManager.getState_(block);
+            } else {
+                record.after = {exists: false};
+            }
+            delete record.block;
+        }
+        if (JSON.stringify(record.before) != JSON.stringify(record.after)) {
+            records.push(record);
+        }
+    }
+    if (!records.length) {
+        return;
+    }
+    this.undoStack_.push(records);
+    if (this.undoStack_.length > Blockly.UndoManager.MAX_UNDO) {
+        this.undoStack_.shift();
+    }
+    this.redoStack_.length = 0;
+    this.fireEvents_(records, 'before', 'after');
+};
+
+/**
+ * Report the changes made to the blocks of a command as block events.
+ * @param {!Array.<!Object>} records The records of the command.
+ * @param {string} from The state the blocks were in, 'before' or 'after'.
+ * @param {string} to The state the blocks are now in.
+ * @private
+ */
+Blockly.UndoManager.prototype.fireEvents_ = function (records, from, to) {
+    var events = [];
+    for (var x = 0, record; record = records[x]; x++) {
+        var diff = record.kind == 'comment' ? Blockly.Events.diffComment :
+            record.kind == 'frame' ? Blockly.Events.diffFrame :
+                Blockly.Events.diff;
+        events = events.concat(diff(record.id, record[from], record[to]));
+    }
+    Blockly.Events.fire(this.workspace_, events);
+};
+
+/**
+ * Is there a command to undo?
+ * @return {boolean} True if undo() would change the workspace.
+ */
+Blockly.UndoManager.prototype.canUndo = function () {
+    return this.undoStack_.length > 0 || (!!this.group_ && this.depth_ == 0);
+};
+
+/**
+ * Is there a command to redo?
+ * @return {boolean} True if redo() would change the workspace.
+ */
+Blockly.UndoManager.prototype.canRedo = function () {
+    return this.redoStack_.length > 0 && !this.group_;
+};
+
+/**
+ * Undo the last command.
+ * @return {boolean} True if a command was undone.
+ */
+Blockly.UndoManager.prototype.undo = function () {
+    // Close any open editor first, it may be recording a change.
+    Blockly.hideChaff();
+    if (this.depth_ > 0) {
+        // Can't undo in the middle of a command (e.g. during a drag).
+        return false;
+    }
+    this.flush_();
+    var records = this.undoStack_.pop();
+    if (!records) {
+        return false;
+    }
+    this.apply_(records, 'before');
+    this.redoStack_.push(records);
+    return true;
+};
+
+/**
+ * Redo the last undone command.
+ * @return {boolean} True if a command was redone.
+ */
+Blockly.UndoManager.prototype.redo = function () {
+    // Close any open editor first, it may be recording a change.
+    Blockly.hideChaff();
+    if (this.depth_ > 0) {
+        return false;
+    }
+    this.flush_();
+    var records = this.redoStack_.pop();
+    if (!records) {
+        return false;
+    }
+    this.apply_(records, 'after');
+    this.undoStack_.push(records);
+    return true;
+};
+
+/**
+ * Forget the whole history, including any command being recorded.
+ * Used once a new program has been loaded.
+ */
+Blockly.UndoManager.prototype.clear = function () {
+    if (this.flushTimer_) {
+        window.clearTimeout(this.flushTimer_);
+        this.flushTimer_ = null;
+    }
+    this.group_ = null;
+    this.undoStack_.length = 0;
+    this.redoStack_.length = 0;
+};
+
+/**
+ * Stop tracking the workspace.
+ */
+Blockly.UndoManager.prototype.dispose = function () {
+    this.clear();
+    this.workspace_ = null;
+};
+
+/**
+ * Bring the blocks of a command into the 'before' or 'after' state.
+ * @param {!Array.<!Object>} records The records of the command.
+ * @param {string} state Either 'before' or 'after'.
+ * @private
+ */
+Blockly.UndoManager.prototype.apply_ = function (records, state) {
+    var workspace = this.workspace_;
+    var x, record, target, block, comment, frame;
+    var comments = [];
+    var frames = [];
+    var blockRecords = [];
+    for (x = 0; record = records[x]; x++) {
+        (record.kind == 'comment' ? comments : record.kind == 'frame' ?
+            frames : blockRecords).push(record);
+    }
+    records = blockRecords;
+    this.applying_ = true;
+    try {
+        // Free the blocks that move or disappear.  Any block attached to them
+        // which changes location is part of the same command.
+        for (x = 0; record = records[x]; x++) {
+            target = record[state];
+            block = workspace.getBlockById(record.id);
+            if (block && block.getParent() && (!target.exists ||
+                !Blockly.UndoManager.sameLocation_(
+                    Blockly.UndoManager.getLocation_(block), target.location))) {
+                block.unplug(false);
+            }
+        }
+        for (x = 0; record = records[x]; x++) {
+            block = workspace.getBlockById(record.id);
+            if (block && !record[state].exists) {
+                block.dispose(false, false);
+            }
+        }
+        // Create the blocks which are missing, restore the others' properties.
+        for (x = 0; record = records[x]; x++) {
+            target = record[state];
+            if (!target.exists) {
+                continue;
+            }
+            block = workspace.getBlockById(record.id);
+            if (block) {
+                Blockly.UndoManager.setProperties_(block, target.block);
+            } else {
+                Blockly.Json.domToBlock(workspace,
+                    Blockly.UndoManager.expanded_(target.block));
+            }
+        }
+        // Now that all the blocks exist, put them back in place.
+        for (x = 0; record = records[x]; x++) {
+            target = record[state];
+            if (target.exists) {
+                Blockly.UndoManager.setLocation_(
+                    workspace.getBlockById(record.id), target.location);
+            }
+        }
+        // Collapse last, once all the children are connected.
+        for (x = 0; record = records[x]; x++) {
+            target = record[state];
+            if (target.exists) {
+                workspace.getBlockById(record.id).setCollapsed(
+                    !!target.block.collapsed);
+            }
+        }
+        // Workspace comments don't depend on the blocks or each other.
+        for (x = 0; record = comments[x]; x++) {
+            target = record[state];
+            comment = workspace.getCommentById(record.id);
+            if (!target.exists) {
+                if (comment) {
+                    comment.dispose();
+                }
+            } else if (comment) {
+                comment.setJson_(target.comment);
+            } else {
+                Blockly.WorkspaceComment.fromJson(workspace, target.comment);
+            }
+        }
+        // Frames last, as collapsed ones hide the blocks and comments in them.
+        for (x = 0; record = frames[x]; x++) {
+            target = record[state];
+            frame = workspace.getFrameById(record.id);
+            if (!target.exists) {
+                if (frame) {
+                    frame.dispose();
+                }
+            } else if (frame) {
+                frame.setJson_(target.frame);
+            } else {
+                Blockly.Frame.fromJson(workspace, target.frame);
+            }
+        }
+    } finally {
+        this.applying_ = false;
+    }
+    this.fireEvents_(blockRecords.concat(comments, frames),
+        state == 'before' ? 'after' : 'before', state);
+    workspace.fireChangeEvent();
+    if (workspace.scrollbar) {
+        workspace.scrollbar.resize();
+    }
+};
+
+/**
+ * Get the state of an existing block: its location and its own properties,
+ * without any of the blocks attached to it.
+ * @param {!Blockly.Block} block The block.
+ * @return {!Object} The state of the block.
+ * @private
+ */
+Blockly.UndoManager.getState_ = function (block) {
+    return {
+        exists: true,
+        location: Blockly.UndoManager.getLocation_(block),
+        block: Blockly.Json.blockToDom_(block, true)
+    };
+};
+
+/**
+ * Get the location of a block.
+ * @param {!Blockly.Block} block The block.
+ * @return {!Object} Either the parent's id and the name of the input the
+ *     block is connected to (null for the next statement), or the x and y
+ *     coordinates of a top block.
+ * @private
+ */
+Blockly.UndoManager.getLocation_ = function (block) {
+    var parent = block.getParent();
+    var connection = block.outputConnection || block.previousConnection;
+    var target = connection && connection.targetConnection;
+    if (parent && target) {
+        if (target == parent.nextConnection) {
+            return {parent: parent.id, input: null};
+        }
+        for (var x = 0, input; input = parent.inputList[x]; x++) {
+            if (input.connection == target) {
+                return {parent: parent.id, input: input.name};
+            }
+        }
+    }
+    var xy = block.getRelativeToSurfaceXY();
+    return {x: xy.x, y: xy.y};
+};
+
+/**
+ * Are two locations the same?
+ * @param {!Object} a A location from getLocation_.
+ * @param {!Object} b Another location.
+ * @return {boolean} True if they are equal.
+ * @private
+ */
+Blockly.UndoManager.sameLocation_ = function (a, b) {
+    return a.parent == b.parent && a.input == b.input &&
+        a.x == b.x && a.y == b.y;
+};
+
+/**
+ * Move a block to a location.
+ * @param {!Blockly.Block} block The block.
+ * @param {!Object} location A location from getLocation_.
+ * @private
+ */
+Blockly.UndoManager.setLocation_ = function (block, location) {
+    if (location.parent == null) {
+        if (block.getParent()) {
+            block.unplug(false);
+        }
+        var xy = block.getRelativeToSurfaceXY();
+        block.moveBy(location.x - xy.x, location.y - xy.y);
+        return;
+    }
+    var parent = block.workspace.getBlockById(location.parent);
+    var parentConnection = null;
+    if (parent) {
+        if (location.input == null) {
+            parent.fitMissing(false);
+            parentConnection = parent.nextConnection;
+        } else if (parent.getInput(location.input)) {
+            parentConnection = parent.getInput(location.input).connection;
+        }
+    }
+    if (parentConnection) {
+        block.fitMissing(parentConnection.type == Blockly.INPUT_VALUE);
+    }
+    var childConnection = block.outputConnection || block.previousConnection;
+    if (!parentConnection || !childConnection) {
+        console.log('Unable to restore the location of block ' + block.id);
+        return;
+    }
+    if (childConnection.targetConnection == parentConnection) {
+        return;
+    }
+    if (block.getParent()) {
+        block.unplug(false);
+    }
+    if (parentConnection.targetConnection) {
+        // Whatever is there now is part of the command and will be moved away.
+        parentConnection.targetBlock().unplug(false);
+    }
+    parentConnection.connect(childConnection);
+};
+
+/**
+ * Restore the properties of an existing block.
+ * @param {!Blockly.Block} block The block.
+ * @param {!Object} json The block's own properties, from blockToDom_.
+ * @private
+ */
+Blockly.UndoManager.setProperties_ = function (block, json) {
+    var current = Blockly.Json.blockToDom_(block, true);
+    if (JSON.stringify(current.mutation) != JSON.stringify(json.mutation)) {
+        // Mutations can only be applied to a fresh block.
+        Blockly.UndoManager.replaceBlock_(block, json);
+        return;
+    }
+    var fields = json.fields || [];
+    for (var x = 0; x < fields.length; x++) {
+        if (block.getFieldValue(fields[x].name) != fields[x].value) {
+            block.setFieldValue(fields[x].value, fields[x].name);
+        }
+    }
+    if (json.inline != null && block.inputsInline != json.inline) {
+        block.setInputsInline(json.inline);
+    }
+    block.setDisabled(!!json.disabled);
+    var text = json.comment ? json.comment.text : null;
+    if (text != (block.comment ? block.comment.getText() : null)) {
+        block.setCommentText(text);
+    }
+};
+
+/**
+ * Replace a block by a new one with the same id and the given properties.
+ * The blocks attached to it are moved over to the new block.
+ * @param {!Blockly.Block} block The block to replace.
+ * @param {!Object} json The new block's own properties, from blockToDom_.
+ * @private
+ */
+Blockly.UndoManager.replaceBlock_ = function (block, json) {
+    var workspace = block.workspace;
+    var location = Blockly.UndoManager.getLocation_(block);
+    var children = [];
+    for (var x = 0, input; input = block.inputList[x]; x++) {
+        if (input.connection && input.connection.targetBlock()) {
+            children.push({name: input.name, block: input.connection.targetBlock()});
+        }
+    }
+    if (block.nextConnection && block.nextConnection.targetBlock()) {
+        children.push({name: null, block: block.nextConnection.targetBlock()});
+    }
+    for (var x = 0; x < children.length; x++) {
+        children[x].block.setParent(null);
+    }
+    block.dispose(false, false);
+    var newBlock = Blockly.Json.domToBlock(workspace,
+        Blockly.UndoManager.expanded_(json));
+    Blockly.UndoManager.setLocation_(newBlock, location);
+    for (var x = 0; x < children.length; x++) {
+        Blockly.UndoManager.setLocation_(children[x].block,
+            {parent: newBlock.id, input: children[x].name});
+    }
+};
+
+/**
+ * Copy of a block's properties without the collapsed state, which is only
+ * restored once its children are connected.
+ * @param {!Object} json The block's own properties, from blockToDom_.
+ * @return {!Object} The copy.
+ * @private
+ */
+Blockly.UndoManager.expanded_ = function (json) {
+    var copy = Blockly.mixin({}, json);
+    delete copy.collapsed;
+    return copy;
+};
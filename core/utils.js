@@ -67,6 +67,18 @@ Blockly.removeClass_ = function (element, className) {
     }
 };
 
+/**
+ * Does an element have a CSS class?
+ * @param {!Element} element DOM element to check.
+ * @param {string} className Name of class to look for.
+ * @return {boolean} True if the element has the class.
+ * @private
+ */
+Blockly.hasClass_ = function (element, className) {
+    var classes = element.getAttribute('class') || '';
+    return (' ' + classes + ' ').indexOf(' ' + className + ' ') != -1;
+};
+
 /**
  * Bind an event to a function call.
  * @param {!Node} node Node upon which to listen.
@@ -207,14 +219,28 @@ Blockly.getRelativeXY_ = function (element) {
     var r = transform &&
         transform.match(/translate\(\s*([-\d.]+)([ ,]\s*([-\d.]+)\s*\))?/);
     if (r) {
-        xy.x += parseInt(r[1], 10);
+        // Zooming the workspace leads to fractional translations.
+        xy.x += parseFloat(r[1]);
         if (r[3]) {
-            xy.y += parseInt(r[3], 10);
+            xy.y += parseFloat(r[3]);
         }
     }
     return xy;
 };
 
+/**
+ * Return the scale of this element relative to its parent, from its
+ * transform="... scale(...)" attribute.
+ * @param {!Element} element Element to find the scale of.
+ * @return {number} The scale (1 if the element isn't scaled).
+ * @private
+ */
+Blockly.getRelativeScale_ = function (element) {
+    var transform = element.getAttribute('transform');
+    var r = transform && transform.match(/scale\(\s*([-\d.]+)/);
+    return r ? parseFloat(r[1]) : 1;
+};
+
 /**
  * Return the absolute coordinates of the top-left corner of this element.
  * The origin (0,0) is the top-left corner of the Blockly svg.
@@ -228,8 +254,10 @@ Blockly.getSvgXY_ = function (element) {
     do {
         // Loop through this block and every parent.
         var xy = Blockly.getRelativeXY_(element);
-        x += xy.x;
-        y += xy.y;
+        // The workspace canvas is scaled when zoomed.
+        var scale = Blockly.getRelativeScale_(element);
+        x = x * scale + xy.x;
+        y = y * scale + xy.y;
         element = element.parentNode;
     } while (element && element != Blockly.svg);
     return {x: x, y: y};
@@ -33,17 +33,29 @@ Blockly.Variables = {};
  */
 Blockly.Variables.NAME_TYPE = 'VARIABLE';
 
+/**
+ * Variable type used when none is given.  It is the name of the field holding
+ * the variable in the variables_get and variables_set blocks.
+ */
+Blockly.Variables.DEFAULT_TYPE = 'VAR';
+
 /**
  * Find all user-created variables.
- * @param {Blockly.Block=} opt_block Optional root block.
+ * @param {?string} varType Variable type. Uses the field name.  Defaults to
+ *     Blockly.Variables.DEFAULT_TYPE.
+ * @param {Blockly.Block|Blockly.Workspace=} opt_root Optional root block, or
+ *     workspace to search instead of the main workspace.
  * @return {!Array.<string>} Array of variable names.
  */
-Blockly.Variables.allVariables = function (varType, opt_block) {
+Blockly.Variables.allVariables = function (varType, opt_root) {
+    varType = varType || Blockly.Variables.DEFAULT_TYPE;
     var blocks;
-    if (opt_block) {
-        blocks = opt_block.getDescendants();
+    if (opt_root instanceof Blockly.Block) {
+        blocks = opt_root.getDescendants();
     } else {
-        blocks = Blockly.mainWorkspace.getAllBlocks();
+        var workspace = opt_root || Blockly.mainWorkspace;
+        // There's no main workspace when running headless.
+        blocks = workspace ? workspace.getAllBlocks() : [];
     }
     var variableHash = Object.create(null);
     // Iterate through every block and add each variable to the hash.
@@ -111,7 +123,8 @@ Blockly.Variables.flyoutCategory = function (blocks, gaps, margin, workspace) {
             Blockly.Block.obtain(workspace, 'variables_set') : null;
         setBlock && setBlock.initSvg();
         if (variableList[i] === null) {
-            defaultVariable = (getBlock || setBlock).getVars()[0];
+            defaultVariable = (getBlock || setBlock).getVars(
+                Blockly.Variables.DEFAULT_TYPE)[0];
         } else {
             getBlock && getBlock.setFieldValue(variableList[i], 'VAR');
             setBlock && setBlock.setFieldValue(variableList[i], 'VAR');
@@ -126,6 +139,40 @@ Blockly.Variables.flyoutCategory = function (blocks, gaps, margin, workspace) {
     }
 };
 
+/**
+ * Describe the blocks of the variable category of a toolbox, as in
+ * Blockly.Variables.flyoutCategory: setters and getters of the default
+ * variable, then of each of the user's variables.
+ * @param {!Blockly.Workspace} workspace The workspace whose variables are
+ *     listed.
+ * @return {!Array.<!Object>} List of JSON blocks.
+ */
+Blockly.Variables.toolboxCategory = function (workspace) {
+    var variableList = Blockly.Variables.allVariables(null, workspace);
+    variableList.sort(Blockly.caseInsensitiveCompare);
+    variableList.unshift(null);
+    var blocks = [];
+    for (var i = 0; i < variableList.length; i++) {
+        var name = variableList[i];
+        if (name !== null &&
+            Blockly.Names.equals(name, Blockly.Msg.VARIABLES_DEFAULT_NAME)) {
+            continue;
+        }
+        var types = ['variables_set', 'variables_get'];
+        for (var t = 0; t < types.length; t++) {
+            if (!Blockly.Blocks[types[t]]) {
+                continue;
+            }
+            var jsonBlock = {type: types[t]};
+            if (name !== null) {
+                jsonBlock.fields = [{name: 'VAR', value: name}];
+            }
+            blocks.push(jsonBlock);
+        }
+    }
+    return blocks;
+};
+
 /**
  * Return a new variable name that is not yet being used. This will try to
  * generate single letter variable names in the range 'i' to 'z' to start with.
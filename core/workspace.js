@@ -42,10 +42,27 @@ Blockly.Workspace = function (getMetrics, setMetrics) {
      * @private
      */
     this.topBlocks_ = [];
+    /**
+     * @type {!Array.<!Blockly.WorkspaceComment>}
+     * @private
+     */
+    this.topComments_ = [];
+    /**
+     * @type {!Array.<!Blockly.Frame>}
+     * @private
+     */
+    this.topFrames_ = [];
 
     /** @type {number} */
     this.maxBlocks = Infinity;
 
+    /**
+     * Event bindings to remove when this workspace is uninjected.
+     * @type {!Array.<!Array.<!Array>>}
+     * @private
+     */
+    this.bindData_ = [];
+
     Blockly.ConnectionDB.init(this);
 };
 
@@ -75,12 +92,36 @@ Blockly.Workspace.prototype.scrollX = 0;
  */
 Blockly.Workspace.prototype.scrollY = 0;
 
+/**
+ * Current zoom level.  One workspace unit is drawn as this many pixels.
+ * @type {number}
+ */
+Blockly.Workspace.prototype.scale = 1;
+
 /**
  * The workspace's trashcan (if any).
  * @type {Blockly.Trashcan}
  */
 Blockly.Workspace.prototype.trashcan = null;
 
+/**
+ * The workspace's zoom buttons (if any).
+ * @type {Blockly.ZoomControls}
+ */
+Blockly.Workspace.prototype.zoomControls = null;
+
+/**
+ * The workspace's background grid (if any).
+ * @type {Blockly.Grid}
+ */
+Blockly.Workspace.prototype.grid = null;
+
+/**
+ * The minimap showing this workspace (if any).
+ * @type {Blockly.Minimap}
+ */
+Blockly.Workspace.prototype.minimap = null;
+
 /**
  * PID of upcoming firing of a change event.  Used to fire only one event
  * after multiple changes.
@@ -95,6 +136,73 @@ Blockly.Workspace.prototype.fireChangeEventPid_ = null;
  */
 Blockly.Workspace.prototype.scrollbar = null;
 
+/**
+ * Options this workspace was injected with (see Blockly.parseOptions_).
+ * Null for workspaces not created by Blockly.inject (flyouts, mutators).
+ * @type {Object}
+ */
+Blockly.Workspace.prototype.options = null;
+
+/**
+ * Saved global state of an injected editor while another one is active.
+ * @type {Object}
+ * @private
+ */
+Blockly.Workspace.prototype.state_ = null;
+
+/**
+ * Undo/redo history of an injected editor.
+ * Null for workspaces not created by Blockly.inject (flyouts, mutators).
+ * @type {Blockly.UndoManager}
+ */
+Blockly.Workspace.prototype.undoManager = null;
+
+/**
+ * The search of this workspace.
+ * Null for workspaces not created by Blockly.inject (flyouts, mutators).
+ * @type {Blockly.Search}
+ */
+Blockly.Workspace.prototype.search = null;
+
+/**
+ * The keyboard cursor of this workspace.
+ * Null for workspaces not created by Blockly.inject (flyouts, mutators).
+ * @type {Blockly.Cursor}
+ */
+Blockly.Workspace.prototype.cursor = null;
+
+/**
+ * The debugger of this workspace, if it was injected with the debug option.
+ * @type {Blockly.Debugger}
+ */
+Blockly.Workspace.prototype.debugger = null;
+
+/**
+ * Is this a workspace without any SVG (see Blockly.Workspace.createHeadless)?
+ * Blocks on a headless workspace are never rendered.
+ * @type {boolean}
+ */
+Blockly.Workspace.prototype.headless = false;
+
+/**
+ * Program metadata kept with the blocks when the workspace is saved:
+ * {name, description, author, created, modified} (see Blockly.Json).
+ * @type {Object}
+ */
+Blockly.Workspace.prototype.metadata = null;
+
+/**
+ * Create a workspace that holds blocks without drawing them.  It may be used
+ * to load and generate code from blocks outside of an editor, and does not
+ * need Blockly.inject to have been called.
+ * @return {!Blockly.Workspace} The new workspace.
+ */
+Blockly.Workspace.createHeadless = function () {
+    var workspace = new Blockly.Workspace(null, null);
+    workspace.headless = true;
+    return workspace;
+};
+
 /**
  * Create the trash can elements.
  * @return {!Element} The workspace's SVG group.
@@ -129,6 +237,17 @@ Blockly.Workspace.prototype.dispose = function () {
         this.trashcan.dispose();
         this.trashcan = null;
     }
+    if (this.zoomControls) {
+        this.zoomControls.dispose();
+        this.zoomControls = null;
+    }
+    if (this.grid) {
+        this.grid.dispose();
+        this.grid = null;
+    }
+    if (this.minimap) {
+        this.minimap.dispose();
+    }
 };
 
 /**
@@ -143,6 +262,161 @@ Blockly.Workspace.prototype.addTrashcan = function () {
     }
 };
 
+/**
+ * Add the zoom buttons.
+ */
+Blockly.Workspace.prototype.addZoomControls = function () {
+    if (Blockly.hasZoom) {
+        this.zoomControls = new Blockly.ZoomControls(this);
+        var svgZoomControls = this.zoomControls.createDom();
+        this.svgGroup_.insertBefore(svgZoomControls, this.svgBlockCanvas_);
+        this.zoomControls.init();
+    }
+};
+
+/**
+ * Move and scale the block and bubble canvases.
+ * @param {number} x Horizontal translation, in pixels.
+ * @param {number} y Vertical translation, in pixels.
+ */
+Blockly.Workspace.prototype.translate = function (x, y) {
+    var transform = 'translate(' + x + ',' + y + ')';
+    if (this.scale != 1) {
+        transform += ' scale(' + this.scale + ')';
+    }
+    this.getCanvas().setAttribute('transform', transform);
+    this.getBubbleCanvas().setAttribute('transform', transform);
+    if (this.grid) {
+        this.grid.update(x, y, this.scale);
+    }
+    if (this.minimap) {
+        this.minimap.updateView();
+    }
+};
+
+/**
+ * Zoom the workspace to a scale, keeping one point of the view still.
+ * The scale is limited to the range from Blockly.ZOOM_MIN_SCALE to
+ * Blockly.ZOOM_MAX_SCALE.
+ * @param {number} scale The new scale (1 is the normal size).
+ * @param {number=} opt_x Horizontal position of the point to keep still,
+ *     in pixels from the left edge of the view.  Defaults to the centre.
+ * @param {number=} opt_y Vertical position of the point to keep still.
+ */
+Blockly.Workspace.prototype.setScale = function (scale, opt_x, opt_y) {
+    scale = Math.min(Math.max(scale, Blockly.ZOOM_MIN_SCALE),
+        Blockly.ZOOM_MAX_SCALE);
+    var metrics = this.getMetrics && this.getMetrics();
+    if (!metrics || !this.svgGroup_) {
+        // Not drawn.  Just remember the scale.
+        this.scale = scale;
+        return;
+    }
+    var x = Ext.isNumber(opt_x) ? opt_x : metrics.viewWidth / 2;
+    var y = Ext.isNumber(opt_y) ? opt_y : metrics.viewHeight / 2;
+    // The workspace point under (x, y) stays there.
+    this.scrollX = x - (x - this.scrollX) * scale / this.scale;
+    this.scrollY = y - (y - this.scrollY) * scale / this.scale;
+    this.scale = scale;
+    this.translate(this.scrollX + metrics.absoluteLeft,
+            this.scrollY + metrics.absoluteTop);
+    if (this.scrollbar) {
+        this.scrollbar.resize();
+    }
+};
+
+/**
+ * Zoom the workspace in or out by a number of steps.
+ * @param {number} x Horizontal position of the point to keep still, in pixels
+ *     from the left edge of the view.
+ * @param {number} y Vertical position of the point to keep still.
+ * @param {number} amount Number of steps to zoom in by (negative to zoom out).
+ */
+Blockly.Workspace.prototype.zoom = function (x, y, amount) {
+    this.setScale(this.scale * Math.pow(Blockly.ZOOM_SCALE_SPEED, amount), x, y);
+};
+
+/**
+ * Zoom and scroll the workspace so that all of its blocks are in view.
+ */
+Blockly.Workspace.prototype.zoomToFit = function () {
+    var metrics = this.getMetrics && this.getMetrics();
+    if (!metrics || !this.svgGroup_) {
+        return;
+    }
+    var blockBox = this.getCanvas().getBBox();
+    if (!blockBox.width || !blockBox.height) {
+        // No blocks.
+        this.setScale(1);
+        return;
+    }
+    var MARGIN = 25;
+    var viewWidth = metrics.viewWidth - 2 * MARGIN;
+    var viewHeight = metrics.viewHeight - 2 * MARGIN;
+    if (this.scrollbar) {
+        viewWidth -= Blockly.Scrollbar.scrollbarThickness;
+        viewHeight -= Blockly.Scrollbar.scrollbarThickness;
+    }
+    var scale = Math.min(viewWidth / blockBox.width,
+            viewHeight / blockBox.height);
+    this.scale = Math.min(Math.max(scale, Blockly.ZOOM_MIN_SCALE),
+        Blockly.ZOOM_MAX_SCALE);
+    // Centre the blocks in the view.
+    this.scrollX = (viewWidth / 2 + MARGIN) -
+        (blockBox.x + blockBox.width / 2) * this.scale;
+    this.scrollY = (viewHeight / 2 + MARGIN) -
+        (blockBox.y + blockBox.height / 2) * this.scale;
+    this.translate(this.scrollX + metrics.absoluteLeft,
+            this.scrollY + metrics.absoluteTop);
+    if (this.scrollbar) {
+        this.scrollbar.resize();
+    }
+};
+
+/**
+ * Scroll the workspace so that a point is in the centre of the view (or as
+ * close as the scrollbars allow).
+ * @param {number} x Horizontal workspace coordinate.
+ * @param {number} y Vertical workspace coordinate.
+ */
+Blockly.Workspace.prototype.scrollCenter = function (x, y) {
+    var metrics = this.getMetrics && this.getMetrics();
+    if (!metrics || !this.scrollbar) {
+        return;
+    }
+    var left = x * this.scale - metrics.viewWidth / 2;
+    var top = y * this.scale - metrics.viewHeight / 2;
+    // Move the scrollbars and the workspace will scroll automatically.
+    this.scrollbar.set(left - metrics.contentLeft, top - metrics.contentTop);
+};
+
+/**
+ * Scroll a block into view, unless it is already entirely visible.
+ * @param {!Blockly.Block} block The block to show.
+ */
+Blockly.Workspace.prototype.scrollBlockIntoView = function (block) {
+    var metrics = this.getMetrics && this.getMetrics();
+    if (!metrics || !block.svg_) {
+        return;
+    }
+    var xy = block.getRelativeToSurfaceXY();
+    var size = block.getHeightWidth();
+    var left = Blockly.RTL ? xy.x - size.width : xy.x;
+    // The view in workspace units.
+    var viewLeft = metrics.viewLeft / this.scale;
+    var viewTop = metrics.viewTop / this.scale;
+    var viewWidth = metrics.viewWidth / this.scale;
+    var viewHeight = metrics.viewHeight / this.scale;
+    if (left >= viewLeft && xy.y >= viewTop &&
+        left + size.width <= viewLeft + viewWidth &&
+        xy.y + size.height <= viewTop + viewHeight) {
+        return;
+    }
+    // Centre the block, but keep the top of a tall block in view.
+    this.scrollCenter(left + size.width / 2,
+            xy.y + Math.min(size.height, viewHeight) / 2);
+};
+
 /**
  * Get the SVG element that forms the drawing surface.
  * @return {!Element} SVG element.
@@ -188,6 +462,95 @@ Blockly.Workspace.prototype.removeTopBlock = function (block) {
     this.fireChangeEvent();
 };
 
+/**
+ * Add a comment to the list of workspace comments.
+ * @param {!Blockly.WorkspaceComment} comment Comment to add.
+ */
+Blockly.Workspace.prototype.addTopComment = function (comment) {
+    this.topComments_.push(comment);
+    this.fireChangeEvent();
+};
+
+/**
+ * Remove a comment from the list of workspace comments.
+ * @param {!Blockly.WorkspaceComment} comment Comment to remove.
+ */
+Blockly.Workspace.prototype.removeTopComment = function (comment) {
+    var index = this.topComments_.indexOf(comment);
+    if (index == -1) {
+        throw 'Comment not present in workspace\'s list of comments.';
+    }
+    this.topComments_.splice(index, 1);
+    this.fireChangeEvent();
+};
+
+/**
+ * Get the comments on the workspace (not those of its blocks).
+ * @return {!Array.<!Blockly.WorkspaceComment>} The comments, in the order
+ *     they were added.
+ */
+Blockly.Workspace.prototype.getTopComments = function () {
+    return [].concat(this.topComments_);
+};
+
+/**
+ * Finds the workspace comment with the specified ID.
+ * @param {string} id ID of the comment to find.
+ * @return {Blockly.WorkspaceComment} The matching comment, or null.
+ */
+Blockly.Workspace.prototype.getCommentById = function (id) {
+    for (var x = 0, comment; comment = this.topComments_[x]; x++) {
+        if (comment.id == id) {
+            return comment;
+        }
+    }
+    return null;
+};
+
+/**
+ * Add a frame to the list of frames.
+ * @param {!Blockly.Frame} frame Frame to add.
+ */
+Blockly.Workspace.prototype.addTopFrame = function (frame) {
+    this.topFrames_.push(frame);
+    this.fireChangeEvent();
+};
+
+/**
+ * Remove a frame from the list of frames.
+ * @param {!Blockly.Frame} frame Frame to remove.
+ */
+Blockly.Workspace.prototype.removeTopFrame = function (frame) {
+    var index = this.topFrames_.indexOf(frame);
+    if (index == -1) {
+        throw 'Frame not present in workspace\'s list of frames.';
+    }
+    this.topFrames_.splice(index, 1);
+    this.fireChangeEvent();
+};
+
+/**
+ * Get the frames on the workspace.
+ * @return {!Array.<!Blockly.Frame>} The frames, in the order they were added.
+ */
+Blockly.Workspace.prototype.getTopFrames = function () {
+    return [].concat(this.topFrames_);
+};
+
+/**
+ * Finds the frame with the specified ID.
+ * @param {string} id ID of the frame to find.
+ * @return {Blockly.Frame} The matching frame, or null.
+ */
+Blockly.Workspace.prototype.getFrameById = function (id) {
+    for (var x = 0, frame; frame = this.topFrames_[x]; x++) {
+        if (frame.id == id) {
+            return frame;
+        }
+    }
+    return null;
+};
+
 /**
  * Finds the top-level blocks and returns them.  Blocks are optionally sorted
  * by position; top to bottom (with slight LTR or RTL bias).
@@ -231,6 +594,12 @@ Blockly.Workspace.prototype.clear = function () {
     while (this.topBlocks_.length) {
         this.topBlocks_[0].dispose();
     }
+    while (this.topComments_.length) {
+        this.topComments_[0].dispose();
+    }
+    while (this.topFrames_.length) {
+        this.topFrames_[0].dispose();
+    }
 };
 
 /**
@@ -305,8 +674,8 @@ Blockly.Workspace.prototype.highlightBlock = function (id) {
     // Select the current block.
     if (block) {
         block.select();
-    } else if (Blockly.selected) {
-        Blockly.selected.unselect();
+    } else {
+        Blockly.Selection.clear();
     }
     // Restore the monitor for user activity.
     this.traceOn(true);
@@ -333,18 +702,17 @@ Blockly.Workspace.prototype.fireChangeEvent = function () {
 
 /**
  * Paste the provided block onto the workspace.
- * @param {!Element} xmlBlock XML block element.
+ * @param {!Object} jsonBlock JSON block, with its x and y position.
+ * @return {Blockly.Block} The pasted block, or null if there's no room for it.
  */
-// TODO Convert to JSON
-Blockly.Workspace.prototype.paste = function (xmlBlock) {
-    if (xmlBlock.getElementsByTagName('block').length >=
-        this.remainingCapacity()) {
-        return;
+Blockly.Workspace.prototype.paste = function (jsonBlock) {
+    if (Blockly.Clipboard.countBlocks_(jsonBlock) > this.remainingCapacity()) {
+        return null;
     }
-    var block = Blockly.Json.domToBlock(this, xmlBlock);
+    var block = Blockly.Json.domToBlock(this, jsonBlock);
     // Move the duplicate to original position.
-    var blockX = parseInt(xmlBlock.getAttribute('x'), 10);
-    var blockY = parseInt(xmlBlock.getAttribute('y'), 10);
+    var blockX = parseInt(jsonBlock.x, 10);
+    var blockY = parseInt(jsonBlock.y, 10);
     if (!isNaN(blockX) && !isNaN(blockY)) {
         if (Blockly.RTL) {
             blockX = -blockX;
@@ -368,8 +736,45 @@ Blockly.Workspace.prototype.paste = function (xmlBlock) {
             }
         } while (collide);
         block.moveBy(blockX, blockY);
+        if (this.grid) {
+            this.grid.snapBlock(block);
+        }
     }
     block.select();
+    return block;
+};
+
+/**
+ * Paste the provided comment onto the workspace, and select it.
+ * @param {!Object} json JSON comment (see Blockly.WorkspaceComment.toJson),
+ *     with its x position mirrored in RTL mode, as on the clipboard.
+ * @return {!Blockly.WorkspaceComment} The pasted comment.
+ */
+Blockly.Workspace.prototype.pasteComment = function (json) {
+    json = Blockly.mixin({}, json);
+    delete json.id;
+    var x = parseFloat(json.x) || 0;
+    var y = parseFloat(json.y) || 0;
+    if (Blockly.RTL) {
+        x = -x;
+    }
+    // Offset the comment until it doesn't cover another one.
+    do {
+        var collide = false;
+        for (var i = 0, other; other = this.topComments_[i]; i++) {
+            var otherXY = other.getRelativeToSurfaceXY();
+            if (Math.abs(x - otherXY.x) <= 1 && Math.abs(y - otherXY.y) <= 1) {
+                x += Blockly.RTL ? -Blockly.SNAP_RADIUS : Blockly.SNAP_RADIUS;
+                y += Blockly.SNAP_RADIUS * 2;
+                collide = true;
+            }
+        }
+    } while (collide);
+    json.x = x;
+    json.y = y;
+    var comment = Blockly.WorkspaceComment.fromJson(this, json);
+    comment.select();
+    return comment;
 };
 
 /**
@@ -0,0 +1,570 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Object representing a comment on the workspace itself.
+ * Unlike block comments (see comment.js), these notes are not attached to any
+ * block.  They are drawn behind the blocks, and can be moved, resized, edited,
+ * copied and deleted.  As JSON a comment is {id, text, x, y, w, h}.
+ */
+'use strict';
+
+
+/**
+ * Class for a workspace comment.
+ * @param {!Blockly.Workspace} workspace The workspace to put the comment on.
+ * @param {string} text The comment's text.
+ * @param {?string=} opt_id The comment's ID.  A new one is made if not given.
+ * @constructor
+ */
+Blockly.WorkspaceComment = function (workspace, text, opt_id) {
+    this.id = opt_id || Blockly.genUid();
+    this.workspace = workspace;
+    this.text_ = text;
+    this.savedText_ = text;
+    this.xy_ = {x: 0, y: 0};
+    this.width_ = Blockly.WorkspaceComment.DEFAULT_WIDTH;
+    this.height_ = Blockly.WorkspaceComment.DEFAULT_HEIGHT;
+    Blockly.UndoManager.recordComment(this);
+    workspace.addTopComment(this);
+    if (workspace.getCanvas()) {
+        this.createDom_();
+    }
+};
+
+/**
+ * Default width of a comment, in workspace units.
+ */
+Blockly.WorkspaceComment.DEFAULT_WIDTH = 200;
+
+/**
+ * Default height of a comment.
+ */
+Blockly.WorkspaceComment.DEFAULT_HEIGHT = 100;
+
+/**
+ * Smallest size a comment may be resized to.
+ */
+Blockly.WorkspaceComment.MIN_SIZE = 40;
+
+/**
+ * Height of the bar at the top of a comment, by which it is dragged.
+ */
+Blockly.WorkspaceComment.TOP_BAR_HEIGHT = 12;
+
+/**
+ * Wrapper function called when a mouseUp occurs during a drag or resize.
+ * @type {Array.<!Array>}
+ * @private
+ */
+Blockly.WorkspaceComment.onMouseUpWrapper_ = null;
+
+/**
+ * Wrapper function called when a mouseMove occurs during a drag or resize.
+ * @type {Array.<!Array>}
+ * @private
+ */
+Blockly.WorkspaceComment.onMouseMoveWrapper_ = null;
+
+/**
+ * Undo manager of the workspace whose comment is being dragged or resized.
+ * @type {Blockly.UndoManager}
+ * @private
+ */
+Blockly.WorkspaceComment.dragUndoManager_ = null;
+
+/**
+ * The comment's SVG group.
+ * @type {Element}
+ * @private
+ */
+Blockly.WorkspaceComment.prototype.svgGroup_ = null;
+
+/**
+ * The comment's textarea.
+ * @type {Element}
+ * @private
+ */
+Blockly.WorkspaceComment.prototype.textarea_ = null;
+
+/**
+ * Create a comment from JSON.
+ * @param {!Blockly.Workspace} workspace The workspace to put the comment on.
+ * @param {!Object} json JSON comment: {id, text, x, y, w, h}.  The position
+ *     is in workspace units.
+ * @return {!Blockly.WorkspaceComment} The new comment.
+ */
+Blockly.WorkspaceComment.fromJson = function (workspace, json) {
+    // A comment whose id is taken gets a new one.
+    var id = json.id != null && !workspace.getCommentById(json.id) ?
+        String(json.id) : null;
+    var comment = new Blockly.WorkspaceComment(workspace,
+        json.text == null ? '' : String(json.text), id);
+    comment.setJson_(json);
+    return comment;
+};
+
+/**
+ * Stop binding to the global mouseup and mousemove events.
+ * @private
+ */
+Blockly.WorkspaceComment.terminateDrag_ = function () {
+    if (Blockly.WorkspaceComment.onMouseUpWrapper_) {
+        Blockly.unbindEvent_(Blockly.WorkspaceComment.onMouseUpWrapper_);
+        Blockly.WorkspaceComment.onMouseUpWrapper_ = null;
+    }
+    if (Blockly.WorkspaceComment.onMouseMoveWrapper_) {
+        Blockly.unbindEvent_(Blockly.WorkspaceComment.onMouseMoveWrapper_);
+        Blockly.WorkspaceComment.onMouseMoveWrapper_ = null;
+    }
+    if (Blockly.WorkspaceComment.dragUndoManager_) {
+        Blockly.WorkspaceComment.dragUndoManager_.endGroup();
+        Blockly.WorkspaceComment.dragUndoManager_ = null;
+    }
+};
+
+/**
+ * Create the comment's DOM, behind the blocks.
+ * @private
+ */
+Blockly.WorkspaceComment.prototype.createDom_ = function () {
+    /* Here's the markup that will be generated:
+     <g class="blocklyWorkspaceComment">
+     <rect class="blocklyWorkspaceCommentRect blocklyDraggable" rx="6" ry="6"/>
+     <foreignObject x="6" y="12">
+     <body xmlns="http://www.w3.org/1999/xhtml" class="blocklyMinimalBody">
+     <textarea class="blocklyCommentTextarea"></textarea>
+     </body>
+     </foreignObject>
+     <g class="blocklyResizeSE">
+     <polygon points="0,12 12,12 12,0"/>
+     <line class="blocklyResizeLine" x1="4" y1="11" x2="11" y2="4"/>
+     <line class="blocklyResizeLine" x1="8" y1="11" x2="11" y2="8"/>
+     </g>
+     </g>
+     */
+    var border = Blockly.Bubble.BORDER_WIDTH;
+    this.svgGroup_ = Blockly.createSvgElement('g',
+        {'class': 'blocklyWorkspaceComment', 'role': 'note',
+            'aria-label': Blockly.Msg.ARIA_WORKSPACE_COMMENT}, null);
+    this.svgRect_ = Blockly.createSvgElement('rect',
+        {'class': 'blocklyWorkspaceCommentRect blocklyDraggable',
+            'rx': border, 'ry': border}, this.svgGroup_);
+    this.foreignObject_ = Blockly.createSvgElement('foreignObject',
+        {'x': border, 'y': Blockly.WorkspaceComment.TOP_BAR_HEIGHT},
+        this.svgGroup_);
+    var body = document.createElementNS(Blockly.HTML_NS, 'body');
+    body.setAttribute('xmlns', Blockly.HTML_NS);
+    body.className = 'blocklyMinimalBody';
+    this.textarea_ = document.createElementNS(Blockly.HTML_NS, 'textarea');
+    this.textarea_.className = 'blocklyCommentTextarea';
+    this.textarea_.setAttribute('dir', Blockly.RTL ? 'RTL' : 'LTR');
+    this.textarea_.value = this.text_;
+    if (Blockly.readOnly) {
+        this.textarea_.setAttribute('readonly', 'readonly');
+    }
+    body.appendChild(this.textarea_);
+    this.foreignObject_.appendChild(body);
+    this.resizeGroup_ = Blockly.createSvgElement('g',
+        {'class': 'blocklyResizeSE'}, this.svgGroup_);
+    var resizeSize = 2 * border;
+    Blockly.createSvgElement('polygon',
+        {'points': '0,x x,x x,0'.replace(/x/g, resizeSize.toString())},
+        this.resizeGroup_);
+    Blockly.createSvgElement('line',
+        {'class': 'blocklyResizeLine',
+            'x1': resizeSize / 3, 'y1': resizeSize - 1,
+            'x2': resizeSize - 1, 'y2': resizeSize / 3}, this.resizeGroup_);
+    Blockly.createSvgElement('line',
+        {'class': 'blocklyResizeLine',
+            'x1': resizeSize * 2 / 3, 'y1': resizeSize - 1,
+            'x2': resizeSize - 1, 'y2': resizeSize * 2 / 3}, this.resizeGroup_);
+
+    var canvas = this.workspace.getCanvas();
+    canvas.insertBefore(this.svgGroup_, canvas.firstChild);
+    this.promote_();
+    Blockly.bindEvent_(this.svgRect_, 'mousedown', this, this.onMouseDown_);
+    Blockly.bindEvent_(this.resizeGroup_, 'mousedown', this,
+        this.resizeMouseDown_);
+    Blockly.bindEvent_(this.textarea_, 'mousedown', this, function (e) {
+        this.select();
+        e.stopPropagation();
+    });
+    Blockly.bindEvent_(this.textarea_, 'change', this, this.textareaChange_);
+    this.render_();
+};
+
+/**
+ * Draw the comment at its position and size.
+ * @private
+ */
+Blockly.WorkspaceComment.prototype.render_ = function () {
+    if (!this.svgGroup_) {
+        return;
+    }
+    var border = Blockly.Bubble.BORDER_WIDTH;
+    var top = Blockly.WorkspaceComment.TOP_BAR_HEIGHT;
+    this.svgGroup_.setAttribute('transform',
+        'translate(' + this.xy_.x + ', ' + this.xy_.y + ')');
+    this.svgRect_.setAttribute('width', this.width_);
+    this.svgRect_.setAttribute('height', this.height_);
+    var width = Math.max(this.width_ - 2 * border, 0);
+    var height = Math.max(this.height_ - top - border, 0);
+    this.foreignObject_.setAttribute('width', width);
+    this.foreignObject_.setAttribute('height', height);
+    this.textarea_.style.width = Math.max(width - 4, 0) + 'px';
+    this.textarea_.style.height = Math.max(height - 4, 0) + 'px';
+    this.resizeGroup_.setAttribute('transform', 'translate(' +
+        (this.width_ - 2 * border) + ', ' + (this.height_ - 2 * border) + ')');
+};
+
+/**
+ * Dispose of this comment.
+ * Unlink from all DOM elements to prevent memory leaks.
+ */
+Blockly.WorkspaceComment.prototype.dispose = function () {
+    if (!this.workspace) {
+        // Already disposed.
+        return;
+    }
+    Blockly.UndoManager.recordComment(this);
+    if (Blockly.selectedComment == this) {
+        this.unselect();
+    }
+    this.workspace.removeTopComment(this);
+    if (this.svgGroup_) {
+        Ext.removeNode(this.svgGroup_);
+        this.svgGroup_ = null;
+    }
+    this.svgRect_ = null;
+    this.foreignObject_ = null;
+    this.textarea_ = null;
+    this.resizeGroup_ = null;
+    this.workspace = null;
+};
+
+/**
+ * Is this comment deletable?
+ * @return {boolean} True if the comment may be deleted.
+ */
+Blockly.WorkspaceComment.prototype.isDeletable = function () {
+    return !Blockly.readOnly;
+};
+
+/**
+ * Get the comment's text.
+ * @return {string} The text.
+ */
+Blockly.WorkspaceComment.prototype.getText = function () {
+    return this.textarea_ ? this.textarea_.value : this.text_;
+};
+
+/**
+ * Set the comment's text.
+ * @param {string} text The text.
+ */
+Blockly.WorkspaceComment.prototype.setText = function (text) {
+    if (text == this.getText()) {
+        return;
+    }
+    Blockly.UndoManager.recordComment(this);
+    this.text_ = text;
+    this.savedText_ = text;
+    if (this.textarea_) {
+        this.textarea_.value = text;
+    }
+    this.workspace.fireChangeEvent();
+};
+
+/**
+ * Get the position of the comment's top left corner.
+ * @return {!Object} Object with x and y properties, in workspace units.
+ */
+Blockly.WorkspaceComment.prototype.getRelativeToSurfaceXY = function () {
+    return {x: this.xy_.x, y: this.xy_.y};
+};
+
+/**
+ * Move the comment by a relative offset.
+ * @param {number} dx Horizontal offset, in workspace units.
+ * @param {number} dy Vertical offset.
+ */
+Blockly.WorkspaceComment.prototype.moveBy = function (dx, dy) {
+    this.xy_ = {x: this.xy_.x + dx, y: this.xy_.y + dy};
+    this.render_();
+};
+
+/**
+ * Get the size of the comment.
+ * @return {!Object} Object with width and height properties.
+ */
+Blockly.WorkspaceComment.prototype.getSize = function () {
+    return {width: this.width_, height: this.height_};
+};
+
+/**
+ * Resize the comment.  It can't be made smaller than MIN_SIZE.
+ * @param {number} width The new width, in workspace units.
+ * @param {number} height The new height.
+ */
+Blockly.WorkspaceComment.prototype.setSize = function (width, height) {
+    this.width_ = Math.max(width, Blockly.WorkspaceComment.MIN_SIZE);
+    this.height_ = Math.max(height, Blockly.WorkspaceComment.MIN_SIZE);
+    this.render_();
+};
+
+/**
+ * Encode the comment as JSON.
+ * @return {!Object} JSON comment: {id, text, x, y, w, h}, with the position
+ *     in workspace units.
+ */
+Blockly.WorkspaceComment.prototype.toJson = function () {
+    return {id: this.id, text: this.getText(), x: this.xy_.x, y: this.xy_.y,
+        w: this.width_, h: this.height_};
+};
+
+/**
+ * Restore the text, position and size of the comment from JSON.
+ * @param {!Object} json JSON comment, as from toJson.
+ * @private
+ */
+Blockly.WorkspaceComment.prototype.setJson_ = function (json) {
+    var text = json.text == null ? '' : String(json.text);
+    this.text_ = text;
+    this.savedText_ = text;
+    if (this.textarea_) {
+        this.textarea_.value = text;
+    }
+    var x = parseFloat(json.x);
+    var y = parseFloat(json.y);
+    this.xy_ = {x: isNaN(x) ? 0 : x, y: isNaN(y) ? 0 : y};
+    var width = parseFloat(json.w);
+    var height = parseFloat(json.h);
+    this.setSize(isNaN(width) ? Blockly.WorkspaceComment.DEFAULT_WIDTH : width,
+        isNaN(height) ? Blockly.WorkspaceComment.DEFAULT_HEIGHT : height);
+};
+
+/**
+ * Select this comment.  Any selected blocks are unselected.
+ */
+Blockly.WorkspaceComment.prototype.select = function () {
+    if (Blockly.selectedComment == this) {
+        return;
+    }
+    // Also unselects any other comment.
+    Blockly.Selection.clear();
+    Blockly.selectedComment = this;
+    if (this.svgGroup_) {
+        Blockly.addClass_(this.svgGroup_, 'blocklySelected');
+    }
+};
+
+/**
+ * Unselect this comment.
+ */
+Blockly.WorkspaceComment.prototype.unselect = function () {
+    if (Blockly.selectedComment != this) {
+        return;
+    }
+    Blockly.selectedComment = null;
+    if (this.svgGroup_) {
+        Blockly.removeClass_(this.svgGroup_, 'blocklySelected');
+    }
+};
+
+/**
+ * Handle a mouse-down on the comment's border: select it and start dragging
+ * it, or show its context menu.
+ * @param {!Event} e Mouse down event.
+ * @private
+ */
+Blockly.WorkspaceComment.prototype.onMouseDown_ = function (e) {
+    Blockly.terminateDrag_();
+    Blockly.hideChaff();
+    this.select();
+    this.promote_();
+    if (Blockly.isRightButton(e)) {
+        this.showContextMenu_(e);
+    } else if (!Blockly.readOnly) {
+        Blockly.removeAllRanges();
+        Blockly.setCursorHand_(true);
+        var xy = this.getRelativeToSurfaceXY();
+        this.startDragX_ = xy.x;
+        this.startDragY_ = xy.y;
+        this.startDragMouseX_ = e.clientX;
+        this.startDragMouseY_ = e.clientY;
+        this.startUndoGroup_();
+        Blockly.UndoManager.recordComment(this);
+        Blockly.WorkspaceComment.onMouseUpWrapper_ = Blockly.bindEvent_(document,
+            'mouseup', this, this.onMouseUp_);
+        Blockly.WorkspaceComment.onMouseMoveWrapper_ = Blockly.bindEvent_(
+            document, 'mousemove', this, this.onMouseMove_);
+    }
+    // This event has been handled.  No need to bubble up to the document.
+    e.stopPropagation();
+};
+
+/**
+ * Bring the comment in front of the frames and the other comments.  Comments
+ * are drawn before all the blocks, so it goes just before the first block.
+ * @private
+ */
+Blockly.WorkspaceComment.prototype.promote_ = function () {
+    var node = this.svgGroup_.parentNode.firstChild;
+    while (node && (node == this.svgGroup_ ||
+        /(^| )(blocklyWorkspaceComment|blocklyFrame)( |$)/.test(
+            node.getAttribute('class')))) {
+        node = node.nextSibling;
+    }
+    this.svgGroup_.parentNode.insertBefore(this.svgGroup_, node);
+};
+
+/**
+ * Drag the comment to follow the mouse.
+ * @param {!Event} e Mouse move event.
+ * @private
+ */
+Blockly.WorkspaceComment.prototype.onMouseMove_ = function (e) {
+    var scale = this.workspace.scale;
+    var xy = this.getRelativeToSurfaceXY();
+    this.moveBy(
+        this.startDragX_ + (e.clientX - this.startDragMouseX_) / scale - xy.x,
+        this.startDragY_ + (e.clientY - this.startDragMouseY_) / scale - xy.y);
+    if (this.workspace.trashcan) {
+        this.workspace.trashcan.onMouseMove(e);
+    }
+    // This event has been handled.  No need to bubble up to the document.
+    e.stopPropagation();
+};
+
+/**
+ * Finish dragging the comment, deleting it if it was dropped on the trash can.
+ * @param {!Event} e Mouse up event.
+ * @private
+ */
+Blockly.WorkspaceComment.prototype.onMouseUp_ = function (e) {
+    var workspace = this.workspace;
+    var trashcan = workspace.trashcan;
+    if (trashcan && trashcan.isOpen) {
+        var task = new Ext.util.DelayedTask(trashcan.close, trashcan);
+        task.delay(100);
+        this.dispose();
+    }
+    Blockly.terminateDrag_();
+    workspace.fireChangeEvent();
+    if (workspace.scrollbar) {
+        workspace.scrollbar.resize();
+    }
+};
+
+/**
+ * Handle a mouse-down on the comment's resize corner.
+ * @param {!Event} e Mouse down event.
+ * @private
+ */
+Blockly.WorkspaceComment.prototype.resizeMouseDown_ = function (e) {
+    Blockly.terminateDrag_();
+    Blockly.hideChaff();
+    this.select();
+    if (!Blockly.isRightButton(e) && !Blockly.readOnly) {
+        Blockly.setCursorHand_(true);
+        this.startWidth_ = this.width_;
+        this.startHeight_ = this.height_;
+        this.startDragMouseX_ = e.clientX;
+        this.startDragMouseY_ = e.clientY;
+        this.startUndoGroup_();
+        Blockly.UndoManager.recordComment(this);
+        Blockly.WorkspaceComment.onMouseUpWrapper_ = Blockly.bindEvent_(document,
+            'mouseup', this, this.onMouseUp_);
+        Blockly.WorkspaceComment.onMouseMoveWrapper_ = Blockly.bindEvent_(
+            document, 'mousemove', this, this.resizeMouseMove_);
+    }
+    // This event has been handled.  No need to bubble up to the document.
+    e.stopPropagation();
+};
+
+/**
+ * Resize the comment to follow the mouse.
+ * @param {!Event} e Mouse move event.
+ * @private
+ */
+Blockly.WorkspaceComment.prototype.resizeMouseMove_ = function (e) {
+    var scale = this.workspace.scale;
+    this.setSize(this.startWidth_ + (e.clientX - this.startDragMouseX_) / scale,
+        this.startHeight_ + (e.clientY - this.startDragMouseY_) / scale);
+    e.stopPropagation();
+};
+
+/**
+ * Make everything up to the mouse up one command.
+ * @private
+ */
+Blockly.WorkspaceComment.prototype.startUndoGroup_ = function () {
+    if (this.workspace.undoManager) {
+        Blockly.WorkspaceComment.dragUndoManager_ = this.workspace.undoManager;
+        Blockly.WorkspaceComment.dragUndoManager_.beginGroup();
+    }
+};
+
+/**
+ * Record an edit of the comment's text for undo.
+ * @param {!Event} e Change event.
+ * @private
+ */
+Blockly.WorkspaceComment.prototype.textareaChange_ = function (e) {
+    Blockly.UndoManager.recordComment(this, this.savedText_);
+    this.text_ = this.textarea_.value;
+    this.savedText_ = this.text_;
+    this.workspace.fireChangeEvent();
+};
+
+/**
+ * Show the context menu for this comment.
+ * @param {!Event} e Mouse event.
+ * @private
+ */
+Blockly.WorkspaceComment.prototype.showContextMenu_ = function (e) {
+    if (Blockly.readOnly) {
+        return;
+    }
+    var comment = this;
+    var options = [];
+    options.push({
+        text: Blockly.Msg.DUPLICATE_BLOCK,
+        enabled: true,
+        callback: function () {
+            var json = comment.toJson();
+            json.x = Blockly.RTL ? -json.x : json.x;
+            Blockly.doCommand(function () {
+                comment.workspace.pasteComment(json);
+            });
+        }
+    });
+    options.push({
+        text: Blockly.Msg.REMOVE_COMMENT,
+        enabled: true,
+        callback: function () {
+            Blockly.doCommand(function () {
+                comment.dispose();
+            });
+        }
+    });
+    Blockly.ContextMenu.show(e, options);
+};
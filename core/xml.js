@@ -20,29 +20,60 @@
 
 /**
  * @fileoverview XML reader and writer.
+ * Blocks are saved as JSON (see json.js); the XML format is a translation of
+ * the JSON one, compatible with upstream Blockly, so both always hold the same
+ * information.
  * @author fraser@google.com (Neil Fraser)
  */
 'use strict';
 
 Blockly.Xml = {};
 
+/**
+ * Properties of a block that are XML attributes, with their JSON type.
+ * @const
+ * @private
+ */
+Blockly.Xml.BLOCK_ATTRIBUTES_ = {
+    type: 'string', id: 'string', x: 'number', y: 'number',
+    inline: 'boolean', collapsed: 'boolean', disabled: 'boolean',
+    deletable: 'boolean', movable: 'boolean', editable: 'boolean'
+};
+
+/**
+ * Properties of a comment that are XML attributes, with their JSON type.
+ * @const
+ * @private
+ */
+Blockly.Xml.COMMENT_ATTRIBUTES_ = {pinned: 'boolean', h: 'number', w: 'number'};
+
+/**
+ * Properties of a workspace comment that are XML attributes, with their JSON
+ * type.  The text is the element's content.
+ * @const
+ * @private
+ */
+Blockly.Xml.WORKSPACE_COMMENT_ATTRIBUTES_ = {
+    id: 'string', x: 'number', y: 'number', w: 'number', h: 'number'
+};
+
+/**
+ * Properties of a frame, which are all XML attributes, with their JSON type.
+ * @const
+ * @private
+ */
+Blockly.Xml.FRAME_ATTRIBUTES_ = {
+    id: 'string', title: 'string', colour: 'number', x: 'number', y: 'number',
+    w: 'number', h: 'number', collapsed: 'boolean'
+};
+
 /**
  * Encode a block tree as XML.
  * @param {!Object} workspace The SVG workspace.
  * @return {!Element} XML document.
  */
 Blockly.Xml.workspaceToDom = function (workspace) {
-    var width = Blockly.svgSize().width;
-    var xml = Ext.DomHelper.createDom({tag: 'xml'});
-    var blocks = workspace.getTopBlocks(true);
-    for (var i = 0, block; block = blocks[i]; i++) {
-        var element = Blockly.Xml.blockToDom_(block);
-        var xy = block.getRelativeToSurfaceXY();
-        element.setAttribute('x', Blockly.RTL ? width - xy.x : xy.x);
-        element.setAttribute('y', xy.y);
-        xml.appendChild(element);
-    }
-    return xml;
+    return Blockly.Xml.jsonToDom(Blockly.Json.getWorkspace(workspace));
 };
 
 /**
@@ -52,91 +83,328 @@ Blockly.Xml.workspaceToDom = function (workspace) {
  * @private
  */
 Blockly.Xml.blockToDom_ = function (block) {
-    var element = Ext.DomHelper.createDom({tag: 'block', type: block.type, id: block.id });
-    element.setAttribute('type', block.type);
-    element.setAttribute('id', block.id);
-    if (block.mutationToDom) {
-        // Custom data for an advanced block.
-        var mutation = block.mutationToDom();
-        if (mutation) {
-            element.appendChild(mutation);
+    return Blockly.Xml.blockJsonToDom_(Blockly.Json.blockToDom_(block));
+};
+
+/**
+ * Convert a workspace document (see Blockly.Json.getWorkspace) to XML.
+ * Documents of older versions are upgraded first.
+ * @param {!Object} json Workspace document.
+ * @return {!Element} XML document.
+ */
+Blockly.Xml.jsonToDom = function (json) {
+    json = Blockly.Json.migrate(json);
+    var xml = Ext.DomHelper.createDom({tag: 'xml'});
+    xml.setAttribute('version', json.version);
+    if (Ext.isObject(json.metadata)) {
+        var metadata = Ext.DomHelper.createDom({tag: 'metadata'});
+        for (var key in json.metadata) {
+            if (json.metadata[key] != null) {
+                metadata.appendChild(Ext.DomHelper.createDom({tag: key,
+                    children: String(json.metadata[key])}));
+            }
         }
+        xml.appendChild(metadata);
+    }
+    var blocks = [].concat(json.blocks || []);
+    for (var x = 0; x < blocks.length; x++) {
+        xml.appendChild(Blockly.Xml.blockJsonToDom_(blocks[x]));
     }
-    function fieldToDom(field) {
-        if (field.name && field.EDITABLE) {
-            var container = Ext.DomHelper.createDom({tag: 'field', children: field.getValue()});
-            container.setAttribute('name', field.name);
-            element.appendChild(container);
+    var comments = [].concat(json.comments || []);
+    for (var x = 0; x < comments.length; x++) {
+        var comment = Ext.DomHelper.createDom({tag: 'comment'});
+        for (var key in Blockly.Xml.WORKSPACE_COMMENT_ATTRIBUTES_) {
+            if (comments[x][key] != null) {
+                comment.setAttribute(key, comments[x][key]);
+            }
         }
+        comment.appendChild(document.createTextNode(comments[x].text || ''));
+        xml.appendChild(comment);
     }
+    var frames = [].concat(json.frames || []);
+    for (var x = 0; x < frames.length; x++) {
+        var frame = Ext.DomHelper.createDom({tag: 'frame'});
+        for (var key in Blockly.Xml.FRAME_ATTRIBUTES_) {
+            if (frames[x][key] != null) {
+                frame.setAttribute(key, frames[x][key]);
+            }
+        }
+        xml.appendChild(frame);
+    }
+    return xml;
+};
 
-    for (var x = 0, input; input = block.inputList[x]; x++) {
-        for (var y = 0, field; field = input.fieldRow[y]; y++) {
-            fieldToDom(field);
+/**
+ * Convert XML to a workspace document (see Blockly.Json.getWorkspace).
+ * XML written by upstream Blockly, including <title> and <shadow> elements, is
+ * accepted.  XML without a version is of the current version of the format.
+ * @param {!Element|!Document} xml XML document.
+ * @return {!Object} Workspace document.
+ */
+Blockly.Xml.domToJson = function (xml) {
+    if (xml.nodeType == 9) {
+        xml = xml.documentElement;
+    }
+    var version = xml.hasAttribute('version') ?
+        Blockly.Xml.parseValue_(xml.getAttribute('version'), 'number') :
+        Blockly.Json.VERSION;
+    var json = {version: version, metadata: {}, blocks: []};
+    var children = Blockly.Xml.childElements_(xml);
+    for (var x = 0; x < children.length; x++) {
+        switch (children[x].nodeName.toLowerCase()) {
+            case 'metadata':
+                var entries = Blockly.Xml.childElements_(children[x]);
+                for (var y = 0; y < entries.length; y++) {
+                    json.metadata[entries[y].nodeName] = entries[y].textContent;
+                }
+                break;
+            case 'block':
+                json.blocks.push(Blockly.Xml.blockDomToJson_(children[x]));
+                break;
+            case 'comment':
+                var comment = {text: children[x].textContent};
+                for (var key in Blockly.Xml.WORKSPACE_COMMENT_ATTRIBUTES_) {
+                    if (children[x].hasAttribute(key)) {
+                        comment[key] = Blockly.Xml.parseValue_(
+                            children[x].getAttribute(key),
+                            Blockly.Xml.WORKSPACE_COMMENT_ATTRIBUTES_[key]);
+                    }
+                }
+                json.comments = json.comments || [];
+                json.comments.push(comment);
+                break;
+            case 'frame':
+                var frame = {};
+                for (var key in Blockly.Xml.FRAME_ATTRIBUTES_) {
+                    if (children[x].hasAttribute(key)) {
+                        frame[key] = Blockly.Xml.parseValue_(
+                            children[x].getAttribute(key),
+                            Blockly.Xml.FRAME_ATTRIBUTES_[key]);
+                    }
+                }
+                json.frames = json.frames || [];
+                json.frames.push(frame);
+                break;
         }
     }
+    return json;
+};
 
-    if (block.comment) {
-        var commentElement = Ext.DomHelper.createDom({tag: 'comment', children: block.comment.getText()});
-        commentElement.setAttribute('pinned', block.comment.isVisible());
-        var hw = block.comment.getBubbleSize();
-        commentElement.setAttribute('h', hw.height);
-        commentElement.setAttribute('w', hw.width);
+/**
+ * Convert a JSON block tree to XML.
+ * @param {!Object} jsonBlock JSON block.
+ * @param {string=} opt_tag Tag of the element, 'block' by default.
+ * @return {!Element} XML block element.
+ * @private
+ */
+Blockly.Xml.blockJsonToDom_ = function (jsonBlock, opt_tag) {
+    var element = Ext.DomHelper.createDom({tag: opt_tag || 'block'});
+    for (var key in Blockly.Xml.BLOCK_ATTRIBUTES_) {
+        if (jsonBlock[key] != null) {
+            element.setAttribute(key, jsonBlock[key]);
+        }
+    }
+    if (jsonBlock.mutation != null) {
+        element.appendChild(
+            Blockly.Xml.mutationJsonToDom_([].concat(jsonBlock.mutation)));
+    }
+    var fields = [].concat(jsonBlock.fields || []);
+    for (var x = 0; x < fields.length; x++) {
+        var field = Ext.DomHelper.createDom({tag: 'field',
+            children: String(fields[x].value)});
+        field.setAttribute('name', fields[x].name);
+        element.appendChild(field);
+    }
+    var comment = jsonBlock.comment;
+    if (comment != null) {
+        var commentElement = Ext.DomHelper.createDom({tag: 'comment',
+            children: String(comment.text || '')});
+        for (var key in Blockly.Xml.COMMENT_ATTRIBUTES_) {
+            if (comment[key] != null) {
+                commentElement.setAttribute(key, comment[key]);
+            }
+        }
         element.appendChild(commentElement);
     }
+    var children = [].concat(jsonBlock.children || []);
+    for (var x = 0; x < children.length; x++) {
+        var container = Ext.DomHelper.createDom({tag: children[x].type});
+        container.setAttribute('name', children[x].name);
+        if (children[x].shadow) {
+            container.appendChild(
+                Blockly.Xml.blockJsonToDom_(children[x].shadow, 'shadow'));
+        }
+        if (children[x].block) {
+            container.appendChild(Blockly.Xml.blockJsonToDom_(children[x].block));
+        }
+        element.appendChild(container);
+    }
+    if (jsonBlock.next) {
+        var next = Ext.DomHelper.createDom({tag: 'next'});
+        next.appendChild(Blockly.Xml.blockJsonToDom_(jsonBlock.next));
+        element.appendChild(next);
+    }
+    return element;
+};
 
-    var hasValues = false;
-    for (var i = 0, input; input = block.inputList[i]; i++) {
-        var container;
-        var empty = true;
-        if (input.type == Blockly.DUMMY_INPUT) {
-            continue;
-        } else {
-            var childBlock = input.connection.targetBlock();
-            if (input.type == Blockly.INPUT_VALUE) {
-                container = Ext.DomHelper.createDom({tag: 'value'});
-                hasValues = true;
-            } else if (input.type == Blockly.NEXT_STATEMENT) {
-                container = Ext.DomHelper.createDom({tag: 'statement'});
-            }
-            if (childBlock) {
-                container.appendChild(Blockly.Xml.blockToDom_(childBlock));
-                empty = false;
+/**
+ * Convert an XML block tree to JSON.
+ * @param {!Element} xmlBlock XML block element.
+ * @return {!Object} JSON block.
+ * @private
+ */
+Blockly.Xml.blockDomToJson_ = function (xmlBlock) {
+    var jsonBlock = {};
+    for (var key in Blockly.Xml.BLOCK_ATTRIBUTES_) {
+        if (xmlBlock.hasAttribute(key)) {
+            jsonBlock[key] = Blockly.Xml.parseValue_(xmlBlock.getAttribute(key),
+                Blockly.Xml.BLOCK_ATTRIBUTES_[key]);
+        }
+    }
+    var children = Blockly.Xml.childElements_(xmlBlock);
+    for (var x = 0, xmlChild; xmlChild = children[x]; x++) {
+        var tag = xmlChild.nodeName.toLowerCase();
+        var name = xmlChild.getAttribute('name');
+        var grandchild = null;
+        var shadow = null;
+        var grandchildren = Blockly.Xml.childElements_(xmlChild);
+        for (var y = 0; y < grandchildren.length; y++) {
+            var grandchildTag = grandchildren[y].nodeName.toLowerCase();
+            if (grandchildTag == 'block') {
+                grandchild = grandchildren[y];
+            } else if (grandchildTag == 'shadow') {
+                shadow = grandchildren[y];
             }
         }
-        container.setAttribute('name', input.name);
-        if (!empty) {
-            element.appendChild(container);
+        switch (tag) {
+            case 'mutation':
+                jsonBlock.mutation = Blockly.Xml.mutationDomToJson_(xmlChild);
+                break;
+            case 'comment':
+                var comment = {text: xmlChild.textContent};
+                for (var key in Blockly.Xml.COMMENT_ATTRIBUTES_) {
+                    if (xmlChild.hasAttribute(key)) {
+                        comment[key] = Blockly.Xml.parseValue_(xmlChild.getAttribute(key),
+                            Blockly.Xml.COMMENT_ATTRIBUTES_[key]);
+                    }
+                }
+                jsonBlock.comment = comment;
+                break;
+            case 'title':
+            // Titles were renamed to field in December 2013.
+            // Fall through.
+            case 'field':
+                jsonBlock.fields = jsonBlock.fields || [];
+                jsonBlock.fields.push({name: name, value: xmlChild.textContent});
+                break;
+            case 'value':
+            case 'statement':
+                var child = {type: tag, name: name};
+                if (shadow) {
+                    child.shadow = Blockly.Xml.blockDomToJson_(shadow);
+                }
+                if (grandchild) {
+                    child.block = Blockly.Xml.blockDomToJson_(grandchild);
+                }
+                jsonBlock.children = jsonBlock.children || [];
+                jsonBlock.children.push(child);
+                break;
+            case 'next':
+                // A shadow next block is kept as an ordinary block.
+                if (grandchild || shadow) {
+                    jsonBlock.next = Blockly.Xml.blockDomToJson_(grandchild || shadow);
+                }
+                break;
+            default:
+            // Unknown tag; ignore.  Same principle as HTML parsers.
         }
     }
-    if (hasValues) {
-        element.setAttribute('inline', block.inputsInline);
+    return jsonBlock;
+};
+
+/**
+ * Convert a JSON mutation, a list of {name, value}, to XML.  Each entry is an
+ * attribute, except for those whose name is used more than once (such as a
+ * procedure's 'arg'), which are elements holding the value in their name
+ * attribute, as upstream Blockly writes them.
+ * @param {!Array.<!Object>} mutation JSON mutation.
+ * @return {!Element} XML mutation element.
+ * @private
+ */
+Blockly.Xml.mutationJsonToDom_ = function (mutation) {
+    var element = Ext.DomHelper.createDom({tag: 'mutation'});
+    var counts = {};
+    for (var x = 0; x < mutation.length; x++) {
+        counts[mutation[x].name] = (counts[mutation[x].name] || 0) + 1;
     }
-    if (block.isCollapsed()) {
-        element.setAttribute('collapsed', true);
+    for (var x = 0; x < mutation.length; x++) {
+        var name = mutation[x].name;
+        if (counts[name] == 1 && name != 'arg') {
+            element.setAttribute(name, mutation[x].value);
+        } else {
+            var entry = Ext.DomHelper.createDom({tag: name});
+            entry.setAttribute('name', mutation[x].value);
+            element.appendChild(entry);
+        }
     }
-    if (block.disabled) {
-        element.setAttribute('disabled', true);
+    return element;
+};
+
+/**
+ * Convert an XML mutation to JSON, a list of {name, value}.  The values are
+ * kept as strings, as the blocks' domToMutation may expect any text there.
+ * @param {!Element} xmlMutation XML mutation element.
+ * @return {!Array.<!Object>} JSON mutation.
+ * @private
+ */
+Blockly.Xml.mutationDomToJson_ = function (xmlMutation) {
+    var mutation = [];
+    for (var x = 0, attribute; attribute = xmlMutation.attributes[x]; x++) {
+        if (attribute.name != 'xmlns') {
+            mutation.push({name: attribute.name,
+                value: attribute.value});
+        }
     }
-    if (!block.isDeletable()) {
-        element.setAttribute('deletable', false);
+    var children = Blockly.Xml.childElements_(xmlMutation);
+    for (var x = 0; x < children.length; x++) {
+        mutation.push({name: children[x].nodeName.toLowerCase(),
+            value: children[x].getAttribute('name')});
     }
-    if (!block.isMovable()) {
-        element.setAttribute('movable', false);
+    return mutation;
+};
+
+/**
+ * Read the value of an attribute.
+ * @param {?string} text Attribute value.
+ * @param {string} type JSON type it holds: 'string', 'number' or 'boolean'.
+ * @return {*} The value.
+ * @private
+ */
+Blockly.Xml.parseValue_ = function (text, type) {
+    if (text == null || type == 'string') {
+        return text;
     }
-    if (!block.isEditable()) {
-        element.setAttribute('editable', false);
+    if (type == 'boolean') {
+        return text == 'true';
     }
+    var number = parseFloat(text);
+    return isNaN(number) ? text : number;
+};
 
-    if (block.nextConnection) {
-        var nextBlock = block.nextConnection.targetBlock();
-        if (nextBlock) {
-            var container = Ext.DomHelper.createDom({tag: 'next', children: Blockly.Xml.blockToDom_(nextBlock)});
-            element.appendChild(container);
+/**
+ * Get the child elements of an element, skipping text and comments.
+ * @param {!Element} element XML element.
+ * @return {!Array.<!Element>} Child elements.
+ * @private
+ */
+Blockly.Xml.childElements_ = function (element) {
+    var elements = [];
+    for (var x = 0, node; node = element.childNodes[x]; x++) {
+        if (node.nodeType == 1) {
+            elements.push(node);
         }
     }
-
-    return element;
+    return elements;
 };
 
 /**
@@ -204,19 +472,10 @@ Blockly.Xml.textToDom = function (text) {
  * Decode an XML DOM and create blocks on the workspace.
  * @param {!Blockly.Workspace} workspace The SVG workspace.
  * @param {!Element} xml XML DOM.
+ * @return {!Array.<!Object>} Errors, as returned by Blockly.Json.validate.
  */
 Blockly.Xml.domToWorkspace = function (workspace, xml) {
-    var width = Blockly.svgSize().width;
-    for (var x = 0, xmlChild; xmlChild = xml.childNodes[x]; x++) {
-        if (xmlChild.nodeName.toLowerCase() == 'block') {
-            var block = Blockly.Xml.domToBlock(workspace, xmlChild);
-            var blockX = parseInt(xmlChild.getAttribute('x'), 10);
-            var blockY = parseInt(xmlChild.getAttribute('y'), 10);
-            if (!isNaN(blockX) && !isNaN(blockY)) {
-                block.moveBy(Blockly.RTL ? width - blockX : blockX, blockY);
-            }
-        }
-    }
+    return Blockly.Json.setWorkspace(workspace, Blockly.Xml.domToJson(xml));
 };
 
 /**
@@ -226,158 +485,11 @@ Blockly.Xml.domToWorkspace = function (workspace, xml) {
  * @param {!Element} xmlBlock XML block element.
  * @param {boolean=} opt_reuseBlock Optional arg indicating whether to
  *     reinitialize an existing block.
- * @return {!Blockly.Block} The root block created.
- * @private
+ * @return {Blockly.Block} The root block created.
  */
 Blockly.Xml.domToBlock = function (workspace, xmlBlock, opt_reuseBlock) {
-    var block = null;
-    var prototypeName = xmlBlock.getAttribute('type');
-    if (!prototypeName) {
-        throw 'Block type unspecified: \n' + xmlBlock.outerHTML;
-    }
-    var id = xmlBlock.getAttribute('id');
-    if (opt_reuseBlock && id) {
-        block = Blockly.Block.getById(id, workspace);
-        // TODO: The following is for debugging.  It should never actually happen.
-        if (!block) {
-            throw 'Couldn\'t get Block with id: ' + id;
-        }
-        var parentBlock = block.getParent();
-        // If we've already filled this block then we will dispose of it and then
-        // re-fill it.
-        if (block.workspace) {
-            block.dispose(true, false, true);
-        }
-        block.fill(workspace, prototypeName);
-        block.parent_ = parentBlock;
-    } else {
-        block = Blockly.Block.obtain(workspace, prototypeName);
-//    if (id) {
-//      block.id = parseInt(id, 10);
-//    }
-    }
-    if (!block.svg_) {
-        block.initSvg();
-    }
-
-    var inline = xmlBlock.getAttribute('inline');
-    if (inline) {
-        block.setInputsInline(inline == 'true');
-    }
-    var disabled = xmlBlock.getAttribute('disabled');
-    if (disabled) {
-        block.setDisabled(disabled == 'true');
-    }
-    var deletable = xmlBlock.getAttribute('deletable');
-    if (deletable) {
-        block.setDeletable(deletable == 'true');
-    }
-    var movable = xmlBlock.getAttribute('movable');
-    if (movable) {
-        block.setMovable(movable == 'true');
-    }
-    var editable = xmlBlock.getAttribute('editable');
-    if (editable) {
-        block.setEditable(editable == 'true');
-    }
-
-    var blockChild = null;
-    for (var x = 0, xmlChild; xmlChild = xmlBlock.childNodes[x]; x++) {
-        if (xmlChild.nodeType == 3 && xmlChild.data.match(/^\s*$/)) {
-            // Extra whitespace between tags does not concern us.
-            continue;
-        }
-        var input;
-
-        // Find the first 'real' grandchild node (that isn't whitespace).
-        var firstRealGrandchild = null;
-        for (var y = 0, grandchildNode; grandchildNode = xmlChild.childNodes[y];
-             y++) {
-            if (grandchildNode.nodeType != 3 || !grandchildNode.data.match(/^\s*$/)) {
-                firstRealGrandchild = grandchildNode;
-            }
-        }
-
-        var name = xmlChild.getAttribute('name');
-        switch (xmlChild.nodeName.toLowerCase()) {
-            case 'mutation':
-                // Custom data for an advanced block.
-                if (block.domToMutation) {
-                    block.domToMutation(xmlChild);
-                }
-                break;
-            case 'comment':
-                block.setCommentText(xmlChild.textContent);
-                var visible = xmlChild.getAttribute('pinned');
-                if (visible) {
-                    block.comment.setVisible(visible == 'true');
-                }
-                var bubbleW = parseInt(xmlChild.getAttribute('w'), 10);
-                var bubbleH = parseInt(xmlChild.getAttribute('h'), 10);
-                if (!isNaN(bubbleW) && !isNaN(bubbleH)) {
-                    block.comment.setBubbleSize(bubbleW, bubbleH);
-                }
-                break;
-            case 'title':
-            // Titles were renamed to field in December 2013.
-            // Fall through.
-            case 'field':
-                block.setFieldValue(xmlChild.textContent, name);
-                break;
-            case 'value':
-            case 'statement':
-                input = block.getInput(name);
-                if (!input) {
-                    throw 'Input ' + name + ' does not exist in block ' + prototypeName;
-                }
-                if (firstRealGrandchild &&
-                    firstRealGrandchild.nodeName.toLowerCase() == 'block') {
-                    blockChild = Blockly.Xml.domToBlock(workspace, firstRealGrandchild,
-                        opt_reuseBlock);
-                    if (blockChild.outputConnection) {
-                        input.connection.connect(blockChild.outputConnection);
-                    } else if (blockChild.previousConnection) {
-                        input.connection.connect(blockChild.previousConnection);
-                    } else {
-                        throw 'Child block does not have output or previous statement.';
-                    }
-                }
-                break;
-            case 'next':
-                if (firstRealGrandchild &&
-                    firstRealGrandchild.nodeName.toLowerCase() == 'block') {
-                    if (!block.nextConnection) {
-                        throw 'Next statement does not exist.';
-                    } else if (block.nextConnection.targetConnection) {
-                        // This could happen if there is more than one XML 'next' tag.
-                        throw 'Next statement is already connected.';
-                    }
-                    blockChild = Blockly.Xml.domToBlock(workspace, firstRealGrandchild,
-                        opt_reuseBlock);
-                    if (!blockChild.previousConnection) {
-                        throw 'Next block does not have previous statement.';
-                    }
-                    block.nextConnection.connect(blockChild.previousConnection);
-                }
-                break;
-            default:
-            // Unknown tag; ignore.  Same principle as HTML parsers.
-        }
-    }
-
-    var collapsed = xmlBlock.getAttribute('collapsed');
-    if (collapsed) {
-        block.setCollapsed(collapsed == 'true');
-    }
-    var next = block.nextConnection && block.nextConnection.targetBlock();
-    if (next) {
-        // Next block in a stack needs to square off its corners.
-        // Rendering a child will render its parent.
-        next.render();
-    } else {
-        block.render();
-    }
-    return block;
+    return Blockly.Json.domToBlock(workspace,
+        Blockly.Xml.blockDomToJson_(xmlBlock), opt_reuseBlock);
 };
 
 /**
@@ -0,0 +1,188 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Object representing the zoom buttons of a workspace.
+ * The buttons (zoom in, zoom out, reset and zoom to fit) sit in a column above
+ * the trash can.
+ */
+'use strict';
+
+
+/**
+ * Class for the zoom buttons.
+ * @param {!Blockly.Workspace} workspace The workspace to sit in.
+ * @constructor
+ */
+Blockly.ZoomControls = function (workspace) {
+    this.workspace_ = workspace;
+};
+
+/**
+ * Width and height of a button.
+ * @type {number}
+ * @private
+ */
+Blockly.ZoomControls.prototype.SIZE_ = 28;
+
+/**
+ * Distance between two buttons.
+ * @type {number}
+ * @private
+ */
+Blockly.ZoomControls.prototype.SPACING_ = 6;
+
+/**
+ * Distance between the buttons and the trash can (or the bottom edge of the
+ * workspace if there is no trash can).
+ * @type {number}
+ * @private
+ */
+Blockly.ZoomControls.prototype.MARGIN_BOTTOM_ = 20;
+
+/**
+ * The SVG group containing the buttons.
+ * @type {Element}
+ * @private
+ */
+Blockly.ZoomControls.prototype.svgGroup_ = null;
+
+/**
+ * Create the button elements.
+ * @return {!Element} The buttons' SVG group.
+ */
+Blockly.ZoomControls.prototype.createDom = function () {
+    /*
+     <g class="blocklyZoom">
+     <g transform="translate(0, 0)">
+     <rect class="blocklyZoomButton" width="28" height="28" rx="4" ry="4"/>
+     <path class="blocklyZoomIcon" d="..."/>
+     </g>
+     ...
+     </g>
+     */
+    this.svgGroup_ = Blockly.createSvgElement('g',
+        {'class': 'blocklyZoom'}, null);
+    var workspace = this.workspace_;
+    var buttons = [
+        {tooltip: Blockly.Msg.ZOOM_IN, icon: 'M 8 14 H 20 M 14 8 V 20',
+            action: function () {
+                workspace.setScale(workspace.scale * Blockly.ZOOM_SCALE_SPEED);
+            }},
+        {tooltip: Blockly.Msg.ZOOM_OUT, icon: 'M 8 14 H 20',
+            action: function () {
+                workspace.setScale(workspace.scale / Blockly.ZOOM_SCALE_SPEED);
+            }},
+        {tooltip: Blockly.Msg.ZOOM_RESET, icon: 'M 8 11 H 20 M 8 17 H 20',
+            action: function () {
+                workspace.setScale(1);
+            }},
+        {tooltip: Blockly.Msg.ZOOM_TO_FIT,
+            icon: 'M 7 11 V 7 H 11 M 17 7 H 21 V 11 M 21 17 V 21 H 17 ' +
+                'M 11 21 H 7 V 17',
+            action: function () {
+                workspace.zoomToFit();
+            }}
+    ];
+    for (var x = 0; x < buttons.length; x++) {
+        this.createButton_(buttons[x], x);
+    }
+    return this.svgGroup_;
+};
+
+/**
+ * Create one of the buttons.
+ * @param {!Object} button Button's tooltip, icon path and action.
+ * @param {number} index Position of the button from the top of the column.
+ * @private
+ */
+Blockly.ZoomControls.prototype.createButton_ = function (button, index) {
+    var group = Blockly.createSvgElement('g',
+        {'transform': 'translate(0, ' + index * (this.SIZE_ + this.SPACING_) + ')'},
+        this.svgGroup_);
+    var rect = Blockly.createSvgElement('rect',
+        {'class': 'blocklyZoomButton', 'width': this.SIZE_,
+            'height': this.SIZE_, 'rx': 4, 'ry': 4}, group);
+    // The icon lets the mouse through to the button (see Blockly.Css).
+    Blockly.createSvgElement('path',
+        {'class': 'blocklyZoomIcon', 'd': button.icon}, group);
+    rect.tooltip = button.tooltip;
+    Blockly.Tooltip.bindMouseEvents(rect);
+    Blockly.bindEvent_(group, 'mousedown', null, function (e) {
+        Blockly.hideChaff();
+        if (!Blockly.isRightButton(e)) {
+            button.action();
+        }
+        // Don't start dragging the workspace.
+        e.stopPropagation();
+        e.preventDefault();
+    });
+};
+
+/**
+ * Initialize the buttons.
+ */
+Blockly.ZoomControls.prototype.init = function () {
+    this.position_();
+};
+
+/**
+ * Dispose of the buttons.
+ * Unlink from all DOM elements to prevent memory leaks.
+ */
+Blockly.ZoomControls.prototype.dispose = function () {
+    if (this.svgGroup_) {
+        Ext.removeNode(this.svgGroup_);
+        this.svgGroup_ = null;
+    }
+    this.workspace_ = null;
+};
+
+/**
+ * Move the buttons to the bottom-right corner, above the trash can.
+ * @private
+ */
+Blockly.ZoomControls.prototype.position_ = function () {
+    var metrics = this.workspace_.getMetrics();
+    if (!metrics) {
+        // There are no metrics available (workspace is probably not visible).
+        return;
+    }
+    var trashcan = this.workspace_.trashcan;
+    var height = 4 * this.SIZE_ + 3 * this.SPACING_;
+    var left;
+    var bottom;
+    if (trashcan) {
+        // Centre the column on the trash can.
+        left = trashcan.left_ + (trashcan.WIDTH_ - this.SIZE_) / 2;
+        bottom = trashcan.top_;
+    } else {
+        if (Blockly.RTL) {
+            left = Blockly.Trashcan.prototype.MARGIN_SIDE_;
+        } else {
+            left = metrics.viewWidth + metrics.absoluteLeft - this.SIZE_ -
+                Blockly.Trashcan.prototype.MARGIN_SIDE_;
+        }
+        bottom = metrics.viewHeight + metrics.absoluteTop -
+            Blockly.Trashcan.prototype.MARGIN_BOTTOM_;
+    }
+    this.svgGroup_.setAttribute('transform',
+            'translate(' + left + ',' + (bottom - this.MARGIN_BOTTOM_ - height) + ')');
+};
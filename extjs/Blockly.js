@@ -14,150 +14,150 @@ Ext.define('Ext.ux.blockly.Blockly', {
     trashcan: true,
     header: false,
     selectedRecord: null,
+    dragBlock: null,
     autoDestroy: true,
 
+    /**
+     * The Blockly workspace owned by this panel (set once rendered).
+     * Each panel has its own workspace, so several editors can be used on the
+     * same page.
+     */
+    workspace: null,
+
+    /**
+     * The Blockly.Minimap showing the workspace, if the minimap option is set.
+     */
+    minimap: null,
+
+    /**
+     * The toolbar text showing the position in the search results, if the search option is set.
+     */
+    searchCount: null,
+
+    /**
+     * The list of the toolbox blocks matching the search, if the toolbox option is set.
+     */
+    toolboxResults: null,
+
+    /**
+     * The field searching the toolbox, if the toolbox option is set.
+     */
+    toolboxSearchField: null,
+
+    /**
+     * The grid showing the values of the variables, if the debug option is set.
+     */
+    debugPanel: null,
+
+    /**
+     * The Blockly.Runner running the blocks in a Web Worker, if the runner option is set.
+     */
+    runner: null,
+
+    /**
+     * The panel showing what the program printed, if the runner option is set.
+     */
+    outputPanel: null,
+
     initComponent: function () {
         var me = this;
 
         var toolboxGrids = [];
-        var dragBlock = null;
         var coreId = null;
         var blocklyId = null;
-        var xy = null;
         var scrollbar = null;
 
         // Avoid undeclared error
         if(me.blockly == null)
             me.blockly = {};
 
+        me.addEvents(
+            // Block events - listeners are called with (panel, blockId, json)
+            'blockcreate', 'blockdelete', 'blockmove', 'blockconnect', 'blockdisconnect',
+            'fieldchange', 'mutationchange', 'commentchange', 'blockcollapse', 'blockdisable',
+            // Workspace comment events - listeners are called with (panel, commentId, json)
+            'workspacecommentcreate', 'workspacecommentdelete', 'workspacecommentchange',
+            // Frame events - listeners are called with (panel, frameId, json)
+            'framecreate', 'framedelete', 'framechange',
+            // Fired (with the panel) once after each change to the blocks
+            'blockschanged',
+            // Fired with (panel, blockIds) when the selected blocks change
+            'selectionchange',
+            // Debugger events - listeners are called with (panel, blockId, variables),
+            // except debugfinish which is called with (panel, error)
+            'breakpointhit', 'stepcomplete', 'debugpause', 'debugfinish',
+            // Runner events - runoutput is called with (panel, text, kind), where kind is
+            // 'print' or 'prompt', runerror with (panel, message, blockId), runfinish with (panel)
+            'runoutput', 'runerror', 'runfinish',
+            // Fired with (panel, count, remainingCapacity) when there isn't room
+            // to paste count blocks
+            'pasteerror',
+            // Fired with (panel, action, message) when a picture of the blocks can't
+            // be saved or copied, where action is 'save' or 'copy'
+            'imageerror',
+            // Fired with (panel, theme) once the panel is rendered, if the theme in
+            // its blockly config doesn't exist and the classic theme is used instead
+            'themeerror'
+        );
+
         this.items = [];
 
         if (me.blockly.toolbox == true) {
             // Create an array of category stores and grids.
             for (var i = 0; i < me.blockly.toolboxCategories.length; i++) {
-                // (Unfortunately!) We need to use separate stores with an accordion.
-                // If we just use a filter, there is a problem as for a short
-                // time two grids are in view and we then see the same view.
-                var store = Ext.create('Ext.data.ArrayStore', {
-                    fields: [
-                        {name: 'category'},
-                        {name: 'block'},
-                        {name: 'svg'},
-                        {name: 'name'}
-                    ]
-                });
-
-
-                // Load any blocks specified in the toolboxTool array
-                // These will be added to any from the categories
-                for (var t = 0; t < me.blockly.toolboxTools.length; t++) {
-                    if (me.blockly.toolboxTools[t].category === me.blockly.toolboxCategories[i].name) {
-                        store.add(me.blockly.toolboxTools[t]);
-                    }
-                }
+                toolboxGrids.push(me.createToolboxCategory(me.blockly.toolboxCategories[i]));
+            }
 
-                // Create the separate lists for the accordion panels
-                var cat = Ext.create('Ext.grid.Panel', {
-                    title: me.blockly.toolboxCategories[i].title,
-                    icon: me.blockly.toolboxCategories[i].icon,
-                    tooltip: me.blockly.toolboxCategories[i].tooltip,
-                    category: me.blockly.toolboxCategories[i].name,
-                    hideHeaders: true,
-                    store: store,
-                    collapsible: false,
-                    multiSelect: false,
-                    disableSelection: true,
-                    layout: 'fit',
-                    viewConfig: {
-                        stripeRows: true,
-                        enableTextSelection: false,
-                        markDirty: false
-                    },
-                    columns: [
-                        {
-                            flex: 1,
-                            dataIndex: 'svg'
-                        }
-                    ],
-                    listeners: {
-                        render: function (grid) {
-                            // TODO: This doesn't work!
-//                            Ext.create('Ext.tip.ToolTip', {
-//                                target: grid.getHeader(),
-//                                html: grid.tooltip
-//                            });
+            // The accordion opens its first item, but the search results are hidden until
+            // there is a search, so open the first category instead
+            var firstGrid = Ext.Array.findBy(toolboxGrids, function (grid) {
+                return !grid.hidden;
+            });
+            if (firstGrid != null)
+                firstGrid.collapsed = false;
 
-                            grid.dragZone = Ext.create('Ext.dd.DragZone', grid.getEl(), {
-                                // On receipt of a mousedown event, see if it is within a draggable element.
-                                // Return a drag data object if so. The data object can contain arbitrary application
-                                // data, but it should also contain a DOM element in the ddel property to provide
-                                // a proxy to drag.
-                                style: {
-                                    'background-color': '#f00',
-                                    'padding-left': '0px'
-                                },
-                                constrain: false,
-                                onMouseDown: function (x, y) {
-                                    console.log("startDrag");
-
-                                    // Align the pointers
-                                    this.setDelta(30,5);
-
-                                    // Disable scrolling during the drag and drop
-                                    me.scrollbar = Blockly.mainWorkspace.scrollbar;
-                                    Blockly.mainWorkspace.scrollbar = false;
+            // The blocks matching the search are copied into their own list, at the top
+            // of the accordion, which can be used with the keyboard
+            me.toolboxResults = me.createToolboxGrid({
+                title: Blockly.Msg.TOOLBOX_SEARCH_RESULTS.replace('%1', 0),
+                store: me.createToolboxStore(),
+                hidden: true
+            });
 
-//                                    this.setXConstraint(-200,5000,0);
-//                                    this.constrainTo(me.getId(), {left: 0, top: 0, right: -33330, bottom: -3330}, false);
-                                },
-                                getDragData: function (e) {
-                                    var sourceEl = e.getTarget("svg", 10);
-                                    if (sourceEl) {
-                                        var dragView = sourceEl.cloneNode(true);
-                                        dragView.style.width=dragView.getAttribute("width");
-                                        dragView.id = Ext.id();
-                                        grid.dragZone.setDelta(0,0);
-                                        return grid.dragData = {
-                                            sourceEl: sourceEl,
-                                            repairXY: Ext.fly(sourceEl).getXY(),
-                                            ddel: dragView,
-                                            block: me.selectedRecord.get("block")
-                                        };
-                                    }
-                                },
-                                getRepairXY: function () {
-                                    // Restore the scrollbars
-                                    Blockly.mainWorkspace.scrollbar = me.scrollbar;
-
-                                    // Remove the block since the DnD was not successful
-                                    if(dragBlock != null) {
-                                        dragBlock.dispose();
-                                        dragBlock = null;
-                                    }
-
-                                    // Provide coordinates for the proxy to slide back to on failed drag.
-                                    // This is the original XY coordinates of the draggable element.
-                                    return this.dragData.repairXY;
-                                }
-                            });
-                        },
-                        beforecellmousedown: function (grid, td, cellIndex, record, tr, rowIndex, e, eOpts) {
-                            // We use this event to record the block that we're potentially about to drag...
-                            me.selectedRecord = record;
-                            xy = e.xy;
-                            Blockly.hideChaff(false);
+            me.toolboxSearchField = Ext.create('Ext.form.field.Text', {
+                emptyText: Blockly.Msg.TOOLBOX_SEARCH,
+                flex: 1,
+                listeners: {
+                    change: {
+                        fn: function (field, value) {
+                            me.filterToolbox(value);
                         },
-                        itemdblclick: function (grid, record) {
-                            // Double click - just add this block to the workspace
-                            if (record == null)
+                        buffer: 250
+                    },
+                    specialkey: function (field, e) {
+                        var results = me.toolboxResults;
+                        if (e.getKey() == e.ENTER || e.getKey() == e.DOWN) {
+                            // Don't wait for the buffered change event
+                            me.filterToolbox(field.getValue());
+                            if (results.store.getCount() == 0)
                                 return;
-                            Blockly.Json.domToBlock(Blockly.getMainWorkspace(), record.get("block"));
+                            e.stopEvent();
+                            if (e.getKey() == e.ENTER) {
+                                me.insertToolboxBlock(results.store.getAt(0));
+                            }
+                            else {
+                                // Move into the results, which take the arrow keys and Enter
+                                results.getSelectionModel().select(0);
+                                results.getView().focus();
+                            }
+                        }
+                        else if (e.getKey() == e.ESC) {
+                            field.setValue('');
+                            me.filterToolbox('');
                         }
                     }
-                });
-
-                toolboxGrids.push(cat);
-            }
+                }
+            });
 
             // Create the toolbox accordion and add all the grids
             var accordion = Ext.create('Ext.Panel', {
@@ -171,16 +171,204 @@ Ext.define('Ext.ux.blockly.Blockly', {
                     type: 'accordion',
                     hideCollapseTool: true
                 },
+                tbar: [me.toolboxSearchField],
                 listeners: {
                     expand: function (panel, eOpts) {
 
                     }
                 },
-                items: toolboxGrids
+                items: [me.toolboxResults].concat(toolboxGrids)
             });
             this.items.push(accordion);
         }
 
+        // The minimap is either docked in a corner of the canvas ('tl', 'tr', 'bl' or 'br'),
+        // or placed in its own region of the border layout ('north', 'south', 'east' or 'west')
+        var minimapConfig = me.blockly.minimap;
+        if (minimapConfig === true)
+            minimapConfig = {dock: 'tr'};
+        var minimapPanel = null;
+        if (minimapConfig && ['north', 'south', 'east', 'west'].indexOf(minimapConfig.dock) != -1) {
+            minimapPanel = Ext.create('Ext.panel.Panel', {
+                region: minimapConfig.dock,
+                split: true,
+                border: true,
+                preventHeader: true,
+                width: minimapConfig.width || 200,
+                height: minimapConfig.height || 150,
+                listeners: {
+                    resize: function () {
+                        if (me.minimap != null)
+                            me.minimap.updateView();
+                    }
+                }
+            });
+            this.items.push(minimapPanel);
+        }
+
+        // The debugger's buttons and the values of the variables are in their own region,
+        // to the east unless another one ('north', 'south', 'east' or 'west') is given
+        var debugConfig = me.blockly.debug;
+        if (debugConfig === true)
+            debugConfig = {};
+        if (debugConfig) {
+            me.debugPanel = Ext.create('Ext.grid.Panel', {
+                region: debugConfig.dock || 'east',
+                split: true,
+                border: true,
+                title: Blockly.Msg.DEBUG_VARIABLES,
+                width: debugConfig.width || 250,
+                height: debugConfig.height || 150,
+                store: Ext.create('Ext.data.Store', {
+                    fields: ['name', 'value']
+                }),
+                columns: [
+                    {text: Blockly.Msg.DEBUG_VARIABLE_NAME, dataIndex: 'name', flex: 1},
+                    {
+                        text: Blockly.Msg.DEBUG_VARIABLE_VALUE, dataIndex: 'value', flex: 2,
+                        renderer: function (value) {
+                            // Show the values as they would be written in the code
+                            if (value === undefined)
+                                return '';
+                            return Ext.String.htmlEncode(Ext.encode(value));
+                        }
+                    }
+                ],
+                tbar: [
+                    {
+                        itemId: 'run',
+                        text: Blockly.Msg.DEBUG_RUN,
+                        handler: function () {
+                            me.debugRun();
+                        }
+                    },
+                    {
+                        itemId: 'pause',
+                        text: Blockly.Msg.DEBUG_PAUSE,
+                        handler: function () {
+                            me.debugPause();
+                        }
+                    },
+                    {
+                        itemId: 'stepInto',
+                        text: Blockly.Msg.DEBUG_STEP_INTO,
+                        handler: function () {
+                            me.debugStepInto();
+                        }
+                    },
+                    {
+                        itemId: 'stepOver',
+                        text: Blockly.Msg.DEBUG_STEP_OVER,
+                        handler: function () {
+                            me.debugStepOver();
+                        }
+                    },
+                    {
+                        itemId: 'stop',
+                        text: Blockly.Msg.DEBUG_STOP,
+                        handler: function () {
+                            me.debugStop();
+                        }
+                    }
+                ]
+            });
+            this.items.push(me.debugPanel);
+        }
+
+        // What the program prints is shown in its own region,
+        // to the south unless another one ('north', 'south', 'east' or 'west') is given
+        var runnerConfig = me.blockly.runner;
+        if (runnerConfig === true)
+            runnerConfig = {};
+        if (runnerConfig) {
+            me.outputPanel = Ext.create('Ext.panel.Panel', {
+                region: runnerConfig.dock || 'south',
+                split: true,
+                border: true,
+                title: Blockly.Msg.RUNNER_OUTPUT,
+                width: runnerConfig.width || 250,
+                height: runnerConfig.height || 120,
+                autoScroll: true,
+                bodyPadding: 4,
+                bodyStyle: 'font-family: monospace; white-space: pre-wrap;',
+                tbar: [
+                    {
+                        itemId: 'run',
+                        text: Blockly.Msg.RUNNER_RUN,
+                        handler: function () {
+                            me.runCode();
+                        }
+                    },
+                    {
+                        itemId: 'stop',
+                        text: Blockly.Msg.RUNNER_STOP,
+                        disabled: true,
+                        handler: function () {
+                            me.stopCode();
+                        }
+                    },
+                    {
+                        text: Blockly.Msg.RUNNER_CLEAR,
+                        handler: function () {
+                            me.clearOutput();
+                        }
+                    }
+                ]
+            });
+            this.items.push(me.outputPanel);
+        }
+
+        // A search box for finding blocks, with buttons to step through the matches
+        var searchItems = null;
+        if (me.blockly.search) {
+            me.searchCount = Ext.create('Ext.toolbar.TextItem', {text: ''});
+            searchItems = [
+                {
+                    xtype: 'textfield',
+                    emptyText: Blockly.Msg.SEARCH,
+                    width: 160,
+                    listeners: {
+                        change: {
+                            fn: function (field, value) {
+                                me.search(value);
+                            },
+                            buffer: 250
+                        },
+                        specialkey: function (field, e) {
+                            if (e.getKey() == e.ENTER) {
+                                // Don't wait for the buffered change event
+                                me.search(field.getValue());
+                                if (e.shiftKey)
+                                    me.searchPrevious();
+                                else
+                                    me.searchNext();
+                            }
+                            else if (e.getKey() == e.ESC) {
+                                field.setValue('');
+                            }
+                        }
+                    }
+                },
+                {
+                    xtype: 'button',
+                    text: '\u25B2',
+                    tooltip: Blockly.Msg.SEARCH_PREVIOUS,
+                    handler: function () {
+                        me.searchPrevious();
+                    }
+                },
+                {
+                    xtype: 'button',
+                    text: '\u25BC',
+                    tooltip: Blockly.Msg.SEARCH_NEXT,
+                    handler: function () {
+                        me.searchNext();
+                    }
+                },
+                me.searchCount
+            ];
+        }
+
         // If the toolbar exists, move it into the editor rather than the top panel
         var tbar = null;
         if(this.tbar != null) {
@@ -188,6 +376,18 @@ Ext.define('Ext.ux.blockly.Blockly', {
             this.tbar = null;
         }
 
+        // The search box goes on the right of the toolbar
+        if (searchItems != null) {
+            if (tbar == null)
+                tbar = searchItems;
+            else if (Ext.isArray(tbar))
+                tbar = tbar.concat('->', searchItems);
+            else if (tbar.isComponent)
+                tbar.add(['->'].concat(searchItems));
+            else
+                tbar.items = (tbar.items || []).concat('->', searchItems);
+        }
+
         // Create the panel to hold the Blockly editor
         var blocklyPanel = Ext.create('Ext.panel.Panel', {
             region: 'center',
@@ -205,7 +405,8 @@ Ext.define('Ext.ux.blockly.Blockly', {
                     };
                 },
                 resize: function (panel, width, height, oldWidth, oldHeight, eOpts) {
-                    Blockly.svgResize();
+                    if (me.workspace != null)
+                        Blockly.withWorkspace(me.workspace, Blockly.svgResize);
                 },
                 move: function (panel, x, y) {
                 }
@@ -217,11 +418,19 @@ Ext.define('Ext.ux.blockly.Blockly', {
 
         function renderBlockly() {
             blocklyId = blocklyPanel.getId() + "-body";
-            // Initialise Blockly
-            Blockly.inject(document.getElementById(blocklyId), {
+            // Initialise Blockly - this creates a new workspace for this panel
+            me.workspace = Blockly.inject(document.getElementById(blocklyId), {
                 path: me.blockly.path,
                 collapse: me.blockly.collapse,
-                trashcan: me.blockly.trashcan
+                trashcan: me.blockly.trashcan,
+                readOnly: me.blockly.readOnly,
+                rtl: me.blockly.rtl,
+                maxBlocks: me.blockly.maxBlocks,
+                scrollbars: me.blockly.scrollbars,
+                zoom: me.blockly.zoom,
+                grid: me.blockly.grid,
+                debug: !!debugConfig,
+                theme: me.blockly.theme
             });
 
             if (me.blockly.toolbox == true) {
@@ -249,11 +458,13 @@ Ext.define('Ext.ux.blockly.Blockly', {
                                 valLeft += parseInt( o.offsetLeft );
                                 o = o.parentNode;
                             }
-                            var metrics = Blockly.getMainWorkspace().getMetrics();
+                            var metrics = me.workspace.getMetrics();
 
-                            // Create the dragged block
-                            dragBlock = Blockly.Json.domToBlock(Blockly.getMainWorkspace(), me.selectedRecord.get("block"));
-                            dragBlock.moveBy(metrics.viewLeft + e.xy[0] - valLeft, metrics.viewTop + e.xy[1] - valTop);
+                            // Create the dragged block - the view is in pixels, the block in workspace units
+                            var scale = me.workspace.scale;
+                            me.dragBlock = Blockly.Json.domToBlock(me.workspace, me.selectedRecord.get("block"));
+                            me.dragBlock.moveBy((metrics.viewLeft + e.xy[0] - valLeft) / scale,
+                                (metrics.viewTop + e.xy[1] - valTop) / scale);
 
                             // Create the mouse down event for passing to Blockly
                             var event = {};
@@ -261,7 +472,7 @@ Ext.define('Ext.ux.blockly.Blockly', {
                             event.clientY = e.xy[1];
                             event.button = 0;
                             event.stopPropagation = e.stopPropagation;
-                            dragBlock.onMouseDown_(event);
+                            me.dragBlock.onMouseDown_(event);
 
                             Blockly.Block.dragMode_ = 2;
                         }
@@ -272,7 +483,7 @@ Ext.define('Ext.ux.blockly.Blockly', {
                     },
                     onNodeDrop: function (target, dd, e, data) {
                         // Restore the scrollbars
-                        Blockly.mainWorkspace.scrollbar = me.scrollbar;
+                        me.workspace.scrollbar = me.scrollbar;
 
                         // On node drop, we can interrogate the target node to find the underlying
                         // application object that is the real target of the dragged data.
@@ -281,41 +492,160 @@ Ext.define('Ext.ux.blockly.Blockly', {
                         if (data.block == null)
                             return false;
 
-                        if(dragBlock != null) {
-                            dragBlock = null;
+                        if(me.dragBlock != null) {
+                            // Line the new block up with the grid, if it wasn't connected
+                            if (me.workspace.grid) {
+                                me.workspace.grid.snapBlock(me.dragBlock);
+                            }
+                            me.dragBlock = null;
                         }
                         return true;
                     }
                 });
 
                 // Loop through all records in the toolbox and create the SVG graphic
-                for (var i = 0; i < toolboxGrids.length; i++) {
-                    toolboxGrids[i].store.each(function (record, id) {
-                        var block = Blockly.Json.domToBlock(Blockly.getMainWorkspace(), record.get("block"));
-                        if (block == null) {
-                            console.log("Unable to load block '" + record.get("block") + "'.");
-                        }
-                        else {
-                            var svg = '<svg height="' + block.getHeightWidth().height + '" width="' + (block.getHeightWidth().width + 10) + '"><g transform=\"translate(10)\">' + block.getSvgRoot().outerHTML + "</g></svg>";
-                            record.set('svg', svg);
+                Ext.Array.forEach(me.getToolboxGrids(), function (grid) {
+                    grid.store.each(me.renderToolboxRecord, me);
+                });
 
-                            Blockly.getMainWorkspace().clear();
-                        }
-                    }, me);
+                // Blocks can also be inserted with the keyboard
+                me.workspace.cursor.toolbox = function () {
+                    var blocks = [];
+                    Ext.Array.forEach(me.getToolboxGrids(), function (grid) {
+                        // The hidden categories can't be used
+                        if (grid.hidden)
+                            return;
+                        grid.store.each(function (record) {
+                            blocks.push({
+                                name: record.get('name') || record.get('block').type,
+                                block: record.get('block')
+                            });
+                        });
+                    });
+                    return blocks;
+                };
+            }
+
+            if (minimapConfig) {
+                var minimapEl;
+                if (minimapPanel != null) {
+                    minimapEl = minimapPanel.body.dom;
                 }
+                else {
+                    // Dock it in a corner, clear of the scrollbars
+                    var dock = minimapConfig.dock || 'tr';
+                    var style = {
+                        position: 'absolute',
+                        width: (minimapConfig.width || 200) + 'px',
+                        height: (minimapConfig.height || 150) + 'px'
+                    };
+                    style[dock.charAt(0) == 'b' ? 'bottom' : 'top'] = (dock.charAt(0) == 'b' ? 25 : 10) + 'px';
+                    style[dock.charAt(1) == 'l' ? 'left' : 'right'] = (dock.charAt(1) == 'r' ? 25 : 10) + 'px';
+                    Ext.fly(Blockly.DIV).position();
+                    minimapEl = Ext.DomHelper.append(Blockly.DIV, {tag: 'div', cls: 'blocklyMinimapDock'});
+                    Ext.fly(minimapEl).setStyle(style);
+                }
+                me.minimap = new Blockly.Minimap(me.workspace);
+                minimapEl.appendChild(me.minimap.createDom());
+                me.minimap.init();
             }
 
             // Load the design into the workspace
             if (me.blockly.blocks != null && me.blockly.blocks != "")
                 me.setBlocks(me.blockly.blocks);
 
-            // If a change listener is specified, add it
-            if(me.blockly.listeners == null)
-                return;
+            // The custom categories of the toolbox follow the variables and procedures
+            if (me.blockly.toolbox == true) {
+                me.updateToolboxCategories();
+                me.on('blockschanged', me.updateToolboxCategories, me);
+            }
+
+            // Forward the block events as Ext events, followed by a single
+            // blockschanged once all the events of a change have been fired
+            var changedTask = new Ext.util.DelayedTask(function () {
+                me.fireEvent('blockschanged', me);
+            });
+            // Fire selectionchange when blocks are selected or unselected,
+            // or selected blocks are deleted
+            var selection = [];
+            var selectionTask = new Ext.util.DelayedTask(function () {
+                var ids = me.getSelection();
+                if (ids.join() != selection.join()) {
+                    selection = ids;
+                    me.fireEvent('selectionchange', me, ids);
+                }
+            });
+            Blockly.Events.addListener(me.workspace, function (event) {
+                var id = event.commentId != null ? event.commentId :
+                    event.frameId != null ? event.frameId : event.blockId;
+                me.fireEvent(event.type, me, id, event.json);
+                changedTask.delay(0);
+                selectionTask.delay(0);
+            });
+            Blockly.bindEvent_(me.workspace.getCanvas(), 'blocklySelectChange', null, function () {
+                selectionTask.delay(0);
+            });
 
-            if(me.blockly.listeners.workspacechanged) {
-                var task = new Ext.util.DelayedTask(function(){
-                    Ext.fly(Blockly.mainWorkspace.getCanvas()).on('blocklyWorkspaceChange',me.blockly.listeners.workspacechanged);
+            // Tell the page about a theme which doesn't exist
+            if (!Blockly.Theme.exists(me.blockly.theme))
+                me.fireEvent('themeerror', me, me.blockly.theme);
+
+            // Tell the page when pasted blocks don't fit, or pictures can't be made,
+            // even from the context menus
+            Blockly.Clipboard.addListener(me.workspace, function (error) {
+                me.fireEvent('pasteerror', me, error.count, error.remainingCapacity);
+            });
+            Blockly.Export.addListener(me.workspace, function (error) {
+                me.fireEvent('imageerror', me, error.action, error.message);
+            });
+
+            // Forward the debugger events, showing where the program paused
+            if (me.workspace.debugger != null) {
+                Blockly.Debugger.addListener(me.workspace, function (event) {
+                    me.updateDebugPanel();
+                    if (event.type == Blockly.Debugger.FINISH)
+                        me.fireEvent(event.type, me, event.json.error);
+                    else
+                        me.fireEvent(event.type, me, event.blockId, event.json.variables);
+                });
+                me.updateDebugPanel();
+            }
+
+            // The program runs in a worker, and what it prints is shown in the output panel
+            if (runnerConfig) {
+                me.runner = new Blockly.Runner(me.workspace, {
+                    timeout: runnerConfig.timeout,
+                    maxLoops: runnerConfig.maxLoops,
+                    api: runnerConfig.api,
+                    input: runnerConfig.input,
+                    onOutput: function (text, kind, answer) {
+                        if (kind == 'prompt')
+                            me.appendOutput(text + ' ' + (answer == null ? '' : answer), 'prompt');
+                        else
+                            me.appendOutput(text, kind);
+                        me.fireEvent('runoutput', me, text, kind);
+                    },
+                    onFinish: function (error) {
+                        me.updateOutputPanel();
+                        if (error != null) {
+                            me.appendOutput(error.message, 'error');
+                            // Show the block which failed
+                            if (error.blockId != null)
+                                me.setSelection([error.blockId]);
+                            me.fireEvent('runerror', me, error.message, error.blockId);
+                        }
+                        me.fireEvent('runfinish', me);
+                    }
+                });
+            }
+
+            // If a change listener is specified, add it - it gets the canvas' DOM event
+            // after every change. The panel's events are added with its own listeners
+            var changeListener = me.blockly.listeners && me.blockly.listeners.workspacechanged;
+            if (changeListener) {
+                var task = new Ext.util.DelayedTask(function () {
+                    if (me.workspace != null)
+                        Ext.fly(me.workspace.getCanvas()).on('blocklyWorkspaceChange', changeListener);
                 });
                 task.delay(500);
             }
@@ -323,19 +653,833 @@ Ext.define('Ext.ux.blockly.Blockly', {
     },
     listeners: {
         beforedestroy: function(panel) {
-            if(Blockly != null && Blockly.getMainWorkspace() != null)
-                Blockly.getMainWorkspace().dispose();
+            // Only remove our own workspace - other editors may still be in use
+            if(Blockly != null && panel.workspace != null) {
+                Blockly.uninject(panel.workspace);
+                panel.workspace = null;
+            }
             panel.removeAll(true);
         }
     },
     setBlocks: function (blocks) {
-        // Clear any existing workspace
-        if(Blockly.getMainWorkspace() != null)
-            Blockly.getMainWorkspace().clear();
+        var me = this;
+        return Blockly.withWorkspace(me.workspace, function () {
+            // Blocks may be a JSON object, JSON or XML text, or an XML DOM
+            try {
+                blocks = Blockly.Json.read(blocks);
+            } catch (e) {
+                return [{path: '', code: 'invalidDocument', message: String(e)}];
+            }
+
+            // Clear any existing workspace
+            me.workspace.clear();
+
+            // Returns the problems found in the design, if any
+            var errors = Blockly.Json.setWorkspace(me.workspace, blocks);
+
+            // Loading a new design can't be undone
+            me.workspace.undoManager.clear();
+
+            // Nor does it fire blockschanged, which the custom toolbox categories follow
+            me.updateToolboxCategories();
+            return errors;
+        });
+    },
+    getBlocks: function (format) {
+        var me = this;
+        return Blockly.withWorkspace(me.workspace, function () {
+            var json = Blockly.Json.getWorkspace(me.workspace);
+            if (format == 'xml')
+                return Blockly.Xml.domToText(Blockly.Xml.jsonToDom(json));
+            return json;
+        });
+    },
+    validate: function (blocks) {
+        var me = this;
+        return Blockly.withWorkspace(me.workspace, function () {
+            try {
+                blocks = Blockly.Json.read(blocks);
+            } catch (e) {
+                return [{path: '', code: 'invalidDocument', message: String(e)}];
+            }
+            return Blockly.Json.validate(blocks);
+        });
+    },
+    getMetadata: function () {
+        return Ext.apply({}, this.workspace.metadata);
+    },
+    setMetadata: function (metadata) {
+        this.workspace.metadata = Ext.apply({}, metadata);
+    },
+    getScale: function () {
+        return this.workspace.scale;
+    },
+    setScale: function (scale) {
+        var me = this;
+        Blockly.withWorkspace(me.workspace, function () {
+            Blockly.hideChaff();
+            me.workspace.setScale(scale);
+        });
+    },
+    zoomToFit: function () {
+        var me = this;
+        Blockly.withWorkspace(me.workspace, function () {
+            Blockly.hideChaff();
+            me.workspace.zoomToFit();
+        });
+    },
+    arrangeColumn: function (sortBy) {
+        var me = this;
+        Blockly.withWorkspace(me.workspace, function () {
+            Blockly.hideChaff();
+            Blockly.Arrange.column(me.workspace, sortBy);
+        });
+    },
+    arrangeGrid: function (sortBy) {
+        var me = this;
+        Blockly.withWorkspace(me.workspace, function () {
+            Blockly.hideChaff();
+            Blockly.Arrange.grid(me.workspace, sortBy);
+        });
+    },
+    addComment: function (text, x, y) {
+        var me = this;
+        return Blockly.withWorkspace(me.workspace, function () {
+            var comment;
+            Blockly.doCommand(function () {
+                comment = Blockly.WorkspaceComment.fromJson(me.workspace, {text: text, x: x, y: y});
+            });
+            return comment.id;
+        });
+    },
+    getComments: function () {
+        return Ext.Array.map(this.workspace.getTopComments(), function (comment) {
+            return comment.toJson();
+        });
+    },
+    removeComment: function (commentId) {
+        var me = this;
+        return Blockly.withWorkspace(me.workspace, function () {
+            var comment = me.workspace.getCommentById(commentId);
+            if (comment == null)
+                return false;
+            Blockly.doCommand(function () {
+                comment.dispose();
+            });
+            return true;
+        });
+    },
+    addFrame: function (title, x, y, width, height, colour) {
+        var me = this;
+        return Blockly.withWorkspace(me.workspace, function () {
+            var frame;
+            Blockly.doCommand(function () {
+                frame = Blockly.Frame.fromJson(me.workspace, {title: title, colour: colour,
+                    x: x, y: y, w: width, h: height});
+            });
+            return frame.id;
+        });
+    },
+    getFrames: function () {
+        return Ext.Array.map(this.workspace.getTopFrames(), function (frame) {
+            return frame.toJson();
+        });
+    },
+    getFrameBlocks: function (frameId) {
+        var frame = this.workspace.getFrameById(frameId);
+        if (frame == null)
+            return [];
+        return Ext.Array.map(frame.getContents().blocks, function (block) {
+            return block.id;
+        });
+    },
+    setFrameCollapsed: function (frameId, collapsed) {
+        var me = this;
+        return Blockly.withWorkspace(me.workspace, function () {
+            var frame = me.workspace.getFrameById(frameId);
+            if (frame == null)
+                return false;
+            Blockly.doCommand(function () {
+                frame.setCollapsed(collapsed);
+            });
+            return true;
+        });
+    },
+    removeFrame: function (frameId) {
+        var me = this;
+        return Blockly.withWorkspace(me.workspace, function () {
+            var frame = me.workspace.getFrameById(frameId);
+            if (frame == null)
+                return false;
+            Blockly.doCommand(function () {
+                frame.dispose();
+            });
+            return true;
+        });
+    },
+    cleanUp: function () {
+        var me = this;
+        Blockly.withWorkspace(me.workspace, function () {
+            Blockly.hideChaff();
+            Blockly.Arrange.cleanUp(me.workspace);
+        });
+    },
+    search: function (query) {
+        var me = this;
+        return Blockly.withWorkspace(me.workspace, function () {
+            var search = me.workspace.search;
+            // Searching again for the same text keeps the current match
+            if ((query || '') != search.getQuery()) {
+                search.setQuery(query);
+                // Go straight to the first match
+                search.next();
+                me.updateSearchCount();
+            }
+            return search.getResults().length;
+        });
+    },
+    searchNext: function () {
+        return this.stepSearch(1);
+    },
+    searchPrevious: function () {
+        return this.stepSearch(-1);
+    },
+    stepSearch: function (direction) {
+        var me = this;
+        return Blockly.withWorkspace(me.workspace, function () {
+            Blockly.hideChaff();
+            var search = me.workspace.search;
+            var block = direction > 0 ? search.next() : search.previous();
+            me.updateSearchCount();
+            return block != null ? block.id : null;
+        });
+    },
+    clearSearch: function () {
+        var me = this;
+        Blockly.withWorkspace(me.workspace, function () {
+            me.workspace.search.clear();
+            me.updateSearchCount();
+        });
+    },
+    updateSearchCount: function () {
+        if (this.searchCount == null)
+            return;
+        var search = this.workspace.search;
+        var results = search.getResults();
+        var text = '';
+        if (search.getQuery() != '') {
+            if (results.length == 0)
+                text = Blockly.Msg.SEARCH_NO_RESULTS;
+            else
+                text = Blockly.Msg.SEARCH_RESULT.replace('%1', search.getIndex() + 1)
+                    .replace('%2', results.length);
+        }
+        this.searchCount.setText(text);
+    },
+    debugRun: function () {
+        this.debugCommand('run');
+    },
+    debugPause: function () {
+        this.debugCommand('pause');
+    },
+    debugStepInto: function () {
+        this.debugCommand('stepInto');
+    },
+    debugStepOver: function () {
+        this.debugCommand('stepOver');
+    },
+    debugStop: function () {
+        this.debugCommand('stop');
+    },
+    debugCommand: function (command) {
+        var me = this;
+        if (me.workspace.debugger == null)
+            return;
+        Blockly.withWorkspace(me.workspace, function () {
+            Blockly.hideChaff();
+            me.workspace.debugger[command]();
+        });
+        me.updateDebugPanel();
+    },
+    getDebugState: function () {
+        if (this.workspace.debugger == null)
+            return Blockly.Debugger.IDLE;
+        return this.workspace.debugger.getState();
+    },
+    getDebugVariables: function () {
+        if (this.workspace.debugger == null)
+            return {};
+        return this.workspace.debugger.getVariables();
+    },
+    updateDebugPanel: function () {
+        if (this.debugPanel == null)
+            return;
+        var state = this.getDebugState();
+        var toolbar = this.debugPanel.getDockedItems('toolbar[dock="top"]')[0];
+        toolbar.getComponent('run').setText(state == Blockly.Debugger.PAUSED ?
+            Blockly.Msg.DEBUG_CONTINUE : Blockly.Msg.DEBUG_RUN);
+        toolbar.getComponent('run').setDisabled(state == Blockly.Debugger.RUNNING);
+        toolbar.getComponent('pause').setDisabled(state != Blockly.Debugger.RUNNING);
+        toolbar.getComponent('stepInto').setDisabled(state == Blockly.Debugger.RUNNING);
+        toolbar.getComponent('stepOver').setDisabled(state == Blockly.Debugger.RUNNING);
+        toolbar.getComponent('stop').setDisabled(state == Blockly.Debugger.IDLE);
+        var variables = this.getDebugVariables();
+        var records = [];
+        for (var name in variables)
+            records.push({name: name, value: variables[name]});
+        this.debugPanel.getStore().loadData(records);
+    },
+    runCode: function () {
+        var me = this;
+        if (me.runner == null)
+            return;
+        Blockly.withWorkspace(me.workspace, function () {
+            Blockly.hideChaff();
+            me.runner.run();
+        });
+        me.updateOutputPanel();
+    },
+    stopCode: function () {
+        if (!this.isCodeRunning())
+            return;
+        this.runner.stop();
+        this.updateOutputPanel();
+        this.fireEvent('runfinish', this);
+    },
+    isCodeRunning: function () {
+        return this.runner != null && this.runner.isRunning();
+    },
+    appendOutput: function (text, kind) {
+        if (this.outputPanel == null || !this.outputPanel.rendered)
+            return;
+        var styles = {prompt: 'color: #06c;', error: 'color: #c00;'};
+        var body = this.outputPanel.body.dom;
+        Ext.DomHelper.append(body, {
+            tag: 'div',
+            style: styles[kind] || '',
+            html: Ext.String.htmlEncode(text)
+        });
+        body.scrollTop = body.scrollHeight;
+    },
+    clearOutput: function () {
+        if (this.outputPanel != null)
+            this.outputPanel.body.update('');
+    },
+    updateOutputPanel: function () {
+        if (this.outputPanel == null)
+            return;
+        var running = this.isCodeRunning();
+        var toolbar = this.outputPanel.getDockedItems('toolbar[dock="top"]')[0];
+        toolbar.getComponent('run').setDisabled(running);
+        toolbar.getComponent('stop').setDisabled(!running);
+    },
+    setBreakpoint: function (blockId, breakpoint) {
+        var block = this.workspace.getBlockById(blockId);
+        if (block == null)
+            return false;
+        block.setBreakpoint(breakpoint);
+        return true;
+    },
+    getBreakpoints: function () {
+        var ids = [];
+        Ext.each(this.workspace.getAllBlocks(), function (block) {
+            if (block.hasBreakpoint())
+                ids.push(block.id);
+        });
+        return ids;
+    },
+    filterToolbox: function (query) {
+        var me = this;
+        var results = me.toolboxResults;
+        if (results == null)
+            return 0;
+        query = Ext.String.trim(query || '').toLowerCase();
+        results.store.removeAll();
+        if (query == '') {
+            if (!results.hidden) {
+                results.hide();
+                // Go back to the first category
+                me.expandToolboxCategory();
+            }
+            return 0;
+        }
+        // Match the block's name, its category and its tooltip
+        var matches = [];
+        Ext.Array.forEach(me.getToolboxGrids(), function (grid) {
+            if (grid.hidden)
+                return;
+            grid.store.each(function (record) {
+                var name = record.get('name') || record.get('block').type;
+                var text = [name, grid.title, grid.category, record.get('tooltip') || ''].join('\n');
+                if (text.toLowerCase().indexOf(query) != -1)
+                    matches.push(Ext.apply({}, record.getData()));
+            });
+        });
+        results.store.add(matches);
+        results.setTitle(Blockly.Msg.TOOLBOX_SEARCH_RESULTS.replace('%1', matches.length));
+        if (results.hidden)
+            results.show();
+        results.expand();
+        return matches.length;
+    },
+    insertToolboxBlock: function (record) {
+        var me = this;
+        // Add a block from the toolbox to the workspace
+        if (record == null)
+            return;
+        Blockly.setMainWorkspace(me.workspace);
+        var block = Blockly.Json.domToBlock(me.workspace, record.get("block"));
+        if (block && me.workspace.grid) {
+            me.workspace.grid.snapBlock(block);
+        }
+    },
+    createToolboxStore: function () {
+        return Ext.create('Ext.data.ArrayStore', {
+            fields: [
+                {name: 'category'},
+                {name: 'block'},
+                {name: 'svg'},
+                {name: 'name'},
+                {name: 'tooltip'},
+                {name: 'tool'}
+            ]
+        });
+    },
+    createToolboxGrid: function (config) {
+        var me = this;
+        // Create a list of blocks for the accordion - a category, or the search results
+        return Ext.create('Ext.grid.Panel', Ext.apply({
+            hideHeaders: true,
+            collapsible: false,
+            multiSelect: false,
+            layout: 'fit',
+            viewConfig: {
+                stripeRows: true,
+                enableTextSelection: false,
+                markDirty: false
+            },
+            columns: [
+                {
+                    flex: 1,
+                    dataIndex: 'svg'
+                }
+            ],
+            listeners: {
+                render: function (grid) {
+                    // TODO: This doesn't work!
+//                            Ext.create('Ext.tip.ToolTip', {
+//                                target: grid.getHeader(),
+//                                html: grid.tooltip
+//                            });
+
+                    grid.dragZone = Ext.create('Ext.dd.DragZone', grid.getEl(), {
+                        // On receipt of a mousedown event, see if it is within a draggable element.
+                        // Return a drag data object if so. The data object can contain arbitrary application
+                        // data, but it should also contain a DOM element in the ddel property to provide
+                        // a proxy to drag.
+                        style: {
+                            'background-color': '#f00',
+                            'padding-left': '0px'
+                        },
+                        constrain: false,
+                        onMouseDown: function (x, y) {
+                            console.log("startDrag");
+
+                            // Align the pointers
+                            this.setDelta(30,5);
+
+                            // The user is now working with this editor
+                            Blockly.setMainWorkspace(me.workspace);
+
+                            // Disable scrolling during the drag and drop
+                            me.scrollbar = me.workspace.scrollbar;
+                            me.workspace.scrollbar = false;
+
+//                                    this.setXConstraint(-200,5000,0);
+//                                    this.constrainTo(me.getId(), {left: 0, top: 0, right: -33330, bottom: -3330}, false);
+                        },
+                        getDragData: function (e) {
+                            var sourceEl = e.getTarget("svg", 10);
+                            if (sourceEl) {
+                                var dragView = sourceEl.cloneNode(true);
+                                dragView.style.width=dragView.getAttribute("width");
+                                dragView.id = Ext.id();
+                                grid.dragZone.setDelta(0,0);
+                                return grid.dragData = {
+                                    sourceEl: sourceEl,
+                                    repairXY: Ext.fly(sourceEl).getXY(),
+                                    ddel: dragView,
+                                    block: me.selectedRecord.get("block")
+                                };
+                            }
+                        },
+                        getRepairXY: function () {
+                            // Restore the scrollbars
+                            me.workspace.scrollbar = me.scrollbar;
+
+                            // Remove the block since the DnD was not successful
+                            if(me.dragBlock != null) {
+                                me.dragBlock.dispose();
+                                me.dragBlock = null;
+                            }
+
+                            // Provide coordinates for the proxy to slide back to on failed drag.
+                            // This is the original XY coordinates of the draggable element.
+                            return this.dragData.repairXY;
+                        }
+                    });
+                },
+                beforecellmousedown: function (grid, td, cellIndex, record, tr, rowIndex, e, eOpts) {
+                    // We use this event to record the block that we're potentially about to drag...
+                    me.selectedRecord = record;
+                    Blockly.hideChaff(false);
+                },
+                itemdblclick: function (grid, record) {
+                    // Double click - just add this block to the workspace
+                    me.insertToolboxBlock(record);
+                },
+                itemkeydown: function (view, record, item, index, e) {
+                    // The search results can be used with the keyboard
+                    if (e.getKey() == e.ENTER) {
+                        me.insertToolboxBlock(record);
+                    }
+                    else if (e.getKey() == e.ESC) {
+                        me.toolboxSearchField.focus(true);
+                    }
+                }
+            }
+        }, config));
+    },
+    createToolboxCategory: function (category) {
+        var me = this;
+        // (Unfortunately!) We need to use separate stores with an accordion.
+        // If we just use a filter, there is a problem as for a short
+        // time two grids are in view and we then see the same view.
+        var store = me.createToolboxStore();
+
+        // Load any blocks specified in the toolboxTool array
+        // These will be added to any from the categories
+        var tools = me.blockly.toolboxTools || [];
+        for (var t = 0; t < tools.length; t++) {
+            if (tools[t].category === category.name) {
+                store.add(Ext.apply({tool: tools[t]}, tools[t]));
+            }
+        }
+
+        // Create the separate lists for the accordion panels
+        return me.createToolboxGrid({
+            title: category.title,
+            icon: category.icon,
+            tooltip: category.tooltip,
+            category: category.name,
+            custom: category.custom,
+            customRecords: [],
+            hidden: category.hidden === true,
+            store: store,
+            disableSelection: true
+        });
+    },
+    renderToolboxRecord: function (record) {
+        var me = this;
+        // The toolbox is drawn once the workspace has been created
+        if (me.workspace == null)
+            return;
+        Blockly.withWorkspace(me.workspace, function () {
+            // The preview is drawn by a block on the workspace, which is removed again
+            // in the same command, so that it can't be undone
+            me.workspace.undoManager.beginGroup();
+            var block = Blockly.Json.domToBlock(me.workspace, record.get("block"));
+            if (block == null) {
+                me.workspace.undoManager.endGroup();
+                console.log("Unable to load block '" + record.get("block") + "'.");
+                return;
+            }
+            // Screen readers read the entry's name, or else the block's text
+            var label = Ext.String.htmlEncode(record.get('name') || block.toString());
+            var svg = '<svg class="blocklyTheme-' + Blockly.theme.name + '" role="img" aria-label="' + label + '" height="' + block.getHeightWidth().height + '" width="' + (block.getHeightWidth().width + 10) + '"><g transform=\"translate(10)\">' + block.getSvgRoot().outerHTML + "</g></svg>";
+            record.set('svg', svg);
+
+            // The tooltip is searched too
+            if (!record.get('tooltip')) {
+                var tooltip = block.tooltip;
+                record.set('tooltip', Ext.isFunction(tooltip) ? tooltip.call(block) : tooltip);
+            }
+
+            block.dispose();
+            me.workspace.undoManager.endGroup();
+        });
+    },
+    updateToolboxCategories: function () {
+        var me = this;
+        var results = me.toolboxResults;
+        if (results == null || me.workspace == null)
+            return;
+        Ext.Array.forEach(me.getToolboxGrids(), function (grid) {
+            if (grid.custom == null)
+                return;
+            // Only rebuild the category when its blocks have changed
+            var blocks = Blockly.Toolbox.getCategory(grid.custom, me.workspace);
+            var text = Ext.encode(blocks);
+            if (text == grid.customText)
+                return;
+            grid.customText = text;
+
+            // The category's tools from toolboxTools stay at the top
+            grid.store.remove(grid.customRecords);
+            grid.customRecords = grid.store.add(Ext.Array.map(blocks, function (block) {
+                return {category: grid.category, block: block};
+            }));
+            Ext.Array.forEach(grid.customRecords, me.renderToolboxRecord, me);
+        });
+    },
+    getToolboxGrids: function () {
+        var me = this;
+        // The category grids, in order - the search results are first in the accordion
+        if (me.toolboxResults == null)
+            return [];
+        return Ext.Array.filter(me.toolboxResults.ownerCt.items.getRange(), function (grid) {
+            return grid != me.toolboxResults;
+        });
+    },
+    getToolboxGrid: function (name) {
+        return Ext.Array.findBy(this.getToolboxGrids(), function (grid) {
+            return grid.category === name;
+        });
+    },
+    expandToolboxCategory: function () {
+        var me = this;
+        // Make sure that a category is open, unless the search results are shown
+        var grids = Ext.Array.filter(me.getToolboxGrids(), function (grid) {
+            return !grid.hidden;
+        });
+        if (me.toolboxResults == null || !me.toolboxResults.hidden || grids.length == 0)
+            return;
+        for (var i = 0; i < grids.length; i++) {
+            if (!grids[i].collapsed)
+                return;
+        }
+        grids[0].expand();
+    },
+    updateToolboxSearch: function () {
+        var me = this;
+        // Search again when the tools change, so that the results don't show tools which have gone
+        if (me.toolboxResults != null && !me.toolboxResults.hidden)
+            me.filterToolbox(me.toolboxSearchField.getValue());
+    },
+    setToolbox: function (categories, tools) {
+        var me = this;
+        if (me.toolboxResults == null)
+            return;
+        var accordion = me.toolboxResults.ownerCt;
+        me.blockly.toolboxCategories = categories || [];
+        me.blockly.toolboxTools = tools || [];
+
+        Ext.suspendLayouts();
+        Ext.Array.forEach(me.getToolboxGrids(), function (grid) {
+            accordion.remove(grid, true);
+        });
+        var grids = [];
+        for (var i = 0; i < me.blockly.toolboxCategories.length; i++) {
+            grids.push(me.createToolboxCategory(me.blockly.toolboxCategories[i]));
+        }
+        accordion.add(grids);
+        Ext.resumeLayouts(true);
 
-        Blockly.Json.setWorkspace(Blockly.getMainWorkspace(), blocks);
+        Ext.Array.forEach(grids, function (grid) {
+            grid.store.each(me.renderToolboxRecord, me);
+        });
+        me.updateToolboxCategories();
+        me.updateToolboxSearch();
+        me.expandToolboxCategory();
     },
-    getBlocks: function () {
-        return Blockly.Json.getWorkspace(Blockly.getMainWorkspace());
+    addToolboxTool: function (tool) {
+        var me = this;
+        if (tool == null || tool.block == null)
+            throw 'Toolbox tool has no block.';
+        // The tool is kept even if its category isn't in the toolbox, for when it's added
+        me.blockly.toolboxTools = (me.blockly.toolboxTools || []).concat([tool]);
+        var grid = me.getToolboxGrid(tool.category);
+        if (grid == null)
+            return;
+        // The tools go above the blocks of a custom category
+        var records = grid.store.insert(grid.store.getCount() - grid.customRecords.length,
+            Ext.apply({tool: tool}, tool));
+        me.renderToolboxRecord(records[0]);
+        me.updateToolboxSearch();
+    },
+    removeToolboxTool: function (tool) {
+        var me = this;
+        // The tool is the object given in toolboxTools or to addToolboxTool, or its name
+        var removed = Ext.Array.filter(me.blockly.toolboxTools || [], function (t) {
+            return t === tool || (Ext.isString(tool) && t.name === tool);
+        });
+        if (removed.length == 0)
+            return false;
+        me.blockly.toolboxTools = Ext.Array.difference(me.blockly.toolboxTools, removed);
+        Ext.Array.forEach(me.getToolboxGrids(), function (grid) {
+            grid.store.remove(grid.store.queryBy(function (record) {
+                return Ext.Array.contains(removed, record.get('tool'));
+            }).getRange());
+        });
+        me.updateToolboxSearch();
+        return true;
+    },
+    addCategory: function (category, index) {
+        var me = this;
+        if (me.toolboxResults == null)
+            return null;
+        var categories = (me.blockly.toolboxCategories || []).slice();
+        if (index == null || index > categories.length)
+            index = categories.length;
+        categories.splice(index, 0, category);
+        me.blockly.toolboxCategories = categories;
+
+        // The search results are the first item of the accordion
+        var grid = me.createToolboxCategory(category);
+        me.toolboxResults.ownerCt.insert(index + 1, grid);
+        grid.store.each(me.renderToolboxRecord, me);
+        me.updateToolboxCategories();
+        me.updateToolboxSearch();
+        me.expandToolboxCategory();
+        return grid;
+    },
+    removeCategory: function (name) {
+        var me = this;
+        var grid = me.getToolboxGrid(name);
+        if (grid == null)
+            return false;
+        // The category's tools are kept, for when it's added again
+        me.blockly.toolboxCategories = Ext.Array.filter(me.blockly.toolboxCategories, function (category) {
+            return category.name !== name;
+        });
+        grid.ownerCt.remove(grid, true);
+        me.updateToolboxSearch();
+        me.expandToolboxCategory();
+        return true;
+    },
+    setCategoryVisible: function (name, visible) {
+        var me = this;
+        var grid = me.getToolboxGrid(name);
+        if (grid == null)
+            return;
+        // The accordion opens the categories which are shown - keep the open one instead
+        grid.suspendEvents();
+        grid.setVisible(visible);
+        grid.resumeEvents();
+        me.updateToolboxSearch();
+        me.expandToolboxCategory();
+    },
+    getImageBlocks: function (target) {
+        var me = this;
+        // Nothing for the whole workspace, 'selection' or a block ID
+        if (target == null)
+            return null;
+        if (target == 'selection') {
+            return Blockly.withWorkspace(me.workspace, function () {
+                return Blockly.selection.slice();
+            });
+        }
+        var block = me.workspace.getBlockById(target);
+        return block == null ? [] : [block];
+    },
+    getSvg: function (target) {
+        return Blockly.Export.toSvg(this.workspace, this.getImageBlocks(target));
+    },
+    getPng: function (target, callback, scale) {
+        Blockly.Export.toPng(this.workspace, this.getImageBlocks(target), callback, scale);
+    },
+    saveImage: function (target) {
+        Blockly.Export.saveImage(this.workspace, this.getImageBlocks(target));
+    },
+    copyImage: function (target) {
+        Blockly.Export.copyImage(this.workspace, this.getImageBlocks(target));
+    },
+    undo: function () {
+        var me = this;
+        // Like the keys, a read-only editor can't undo
+        if (me.workspace == null || me.blockly.readOnly)
+            return false;
+        return Blockly.withWorkspace(me.workspace, function () {
+            return me.workspace.undoManager.undo();
+        });
+    },
+    redo: function () {
+        var me = this;
+        if (me.workspace == null || me.blockly.readOnly)
+            return false;
+        return Blockly.withWorkspace(me.workspace, function () {
+            return me.workspace.undoManager.redo();
+        });
+    },
+    canUndo: function () {
+        return this.workspace != null && !this.blockly.readOnly &&
+            this.workspace.undoManager.canUndo();
+    },
+    canRedo: function () {
+        return this.workspace != null && !this.blockly.readOnly &&
+            this.workspace.undoManager.canRedo();
+    },
+    getSelection: function () {
+        var me = this;
+        // The workspace may have been removed with Blockly.uninject
+        if (me.workspace == null || Blockly.workspaces_.indexOf(me.workspace) == -1)
+            return [];
+        return Blockly.withWorkspace(me.workspace, function () {
+            return Ext.Array.map(Blockly.selection, function (block) {
+                return block.id;
+            });
+        });
+    },
+    setSelection: function (blockIds) {
+        var me = this;
+        Blockly.withWorkspace(me.workspace, function () {
+            var blocks = [];
+            Ext.each(blockIds || [], function (blockId) {
+                var block = me.workspace.getBlockById(blockId);
+                if (block != null)
+                    blocks.push(block);
+            });
+            Blockly.Selection.set(blocks);
+        });
+    },
+    copy: function (blockId, stack) {
+        var me = this;
+        return Blockly.withWorkspace(me.workspace, function () {
+            // Default to the selected blocks
+            if (blockId == null)
+                return Blockly.Selection.copy();
+            var block = me.workspace.getBlockById(blockId);
+            if (block == null)
+                return false;
+            Blockly.Clipboard.copy(block, stack);
+            return true;
+        });
+    },
+    cut: function (blockId, stack) {
+        var me = this;
+        return Blockly.withWorkspace(me.workspace, function () {
+            if (blockId == null)
+                return Blockly.Selection.cut();
+            var block = me.workspace.getBlockById(blockId);
+            if (block == null || !block.isDeletable())
+                return false;
+            Blockly.Clipboard.cut(block, stack);
+            return true;
+        });
+    },
+    paste: function (text) {
+        var me = this;
+        return Blockly.withWorkspace(me.workspace, function () {
+            // Paste the given clipboard text, or whatever is on the clipboard -
+            // which is read later, so a failure is only reported by pasteerror
+            if (text == null) {
+                Blockly.Clipboard.pasteFromSystem(me.workspace);
+                return;
+            }
+            var data = Blockly.Clipboard.parseText(text);
+            if (data == null)
+                return false;
+            return Blockly.Clipboard.paste(me.workspace, data);
+        });
     }
 });
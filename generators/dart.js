@@ -24,11 +24,6 @@
  */
 'use strict';
 
-goog.provide('Blockly.Dart');
-
-goog.require('Blockly.Generator');
-
-
 Blockly.Dart = new Blockly.Generator('Dart');
 
 /**
@@ -77,8 +72,9 @@ Blockly.Dart.INFINITE_LOOP_TRAP = null;
 
 /**
  * Initialise the database of variable names.
+ * @param {!Blockly.Workspace} workspace Workspace to generate code from.
  */
-Blockly.Dart.init = function() {
+Blockly.Dart.init = function(workspace) {
   // Create a dictionary of definitions to be printed before the code.
   Blockly.Dart.definitions_ = Object.create(null);
   // Create a dictionary mapping desired function names in definitions_
@@ -94,7 +90,7 @@ Blockly.Dart.init = function() {
     }
 
     var defvars = [];
-    var variables = Blockly.Variables.allVariables();
+    var variables = Blockly.Variables.allVariables(null, workspace);
     for (var x = 0; x < variables.length; x++) {
       defvars[x] = 'var ' +
           Blockly.Dart.variableDB_.getName(variables[x],
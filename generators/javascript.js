@@ -24,11 +24,6 @@
  */
 'use strict';
 
-goog.provide('Blockly.JavaScript');
-
-goog.require('Blockly.Generator');
-
-
 Blockly.JavaScript = new Blockly.Generator('JavaScript');
 
 /**
@@ -107,10 +102,20 @@ Blockly.JavaScript.ORDER_NONE = 99;          // (...)
  */
 Blockly.JavaScript.INFINITE_LOOP_TRAP = null;
 
+/**
+ * Generate procedures as generator functions, and calls to them as yields of
+ * the generator object to whatever runs the code (see Blockly.Debugger).
+ * Together with a STATEMENT_PREFIX which yields, this lets the code be
+ * paused at any statement, including those inside procedures.
+ * @type boolean
+ */
+Blockly.JavaScript.STEPPABLE = false;
+
 /**
  * Initialise the database of variable names.
+ * @param {!Blockly.Workspace} workspace Workspace to generate code from.
  */
-Blockly.JavaScript.init = function() {
+Blockly.JavaScript.init = function(workspace) {
   // Create a dictionary of definitions to be printed before the code.
   Blockly.JavaScript.definitions_ = Object.create(null);
   // Create a dictionary mapping desired function names in definitions_
@@ -126,7 +131,7 @@ Blockly.JavaScript.init = function() {
     }
 
     var defvars = [];
-    var variables = Blockly.Variables.allVariables();
+    var variables = Blockly.Variables.allVariables(null, workspace);
     for (var x = 0; x < variables.length; x++) {
       defvars[x] = 'var ' +
           Blockly.JavaScript.variableDB_.getName(variables[x],
@@ -24,11 +24,6 @@
  */
 'use strict';
 
-goog.provide('Blockly.JavaScript.procedures');
-
-goog.require('Blockly.JavaScript');
-
-
 Blockly.JavaScript['procedures_defreturn'] = function(block) {
   // Define a procedure with a return value.
   var funcName = Blockly.JavaScript.variableDB_.getName(
@@ -48,7 +43,8 @@ Blockly.JavaScript['procedures_defreturn'] = function(block) {
     args[x] = Blockly.JavaScript.variableDB_.getName(block.arguments_[x],
         Blockly.Variables.NAME_TYPE);
   }
-  var code = 'function ' + funcName + '(' + args.join(', ') + ') {\n' +
+  var code = (Blockly.JavaScript.STEPPABLE ? 'function* ' : 'function ') +
+      funcName + '(' + args.join(', ') + ') {\n' +
       branch + returnValue + '}';
   code = Blockly.JavaScript.scrub_(block, code);
   Blockly.JavaScript.definitions_[funcName] = code;
@@ -70,6 +66,10 @@ Blockly.JavaScript['procedures_callreturn'] = function(block) {
         Blockly.JavaScript.ORDER_COMMA) || 'null';
   }
   var code = funcName + '(' + args.join(', ') + ')';
+  if (Blockly.JavaScript.STEPPABLE) {
+    // The runner steps through the call and sends back its return value.
+    return ['(yield ' + code + ')', Blockly.JavaScript.ORDER_ATOMIC];
+  }
   return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
 };
 
@@ -83,6 +83,9 @@ Blockly.JavaScript['procedures_callnoreturn'] = function(block) {
         Blockly.JavaScript.ORDER_COMMA) || 'null';
   }
   var code = funcName + '(' + args.join(', ') + ');\n';
+  if (Blockly.JavaScript.STEPPABLE) {
+    code = 'yield ' + code;
+  }
   return code;
 };
 
@@ -24,11 +24,6 @@
  */
 'use strict';
 
-goog.provide('Blockly.Python.colour');
-
-goog.require('Blockly.Python');
-
-
 Blockly.Python['colour_picker'] = function(block) {
   // Colour picker.
   var code = '\'' + block.getFieldValue('COLOUR') + '\'';
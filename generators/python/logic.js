@@ -24,11 +24,6 @@
  */
 'use strict';
 
-goog.provide('Blockly.Python.logic');
-
-goog.require('Blockly.Python');
-
-
 Blockly.Python['controls_if'] = function(block) {
   // If/elseif/else condition.
   var n = 0;
@@ -24,11 +24,6 @@
  */
 'use strict';
 
-goog.provide('Blockly.Python.loops');
-
-goog.require('Blockly.Python');
-
-
 Blockly.Python['controls_repeat'] = function(block) {
   // Repeat n times (internal number).
   var repeats = parseInt(block.getFieldValue('TIMES'), 10);
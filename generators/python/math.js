@@ -24,11 +24,6 @@
  */
 'use strict';
 
-goog.provide('Blockly.Python.math');
-
-goog.require('Blockly.Python');
-
-
 // If any new block imports any library, add that library name here.
 Blockly.Python.addReservedWords('math,random');
 
@@ -24,15 +24,10 @@
  */
 'use strict';
 
-goog.provide('Blockly.Python.procedures');
-
-goog.require('Blockly.Python');
-
-
 Blockly.Python['procedures_defreturn'] = function(block) {
   // Define a procedure with a return value.
   // First, add a 'global' statement for every variable that is assigned.
-  var globals = Blockly.Variables.allVariables(block);
+  var globals = Blockly.Variables.allVariables(null, block);
   for (var i = globals.length - 1; i >= 0; i--) {
     var varName = globals[i];
     if (block.arguments_.indexOf(varName) == -1) {
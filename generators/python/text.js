@@ -24,11 +24,6 @@
  */
 'use strict';
 
-goog.provide('Blockly.Python.text');
-
-goog.require('Blockly.Python');
-
-
 Blockly.Python['text'] = function(block) {
   // Text value.
   var code = Blockly.Python.quote_(block.getFieldValue('TEXT'));
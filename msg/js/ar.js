@@ -6,12 +6,31 @@ goog.provide('Blockly.Msg.ar');
 
 goog.require('Blockly.Msg');
 
+Blockly.Msg.ADD_BREAKPOINT = "Add Breakpoint";
 Blockly.Msg.ADD_COMMENT = "اضافة تعليق";
+Blockly.Msg.ADD_FRAME = "Add Frame";
+Blockly.Msg.ARIA_ADDED = "added %1";
+Blockly.Msg.ARIA_ADDED_BLOCKS = "added %1 blocks";
+Blockly.Msg.ARIA_BLOCK = "block";
+Blockly.Msg.ARIA_CONNECTED = "connected %1 to %2";
+Blockly.Msg.ARIA_DELETED_BLOCK = "deleted 1 block";
+Blockly.Msg.ARIA_DELETED_BLOCKS = "deleted %1 blocks";
+Blockly.Msg.ARIA_DISCONNECTED = "disconnected %1 from %2";
+Blockly.Msg.ARIA_FRAME = "frame %1";
+Blockly.Msg.ARIA_MOVING = "moving %1";
+Blockly.Msg.ARIA_NEXT_STATEMENT_EMPTY = "empty next statement after %1";
+Blockly.Msg.ARIA_STATEMENT_INPUT_EMPTY = "statement input %1 empty";
+Blockly.Msg.ARIA_VALUE_INPUT_EMPTY = "value input %1 empty";
+Blockly.Msg.ARIA_WORKSPACE = "Blocks workspace";
+Blockly.Msg.ARRANGE_COLUMN = "Arrange Blocks in a Column";
+Blockly.Msg.ARRANGE_GRID = "Arrange Blocks in a Grid";
 Blockly.Msg.AUTH = "Please authorize this app to enable your work to be saved and to allow it to be shared by you.";  // untranslated
 Blockly.Msg.CHANGE_VALUE_TITLE = "تغيير قيمة:";
 Blockly.Msg.CHAT = "دردش مع زملائك بالكتابة في هذا الصندوق!";
+Blockly.Msg.CLEAN_UP = "Clean up Blocks";
 Blockly.Msg.COLLAPSE_ALL = "إخفاء القطع";
 Blockly.Msg.COLLAPSE_BLOCK = "إخفاء القطعة";
+Blockly.Msg.COLLAPSE_FRAME = "Collapse Frame";
 Blockly.Msg.COLOUR_BLEND_COLOUR1 = "اللون 1";
 Blockly.Msg.COLOUR_BLEND_COLOUR2 = "اللون 2";
 Blockly.Msg.COLOUR_BLEND_HELPURL = "http://meyerweb.com/eric/tools/color-blend/";
@@ -66,13 +85,29 @@ Blockly.Msg.CONTROLS_WHILEUNTIL_OPERATOR_UNTIL = "اكرّر حتى";
 Blockly.Msg.CONTROLS_WHILEUNTIL_OPERATOR_WHILE = "اكرّر طالما";
 Blockly.Msg.CONTROLS_WHILEUNTIL_TOOLTIP_UNTIL = "بما ان القيمة خاطئة, نفّذ بعض الأوامر.";
 Blockly.Msg.CONTROLS_WHILEUNTIL_TOOLTIP_WHILE = "بما ان القيمة صحيحة, نفّذ بعض الأوامر.";
+Blockly.Msg.COPY_BLOCK = "Copy";
+Blockly.Msg.COPY_IMAGE = "Copy as Image";
+Blockly.Msg.COPY_STACK = "Copy Stack";
+Blockly.Msg.DEBUG_CONTINUE = "Continue";
+Blockly.Msg.DEBUG_PAUSE = "Pause";
+Blockly.Msg.DEBUG_RUN = "Run";
+Blockly.Msg.DEBUG_STEP_INTO = "Step Into";
+Blockly.Msg.DEBUG_STEP_OVER = "Step Over";
+Blockly.Msg.DEBUG_STOP = "Stop";
+Blockly.Msg.DEBUG_VARIABLES = "Variables";
+Blockly.Msg.DEBUG_VARIABLE_NAME = "Name";
+Blockly.Msg.DEBUG_VARIABLE_VALUE = "Value";
 Blockly.Msg.DELETE_BLOCK = "إحذف القطعة";
+Blockly.Msg.DELETE_FRAME = "Delete Frame";
 Blockly.Msg.DELETE_X_BLOCKS = "إحذف قطع %1";
 Blockly.Msg.DISABLE_BLOCK = "عطّل القطعة";
+Blockly.Msg.DISABLE_BLOCKS = "Disable Blocks";
 Blockly.Msg.DUPLICATE_BLOCK = "ادمج";
 Blockly.Msg.ENABLE_BLOCK = "أعد تفعيل القطعة";
+Blockly.Msg.ENABLE_BLOCKS = "Enable Blocks";
 Blockly.Msg.EXPAND_ALL = "وسٌّع القطع";
 Blockly.Msg.EXPAND_BLOCK = "وسٌّع القطعة";
+Blockly.Msg.EXPAND_FRAME = "Expand Frame";
 Blockly.Msg.EXTERNAL_INPUTS = "ادخال خارجي";
 Blockly.Msg.HELP = "مساعدة";
 Blockly.Msg.INLINE_INPUTS = "ادخال خطي";
@@ -257,9 +292,13 @@ Blockly.Msg.MATH_TRIG_TOOLTIP_COS = "يرجع جيب التمام لدرجة (ل
 Blockly.Msg.MATH_TRIG_TOOLTIP_SIN = "يرجع جيب التمام لدرجة (لا زواية نصف قطرية).";
 Blockly.Msg.MATH_TRIG_TOOLTIP_TAN = "يرجع الظل لدرجة (لا دائرة نصف قطرية).";
 Blockly.Msg.ME = "Me";  // untranslated
+Blockly.Msg.MISSING_BLOCK_TITLE = "missing block %1";
+Blockly.Msg.MISSING_BLOCK_WARNING = "The block type \"%1\" is not available. This block is kept so that it is saved unchanged, but it has no effect.";
+Blockly.Msg.NEW_FRAME = "Frame";
 Blockly.Msg.NEW_VARIABLE = "متغير جديد...";
 Blockly.Msg.NEW_VARIABLE_TITLE = "اسم المتغير الجديد:";
 Blockly.Msg.ORDINAL_NUMBER_SUFFIX = "";  // untranslated
+Blockly.Msg.PASTE = "Paste";
 Blockly.Msg.PROCEDURES_BEFORE_PARAMS = "مع:";
 Blockly.Msg.PROCEDURES_CALLNORETURN_CALL = "";  // untranslated
 Blockly.Msg.PROCEDURES_CALLNORETURN_HELPURL = "https://en.wikipedia.org/wiki/Procedure_%28computer_science%29";
@@ -283,9 +322,29 @@ Blockly.Msg.PROCEDURES_MUTATORARG_TITLE = "اسم الإدخال:";
 Blockly.Msg.PROCEDURES_MUTATORARG_TOOLTIP = "Add an input to the function.";  // untranslated
 Blockly.Msg.PROCEDURES_MUTATORCONTAINER_TITLE = "المدخلات";
 Blockly.Msg.PROCEDURES_MUTATORCONTAINER_TOOLTIP = "Add, remove, or reorder inputs to this function.";  // untranslated
+Blockly.Msg.REMOVE_BREAKPOINT = "Remove Breakpoint";
 Blockly.Msg.REMOVE_COMMENT = "ازل التعليق";
+Blockly.Msg.RENAME_FRAME = "Rename Frame...";
+Blockly.Msg.RENAME_FRAME_TITLE = "Rename frame to:";
 Blockly.Msg.RENAME_VARIABLE = "إعادة تسمية المتغير...";
 Blockly.Msg.RENAME_VARIABLE_TITLE = "إعادة تسمية كافة المتغيرات '%1' إلى:";
+Blockly.Msg.RUNNER_API_ERROR = "The function %1 stopped the program with an error: %2";
+Blockly.Msg.RUNNER_CANT_SEND = "The values given to the function %1 cannot be sent to the page.";
+Blockly.Msg.RUNNER_CLEAR = "Clear";
+Blockly.Msg.RUNNER_NO_WORKER = "This browser cannot run the program.";
+Blockly.Msg.RUNNER_OUTPUT = "Output";
+Blockly.Msg.RUNNER_RUN = "Run";
+Blockly.Msg.RUNNER_STOP = "Stop";
+Blockly.Msg.RUNNER_TIMEOUT = "The program ran for more than %1 seconds and was stopped.";
+Blockly.Msg.RUNNER_TOO_MANY_LOOPS = "The program repeated its loops more than %1 times and was stopped.";
+Blockly.Msg.SAVE_IMAGE = "Save as Image";
+Blockly.Msg.SEARCH = "Search";
+Blockly.Msg.SEARCH_NEXT = "Next match";
+Blockly.Msg.SEARCH_NO_RESULTS = "No matches";
+Blockly.Msg.SEARCH_PREVIOUS = "Previous match";
+Blockly.Msg.SEARCH_RESULT = "%1 of %2";
+Blockly.Msg.SORT_BY_NAME = "Sort Blocks by Name";
+Blockly.Msg.SORT_BY_TYPE = "Sort Blocks by Type";
 Blockly.Msg.TEXT_APPEND_APPENDTEXT = "إلصق نص";
 Blockly.Msg.TEXT_APPEND_HELPURL = "https://code.google.com/p/blockly/wiki/Text#Text_modification";
 Blockly.Msg.TEXT_APPEND_TO = "إلى";
@@ -347,6 +406,8 @@ Blockly.Msg.TEXT_TRIM_OPERATOR_BOTH = "إزالة الفراغات من كلا 
 Blockly.Msg.TEXT_TRIM_OPERATOR_LEFT = "إزالة الفراغات من الجانب الأيسر من";
 Blockly.Msg.TEXT_TRIM_OPERATOR_RIGHT = "إزالة الفراغات من الجانب الأيمن من";
 Blockly.Msg.TEXT_TRIM_TOOLTIP = "يرجع نسخة من النص مع حذف من أحد أو كلا الفراغات من أطرافه.";
+Blockly.Msg.TOOLBOX_SEARCH = "Search blocks";
+Blockly.Msg.TOOLBOX_SEARCH_RESULTS = "Search results (%1)";
 Blockly.Msg.VARIABLES_DEFAULT_NAME = "البند";
 Blockly.Msg.VARIABLES_GET_CREATE_SET = "انشئ 'التعيين %1'";
 Blockly.Msg.VARIABLES_GET_HELPURL = "http://code.google.com/p/blockly/wiki/Variables#Get";
@@ -379,4 +440,9 @@ Blockly.Msg.CONTROLS_IF_IF_TITLE_IF = Blockly.Msg.CONTROLS_IF_MSG_IF;
 Blockly.Msg.CONTROLS_WHILEUNTIL_INPUT_DO = Blockly.Msg.CONTROLS_REPEAT_INPUT_DO;
 Blockly.Msg.CONTROLS_IF_ELSEIF_TITLE_ELSEIF = Blockly.Msg.CONTROLS_IF_MSG_ELSEIF;
 Blockly.Msg.TEXT_APPEND_VARIABLE = Blockly.Msg.VARIABLES_DEFAULT_NAME;
-Blockly.Msg.CONTROLS_IF_ELSE_TITLE_ELSE = Blockly.Msg.CONTROLS_IF_MSG_ELSE;
\ No newline at end of file
+Blockly.Msg.CONTROLS_IF_ELSE_TITLE_ELSE = Blockly.Msg.CONTROLS_IF_MSG_ELSE;
+Blockly.Msg.ARIA_WORKSPACE_COMMENT = "Workspace comment";
+Blockly.Msg.ZOOM_IN = "Zoom in";
+Blockly.Msg.ZOOM_OUT = "Zoom out";
+Blockly.Msg.ZOOM_RESET = "Reset zoom";
+Blockly.Msg.ZOOM_TO_FIT = "Zoom to fit";
\ No newline at end of file
@@ -6,10 +6,29 @@ goog.provide('Blockly.Msg.az-latn');
 
 goog.require('Blockly.Msg');
 
+Blockly.Msg.ADD_BREAKPOINT = "Add Breakpoint";
 Blockly.Msg.ADD_COMMENT = "Şərh əlavə et";
+Blockly.Msg.ADD_FRAME = "Add Frame";
+Blockly.Msg.ARIA_ADDED = "added %1";
+Blockly.Msg.ARIA_ADDED_BLOCKS = "added %1 blocks";
+Blockly.Msg.ARIA_BLOCK = "block";
+Blockly.Msg.ARIA_CONNECTED = "connected %1 to %2";
+Blockly.Msg.ARIA_DELETED_BLOCK = "deleted 1 block";
+Blockly.Msg.ARIA_DELETED_BLOCKS = "deleted %1 blocks";
+Blockly.Msg.ARIA_DISCONNECTED = "disconnected %1 from %2";
+Blockly.Msg.ARIA_FRAME = "frame %1";
+Blockly.Msg.ARIA_MOVING = "moving %1";
+Blockly.Msg.ARIA_NEXT_STATEMENT_EMPTY = "empty next statement after %1";
+Blockly.Msg.ARIA_STATEMENT_INPUT_EMPTY = "statement input %1 empty";
+Blockly.Msg.ARIA_VALUE_INPUT_EMPTY = "value input %1 empty";
+Blockly.Msg.ARIA_WORKSPACE = "Blocks workspace";
+Blockly.Msg.ARRANGE_COLUMN = "Arrange Blocks in a Column";
+Blockly.Msg.ARRANGE_GRID = "Arrange Blocks in a Grid";
 Blockly.Msg.CHANGE_VALUE_TITLE = "Qiyməti dəyiş:";
+Blockly.Msg.CLEAN_UP = "Clean up Blocks";
 Blockly.Msg.COLLAPSE_ALL = "Blokları yığ";
 Blockly.Msg.COLLAPSE_BLOCK = "Bloku yığ";
+Blockly.Msg.COLLAPSE_FRAME = "Collapse Frame";
 Blockly.Msg.COLOUR_BLEND_COLOUR1 = "rəng 1";
 Blockly.Msg.COLOUR_BLEND_COLOUR2 = "rəng 2";
 Blockly.Msg.COLOUR_BLEND_HELPURL = "http://meyerweb.com/eric/tools/color-blend/";
@@ -64,13 +83,29 @@ Blockly.Msg.CONTROLS_WHILEUNTIL_OPERATOR_UNTIL = "təkrar et, o vaxta qədər ki
 Blockly.Msg.CONTROLS_WHILEUNTIL_OPERATOR_WHILE = "təkrar et, hələ ki";
 Blockly.Msg.CONTROLS_WHILEUNTIL_TOOLTIP_UNTIL = "Hələ ki, qiymət \"yalan\"dır, bəzi əmrləri yerinə yetir.";
 Blockly.Msg.CONTROLS_WHILEUNTIL_TOOLTIP_WHILE = "Hələ ki, qiymət \"doğru\"dur, bəzi əmrləri yerinə yetir.";
+Blockly.Msg.COPY_BLOCK = "Copy";
+Blockly.Msg.COPY_IMAGE = "Copy as Image";
+Blockly.Msg.COPY_STACK = "Copy Stack";
+Blockly.Msg.DEBUG_CONTINUE = "Continue";
+Blockly.Msg.DEBUG_PAUSE = "Pause";
+Blockly.Msg.DEBUG_RUN = "Run";
+Blockly.Msg.DEBUG_STEP_INTO = "Step Into";
+Blockly.Msg.DEBUG_STEP_OVER = "Step Over";
+Blockly.Msg.DEBUG_STOP = "Stop";
+Blockly.Msg.DEBUG_VARIABLES = "Variables";
+Blockly.Msg.DEBUG_VARIABLE_NAME = "Name";
+Blockly.Msg.DEBUG_VARIABLE_VALUE = "Value";
 Blockly.Msg.DELETE_BLOCK = "Bloku sil";
+Blockly.Msg.DELETE_FRAME = "Delete Frame";
 Blockly.Msg.DELETE_X_BLOCKS = "%1 bloku sil";
 Blockly.Msg.DISABLE_BLOCK = "Bloku söndür";
+Blockly.Msg.DISABLE_BLOCKS = "Disable Blocks";
 Blockly.Msg.DUPLICATE_BLOCK = "Dublikatını düzəlt";
 Blockly.Msg.ENABLE_BLOCK = "Bloku aktivləşdir";
+Blockly.Msg.ENABLE_BLOCKS = "Enable Blocks";
 Blockly.Msg.EXPAND_ALL = "Blokları aç";
 Blockly.Msg.EXPAND_BLOCK = "Bloku aç";
+Blockly.Msg.EXPAND_FRAME = "Expand Frame";
 Blockly.Msg.EXTERNAL_INPUTS = "Xarici girişlər";
 Blockly.Msg.HELP = "Kömək";
 Blockly.Msg.INLINE_INPUTS = "Sətiriçi girişlər";
@@ -254,9 +289,13 @@ Blockly.Msg.MATH_TRIG_TOOLTIP_ATAN = "Ədədin arctanqensini qaytarır.";
 Blockly.Msg.MATH_TRIG_TOOLTIP_COS = "Dərəcənin kosinusunu qaytarır (radianın yox).";
 Blockly.Msg.MATH_TRIG_TOOLTIP_SIN = "Dərəcənin sinusunu qaytar (radianın yox).";
 Blockly.Msg.MATH_TRIG_TOOLTIP_TAN = "Dərəcənin tangensini qaytar (radianın yox).";
+Blockly.Msg.MISSING_BLOCK_TITLE = "missing block %1";
+Blockly.Msg.MISSING_BLOCK_WARNING = "The block type \"%1\" is not available. This block is kept so that it is saved unchanged, but it has no effect.";
+Blockly.Msg.NEW_FRAME = "Frame";
 Blockly.Msg.NEW_VARIABLE = "Yeni dəyişən...";
 Blockly.Msg.NEW_VARIABLE_TITLE = "Yeni dəyişənin adı:";
 Blockly.Msg.ORDINAL_NUMBER_SUFFIX = "";
+Blockly.Msg.PASTE = "Paste";
 Blockly.Msg.PROCEDURES_BEFORE_PARAMS = "ilə:";
 Blockly.Msg.PROCEDURES_CALLNORETURN_CALL = "";
 Blockly.Msg.PROCEDURES_CALLNORETURN_HELPURL = "https://en.wikipedia.org/wiki/Procedure_%28computer_science%29";
@@ -278,9 +317,29 @@ Blockly.Msg.PROCEDURES_IFRETURN_TOOLTIP = "Əgər bir dəyər \"doğru\"-dursa o
 Blockly.Msg.PROCEDURES_IFRETURN_WARNING = "Xəbərdarlıq: Bu blok ancaq bir funksiyanın təyinatı daxilində işlədilə bilər.";
 Blockly.Msg.PROCEDURES_MUTATORARG_TITLE = "Giriş adı:";
 Blockly.Msg.PROCEDURES_MUTATORCONTAINER_TITLE = "girişlər";
+Blockly.Msg.REMOVE_BREAKPOINT = "Remove Breakpoint";
 Blockly.Msg.REMOVE_COMMENT = "Şərhi sil";
+Blockly.Msg.RENAME_FRAME = "Rename Frame...";
+Blockly.Msg.RENAME_FRAME_TITLE = "Rename frame to:";
 Blockly.Msg.RENAME_VARIABLE = "Dəyişənin adını dəyiş...";
 Blockly.Msg.RENAME_VARIABLE_TITLE = "Bütün '%1' dəyişənlərinin adını buna dəyiş:";
+Blockly.Msg.RUNNER_API_ERROR = "The function %1 stopped the program with an error: %2";
+Blockly.Msg.RUNNER_CANT_SEND = "The values given to the function %1 cannot be sent to the page.";
+Blockly.Msg.RUNNER_CLEAR = "Clear";
+Blockly.Msg.RUNNER_NO_WORKER = "This browser cannot run the program.";
+Blockly.Msg.RUNNER_OUTPUT = "Output";
+Blockly.Msg.RUNNER_RUN = "Run";
+Blockly.Msg.RUNNER_STOP = "Stop";
+Blockly.Msg.RUNNER_TIMEOUT = "The program ran for more than %1 seconds and was stopped.";
+Blockly.Msg.RUNNER_TOO_MANY_LOOPS = "The program repeated its loops more than %1 times and was stopped.";
+Blockly.Msg.SAVE_IMAGE = "Save as Image";
+Blockly.Msg.SEARCH = "Search";
+Blockly.Msg.SEARCH_NEXT = "Next match";
+Blockly.Msg.SEARCH_NO_RESULTS = "No matches";
+Blockly.Msg.SEARCH_PREVIOUS = "Previous match";
+Blockly.Msg.SEARCH_RESULT = "%1 of %2";
+Blockly.Msg.SORT_BY_NAME = "Sort Blocks by Name";
+Blockly.Msg.SORT_BY_TYPE = "Sort Blocks by Type";
 Blockly.Msg.TEXT_APPEND_APPENDTEXT = "bu mətni əlavə et:";
 Blockly.Msg.TEXT_APPEND_HELPURL = "https://code.google.com/p/blockly/wiki/Text#Text_modification";
 Blockly.Msg.TEXT_APPEND_TO = "bu mətnin sonuna:";
@@ -342,6 +401,8 @@ Blockly.Msg.TEXT_TRIM_OPERATOR_BOTH = "Boşluqları hər iki tərəfdən pozun";
 Blockly.Msg.TEXT_TRIM_OPERATOR_LEFT = "Boşluqlari yalnız sol tərəfdən pozun";
 Blockly.Msg.TEXT_TRIM_OPERATOR_RIGHT = "Boşluqları yalnız sağ tərəfdən pozun";
 Blockly.Msg.TEXT_TRIM_TOOLTIP = "Mətnin hər iki və ya yalnız bir tərəfdən olan boşluqları pozulmuş surətini qaytarın.";
+Blockly.Msg.TOOLBOX_SEARCH = "Search blocks";
+Blockly.Msg.TOOLBOX_SEARCH_RESULTS = "Search results (%1)";
 Blockly.Msg.VARIABLES_DEFAULT_NAME = "element";
 Blockly.Msg.VARIABLES_GET_CREATE_SET = "'%1 - i təyin et' - i yarat";
 Blockly.Msg.VARIABLES_GET_HELPURL = "http://code.google.com/p/blockly/wiki/Variables#Get";
@@ -374,4 +435,9 @@ Blockly.Msg.CONTROLS_IF_IF_TITLE_IF = Blockly.Msg.CONTROLS_IF_MSG_IF;
 Blockly.Msg.CONTROLS_WHILEUNTIL_INPUT_DO = Blockly.Msg.CONTROLS_REPEAT_INPUT_DO;
 Blockly.Msg.CONTROLS_IF_ELSEIF_TITLE_ELSEIF = Blockly.Msg.CONTROLS_IF_MSG_ELSEIF;
 Blockly.Msg.TEXT_APPEND_VARIABLE = Blockly.Msg.VARIABLES_DEFAULT_NAME;
-Blockly.Msg.CONTROLS_IF_ELSE_TITLE_ELSE = Blockly.Msg.CONTROLS_IF_MSG_ELSE;
\ No newline at end of file
+Blockly.Msg.CONTROLS_IF_ELSE_TITLE_ELSE = Blockly.Msg.CONTROLS_IF_MSG_ELSE;
+Blockly.Msg.ARIA_WORKSPACE_COMMENT = "Workspace comment";
+Blockly.Msg.ZOOM_IN = "Zoom in";
+Blockly.Msg.ZOOM_OUT = "Zoom out";
+Blockly.Msg.ZOOM_RESET = "Reset zoom";
+Blockly.Msg.ZOOM_TO_FIT = "Zoom to fit";
\ No newline at end of file
@@ -6,12 +6,31 @@ goog.provide('Blockly.Msg.cs');
 
 goog.require('Blockly.Msg');
 
+Blockly.Msg.ADD_BREAKPOINT = "Add Breakpoint";
 Blockly.Msg.ADD_COMMENT = "Přidat komentář";
+Blockly.Msg.ADD_FRAME = "Add Frame";
+Blockly.Msg.ARIA_ADDED = "added %1";
+Blockly.Msg.ARIA_ADDED_BLOCKS = "added %1 blocks";
+Blockly.Msg.ARIA_BLOCK = "block";
+Blockly.Msg.ARIA_CONNECTED = "connected %1 to %2";
+Blockly.Msg.ARIA_DELETED_BLOCK = "deleted 1 block";
+Blockly.Msg.ARIA_DELETED_BLOCKS = "deleted %1 blocks";
+Blockly.Msg.ARIA_DISCONNECTED = "disconnected %1 from %2";
+Blockly.Msg.ARIA_FRAME = "frame %1";
+Blockly.Msg.ARIA_MOVING = "moving %1";
+Blockly.Msg.ARIA_NEXT_STATEMENT_EMPTY = "empty next statement after %1";
+Blockly.Msg.ARIA_STATEMENT_INPUT_EMPTY = "statement input %1 empty";
+Blockly.Msg.ARIA_VALUE_INPUT_EMPTY = "value input %1 empty";
+Blockly.Msg.ARIA_WORKSPACE = "Blocks workspace";
+Blockly.Msg.ARRANGE_COLUMN = "Arrange Blocks in a Column";
+Blockly.Msg.ARRANGE_GRID = "Arrange Blocks in a Grid";
 Blockly.Msg.AUTH = "Please authorize this app to enable your work to be saved and to allow it to be shared by you.";  // untranslated
 Blockly.Msg.CHANGE_VALUE_TITLE = "Změna hodnoty:";
 Blockly.Msg.CHAT = "Chat with your collaborator by typing in this box!";  // untranslated
+Blockly.Msg.CLEAN_UP = "Clean up Blocks";
 Blockly.Msg.COLLAPSE_ALL = "Skrýt bloky";
 Blockly.Msg.COLLAPSE_BLOCK = "Skrýt blok";
+Blockly.Msg.COLLAPSE_FRAME = "Collapse Frame";
 Blockly.Msg.COLOUR_BLEND_COLOUR1 = "barva 1";
 Blockly.Msg.COLOUR_BLEND_COLOUR2 = "barva 2";
 Blockly.Msg.COLOUR_BLEND_HELPURL = "http://meyerweb.com/eric/tools/color-blend/";  // untranslated
@@ -66,13 +85,29 @@ Blockly.Msg.CONTROLS_WHILEUNTIL_OPERATOR_UNTIL = "opakovat dokud";
 Blockly.Msg.CONTROLS_WHILEUNTIL_OPERATOR_WHILE = "opakovat když";
 Blockly.Msg.CONTROLS_WHILEUNTIL_TOOLTIP_UNTIL = "Dokud je hodnota nepravdivá, prováděj určité příkazy.";
 Blockly.Msg.CONTROLS_WHILEUNTIL_TOOLTIP_WHILE = "Dokud je hodnota pravdivá, prováděj určité příkazy.";
+Blockly.Msg.COPY_BLOCK = "Copy";
+Blockly.Msg.COPY_IMAGE = "Copy as Image";
+Blockly.Msg.COPY_STACK = "Copy Stack";
+Blockly.Msg.DEBUG_CONTINUE = "Continue";
+Blockly.Msg.DEBUG_PAUSE = "Pause";
+Blockly.Msg.DEBUG_RUN = "Run";
+Blockly.Msg.DEBUG_STEP_INTO = "Step Into";
+Blockly.Msg.DEBUG_STEP_OVER = "Step Over";
+Blockly.Msg.DEBUG_STOP = "Stop";
+Blockly.Msg.DEBUG_VARIABLES = "Variables";
+Blockly.Msg.DEBUG_VARIABLE_NAME = "Name";
+Blockly.Msg.DEBUG_VARIABLE_VALUE = "Value";
 Blockly.Msg.DELETE_BLOCK = "Odstranit blok";
+Blockly.Msg.DELETE_FRAME = "Delete Frame";
 Blockly.Msg.DELETE_X_BLOCKS = "Odstranit %1 bloky";
 Blockly.Msg.DISABLE_BLOCK = "Zakázat blok";
+Blockly.Msg.DISABLE_BLOCKS = "Disable Blocks";
 Blockly.Msg.DUPLICATE_BLOCK = "zdvojit";
 Blockly.Msg.ENABLE_BLOCK = "Povolit blok";
+Blockly.Msg.ENABLE_BLOCKS = "Enable Blocks";
 Blockly.Msg.EXPAND_ALL = "Rozbalit bloky";
 Blockly.Msg.EXPAND_BLOCK = "Rozbalení bloku";
+Blockly.Msg.EXPAND_FRAME = "Expand Frame";
 Blockly.Msg.EXTERNAL_INPUTS = "vnější vstupy";
 Blockly.Msg.HELP = "Nápověda";
 Blockly.Msg.INLINE_INPUTS = "Vložené vstupy";
@@ -257,9 +292,13 @@ Blockly.Msg.MATH_TRIG_TOOLTIP_COS = "Vrátí kosinus úhlu ve stupních.";
 Blockly.Msg.MATH_TRIG_TOOLTIP_SIN = "Vrátí sinus úhlu ve stupních.";
 Blockly.Msg.MATH_TRIG_TOOLTIP_TAN = "Vrátí tangens úhlu ve stupních.";
 Blockly.Msg.ME = "Me";  // untranslated
+Blockly.Msg.MISSING_BLOCK_TITLE = "missing block %1";
+Blockly.Msg.MISSING_BLOCK_WARNING = "The block type \"%1\" is not available. This block is kept so that it is saved unchanged, but it has no effect.";
+Blockly.Msg.NEW_FRAME = "Frame";
 Blockly.Msg.NEW_VARIABLE = "Nová proměnná...";
 Blockly.Msg.NEW_VARIABLE_TITLE = "Nový název proměnné:";
 Blockly.Msg.ORDINAL_NUMBER_SUFFIX = "";  // untranslated
+Blockly.Msg.PASTE = "Paste";
 Blockly.Msg.PROCEDURES_BEFORE_PARAMS = "s:";
 Blockly.Msg.PROCEDURES_CALLNORETURN_CALL = "";  // untranslated
 Blockly.Msg.PROCEDURES_CALLNORETURN_HELPURL = "https://cs.wikipedia.org/wiki/Funkce_(programov%C3%A1n%C3%AD)";
@@ -283,9 +322,29 @@ Blockly.Msg.PROCEDURES_MUTATORARG_TITLE = "vstupní jméno:";
 Blockly.Msg.PROCEDURES_MUTATORARG_TOOLTIP = "Add an input to the function.";  // untranslated
 Blockly.Msg.PROCEDURES_MUTATORCONTAINER_TITLE = "vstupy";
 Blockly.Msg.PROCEDURES_MUTATORCONTAINER_TOOLTIP = "Add, remove, or reorder inputs to this function.";  // untranslated
+Blockly.Msg.REMOVE_BREAKPOINT = "Remove Breakpoint";
 Blockly.Msg.REMOVE_COMMENT = "Odstranit komentář";
+Blockly.Msg.RENAME_FRAME = "Rename Frame...";
+Blockly.Msg.RENAME_FRAME_TITLE = "Rename frame to:";
 Blockly.Msg.RENAME_VARIABLE = "Přejmenovat proměnné...";
 Blockly.Msg.RENAME_VARIABLE_TITLE = "Přejmenujte všechny proměnné '%1':";
+Blockly.Msg.RUNNER_API_ERROR = "The function %1 stopped the program with an error: %2";
+Blockly.Msg.RUNNER_CANT_SEND = "The values given to the function %1 cannot be sent to the page.";
+Blockly.Msg.RUNNER_CLEAR = "Clear";
+Blockly.Msg.RUNNER_NO_WORKER = "This browser cannot run the program.";
+Blockly.Msg.RUNNER_OUTPUT = "Output";
+Blockly.Msg.RUNNER_RUN = "Run";
+Blockly.Msg.RUNNER_STOP = "Stop";
+Blockly.Msg.RUNNER_TIMEOUT = "The program ran for more than %1 seconds and was stopped.";
+Blockly.Msg.RUNNER_TOO_MANY_LOOPS = "The program repeated its loops more than %1 times and was stopped.";
+Blockly.Msg.SAVE_IMAGE = "Save as Image";
+Blockly.Msg.SEARCH = "Search";
+Blockly.Msg.SEARCH_NEXT = "Next match";
+Blockly.Msg.SEARCH_NO_RESULTS = "No matches";
+Blockly.Msg.SEARCH_PREVIOUS = "Previous match";
+Blockly.Msg.SEARCH_RESULT = "%1 of %2";
+Blockly.Msg.SORT_BY_NAME = "Sort Blocks by Name";
+Blockly.Msg.SORT_BY_TYPE = "Sort Blocks by Type";
 Blockly.Msg.TEXT_APPEND_APPENDTEXT = "přidat text";
 Blockly.Msg.TEXT_APPEND_HELPURL = "https://code.google.com/p/blockly/wiki/Text#Text_modification";  // untranslated
 Blockly.Msg.TEXT_APPEND_TO = "do";
@@ -347,6 +406,8 @@ Blockly.Msg.TEXT_TRIM_OPERATOR_BOTH = "odstranit mezery z obou stran";
 Blockly.Msg.TEXT_TRIM_OPERATOR_LEFT = "odstranit mezery z levé strany";
 Blockly.Msg.TEXT_TRIM_OPERATOR_RIGHT = "odstranit mezery z pravé strany";
 Blockly.Msg.TEXT_TRIM_TOOLTIP = "Vrátí kopii textu s odstraněnými mezerami z jednoho nebo obou konců.";
+Blockly.Msg.TOOLBOX_SEARCH = "Search blocks";
+Blockly.Msg.TOOLBOX_SEARCH_RESULTS = "Search results (%1)";
 Blockly.Msg.VARIABLES_DEFAULT_NAME = "položka";
 Blockly.Msg.VARIABLES_GET_CREATE_SET = "Vytvořit \"nastavit %1\"";
 Blockly.Msg.VARIABLES_GET_HELPURL = "http://code.google.com/p/blockly/wiki/Variables#Get";
@@ -379,4 +440,9 @@ Blockly.Msg.CONTROLS_IF_IF_TITLE_IF = Blockly.Msg.CONTROLS_IF_MSG_IF;
 Blockly.Msg.CONTROLS_WHILEUNTIL_INPUT_DO = Blockly.Msg.CONTROLS_REPEAT_INPUT_DO;
 Blockly.Msg.CONTROLS_IF_ELSEIF_TITLE_ELSEIF = Blockly.Msg.CONTROLS_IF_MSG_ELSEIF;
 Blockly.Msg.TEXT_APPEND_VARIABLE = Blockly.Msg.VARIABLES_DEFAULT_NAME;
-Blockly.Msg.CONTROLS_IF_ELSE_TITLE_ELSE = Blockly.Msg.CONTROLS_IF_MSG_ELSE;
\ No newline at end of file
+Blockly.Msg.CONTROLS_IF_ELSE_TITLE_ELSE = Blockly.Msg.CONTROLS_IF_MSG_ELSE;
+Blockly.Msg.ARIA_WORKSPACE_COMMENT = "Workspace comment";
+Blockly.Msg.ZOOM_IN = "Zoom in";
+Blockly.Msg.ZOOM_OUT = "Zoom out";
+Blockly.Msg.ZOOM_RESET = "Reset zoom";
+Blockly.Msg.ZOOM_TO_FIT = "Zoom to fit";
\ No newline at end of file
@@ -34,7 +34,35 @@ goog.require('Blockly.Msg');
  */
 
 // Context menus.
+Blockly.Msg.COPY_BLOCK = "Copy";
+Blockly.Msg.COPY_STACK = "Copy Stack";
 Blockly.Msg.DUPLICATE_BLOCK = 'Duplicate';
+Blockly.Msg.MISSING_BLOCK_TITLE = "missing block %1";
+Blockly.Msg.MISSING_BLOCK_WARNING = "The block type \"%1\" is not available. This block is kept so that it is saved unchanged, but it has no effect.";
+Blockly.Msg.ZOOM_IN = "Zoom in";
+Blockly.Msg.ZOOM_OUT = "Zoom out";
+Blockly.Msg.ZOOM_RESET = "Reset zoom";
+Blockly.Msg.ZOOM_TO_FIT = "Zoom to fit";
+Blockly.Msg.SEARCH = "Search";
+Blockly.Msg.SEARCH_PREVIOUS = "Previous match";
+Blockly.Msg.SEARCH_NEXT = "Next match";
+Blockly.Msg.SEARCH_RESULT = "%1 of %2";
+Blockly.Msg.SEARCH_NO_RESULTS = "No matches";
+Blockly.Msg.ARIA_WORKSPACE = "Blocks workspace";
+Blockly.Msg.ARIA_WORKSPACE_COMMENT = "Workspace comment";
+Blockly.Msg.ARIA_FRAME = "frame %1";
+Blockly.Msg.ARIA_BLOCK = "block";
+Blockly.Msg.ARIA_VALUE_INPUT_EMPTY = "value input %1 empty";
+Blockly.Msg.ARIA_STATEMENT_INPUT_EMPTY = "statement input %1 empty";
+Blockly.Msg.ARIA_NEXT_STATEMENT_EMPTY = "empty next statement after %1";
+Blockly.Msg.ARIA_ADDED = "added %1";
+Blockly.Msg.ARIA_ADDED_BLOCKS = "added %1 blocks";
+Blockly.Msg.ARIA_DELETED_BLOCK = "deleted 1 block";
+Blockly.Msg.ARIA_DELETED_BLOCKS = "deleted %1 blocks";
+Blockly.Msg.ARIA_CONNECTED = "connected %1 to %2";
+Blockly.Msg.ARIA_DISCONNECTED = "disconnected %1 from %2";
+Blockly.Msg.ARIA_MOVING = "moving %1";
+Blockly.Msg.PASTE = "Paste";
 Blockly.Msg.REMOVE_COMMENT = 'Remove Comment';
 Blockly.Msg.ADD_COMMENT = 'Add Comment';
 Blockly.Msg.EXTERNAL_INPUTS = 'External Inputs';
@@ -45,9 +73,47 @@ Blockly.Msg.COLLAPSE_BLOCK = 'Collapse Block';
 Blockly.Msg.EXPAND_BLOCK = 'Expand Block';
 Blockly.Msg.DISABLE_BLOCK = 'Disable Block';
 Blockly.Msg.ENABLE_BLOCK = 'Enable Block';
+Blockly.Msg.DISABLE_BLOCKS = "Disable Blocks";
+Blockly.Msg.ENABLE_BLOCKS = "Enable Blocks";
 Blockly.Msg.HELP = 'Help';
 Blockly.Msg.COLLAPSE_ALL = 'Collapse Blocks';
 Blockly.Msg.EXPAND_ALL = 'Expand Blocks';
+Blockly.Msg.CLEAN_UP = "Clean up Blocks";
+Blockly.Msg.ARRANGE_COLUMN = "Arrange Blocks in a Column";
+Blockly.Msg.ARRANGE_GRID = "Arrange Blocks in a Grid";
+Blockly.Msg.SORT_BY_TYPE = "Sort Blocks by Type";
+Blockly.Msg.SORT_BY_NAME = "Sort Blocks by Name";
+Blockly.Msg.ADD_FRAME = "Add Frame";
+Blockly.Msg.NEW_FRAME = "Frame";
+Blockly.Msg.RENAME_FRAME = "Rename Frame...";
+Blockly.Msg.RENAME_FRAME_TITLE = "Rename frame to:";
+Blockly.Msg.COLLAPSE_FRAME = "Collapse Frame";
+Blockly.Msg.EXPAND_FRAME = "Expand Frame";
+Blockly.Msg.DELETE_FRAME = "Delete Frame";
+Blockly.Msg.ADD_BREAKPOINT = "Add Breakpoint";
+Blockly.Msg.REMOVE_BREAKPOINT = "Remove Breakpoint";
+Blockly.Msg.DEBUG_RUN = "Run";
+Blockly.Msg.DEBUG_CONTINUE = "Continue";
+Blockly.Msg.DEBUG_PAUSE = "Pause";
+Blockly.Msg.DEBUG_STEP_INTO = "Step Into";
+Blockly.Msg.DEBUG_STEP_OVER = "Step Over";
+Blockly.Msg.DEBUG_STOP = "Stop";
+Blockly.Msg.DEBUG_VARIABLES = "Variables";
+Blockly.Msg.DEBUG_VARIABLE_NAME = "Name";
+Blockly.Msg.DEBUG_VARIABLE_VALUE = "Value";
+Blockly.Msg.RUNNER_OUTPUT = "Output";
+Blockly.Msg.RUNNER_RUN = "Run";
+Blockly.Msg.RUNNER_STOP = "Stop";
+Blockly.Msg.RUNNER_API_ERROR = "The function %1 stopped the program with an error: %2";
+Blockly.Msg.RUNNER_CANT_SEND = "The values given to the function %1 cannot be sent to the page.";
+Blockly.Msg.RUNNER_CLEAR = "Clear";
+Blockly.Msg.RUNNER_TIMEOUT = "The program ran for more than %1 seconds and was stopped.";
+Blockly.Msg.RUNNER_TOO_MANY_LOOPS = "The program repeated its loops more than %1 times and was stopped.";
+Blockly.Msg.RUNNER_NO_WORKER = "This browser cannot run the program.";
+Blockly.Msg.SAVE_IMAGE = "Save as Image";
+Blockly.Msg.COPY_IMAGE = "Copy as Image";
+Blockly.Msg.TOOLBOX_SEARCH = "Search blocks";
+Blockly.Msg.TOOLBOX_SEARCH_RESULTS = "Search results (%1)";
 
 // Variable renaming.
 Blockly.Msg.CHANGE_VALUE_TITLE = 'Change value:';
@@ -56,6 +56,10 @@ Blockly.Msg.VARIABLES_DEFAULT_NAME = 'item';
 // Context menus.
 /// context menu - Make a copy of the selected block (and any blocks it contains).
 Blockly.Msg.DUPLICATE_BLOCK = 'Duplicate';
+/// context menu - Copy the selected block (and any blocks it contains) to the clipboard.
+Blockly.Msg.COPY_BLOCK = 'Copy';
+/// context menu - Copy the selected block and all the blocks below it in its stack to the clipboard.
+Blockly.Msg.COPY_STACK = 'Copy Stack';
 /// context menu - Add a descriptive comment to the selected block.
 Blockly.Msg.ADD_COMMENT = 'Add Comment';
 /// context menu - Remove the descriptive comment from the selected block.
@@ -76,12 +80,140 @@ Blockly.Msg.COLLAPSE_ALL = 'Collapse Blocks';
 Blockly.Msg.EXPAND_BLOCK = 'Expand Block';
 /// context menu - Restore the appearance of the selected block by showing information about it that was hidden (collapsed) earlier.  Use the same terminology as in the previous message.
 Blockly.Msg.EXPAND_ALL = 'Expand Blocks';
+/// context menu - Move the blocks on the workspace apart where they overlap.
+Blockly.Msg.CLEAN_UP = 'Clean up Blocks';
+/// context menu - Line up the blocks on the workspace one below the other.
+Blockly.Msg.ARRANGE_COLUMN = 'Arrange Blocks in a Column';
+/// context menu - Lay out the blocks on the workspace in rows and columns.
+Blockly.Msg.ARRANGE_GRID = 'Arrange Blocks in a Grid';
+/// context menu - Line up the blocks on the workspace one below the other, ordered by the kind of block.
+Blockly.Msg.SORT_BY_TYPE = 'Sort Blocks by Type';
+/// context menu - Line up the blocks on the workspace one below the other, in alphabetical order of their names (e.g. the names of functions).
+Blockly.Msg.SORT_BY_NAME = 'Sort Blocks by Name';
+/// context menu - Draw a titled rectangle on the workspace, around the selected blocks if there are any, to group blocks that belong together.
+Blockly.Msg.ADD_FRAME = 'Add Frame';
+/// default name - Title of a newly added frame (a titled rectangle grouping blocks on the workspace).
+Blockly.Msg.NEW_FRAME = 'Frame';
+/// context menu - Change the title of the frame (a titled rectangle grouping blocks on the workspace).
+Blockly.Msg.RENAME_FRAME = 'Rename Frame...';
+/// prompt - Asks for the new title of a frame (a titled rectangle grouping blocks on the workspace).
+Blockly.Msg.RENAME_FRAME_TITLE = 'Rename frame to:';
+/// context menu - Shrink the frame down to its title, hiding the blocks inside it.  Use the same terminology as in COLLAPSE_BLOCK.
+Blockly.Msg.COLLAPSE_FRAME = 'Collapse Frame';
+/// context menu - Show a collapsed frame and the blocks inside it again.  Use the same terminology as in EXPAND_BLOCK.
+Blockly.Msg.EXPAND_FRAME = 'Expand Frame';
+/// context menu - Remove the frame from the workspace.  The blocks inside it are kept.
+Blockly.Msg.DELETE_FRAME = 'Delete Frame';
+/// context menu - Make the debugger pause before running this block.
+Blockly.Msg.ADD_BREAKPOINT = 'Add Breakpoint';
+/// context menu - Stop the debugger pausing before running this block.
+Blockly.Msg.REMOVE_BREAKPOINT = 'Remove Breakpoint';
+/// button text - Start running the program in the debugger.
+Blockly.Msg.DEBUG_RUN = 'Run';
+/// button text - Carry on running the program after the debugger paused it.
+Blockly.Msg.DEBUG_CONTINUE = 'Continue';
+/// button text - Pause the program running in the debugger.
+Blockly.Msg.DEBUG_PAUSE = 'Pause';
+/// button text - Run the program up to the next block, including the blocks of a function it calls.
+Blockly.Msg.DEBUG_STEP_INTO = 'Step Into';
+/// button text - Run the program up to the next block, running any function called by the current block without pausing.
+Blockly.Msg.DEBUG_STEP_OVER = 'Step Over';
+/// button text - Stop the program running in the debugger.
+Blockly.Msg.DEBUG_STOP = 'Stop';
+/// panel title - Title of the panel listing the values of the variables while debugging.
+Blockly.Msg.DEBUG_VARIABLES = 'Variables';
+/// column header - Name of a variable in the debugger.
+Blockly.Msg.DEBUG_VARIABLE_NAME = 'Name';
+/// column header - Value of a variable in the debugger.
+Blockly.Msg.DEBUG_VARIABLE_VALUE = 'Value';
+/// panel title - Title of the panel showing what the running program printed.
+Blockly.Msg.RUNNER_OUTPUT = 'Output';
+/// button text - Run the program.
+Blockly.Msg.RUNNER_RUN = 'Run';
+/// button text - Stop the running program.
+Blockly.Msg.RUNNER_STOP = 'Stop';
+/// button text - Remove everything from the output panel.
+Blockly.Msg.RUNNER_CLEAR = 'Clear';
+/// error - Shown when the program takes too long.\n\nParameters:\n* %1 - the number of seconds.
+Blockly.Msg.RUNNER_TIMEOUT = 'The program ran for more than %1 seconds and was stopped.';
+/// error - Shown when the program has run too many loop iterations, as it probably never ends.\n\nParameters:\n* %1 - the number of iterations.
+Blockly.Msg.RUNNER_TOO_MANY_LOOPS = 'The program repeated its loops more than %1 times and was stopped.';
+/// error - Shown when the browser does not support running the program in the background (Web Workers).
+Blockly.Msg.RUNNER_NO_WORKER = 'This browser cannot run the program.';
+/// error - Shown when a function of the page, called by the program, fails.\n\nParameters:\n* %1 - the name of the function.\n* %2 - the error.
+Blockly.Msg.RUNNER_API_ERROR = 'The function %1 stopped the program with an error: %2';
+/// error - Shown when the program calls a function of the page with values (such as functions) which cannot be copied to the page.\n\nParameters:\n* %1 - the name of the function.
+Blockly.Msg.RUNNER_CANT_SEND = 'The values given to the function %1 cannot be sent to the page.';
+/// context menu - Save a picture of the blocks as a PNG file.
+Blockly.Msg.SAVE_IMAGE = 'Save as Image';
+/// context menu - Copy a picture of the blocks to the clipboard, to paste into other programs.
+Blockly.Msg.COPY_IMAGE = 'Copy as Image';
+/// tooltip - Empty text of the field searching the blocks of the toolbox.
+Blockly.Msg.TOOLBOX_SEARCH = 'Search blocks';
+/// title - Title of the toolbox panel listing the blocks matching a search.  %1 is the number of matching blocks.
+Blockly.Msg.TOOLBOX_SEARCH_RESULTS = 'Search results (%1)';
+/// context menu - Paste the blocks on the clipboard onto the workspace.
+Blockly.Msg.PASTE = 'Paste';
 /// context menu - Make the selected block have no effect (unless reenabled).
 Blockly.Msg.DISABLE_BLOCK = 'Disable Block';
 /// context menu - Make the selected block have effect (after having been disabled earlier).
 Blockly.Msg.ENABLE_BLOCK = 'Enable Block';
+/// context menu - Make all the selected blocks have no effect (unless reenabled).
+Blockly.Msg.DISABLE_BLOCKS = 'Disable Blocks';
+/// context menu - Make all the selected blocks have effect (after having been disabled earlier).
+Blockly.Msg.ENABLE_BLOCKS = 'Enable Blocks';
 /// context menu - Provide helpful information about the selected block.\n{{Identical|Help}}
 Blockly.Msg.HELP = 'Help';
+/// block text - Shown on a placeholder standing in for a block whose type is not available, for example from a block library that is not loaded.\n\nParameters:\n* %1 - the type of the missing block.
+Blockly.Msg.MISSING_BLOCK_TITLE = 'missing block %1';
+/// warning - Shown on a placeholder standing in for a block whose type is not available.\n\nParameters:\n* %1 - the type of the missing block.
+Blockly.Msg.MISSING_BLOCK_WARNING = 'The block type "%1" is not available. This block is kept so that it is saved unchanged, but it has no effect.';
+/// tooltip - Shown on the button of the workspace that makes the blocks bigger.
+Blockly.Msg.ZOOM_IN = 'Zoom in';
+/// tooltip - Shown on the button of the workspace that makes the blocks smaller.
+Blockly.Msg.ZOOM_OUT = 'Zoom out';
+/// tooltip - Shown on the button of the workspace that shows the blocks at their normal size.
+Blockly.Msg.ZOOM_RESET = 'Reset zoom';
+/// tooltip - Shown on the button of the workspace that sizes and scrolls the view so that all the blocks can be seen.
+Blockly.Msg.ZOOM_TO_FIT = 'Zoom to fit';
+/// tooltip - Placeholder of the box for finding blocks in the workspace.
+Blockly.Msg.SEARCH = 'Search';
+/// tooltip - Button which selects the previous block found by a search.
+Blockly.Msg.SEARCH_PREVIOUS = 'Previous match';
+/// tooltip - Button which selects the next block found by a search.
+Blockly.Msg.SEARCH_NEXT = 'Next match';
+/// label - Position of the selected block among the blocks found by a search.  Parameters:\n* %1 - the position\n* %2 - the number of blocks found
+Blockly.Msg.SEARCH_RESULT = '%1 of %2';
+/// label - Shown when a search finds no blocks.
+Blockly.Msg.SEARCH_NO_RESULTS = 'No matches';
+/// accessibility - Name read out by screen readers for the area holding the blocks.
+Blockly.Msg.ARIA_WORKSPACE = 'Blocks workspace';
+/// accessibility - Name read out by screen readers for a comment which is on the workspace itself rather than attached to a block.
+Blockly.Msg.ARIA_WORKSPACE_COMMENT = 'Workspace comment';
+/// accessibility - Read out by screen readers for a frame, a titled rectangle grouping blocks on the workspace.  Parameters:\n* %1 - the frame's title
+Blockly.Msg.ARIA_FRAME = 'frame %1';
+/// accessibility - Role read out by screen readers for a block, e.g. 'print block'.
+Blockly.Msg.ARIA_BLOCK = 'block';
+/// accessibility - Read out by screen readers when the keyboard cursor is on an input with no block plugged in.  Parameters:\n* %1 - the name of the input
+Blockly.Msg.ARIA_VALUE_INPUT_EMPTY = 'value input %1 empty';
+/// accessibility - Read out by screen readers when the keyboard cursor is on an input with no statements in it.  Parameters:\n* %1 - the name of the input
+Blockly.Msg.ARIA_STATEMENT_INPUT_EMPTY = 'statement input %1 empty';
+/// accessibility - Read out by screen readers when the keyboard cursor is below the last statement of a stack.  Parameters:\n* %1 - the text of the last statement
+Blockly.Msg.ARIA_NEXT_STATEMENT_EMPTY = 'empty next statement after %1';
+/// accessibility - Read out by screen readers when a block is added.  Parameters:\n* %1 - the text of the block
+Blockly.Msg.ARIA_ADDED = 'added %1';
+/// accessibility - Read out by screen readers when several blocks are added.  Parameters:\n* %1 - the number of blocks
+Blockly.Msg.ARIA_ADDED_BLOCKS = 'added %1 blocks';
+/// accessibility - Read out by screen readers when a block is deleted.
+Blockly.Msg.ARIA_DELETED_BLOCK = 'deleted 1 block';
+/// accessibility - Read out by screen readers when several blocks are deleted.  Parameters:\n* %1 - the number of blocks
+Blockly.Msg.ARIA_DELETED_BLOCKS = 'deleted %1 blocks';
+/// accessibility - Read out by screen readers when a block is plugged into another.  Parameters:\n* %1 - the text of the block\n* %2 - the text of the block it was plugged into
+Blockly.Msg.ARIA_CONNECTED = 'connected %1 to %2';
+/// accessibility - Read out by screen readers when a block is unplugged.  Parameters:\n* %1 - the text of the block\n* %2 - the text of the block it was unplugged from
+Blockly.Msg.ARIA_DISCONNECTED = 'disconnected %1 from %2';
+/// accessibility - Read out by screen readers when the user starts moving a block with the keyboard.  Parameters:\n* %1 - the text of the block
+Blockly.Msg.ARIA_MOVING = 'moving %1';
 
 // Realtime collaboration.
 /// collaboration instruction - Tell the user that they can talk with other users.
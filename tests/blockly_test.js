@@ -176,3 +176,1345 @@ function test_commonWordSuffix() {
   len = Blockly.commonWordSuffix([]);
   assertEquals('Empty list', 0, len);
 }
+
+function test_clipboardParseText() {
+  assertNull('Not JSON.', Blockly.Clipboard.parseText('Hello'));
+  assertNull('Not blocks.', Blockly.Clipboard.parseText('{"block": []}'));
+  var text = '{"format": "blockly", "blocks": [{"type": "text_print", ' +
+      '"children": [{"type": "value", "name": "TEXT", "block": {"type": "text"}}], ' +
+      '"next": {"type": "text_print"}}]}';
+  var data = Blockly.Clipboard.parseText(text);
+  assertEquals('Blocks.', 1, data.blocks.length);
+  assertEquals('Count.', 3, Blockly.Clipboard.countBlocks_(data.blocks[0]));
+}
+
+function test_pasteError() {
+  var panel = createTestPanel_({maxBlocks: 2});
+  var errors = [];
+  panel.on('pasteerror', function (p, count, remainingCapacity) {
+    errors.push(count + '/' + remainingCapacity);
+  });
+  try {
+    var text = '{"format": "blockly", "blocks": [{"type": "text_print", ' +
+        '"children": [{"type": "value", "name": "TEXT", "block": {"type": "text"}}], ' +
+        '"next": {"type": "text_print"}}]}';
+    assertFalse('Not blocks.', panel.paste('Hello'));
+    assertEquals('Not an error.', '', errors.join());
+    assertFalse('No room.', panel.paste(text));
+    assertEquals('Nothing pasted.', 0, panel.workspace.getAllBlocks().length);
+    assertEquals('Error.', '3/2', errors.join());
+    assertTrue('Pasted.', panel.paste('{"format": "blockly", ' +
+        '"blocks": [{"type": "text_print"}]}'));
+    assertEquals('One block.', 1, panel.workspace.getAllBlocks().length);
+  } finally {
+    disposeTestPanel_(panel);
+  }
+}
+
+function test_jsonValidate() {
+  // Version 0 document, with strings for booleans and a single child.
+  var legacy = {block: {type: 'text_print', x: '10', y: '20', collapsed: 'true',
+      children: {type: 'value', name: 'TEXT', block: {type: 'text'}}}};
+  var json = Blockly.Json.migrate(legacy);
+  assertEquals('Version.', Blockly.Json.VERSION, json.version);
+  assertEquals('Blocks.', 1, json.blocks.length);
+  assertEquals('X.', 10, json.blocks[0].x);
+  assertEquals('Collapsed.', true, json.blocks[0].collapsed);
+  assertEquals('Valid.', 0, Blockly.Json.validate(legacy).length);
+
+  json.blocks.push({type: 'no_such_block'});
+  json.blocks[0].children[0].block = {type: 'text_print'};
+  var errors = Blockly.Json.validate(json);
+  assertEquals('Errors.', 2, errors.length);
+  assertEquals('Not connectable.', 'notConnectable', errors[0].code);
+  assertEquals('Path.', '/blocks/0/children/0/block', errors[0].path);
+  assertEquals('Unknown type.', 'unknownBlockType', errors[1].code);
+  assertEquals('Newer version.', 'unsupportedVersion',
+      Blockly.Json.validate({version: 99, blocks: []})[0].code);
+
+  // Without a version, 'blocks' would be read as the original format.
+  errors = Blockly.Json.validate({blocks: [{type: 'text'}]});
+  assertEquals('No version.', 'missingProperty', errors[0].code);
+  assertEquals('Version path.', '/version', errors[0].path);
+  errors = Blockly.Json.validate({version: 1, blocks: [{type: 'text_print',
+      inputs: [{type: 'value', name: 'TEXT', block: {type: 'text'}}]}]});
+  assertEquals('Unknown property.', 1, errors.length);
+  assertEquals('Unknown property code.', 'unknownProperty', errors[0].code);
+  assertEquals('Unknown property path.', '/blocks/0/inputs', errors[0].path);
+}
+
+function test_xmlConversion() {
+  var json = {version: Blockly.Json.VERSION, metadata: {name: 'Test'}, blocks: [
+    {type: 'procedures_callnoreturn', id: '1', x: 10, y: 20, collapsed: true,
+      mutation: [{name: 'name', value: 'go'}, {name: 'arg', value: 'a'}, {name: 'arg', value: 'b'}],
+      comment: {text: 'Note', pinned: false, h: 80, w: 160}},
+    {type: 'controls_if', mutation: [{name: 'elseif', value: '1'}],
+      children: [{type: 'statement', name: 'DO0', block: {type: 'text_print'}}],
+      next: {type: 'math_number', fields: [{name: 'NUM', value: '42'}]}}]};
+  var text = Blockly.Xml.domToText(Blockly.Xml.jsonToDom(json));
+  assertEquals('Round trip.', JSON.stringify(json),
+      JSON.stringify(Blockly.Xml.domToJson(Blockly.Xml.textToDom(text))));
+
+  // Upstream XML, with a title.
+  json = Blockly.Json.read('<xml><block type="lists_create_with"><mutation items="2"></mutation>' +
+      '<value name="ADD0"><block type="logic_boolean"><title name="BOOL">TRUE</title></block></value></block></xml>');
+  assertEquals('Mutation.', '2', json.blocks[0].mutation[0].value);
+  assertEquals('Title.', 'TRUE', json.blocks[0].children[0].block.fields[0].value);
+
+  // Shadows and mutation values which look like numbers.
+  var xml = '<xml xmlns="http://www.w3.org/1999/xhtml" version="1">' +
+      '<metadata></metadata><block type="procedures_callnoreturn"><mutation name="go">' +
+      '<arg name="1"></arg><arg name="true"></arg></mutation>' +
+      '<value name="ARG0"><shadow type="math_number"><field name="NUM">5</field></shadow>' +
+      '<block type="math_number"><field name="NUM">7</field></block></value>' +
+      '<value name="ARG1"><shadow type="logic_boolean"><field name="BOOL">TRUE</field></shadow>' +
+      '</value></block></xml>';
+  json = Blockly.Xml.domToJson(Blockly.Xml.textToDom(xml));
+  assertEquals('Arg.', '1', json.blocks[0].mutation[1].value);
+  assertEquals('Boolean arg.', 'true', json.blocks[0].mutation[2].value);
+  assertEquals('Shadow.', '5', json.blocks[0].children[0].shadow.fields[0].value);
+  assertEquals('Block over shadow.', '7', json.blocks[0].children[0].block.fields[0].value);
+  assertEquals('Shadow only.', 'logic_boolean', json.blocks[0].children[1].shadow.type);
+  assertEquals('XML round trip.', xml,
+      Blockly.Xml.domToText(Blockly.Xml.jsonToDom(json)));
+  assertEquals('Valid.', 0, Blockly.Json.validate(json).length);
+  var workspace = Blockly.Workspace.createHeadless();
+  Blockly.Json.setWorkspace(workspace, json);
+  var call = workspace.getTopBlocks(false)[0];
+  assertEquals('Block loaded.', '7', call.getInputTargetBlock('ARG0').getFieldValue('NUM'));
+  assertEquals('Shadow loaded.', 'TRUE', call.getInputTargetBlock('ARG1').getFieldValue('BOOL'));
+
+  // The version is read from the XML.
+  assertEquals('Newer XML.', 'unsupportedVersion', Blockly.Json.validate(
+      Blockly.Json.read('<xml version="99"></xml>'))[0].code);
+  assertEquals('JSON text.', 'text', Blockly.Json.read('{"blocks": [{"type": "text"}]}').blocks[0].type);
+}
+
+function test_missingBlockType() {
+  var workspace = Blockly.Workspace.createHeadless();
+  var missing = {type: 'no_such_block', id: '2', fields: [{name: 'PIN', value: '7'}],
+      mutation: [{name: 'mode', value: 'fast'}]};
+  Blockly.Json.setWorkspace(workspace, {version: 1, blocks: [
+    {type: 'text_print', id: '1', x: 0, y: 0,
+      children: [{type: 'value', name: 'TEXT', block: missing}]}]});
+  var block = workspace.getBlockById('2');
+  assertTrue('Placeholder.', block.isMissing());
+  assertEquals('Connected.', '1', block.getParent().id);
+  var json = Blockly.Json.getWorkspace(workspace);
+  assertEquals('Unchanged.', JSON.stringify(missing),
+      JSON.stringify(json.blocks[0].children[0].block));
+}
+
+function test_allVariables() {
+  var workspace = Blockly.Workspace.createHeadless();
+  Blockly.Json.setWorkspace(workspace, {version: 1, blocks: [
+    {type: 'variables_set', fields: [{name: 'VAR', value: 'total'}],
+      children: [{type: 'value', name: 'VALUE', block: {type: 'variables_get',
+        fields: [{name: 'VAR', value: 'count'}]}}]}]});
+  var names = Blockly.Variables.allVariables(null, workspace);
+  assertEquals('Default type.', 'count,total',
+      names.sort(Blockly.caseInsensitiveCompare).join());
+  assertEquals('Unknown type.', '',
+      Blockly.Variables.allVariables('NOTHING', workspace).join());
+}
+
+function test_zoom() {
+  var workspace = Blockly.Workspace.createHeadless();
+  workspace.setScale(100);
+  assertEquals('Max scale.', Blockly.ZOOM_MAX_SCALE, workspace.scale);
+  workspace.setScale(0);
+  assertEquals('Min scale.', Blockly.ZOOM_MIN_SCALE, workspace.scale);
+
+  // A block at (10, 20) on a canvas scrolled by (5, 6) and zoomed in twice.
+  var canvas = Blockly.createSvgElement('g',
+      {'transform': 'translate(5.5,6) scale(2)'}, null);
+  var block = Blockly.createSvgElement('g',
+      {'transform': 'translate(10, 20)'}, canvas);
+  var xy = Blockly.getSvgXY_(block);
+  assertEquals('Zoomed x.', 25.5, xy.x);
+  assertEquals('Zoomed y.', 46, xy.y);
+}
+
+function test_minimap() {
+  var testBlock = function (x, y, width, height) {
+    return {
+      getRelativeToSurfaceXY: function () { return {x: x, y: y}; },
+      getHeightWidth: function () { return {height: height, width: width}; },
+      getColour: function () { return 120; }
+    };
+  };
+  var blocks = [testBlock(-40, 10, 40, 20), testBlock(150, 80, 50, 20)];
+  // A view of 200 by 100 pixels at the origin, zoomed in twice.
+  var workspace = {
+    scale: 2,
+    getTopBlocks: function () { return blocks; },
+    getMetrics: function () {
+      return {viewLeft: 0, viewTop: 0, viewWidth: 200, viewHeight: 100};
+    }
+  };
+  var minimap = new Blockly.Minimap(workspace);
+  var div = document.createElement('div');
+  div.appendChild(minimap.createDom());
+  // 120 by 50 pixels inside the padding.
+  Object.defineProperty(div, 'clientWidth', {value: 130});
+  Object.defineProperty(div, 'clientHeight', {value: 60});
+  var rects = function () {
+    return Array.prototype.map.call(minimap.svgBlocks_.childNodes,
+        function (rect) {
+          return ['x', 'y', 'width', 'height'].map(function (name) {
+            return rect.getAttribute(name);
+          }).join(' ');
+        }).join();
+  };
+  var view = function () {
+    return ['x', 'y', 'width', 'height'].map(function (name) {
+      return minimap.svgView_.getAttribute(name);
+    }).join(' ');
+  };
+  var rtl = Blockly.RTL;
+  try {
+    Blockly.RTL = false;
+    minimap.render();
+    assertEquals('Blocks.', '-40 10 40 20,150 80 50 20', rects());
+    assertEquals('Blocks box.', '-40,10,200,100', [minimap.blocksBox_.left,
+      minimap.blocksBox_.top, minimap.blocksBox_.right,
+      minimap.blocksBox_.bottom].join());
+    // 240 by 100 units fit at half size, and are centred.
+    assertEquals('Transform.', 'translate(25,5) scale(0.5)',
+        minimap.svgBlocks_.getAttribute('transform'));
+    assertEquals('View.', '25 5 50 25', view());
+
+    minimap.svg_.getBoundingClientRect = function () {
+      return {left: 100, top: 50};
+    };
+    var xy = minimap.mouseToWorkspace_({clientX: 135, clientY: 65});
+    assertEquals('Mouse x.', 20, xy.x);
+    assertEquals('Mouse y.', 20, xy.y);
+
+    // Scrolling moves the view, and the map grows to keep it in.
+    workspace.getMetrics = function () {
+      return {viewLeft: 320, viewTop: 0, viewWidth: 200, viewHeight: 100};
+    };
+    minimap.updateView();
+    assertEquals('Scrolled transform.', 'translate(21,10) scale(0.4)',
+        minimap.svgBlocks_.getAttribute('transform'));
+    assertEquals('Scrolled view.', '85 10 40 20', view());
+    xy = minimap.mouseToWorkspace_({clientX: 121, clientY: 70});
+    assertEquals('Scrolled mouse.', '0,25', xy.x + ',' + xy.y);
+
+    // In RTL, blocks grow to the left of their position.
+    Blockly.RTL = true;
+    minimap.render();
+    assertEquals('RTL blocks.', '-80 10 40 20,100 80 50 20', rects());
+    assertEquals('RTL box.', '-80,10,150,100', [minimap.blocksBox_.left,
+      minimap.blocksBox_.top, minimap.blocksBox_.right,
+      minimap.blocksBox_.bottom].join());
+
+    // Without blocks, only the view is shown.
+    blocks = [];
+    workspace.getMetrics = function () {
+      return {viewLeft: 0, viewTop: 0, viewWidth: 200, viewHeight: 100};
+    };
+    minimap.render();
+    assertNull('No blocks.', minimap.blocksBox_);
+    assertEquals('Empty transform.', 'translate(15,5) scale(1)',
+        minimap.svgBlocks_.getAttribute('transform'));
+    assertEquals('Empty view.', '15 5 100 50', view());
+  } finally {
+    Blockly.RTL = rtl;
+    minimap.dispose();
+  }
+}
+
+function test_search() {
+  var workspace = Blockly.Workspace.createHeadless();
+  Blockly.Json.setWorkspace(workspace, {version: 1, blocks: [
+    {type: 'variables_set', id: '1', x: 0, y: 0, fields: [{name: 'VAR', value: 'Count'}],
+      comment: {text: 'Start of the loop'}},
+    {type: 'text_print', id: '2', x: 0, y: 100, collapsed: true,
+      children: [{type: 'value', name: 'TEXT', block: {type: 'variables_get', id: '3',
+        fields: [{name: 'VAR', value: 'count'}]}}]}]});
+  var ids = function (blocks) {
+    return blocks.map(function (block) { return block.id; }).join();
+  };
+  assertEquals('Type.', '2', ids(Blockly.Search.findBlocks(workspace, 'PRINT')));
+  assertEquals('Comment.', '1', ids(Blockly.Search.findBlocks(workspace, 'loop')));
+  // The collapsed block matches instead of the block inside it.
+  assertEquals('Variable.', '1,2', ids(Blockly.Search.findBlocks(workspace, 'count')));
+  assertEquals('Empty query.', '', ids(Blockly.Search.findBlocks(workspace, ' ')));
+}
+
+function test_filterToolbox() {
+  var panel = createTestPanel_({toolbox: true,
+    toolboxCategories: [{name: 'logic', title: 'Logic'},
+      {name: 'text', title: 'Text'},
+      {name: 'vars', title: 'Variables', custom: 'VARIABLE'}],
+    toolboxTools: [
+      {category: 'logic', name: 'If', block: {type: 'controls_if'}},
+      {category: 'logic', name: 'Compare', block: {type: 'logic_compare'},
+        tooltip: 'Check two values'},
+      {category: 'text', name: 'Print', block: {type: 'text_print'}}]});
+  var results = panel.toolboxResults;
+  var names = function () {
+    var list = [];
+    results.store.each(function (record) {
+      list.push((record.get('name') || record.get('block').type) +
+          (record.get('svg') ? '' : '!'));
+    });
+    return list.join();
+  };
+  try {
+    assertTrue('Hidden at first.', results.hidden);
+    assertEquals('Name.', 1, panel.filterToolbox(' PRINT '));
+    assertEquals('Name results.', 'Print', names());
+    assertFalse('Shown.', results.hidden);
+    assertEquals('Title.', Blockly.Msg.TOOLBOX_SEARCH_RESULTS.replace('%1', 1),
+        results.title);
+    assertEquals('Category.', 2, panel.filterToolbox('logic'));
+    assertEquals('Category results.', 'If,Compare', names());
+    assertEquals('Tooltip.', 'Compare', (panel.filterToolbox('two values'),
+        names()));
+    assertEquals('Custom category.', 'variables_set,variables_get',
+        (panel.filterToolbox('variables'), names()));
+    // The results are copies, so the categories keep their tools.
+    assertEquals('Copies.', 2, panel.getToolboxGrid('vars').store.getCount());
+    assertEquals('No match.', 0, panel.filterToolbox('nothing'));
+    assertEquals('No results.', '', names());
+    assertFalse('Still shown.', results.hidden);
+
+    panel.setCategoryVisible('text', false);
+    assertEquals('Hidden category.', 0, panel.filterToolbox('print'));
+    // Without any text in the search field, the results are closed.
+    panel.setCategoryVisible('text', true);
+    assertTrue('Closed.', results.hidden);
+
+    // The results follow the tools, searching again for the field's text.
+    // (The field's own change event is buffered.)
+    var field = panel.toolboxSearchField;
+    field.suspendEvents(false);
+    field.setValue('print');
+    field.resumeEvents();
+    panel.filterToolbox('print');
+    panel.addToolboxTool({category: 'logic', name: 'Print twice',
+      block: {type: 'text_print'}});
+    assertEquals('Added tool.', 'Print twice,Print', names());
+    panel.removeToolboxTool('Print');
+    assertEquals('Removed tool.', 'Print twice', names());
+
+    assertEquals('Empty query.', 0, panel.filterToolbox(''));
+    assertTrue('Hidden again.', results.hidden);
+    assertEquals('Cleared.', 0, results.store.getCount());
+  } finally {
+    disposeTestPanel_(panel);
+  }
+}
+
+function test_cursorNodes() {
+  var workspace = Blockly.Workspace.createHeadless();
+  Blockly.Json.setWorkspace(workspace, {version: 1, blocks: [
+    {type: 'controls_if', id: '1', x: 0, y: 0,
+      children: [{type: 'statement', name: 'DO0', block: {type: 'text_print', id: '2',
+        next: {type: 'text_print', id: '3'}}}]}]});
+  var describe = function (nodes) {
+    return nodes.map(function (node) {
+      return node.type + (node.type == Blockly.Cursor.BLOCK ? node.block.id : '');
+    }).join();
+  };
+  // The empty condition, then the stack of statements and its end.
+  assertEquals('Children.', 'input,block2,block3,next',
+      describe(Blockly.Cursor.childNodes_(workspace.getBlockById('1'))));
+  assertEquals('Stack.', 'block1,next',
+      describe(Blockly.Cursor.stackNodes_(workspace.getBlockById('1'))));
+  assertEquals('Parent.', '1',
+      Blockly.Cursor.parentBlock_({type: Blockly.Cursor.BLOCK,
+        block: workspace.getBlockById('3')}).id);
+}
+
+function test_aria() {
+  var workspace = Blockly.Workspace.createHeadless();
+  Blockly.Json.setWorkspace(workspace, {version: 1, blocks: [
+    {type: 'controls_if', id: '1', x: 0, y: 0},
+    {type: 'text_print', id: '2', x: 0, y: 100}]});
+  assertEquals('Connected.', 'connected print to if do',
+      Blockly.Aria.describeEvents(workspace, [{type: Blockly.Events.CONNECT,
+        blockId: '2', json: {newLocation: {parent: '1'}}}]));
+  assertEquals('Deleted.', 'deleted 2 blocks',
+      Blockly.Aria.describeEvents(workspace, [{type: Blockly.Events.DELETE, blockId: '3'},
+        {type: Blockly.Events.DELETE, blockId: '4'}]));
+  var condition = workspace.getBlockById('1').getInput('IF0').connection;
+  assertEquals('Empty input.', 'value input IF0 empty',
+      Blockly.Aria.connectionLabel(condition));
+}
+
+function test_selection() {
+  var workspace = Blockly.Workspace.createHeadless();
+  Blockly.Json.setWorkspace(workspace, {version: 1, blocks: [
+    {type: 'controls_if', id: '1', x: 0, y: 0,
+      children: [{type: 'statement', name: 'DO0', block: {type: 'text_print', id: '2'}}],
+      next: {type: 'text_print', id: '3', next: {type: 'text_print', id: '4'}}}]});
+  var saved = Blockly.selection;
+  try {
+    // The block inside is deleted with it, the blocks below are not.
+    Blockly.selection = [workspace.getBlockById('1')];
+    assertEquals('Inside.', 2, Blockly.Selection.countDeleted_());
+    Blockly.selection = [workspace.getBlockById('3'), workspace.getBlockById('1'),
+      workspace.getBlockById('2')];
+    assertEquals('Below.', 3, Blockly.Selection.countDeleted_());
+    // Copied with the selected part of the stack.
+    var json = Blockly.Selection.toJson_();
+    assertEquals('Outermost.', 1, json.length);
+    assertEquals('Run.', 'text_print', json[0].next.type);
+    assertEquals('Cut.', undefined, json[0].next.next);
+  } finally {
+    Blockly.selection = saved;
+  }
+}
+
+function test_arrangeLayout() {
+  var stacks = [{x: 10, y: 20, width: 100, height: 50},
+    {x: 50, y: 40, width: 30, height: 10},
+    {x: 200, y: 0, width: 20, height: 20}];
+  var describe = function (positions) {
+    return positions.map(function (xy) { return xy.x + ',' + xy.y; }).join(' ');
+  };
+  var spacing = Blockly.Arrange.SPACING;
+  assertEquals('Column.', '10,0 10,' + (50 + spacing) + ' 10,' + (60 + 2 * spacing),
+      describe(Blockly.Arrange.layoutColumn_(stacks)));
+  assertEquals('Grid.', '10,0 ' + (110 + spacing) + ',0 10,' + (50 + spacing),
+      describe(Blockly.Arrange.layoutGrid_(stacks, 2)));
+  // Only the second stack overlaps one before it.
+  assertEquals('Clean up.', '10,20 50,' + (70 + spacing) + ' 200,0',
+      describe(Blockly.Arrange.layoutCleanUp_(stacks)));
+}
+
+function test_gridSnap() {
+  // Grid points are in the middle of each cell.
+  assertEquals('Down.', 10, Blockly.Grid.snapValue(14, 20));
+  assertEquals('Up.', 30, Blockly.Grid.snapValue(21, 20));
+  assertEquals('Negative.', -10, Blockly.Grid.snapValue(-3, 20));
+  assertEquals('No grid.', null, Blockly.parseGridOptions_(false));
+  var options = Blockly.parseGridOptions_({spacing: 25, snap: true});
+  assertEquals('Spacing.', 25, options.spacing);
+  assertEquals('Length.', Blockly.GRID_LENGTH, options.length);
+  assertEquals('Snap.', true, options.snap);
+  assertEquals('Defaults.', Blockly.GRID_SPACING,
+      Blockly.parseGridOptions_(true).spacing);
+}
+
+function test_comments() {
+  var json = {version: 1, blocks: [], comments: [
+    {id: 'c1', text: 'Note <b>', x: 30, y: 40, w: 150, h: 80}]};
+  var workspace = Blockly.Workspace.createHeadless();
+  Blockly.Json.setWorkspace(workspace, json);
+  assertEquals('Loaded.', 1, workspace.getTopComments().length);
+  assertEquals('Text.', 'Note <b>', workspace.getCommentById('c1').getText());
+  assertEquals('Saved.', JSON.stringify(json.comments),
+      JSON.stringify(Blockly.Json.getWorkspace(workspace).comments));
+  var dom = Blockly.Xml.jsonToDom(json);
+  assertEquals('Xml.', 'Note <b>',
+      Blockly.Xml.domToJson(dom).comments[0].text);
+  var errors = Blockly.Json.validate({version: 1, blocks: [],
+    comments: [{text: 3}]});
+  assertEquals('Invalid.', '/comments/0/text', errors[0].path);
+}
+
+function test_frames() {
+  var json = {version: 1, blocks: [{type: 'text_print', id: 'a', x: 60, y: 70},
+    {type: 'text_print', id: 'b', x: 400, y: 70}],
+    frames: [{id: 'f1', title: 'Init', colour: 120, x: 50, y: 40, w: 250,
+      h: 200, collapsed: true}]};
+  var workspace = Blockly.Workspace.createHeadless();
+  Blockly.Json.setWorkspace(workspace, json);
+  var frame = workspace.getFrameById('f1');
+  assertEquals('Title.', 'Init', frame.getTitle());
+  assertTrue('Collapsed.', frame.isCollapsed());
+  var blocks = frame.getContents().blocks;
+  assertEquals('Contents.', 1, blocks.length);
+  assertEquals('Inside.', 'a', blocks[0].id);
+  assertEquals('Saved.', JSON.stringify(json.frames),
+      JSON.stringify(Blockly.Json.getWorkspace(workspace).frames));
+  var dom = Blockly.Xml.jsonToDom(json);
+  assertEquals('Xml.', JSON.stringify(json.frames),
+      JSON.stringify(Blockly.Xml.domToJson(dom).frames));
+  var errors = Blockly.Json.validate({version: 1, blocks: [],
+    frames: [{collapsed: 'yes'}]});
+  assertEquals('Invalid.', '/frames/0/collapsed', errors[0].path);
+}
+
+function test_runnerWorker() {
+  var messages = [];
+  var self = {postMessage: function (message) {
+    // Like a real worker, which can't copy functions to the page.
+    if (message.args && message.args.some(function (arg) {
+          return typeof arg == 'function';
+        })) {
+      var error = new Error('Could not be cloned.');
+      error.name = 'DataCloneError';
+      throw error;
+    }
+    messages.push(message);
+  }};
+  Blockly.Runner.workerMain_(self);
+  var run = function (code) {
+    messages = [];
+    self.onmessage({data: {code: code, maxLoops: 3, loopMessage: 'Loops.',
+      sendMessage: 'Can\'t send %1.', input: ['Ann'], api: ['notify'],
+      hidden: ['self']}});
+    return messages.map(function (message) {
+      return [message.type, message.text || message.name || message.message,
+        message.answer || message.blockId || ''].join(':');
+    }).join();
+  };
+  assertEquals('Output.', 'print:hi:,prompt:Name?:Ann,done::',
+      run('$runner.block(\'a\');\nwindow.alert(\'hi\');\nwindow.prompt(\'Name?\');\n'));
+  assertEquals('Api.', 'call:notify:,print:undefined:,done::',
+      run('notify(1);\nwindow.alert(typeof self);\n'));
+  assertEquals('Error.', 'error:Oops:b',
+      run('$runner.block(\'a\');\n$runner.block(\'b\');\nthrow \'Oops\';\n'));
+  assertEquals('Loops.', 'error:Loops.:c',
+      run('while (true) {\n$runner.loop(\'c\');\n}\n'));
+  assertEquals('Api block.', 'call:notify:d,done::',
+      run('$runner.block(\'d\');\nnotify(1, [2], {a: 3});\n'));
+  assertEquals('Api arguments.', '1,2,3',
+      [messages[0].args[0], messages[0].args[1][0], messages[0].args[2].a].join());
+  assertEquals('Not sent.', 'error:Can\'t send notify.:e',
+      run('$runner.block(\'e\');\nnotify(function () {});\n'));
+}
+
+function test_runnerApi() {
+  var calls = [];
+  var errors = [];
+  var runner = new Blockly.Runner(Blockly.Workspace.createHeadless(), {
+    api: {
+      add: function (a, b) {
+        calls.push(a + b);
+        return a + b;
+      },
+      fail: function () {
+        throw 'Broken';
+      }
+    },
+    onFinish: function (error) {
+      errors.push(error);
+    }
+  });
+  runner.onMessage_({type: 'call', name: 'add', args: [1, 2], blockId: 'a'});
+  assertEquals('Called.', '3', calls.join());
+  assertEquals('Still running.', 0, errors.length);
+  runner.onMessage_({type: 'call', name: 'toString', args: [], blockId: 'a'});
+  assertEquals('Not in the api.', 0, errors.length);
+  runner.onMessage_({type: 'call', name: 'fail', args: [], blockId: 'b'});
+  assertEquals('Stopped.', 1, errors.length);
+  assertEquals('Error.', Blockly.Msg.RUNNER_API_ERROR.replace('%1', 'fail')
+      .replace('%2', 'Broken'), errors[0].message);
+  assertEquals('Error block.', 'b', errors[0].blockId);
+}
+
+function test_runnerSyncApi() {
+  var output = [];
+  var errors = [];
+  var runner = new Blockly.Runner(Blockly.Workspace.createHeadless(), {
+    api: {
+      add: function (a, b) {
+        return a + b;
+      },
+      echo: function (value) {
+        return value;
+      },
+      fail: function () {
+        throw 'Broken';
+      }
+    },
+    onOutput: function (text) {
+      output.push(text);
+    },
+    onFinish: function (error) {
+      errors.push(error);
+    }
+  });
+  // The worker's messages reach the runner at once, so it never waits.
+  var self = {postMessage: function (message) {
+    runner.onMessage_(message);
+  }};
+  Blockly.Runner.workerMain_(self);
+  var run = function (code) {
+    output = [];
+    errors = [];
+    // A small buffer, so that results are sent in chunks.
+    runner.buffer_ = new SharedArrayBuffer(16);
+    self.onmessage({data: {code: code, maxLoops: 3, loopMessage: 'Loops.',
+      sendMessage: 'Can\'t send %1.', input: [], api: ['add', 'echo', 'fail'],
+      hidden: [], buffer: runner.buffer_}});
+    return output.join();
+  };
+  assertEquals('Result.', '3', run('window.alert(add(1, 2));\n'));
+  assertNull('Done.', errors[0]);
+  var text = new Array(10).join('Grüße, ');
+  assertEquals('Chunks.', text, run('window.alert(echo(\'' + text + '\'));\n'));
+  assertEquals('Copy.', '{"a":[1,"x"]}',
+      run('window.alert(JSON.stringify(echo({a: [1, \'x\']})));\n'));
+  assertEquals('Undefined.', 'undefined', run('window.alert(echo());\n'));
+  assertEquals('Caught.', 'caught',
+      run('try {\nfail();\n} catch (e) {\nwindow.alert(\'caught\');\n}\n'));
+  run('$runner.block(\'f\');\nfail();\nwindow.alert(\'not reached\');\n');
+  assertEquals('Not reached.', 0, output.length);
+  assertEquals('Error.', Blockly.Msg.RUNNER_API_ERROR.replace('%1', 'fail')
+      .replace('%2', 'Broken'), errors[0].message);
+  assertEquals('Error block.', 'f', errors[0].blockId);
+}
+
+function test_themeColours() {
+  assertEquals('Hex.', '#123456', Blockly.makeColour('#123456'));
+  assertEquals('Hue.', Blockly.makeColour(120), Blockly.makeColour('120'));
+  assertTrue('By name.', Blockly.Theme.get('flat') === Blockly.Theme.FLAT);
+  assertTrue('Default.', Blockly.Theme.get(null) === Blockly.Theme.CLASSIC);
+  assertEquals('Style.', '#3f7fbf',
+      Blockly.Theme.FLAT.getCategoryColour('logic'));
+  var theme = new Blockly.Theme('test', {categoryStyles: {'math': '#000'}});
+  assertEquals('Own style.', '#000', theme.getCategoryColour('math'));
+  assertEquals('Classic style.', 120, theme.getCategoryColour('loops'));
+  assertTrue('Css.', Blockly.Theme.HIGH_CONTRAST.getCss_().indexOf(
+      '.blocklyTheme-highcontrast .blocklyPathLight,') != -1);
+  var active = Blockly.Theme.active_;
+  Blockly.Theme.FLAT.apply_();
+  assertEquals('Flat corner.', 'A 4,4 0 0,1 4,0',
+      Blockly.BlockSvg.TOP_LEFT_CORNER);
+  assertEquals('Flat tab.', 'v 5 l -8,3 0,9 8,3',
+      Blockly.BlockSvg.TAB_PATH_DOWN);
+  Blockly.Theme.CLASSIC.apply_();
+  assertEquals('Classic corner.', 'A 8,8 0 0,1 8,0',
+      Blockly.BlockSvg.TOP_LEFT_CORNER);
+  if (active) {
+    active.apply_();
+  }
+}
+
+function test_themeError() {
+  assertTrue('Name.', Blockly.Theme.exists('flat'));
+  assertTrue('Theme.', Blockly.Theme.exists(Blockly.Theme.FLAT));
+  assertTrue('Default.', Blockly.Theme.exists(null));
+  assertFalse('Unknown.', Blockly.Theme.exists('nosuchtheme'));
+  var errors = [];
+  var div = document.createElement('div');
+  document.body.appendChild(div);
+  // The event is fired while rendering, so the listener is in the config.
+  var panel = Ext.create('Ext.ux.blockly.Blockly', {renderTo: div, width: 600,
+    height: 400, blockly: {theme: 'nosuchtheme'}, listeners: {
+      themeerror: function (p, theme) {
+        errors.push(theme);
+      }
+    }});
+  try {
+    assertEquals('Error.', 'nosuchtheme', errors.join());
+    assertEquals('Classic.', 'classic', Blockly.withWorkspace(panel.workspace,
+        function () {
+          return Blockly.theme.name;
+        }));
+  } finally {
+    disposeTestPanel_(panel);
+  }
+}
+
+function test_exportClone() {
+  var group = Blockly.createSvgElement('g',
+      {'class': 'blocklyDraggable blocklySelected'}, null);
+  Blockly.createSvgElement('path', {'class': 'blocklyPath'}, group);
+  Blockly.createSvgElement('path',
+      {'class': 'blocklyHighlightedConnectionPath'}, group);
+  var clone = Blockly.Export.cleanClone_(group);
+  assertEquals('Class.', 'blocklyDraggable', clone.getAttribute('class'));
+  assertEquals('Elements.', 1, clone.childNodes.length);
+  assertEquals('Original.', 2, group.childNodes.length);
+
+  var workspace = Blockly.Workspace.createHeadless();
+  Blockly.Json.setWorkspace(workspace, {version: 1, blocks: [
+    {type: 'text_print', id: 'a', x: 0, y: 0, children: [{type: 'value',
+      name: 'TEXT', block: {type: 'text', id: 'b'}}]},
+    {type: 'text', id: 'c', x: 0, y: 100}]});
+  var blocks = Blockly.Export.outermost_([workspace.getBlockById('b'),
+    workspace.getBlockById('a'), workspace.getBlockById('c')]);
+  assertEquals('Outermost.', 'a,c', blocks.map(function (block) {
+    return block.id;
+  }).join());
+}
+
+function test_exportError() {
+  var panel = createTestPanel_({});
+  var errors = [];
+  panel.on('imageerror', function (p, action, message) {
+    errors.push(action + ': ' + message);
+  });
+  var toPng = Blockly.Export.toPng;
+  try {
+    // jsdom has no clipboard, and can't draw the picture.
+    panel.copyImage();
+    assertEquals('Cannot copy.',
+        'copy: Images can\'t be copied to the clipboard.', errors.join());
+    errors.length = 0;
+    Blockly.Export.toPng = function (workspace, blocks, callback) {
+      callback(null);
+    };
+    panel.saveImage();
+    assertEquals('Cannot draw.',
+        'save: Unable to draw the blocks as an image.', errors.join());
+  } finally {
+    Blockly.Export.toPng = toPng;
+    disposeTestPanel_(panel);
+  }
+}
+
+function test_toolboxCategories() {
+  var workspace = Blockly.Workspace.createHeadless();
+  Blockly.Json.setWorkspace(workspace, {version: 1, blocks: [
+    {type: 'variables_set', id: 'a', x: 0, y: 0,
+      fields: [{name: 'VAR', value: 'total'}]},
+    {type: 'procedures_defreturn', id: 'b', x: 0, y: 100,
+      mutation: [{name: 'arg', value: 'x'}],
+      fields: [{name: 'NAME', value: 'calc'}]}]});
+  var variables = Blockly.Toolbox.getCategory('VARIABLE', workspace);
+  assertEquals('Variables.', 'variables_set:,variables_get:,' +
+      'variables_set:total,variables_get:total,variables_set:x,' +
+      'variables_get:x', variables.map(function (block) {
+        return block.type + ':' + (block.fields ? block.fields[0].value : '');
+      }).join());
+  var procedures = Blockly.Toolbox.getCategory('PROCEDURE', workspace);
+  assertEquals('Procedures.', 1, procedures.length);
+  assertEquals('Call.', 'procedures_callreturn', procedures[0].type);
+  assertEquals('Mutation.', 'name:calc,arg:x',
+      procedures[0].mutation.map(function (item) {
+        return item.name + ':' + item.value;
+      }).join());
+
+  Blockly.Toolbox.registerCategory('test', function (ws) {
+    return [{type: 'text', fields: [{name: 'TEXT', value:
+        String(ws.getTopBlocks().length)}]}];
+  });
+  assertTrue('Registered.', Blockly.Toolbox.hasCategory('test'));
+  assertEquals('Custom.', '2',
+      Blockly.Toolbox.getCategory('test', workspace)[0].fields[0].value);
+  assertEquals('Unknown.', 0,
+      Blockly.Toolbox.getCategory('unknown', workspace).length);
+  delete Blockly.Toolbox.categories_['test'];
+}
+
+function createTestPanel_(blockly) {
+  var div = document.createElement('div');
+  document.body.appendChild(div);
+  return Ext.create('Ext.ux.blockly.Blockly', {renderTo: div, width: 600,
+    height: 400, blockly: blockly});
+}
+
+function disposeTestPanel_(panel) {
+  var div = panel.getEl().dom.parentNode;
+  panel.destroy();
+  Ext.removeNode(div);
+}
+
+function toolboxTestContents_(panel) {
+  // Each category's tools, marked with '!' where there is no picture.
+  return panel.getToolboxGrids().map(function (grid) {
+    var names = [];
+    grid.store.each(function (record) {
+      names.push((record.get('name') || record.get('block').type) +
+          (record.get('svg') ? '' : '!'));
+    });
+    return grid.category + (grid.hidden ? '(hidden)' : '') + '=' +
+        names.join('/');
+  }).join(' ');
+}
+
+function test_toolboxApi() {
+  var ifTool = {category: 'logic', name: 'If', block: {type: 'controls_if'}};
+  var panel = createTestPanel_({toolbox: true,
+    toolboxCategories: [{name: 'logic', title: 'Logic'},
+      {name: 'text', title: 'Text'},
+      {name: 'vars', title: 'Variables', custom: 'VARIABLE'}],
+    toolboxTools: [ifTool,
+      {category: 'text', name: 'Print', block: {type: 'text_print'}}]});
+  var rendered = [];
+  var renderToolboxRecord = panel.renderToolboxRecord;
+  panel.renderToolboxRecord = function (record) {
+    rendered.push(record.get('name') || record.get('block').type);
+    return renderToolboxRecord.apply(this, arguments);
+  };
+  var toolNames = function () {
+    return panel.blockly.toolboxTools.map(function (tool) {
+      return tool.name;
+    }).join();
+  };
+  var categoryNames = function () {
+    return panel.blockly.toolboxCategories.map(function (category) {
+      return category.name;
+    }).join();
+  };
+  try {
+    assertEquals('Toolbox.', 'logic=If text=Print ' +
+        'vars=variables_set/variables_get', toolboxTestContents_(panel));
+    // The panel's header tools are not toolbox tools.
+    assertEquals('Tools.', 'If,Print', toolNames());
+
+    // Only the new tools are drawn.
+    panel.addToolboxTool({category: 'logic', name: 'Compare',
+      block: {type: 'logic_compare'}});
+    panel.addToolboxTool({category: 'vars', name: 'Change',
+      block: {type: 'math_change'}});
+    panel.addToolboxTool({category: 'lists', name: 'List',
+      block: {type: 'lists_create_empty'}});
+    assertEquals('Added tools drawn.', 'Compare,Change', rendered.join());
+    assertEquals('Added tools.', 'logic=If/Compare text=Print ' +
+        'vars=Change/variables_set/variables_get', toolboxTestContents_(panel));
+    assertEquals('Tools kept.', 'If,Print,Compare,Change,List', toolNames());
+    try {
+      panel.addToolboxTool({category: 'logic', name: 'Nothing'});
+      fail('Tool without a block.');
+    } catch (e) {
+      assertEquals('No block.', 'Toolbox tool has no block.', e);
+    }
+    assertEquals('Not added.', 'If,Print,Compare,Change,List', toolNames());
+
+    rendered = [];
+    assertTrue('Remove by tool.', panel.removeToolboxTool(ifTool));
+    assertTrue('Remove by name.', panel.removeToolboxTool('Change'));
+    assertFalse('Unknown tool.', panel.removeToolboxTool('Nothing'));
+    assertEquals('Removed tools.', 'logic=Compare text=Print ' +
+        'vars=variables_set/variables_get', toolboxTestContents_(panel));
+    assertEquals('Tools left.', 'Print,Compare,List', toolNames());
+
+    // A category picks up the tools which were added for it.
+    var grid = panel.addCategory({name: 'lists', title: 'Lists'}, 1);
+    assertEquals('Category.', 'Lists', grid.title);
+    assertEquals('Added category drawn.', 'List', rendered.join());
+    assertEquals('Added category.', 'logic=Compare lists=List text=Print ' +
+        'vars=variables_set/variables_get', toolboxTestContents_(panel));
+    assertEquals('Categories.', 'logic,lists,text,vars', categoryNames());
+    assertTrue('Results first.',
+        panel.toolboxResults.ownerCt.items.getAt(0) === panel.toolboxResults);
+
+    rendered = [];
+    panel.setCategoryVisible('text', false);
+    assertEquals('Hidden.', 'logic=Compare lists=List text(hidden)=Print ' +
+        'vars=variables_set/variables_get', toolboxTestContents_(panel));
+    panel.setCategoryVisible('text', true);
+    assertEquals('Shown.', 'logic=Compare lists=List text=Print ' +
+        'vars=variables_set/variables_get', toolboxTestContents_(panel));
+
+    assertTrue('Remove category.', panel.removeCategory('lists'));
+    assertFalse('Unknown category.', panel.removeCategory('nothing'));
+    assertEquals('Removed category.', 'logic=Compare text=Print ' +
+        'vars=variables_set/variables_get', toolboxTestContents_(panel));
+    assertEquals('Categories left.', 'logic,text,vars', categoryNames());
+    assertEquals('Category tools kept.', 'Print,Compare,List', toolNames());
+    assertEquals('Nothing redrawn.', '', rendered.join());
+
+    // Custom categories follow the workspace after any change.
+    Blockly.withWorkspace(panel.workspace, function () {
+      var block = Blockly.Block.obtain(panel.workspace, 'variables_set');
+      block.setFieldValue('total', 'VAR');
+    });
+    panel.updateToolboxCategories();
+    assertEquals('Custom drawn.', 'variables_set,variables_get,' +
+        'variables_set,variables_get', rendered.join());
+
+    rendered = [];
+    panel.setToolbox([{name: 'math', title: 'Math'}],
+        [{category: 'math', name: 'Number', block: {type: 'math_number'}}]);
+    assertEquals('New toolbox drawn.', 'Number', rendered.join());
+    assertEquals('New toolbox.', 'math=Number', toolboxTestContents_(panel));
+    assertEquals('Accordion.', 2,
+        panel.toolboxResults.ownerCt.items.getCount());
+    assertFalse('Nothing to undo.', panel.canUndo());
+  } finally {
+    disposeTestPanel_(panel);
+  }
+}
+
+function injectTestWorkspace_(opt_options) {
+  var div = document.createElement('div');
+  div.style.width = '600px';
+  div.style.height = '400px';
+  document.body.appendChild(div);
+  return Blockly.inject(div, opt_options);
+}
+
+function disposeTestWorkspace_(workspace) {
+  var div = workspace.state_.DIV;
+  Blockly.uninject(workspace);
+  Ext.removeNode(div);
+}
+
+function undoTestBlocks_(workspace) {
+  return workspace.getTopBlocks(true).map(function (block) {
+    var xy = block.getRelativeToSurfaceXY();
+    return block.type + '@' + xy.x + ',' + xy.y;
+  }).join();
+}
+
+function test_undoCreateMove() {
+  var workspace = injectTestWorkspace_();
+  try {
+    var undoManager = workspace.undoManager;
+    var block;
+    Blockly.doCommand(function () {
+      block = Blockly.Block.obtain(workspace, 'text_print');
+      block.initSvg();
+      block.render();
+    });
+    assertEquals('Created.', 'text_print@0,0', undoTestBlocks_(workspace));
+    Blockly.doCommand(function () {
+      Blockly.UndoManager.record(block);
+      block.moveBy(10, 20);
+    });
+    assertEquals('Moved.', 'text_print@10,20', undoTestBlocks_(workspace));
+    // Recording a block which doesn't change adds no command.
+    Blockly.doCommand(function () {
+      Blockly.UndoManager.record(block);
+    });
+    assertTrue('Undo move.', undoManager.undo());
+    assertEquals('Move undone.', 'text_print@0,0', undoTestBlocks_(workspace));
+    assertTrue('Undo create.', undoManager.undo());
+    assertEquals('Create undone.', '', undoTestBlocks_(workspace));
+    assertFalse('Nothing left.', undoManager.canUndo());
+    assertTrue('Redo create.', undoManager.redo());
+    assertTrue('Redo move.', undoManager.redo());
+    assertEquals('Redone.', 'text_print@10,20', undoTestBlocks_(workspace));
+    assertEquals('Same id.', block.id, workspace.getTopBlocks()[0].id);
+    assertFalse('Nothing to redo.', undoManager.canRedo());
+  } finally {
+    disposeTestWorkspace_(workspace);
+  }
+}
+
+function test_undoFieldChange() {
+  var workspace = injectTestWorkspace_();
+  try {
+    var undoManager = workspace.undoManager;
+    Blockly.Json.setWorkspace(workspace, {version: 1, blocks: [
+      {type: 'math_number', id: 'n', x: 0, y: 0, fields: [{name: 'NUM', value: '1'}]}]});
+    undoManager.clear();
+    var block = workspace.getBlockById('n');
+    Blockly.doCommand(function () {
+      block.setFieldValue('2', 'NUM');
+    });
+    assertTrue('Undo.', undoManager.undo());
+    assertEquals('Undone.', '1', block.getFieldValue('NUM'));
+    assertTrue('Redo.', undoManager.redo());
+    assertEquals('Redone.', '2', block.getFieldValue('NUM'));
+  } finally {
+    disposeTestWorkspace_(workspace);
+  }
+}
+
+function test_undoConnect() {
+  var workspace = injectTestWorkspace_();
+  try {
+    var undoManager = workspace.undoManager;
+    Blockly.Json.setWorkspace(workspace, {version: 1, blocks: [
+      {type: 'controls_if', id: 'if', x: 0, y: 0},
+      {type: 'text_print', id: 'print', x: 200, y: 100}]});
+    undoManager.clear();
+    var ifBlock = workspace.getBlockById('if');
+    var printBlock = workspace.getBlockById('print');
+    Blockly.doCommand(function () {
+      ifBlock.getInput('DO0').connection.connect(printBlock.previousConnection);
+    });
+    assertEquals('Connected.', ifBlock, printBlock.getParent());
+    Blockly.doCommand(function () {
+      printBlock.unplug();
+    });
+    assertEquals('Disconnected.', null, printBlock.getParent());
+    assertTrue('Undo disconnect.', undoManager.undo());
+    assertEquals('Reconnected.', ifBlock, workspace.getBlockById('print').getParent());
+    assertTrue('Undo connect.', undoManager.undo());
+    printBlock = workspace.getBlockById('print');
+    assertEquals('Connect undone.', null, printBlock.getParent());
+    var xy = printBlock.getRelativeToSurfaceXY();
+    assertEquals('Back in place.', '200,100', xy.x + ',' + xy.y);
+  } finally {
+    disposeTestWorkspace_(workspace);
+  }
+}
+
+function test_undoGroup() {
+  var workspace = injectTestWorkspace_();
+  try {
+    var undoManager = workspace.undoManager;
+    Blockly.Json.setWorkspace(workspace, {version: 1, blocks: [
+      {type: 'math_number', id: 'a', x: 0, y: 0, fields: [{name: 'NUM', value: '1'}]},
+      {type: 'math_number', id: 'b', x: 0, y: 100, fields: [{name: 'NUM', value: '1'}]}]});
+    undoManager.clear();
+    // Nested groups and several blocks make one command.
+    Blockly.doCommand(function () {
+      workspace.getBlockById('a').setFieldValue('2', 'NUM');
+      undoManager.beginGroup();
+      workspace.getBlockById('b').setFieldValue('3', 'NUM');
+      undoManager.endGroup();
+      assertFalse('Still recording.', undoManager.canUndo());
+    });
+    assertTrue('One command.', undoManager.undo());
+    assertFalse('Only one.', undoManager.canUndo());
+    assertEquals('Both undone.', '1,1', workspace.getBlockById('a').getFieldValue('NUM') +
+        ',' + workspace.getBlockById('b').getFieldValue('NUM'));
+
+    // A new command clears the commands which could be redone.
+    assertTrue('Can redo.', undoManager.canRedo());
+    Blockly.doCommand(function () {
+      workspace.getBlockById('a').setFieldValue('4', 'NUM');
+    });
+    assertFalse('Redo cleared.', undoManager.canRedo());
+    assertFalse('Redo does nothing.', undoManager.redo());
+    assertEquals('Kept.', '4', workspace.getBlockById('a').getFieldValue('NUM'));
+  } finally {
+    disposeTestWorkspace_(workspace);
+  }
+}
+
+function test_undoReadOnly() {
+  var panel = createTestPanel_({readOnly: true});
+  try {
+    Blockly.withWorkspace(panel.workspace, function () {
+      Blockly.doCommand(function () {
+        var block = Blockly.Block.obtain(panel.workspace, 'text_print');
+        block.initSvg();
+        block.render();
+      });
+    });
+    assertTrue('Recorded.', panel.workspace.undoManager.canUndo());
+    // Like the keys, the panel's methods don't undo a read-only editor.
+    assertFalse('Cannot undo.', panel.canUndo());
+    assertFalse('Undo does nothing.', panel.undo());
+    assertEquals('Kept.', 'text_print@0,0', undoTestBlocks_(panel.workspace));
+    assertFalse('Cannot redo.', panel.canRedo());
+    assertFalse('Redo does nothing.', panel.redo());
+  } finally {
+    disposeTestPanel_(panel);
+  }
+}
+
+function test_eventsDiff() {
+  var workspace = Blockly.Workspace.createHeadless();
+  Blockly.Json.setWorkspace(workspace, {version: 1, blocks: [
+    {type: 'controls_if', id: 'if', x: 0, y: 0},
+    {type: 'text_print', id: 'print', x: 10, y: 100},
+    {type: 'math_number', id: 'n', x: 10, y: 200, fields: [{name: 'NUM', value: '1'}]}]});
+  var types = function (events) {
+    return events.map(function (event) { return event.type; }).join();
+  };
+  var print = workspace.getBlockById('print');
+  var number = workspace.getBlockById('n');
+
+  // Connecting a top block.
+  var before = Blockly.UndoManager.getState_(print);
+  workspace.getBlockById('if').getInput('DO0').connection.connect(print.previousConnection);
+  var after = Blockly.UndoManager.getState_(print);
+  var events = Blockly.Events.diff('print', before, after);
+  assertEquals('Connect.', 'blockconnect', types(events));
+  assertEquals('Connect id.', 'print', events[0].blockId);
+  assertEquals('Old location.', '10,100', events[0].json.oldLocation.x + ',' +
+      events[0].json.oldLocation.y);
+  assertEquals('New parent.', 'if', events[0].json.newLocation.parent);
+  assertEquals('New input.', 'DO0', events[0].json.newLocation.input);
+
+  // And disconnecting it again.
+  events = Blockly.Events.diff('print', after, before);
+  assertEquals('Disconnect.', 'blockdisconnect', types(events));
+  assertEquals('Old parent.', 'if', events[0].json.oldLocation.parent);
+  assertEquals('No new parent.', undefined, events[0].json.newLocation.parent);
+
+  // Moving and editing a block, which gives an event for each change.
+  before = Blockly.UndoManager.getState_(number);
+  number.moveBy(5, 0);
+  number.setFieldValue('2', 'NUM');
+  number.setCollapsed(true);
+  events = Blockly.Events.diff('n', before, Blockly.UndoManager.getState_(number));
+  assertEquals('Changes.', 'blockmove,fieldchange,blockcollapse', types(events));
+  assertEquals('Field.', 'NUM', events[1].json.name);
+  assertEquals('Old value.', '1', events[1].json.oldValue);
+  assertEquals('New value.', '2', events[1].json.newValue);
+  assertEquals('Collapsed.', true, events[2].json.newValue);
+
+  // Creation and deletion carry the block.
+  var state = Blockly.UndoManager.getState_(number);
+  events = Blockly.Events.diff('n', {exists: false}, state);
+  assertEquals('Create.', 'blockcreate', types(events));
+  assertEquals('Created block.', 'math_number', events[0].json.block.type);
+  events = Blockly.Events.diff('n', state, {exists: false});
+  assertEquals('Delete.', 'blockdelete', types(events));
+  assertEquals('Deleted location.', 15, events[0].json.location.x);
+  assertEquals('Unchanged.', '', types(Blockly.Events.diff('n', state, state)));
+  assertEquals('Never existed.', '',
+      types(Blockly.Events.diff('n', {exists: false}, {exists: false})));
+
+  // A headless workspace has no history to work out events from.
+  try {
+    Blockly.Events.addListener(workspace, function () {});
+    fail('Listener added.');
+  } catch (e) {
+    assertEquals('Headless.', 'Workspace was not created by Blockly.inject.', e);
+  }
+}
+
+function test_eventsDiffItems() {
+  var comment = {id: 'c', text: 'Old', x: 0, y: 0};
+  var changed = {id: 'c', text: 'New', x: 0, y: 0};
+  var events = Blockly.Events.diffComment('c', {exists: true, comment: comment},
+      {exists: true, comment: changed});
+  assertEquals('Comment change.', 'workspacecommentchange', events[0].type);
+  assertEquals('Comment id.', 'c', events[0].commentId);
+  assertEquals('Old text.', 'Old', events[0].json.oldValue.text);
+  assertEquals('New text.', 'New', events[0].json.newValue.text);
+  events = Blockly.Events.diffComment('c', {exists: false},
+      {exists: true, comment: comment});
+  assertEquals('Comment create.', 'workspacecommentcreate', events[0].type);
+  assertEquals('Created comment.', 'Old', events[0].json.comment.text);
+  events = Blockly.Events.diffComment('c', {exists: true, comment: comment},
+      {exists: false});
+  assertEquals('Comment delete.', 'workspacecommentdelete', events[0].type);
+  assertEquals('No comment.', 0,
+      Blockly.Events.diffComment('c', {exists: false}, {exists: false}).length);
+
+  var frame = {id: 'f', title: 'Setup', x: 0, y: 0, width: 100, height: 50};
+  var moved = {id: 'f', title: 'Setup', x: 20, y: 0, width: 100, height: 50};
+  events = Blockly.Events.diffFrame('f', {exists: true, frame: frame},
+      {exists: true, frame: moved});
+  assertEquals('Frame change.', 'framechange', events[0].type);
+  assertEquals('Frame id.', 'f', events[0].frameId);
+  assertEquals('Old x.', 0, events[0].json.oldValue.x);
+  assertEquals('New x.', 20, events[0].json.newValue.x);
+  events = Blockly.Events.diffFrame('f', {exists: false},
+      {exists: true, frame: frame});
+  assertEquals('Frame create.', 'framecreate', events[0].type);
+  assertEquals('Created frame.', 'Setup', events[0].json.frame.title);
+  events = Blockly.Events.diffFrame('f', {exists: true, frame: frame},
+      {exists: false});
+  assertEquals('Frame delete.', 'framedelete', events[0].type);
+  assertEquals('No frame.', 0,
+      Blockly.Events.diffFrame('f', {exists: false}, {exists: false}).length);
+}
+
+function test_panelListeners() {
+  var calls = [];
+  var panel = createTestPanel_({listeners: {
+    workspacechanged: function () {
+      calls.push('workspacechanged');
+    },
+    blockcreate: function () {
+      calls.push('blockcreate');
+    }
+  }});
+  try {
+    // The blockly config's workspacechanged is a DOM listener on the canvas,
+    // and its other listeners aren't used.
+    assertFalse('Not a panel listener.', panel.hasListener('workspacechanged'));
+    assertFalse('Not added.', panel.hasListener('blockcreate'));
+    panel.on('blockcreate', function (p, blockId) {
+      calls.push('panel ' + blockId);
+    });
+    Blockly.withWorkspace(panel.workspace, function () {
+      Blockly.doCommand(function () {
+        var block = Blockly.Block.obtain(panel.workspace, 'text_print', 'p');
+        block.initSvg();
+        block.render();
+      });
+    });
+    assertEquals('Panel event.', 'panel p', calls.join());
+  } finally {
+    disposeTestPanel_(panel);
+  }
+}
+
+function test_debugger() {
+  var workspace = injectTestWorkspace_();
+  var setN = function (id, value, opt_next) {
+    return {type: 'variables_set', id: id, fields: [{name: 'VAR', value: 'n'}],
+      children: [{type: 'value', name: 'VALUE', block: {type: 'math_number',
+        fields: [{name: 'NUM', value: String(value)}]}}], next: opt_next};
+  };
+  var events = [];
+  var listener = Blockly.Debugger.addListener(workspace, function (event) {
+    events.push(event.type + ':' + (event.blockId || event.json.error) +
+        (event.json.variables ? ':' + event.json.variables.n : ''));
+  });
+  var debug = new Blockly.Debugger(workspace);
+  try {
+    Blockly.Json.setWorkspace(workspace, {version: 1, blocks: [
+      {type: 'procedures_defnoreturn', id: 'p', x: 0, y: 200,
+        fields: [{name: 'NAME', value: 'twice'}],
+        children: [{type: 'statement', name: 'STACK', block: setN('b', 2)}]},
+      setN('a', 1, {type: 'procedures_callnoreturn', id: 'c',
+        mutation: [{name: 'name', value: 'twice'}], next: setN('d', 3)})]});
+    assertTrue('Procedure.', /function\* twice/.test(
+        Blockly.Debugger.workspaceToCode(workspace)));
+
+    // Stepping into the procedure pauses at its start and each of its
+    // statements.
+    for (var x = 0; x < 4; x++) {
+      debug.stepInto();
+    }
+    assertEquals('Step into.', 'stepcomplete:a:undefined,' +
+        'stepcomplete:c:1,stepcomplete:p:1,stepcomplete:b:1', events.join());
+    assertEquals('Paused.', Blockly.Debugger.PAUSED, debug.getState());
+    assertEquals('Current.', 'b', debug.getCurrentBlockId());
+    assertEquals('Variables.', 1, debug.getVariables().n);
+    debug.stepInto();
+    debug.stepInto();
+    assertEquals('Finished.', 'stepcomplete:d:2,debugfinish:null',
+        events.slice(4).join());
+    assertEquals('Idle.', Blockly.Debugger.IDLE, debug.getState());
+    assertNull('Not paused.', debug.getCurrentBlockId());
+
+    // Stepping over the call runs the whole procedure.
+    events = [];
+    for (var x = 0; x < 4; x++) {
+      debug.stepOver();
+    }
+    assertEquals('Step over.', 'stepcomplete:a:undefined,' +
+        'stepcomplete:c:1,stepcomplete:d:2,debugfinish:null', events.join());
+
+    // A breakpoint inside the procedure stops even a step over.
+    events = [];
+    workspace.getBlockById('b').setBreakpoint(true);
+    debug.stepOver();
+    debug.stepOver();
+    debug.stepOver();
+    assertEquals('Breakpoint.', 'stepcomplete:a:undefined,' +
+        'stepcomplete:c:1,breakpointhit:b:1', events.join());
+    events = [];
+    debug.run();
+    assertEquals('Run.', 'debugfinish:null', events.join());
+    assertEquals('Variables cleared.', 0,
+        Object.keys(debug.getVariables()).length);
+
+    // The hooks list the variables instead of evaluating their names.
+    var code = Blockly.Debugger.workspaceToCode(workspace);
+    assertFalse('No eval.', /eval/.test(code));
+    assertTrue('Variable table.', /return \[n\]/.test(code));
+
+    // An empty endless loop in a procedure still yields, so the page can
+    // carry on.
+    workspace.clear();
+    Blockly.Json.setWorkspace(workspace, {version: 1, blocks: [
+      {type: 'procedures_defnoreturn', id: 'p', x: 0, y: 200,
+        fields: [{name: 'NAME', value: 'spin'}],
+        children: [{type: 'statement', name: 'STACK', block: {
+          type: 'controls_whileUntil', id: 'w', fields: [{name: 'MODE', value: 'WHILE'}],
+          children: [{type: 'value', name: 'BOOL', block: {type: 'logic_boolean',
+            fields: [{name: 'BOOL', value: 'TRUE'}]}}]}}]},
+      setN('a', 1, {type: 'procedures_callnoreturn', id: 'c',
+        mutation: [{name: 'name', value: 'spin'}]})]});
+    events = [];
+    debug.run();
+    assertEquals('Still running.', Blockly.Debugger.RUNNING, debug.getState());
+    debug.pause();
+    debug.runSteps_();
+    assertEquals('Paused in the loop.', 'debugpause:w:1', events.join());
+    debug.stop();
+  } finally {
+    Blockly.unbindEvent_(listener);
+    debug.dispose();
+    disposeTestWorkspace_(workspace);
+  }
+}
+
+function test_multipleWorkspaces() {
+  var newBlock = function (workspace) {
+    var block;
+    Blockly.doCommand(function () {
+      block = Blockly.Block.obtain(workspace, 'text_print');
+      block.initSvg();
+      block.render();
+    });
+    return block;
+  };
+  var active = Blockly.Theme.active_;
+  var first = injectTestWorkspace_();
+  var second = null;
+  try {
+    var firstSvg = Blockly.svg;
+    var firstBlock = newBlock(first);
+    firstBlock.select();
+    assertTrue('First theme.', Blockly.theme === Blockly.Theme.CLASSIC);
+
+    // Injecting parks the globals of the first editor.
+    second = injectTestWorkspace_({theme: 'flat'});
+    assertTrue('Second active.', Blockly.mainWorkspace === second);
+    assertTrue('Second svg.', Blockly.svg && Blockly.svg !== firstSvg);
+    assertNull('Nothing selected.', Blockly.selected);
+    assertEquals('No selection.', 0, Blockly.selection.length);
+    assertTrue('Second theme.', Blockly.theme === Blockly.Theme.FLAT);
+    assertEquals('Flat corner.', 'A 4,4 0 0,1 4,0',
+        Blockly.BlockSvg.TOP_LEFT_CORNER);
+    var secondSvg = Blockly.svg;
+    var secondBlock = newBlock(second);
+    secondBlock.select();
+    assertTrue('Second undo.', second.undoManager.canUndo());
+    assertTrue('Own undo managers.', first.undoManager !== second.undoManager);
+
+    // Switching back restores them.
+    Blockly.setMainWorkspace(first);
+    assertTrue('First active.', Blockly.mainWorkspace === first);
+    assertTrue('First svg again.', Blockly.svg === firstSvg);
+    assertTrue('First selected.', Blockly.selected === firstBlock);
+    assertEquals('First selection.', 1, Blockly.selection.length);
+    assertTrue('First theme again.', Blockly.theme === Blockly.Theme.CLASSIC);
+    assertEquals('Classic corner.', 'A 8,8 0 0,1 8,0',
+        Blockly.BlockSvg.TOP_LEFT_CORNER);
+
+    // Commands go to the undo manager of the active editor.
+    first.undoManager.undo();
+    assertEquals('First undone.', 0, first.getTopBlocks().length);
+    assertEquals('Second kept.', 1, second.getTopBlocks().length);
+    Blockly.withWorkspace(second, function () {
+      assertTrue('Second svg again.', Blockly.svg === secondSvg);
+      assertTrue('Second selected.', Blockly.selected === secondBlock);
+      newBlock(second);
+    });
+    assertTrue('Restored.', Blockly.mainWorkspace === first);
+    assertEquals('Created in second.', 2, second.getTopBlocks().length);
+    assertFalse('Nothing to undo in first.', first.undoManager.canUndo());
+    assertTrue('First can redo.', first.undoManager.canRedo());
+    assertTrue('Second can undo.', second.undoManager.canUndo());
+
+    // A widget or menu stays open during a temporary switch, but not when
+    // another editor is activated.
+    var closed = [];
+    Blockly.WidgetDiv.show(first, function () {
+      closed.push('widget');
+    });
+    Blockly.openMenu = {destroy: function () {
+      closed.push('menu');
+    }};
+    Blockly.withWorkspace(second, function () {});
+    assertEquals('Still open.', '', closed.join());
+    Blockly.setMainWorkspace(second);
+    assertEquals('Closed.', 'widget,menu', closed.join());
+    assertNull('No menu.', Blockly.openMenu);
+    assertFalse('No widget.', Blockly.WidgetDiv.isVisible());
+    Blockly.setMainWorkspace(first);
+
+    var error = null;
+    try {
+      Blockly.setMainWorkspace(Blockly.Workspace.createHeadless());
+    } catch (e) {
+      error = e;
+    }
+    assertEquals('Headless.', 'Workspace was not created by Blockly.inject.',
+        error);
+    assertTrue('Still first.', Blockly.mainWorkspace === first);
+
+    // Removing the active editor hands over to the other one.
+    disposeTestWorkspace_(first);
+    first = null;
+    assertTrue('Handed over.', Blockly.mainWorkspace === second);
+    assertTrue('Second theme again.', Blockly.theme === Blockly.Theme.FLAT);
+  } finally {
+    if (first) {
+      disposeTestWorkspace_(first);
+    }
+    if (second) {
+      disposeTestWorkspace_(second);
+    }
+    if (active) {
+      active.apply_();
+    }
+  }
+}
@@ -25,3 +25,50 @@ function test_prefix() {
   assertEquals('Prefix one line.', '12Hello\n', generator.prefixLines('Hello\n', '12'));
   assertEquals('Prefix two lines.', '***Hello\n***World\n', generator.prefixLines('Hello\nWorld\n', '***'));
 }
+
+function test_workspaceToCodeHeadless() {
+  // Nothing is drawn on a headless workspace, and the page isn't measured.
+  var svgSize = Blockly.svgSize;
+  Blockly.svgSize = function() {
+    throw 'Measured the page.';
+  };
+  var workspace = Blockly.Workspace.createHeadless();
+  try {
+    Blockly.Json.setWorkspace(workspace, {version: 1, blocks: [
+      {type: 'math_number', x: 10, y: 20, fields: [{name: 'NUM', value: '42'}]}
+    ]});
+  } finally {
+    Blockly.svgSize = svgSize;
+  }
+  assertNull('Not drawn.', workspace.getTopBlocks(false)[0].getSvgRoot());
+  assertEquals('Position kept.', 20, workspace.getTopBlocks(false)[0].getRelativeToSurfaceXY().y);
+  var generator = new Blockly.Generator('INTERCAL');
+  generator.init = function(workspace) {};
+  generator.finish = function(code) { return code; };
+  generator.scrub_ = function(block, code) { return code; };
+  generator['math_number'] = function(block) {
+    return [block.getFieldValue('NUM'), 0];
+  };
+  assertEquals('Code from a headless workspace.', '42', generator.workspaceToCode(workspace));
+}
+
+function test_statementPrefix() {
+  var workspace = Blockly.Workspace.createHeadless();
+  Blockly.Json.setWorkspace(workspace, {version: 1, blocks: [
+    {type: 'text_print', id: 'a', x: 10, y: 20,
+      children: [{type: 'value', name: 'TEXT', block: {type: 'text', id: 'b'}}]}
+  ]});
+  var generator = new Blockly.Generator('INTERCAL');
+  generator.init = function(workspace) {};
+  generator.finish = function(code) { return code; };
+  generator.scrub_ = function(block, code) { return code; };
+  generator['text'] = function(block) {
+    return ['"hi"', 0];
+  };
+  generator['text_print'] = function(block) {
+    return 'PRINT ' + generator.valueToCode(block, 'TEXT', 0) + '\n';
+  };
+  generator.STATEMENT_PREFIX = 'TRACE %1\n';
+  assertEquals('Only statements prefixed.', 'TRACE \'a\'\nPRINT "hi"\n',
+      generator.workspaceToCode(workspace));
+}
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Run the JsUnit tests without a browser.
+ *
+ * Usage: node tests/run.js [test_name ...]
+ *
+ * Blockly, the Ext panel, the standard blocks and the JavaScript generators
+ * are loaded from this tree into a jsdom window, with the parts of SVG that
+ * jsdom lacks (text and box measurement, coordinate matrices) stubbed out.
+ * Then every test_ function of the test files is run, or only those named on
+ * the command line.  The exit code is the number of failed tests.
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var jsdom = require('jsdom');
+
+var ROOT = path.join(__dirname, '..');
+
+/**
+ * Test files, in load order.
+ */
+var TESTS = ['tests/blockly_test.js', 'tests/generator_test.js',
+    'tests/names_test.js'];
+
+/**
+ * List the .js files of a directory, sorted by name.
+ * @param {string} dir Directory relative to the root of the tree.
+ * @return {!Array.<string>} File names relative to the root of the tree.
+ */
+function listScripts(dir) {
+    return fs.readdirSync(path.join(ROOT, dir)).filter(function (name) {
+        return /\.js$/.test(name);
+    }).sort().map(function (name) {
+        return dir + '/' + name;
+    });
+}
+
+/**
+ * Format a value for an assertion message.
+ * @param {*} value The value.
+ * @return {string} The value as text.
+ */
+function show(value) {
+    return typeof value == 'string' ? '"' + value + '"' : String(value);
+}
+
+/**
+ * The JsUnit assertions used by the tests.  A failed assertion throws, which
+ * ends the test.
+ */
+var ASSERTIONS = {
+    assertEquals: function (comment, expected, actual) {
+        if (expected !== actual) {
+            throw new Error(comment + ' Expected ' + show(expected) +
+                ' but was ' + show(actual) + '.');
+        }
+    },
+    assertTrue: function (comment, value) {
+        if (value !== true) {
+            throw new Error(comment + ' Expected true but was ' + show(value) + '.');
+        }
+    },
+    assertFalse: function (comment, value) {
+        if (value !== false) {
+            throw new Error(comment + ' Expected false but was ' + show(value) + '.');
+        }
+    },
+    assertNull: function (comment, value) {
+        if (value !== null) {
+            throw new Error(comment + ' Expected null but was ' + show(value) + '.');
+        }
+    },
+    fail: function (comment) {
+        throw new Error(comment);
+    }
+};
+
+/**
+ * Load Blockly and the tests into a new window.
+ * @return {!jsdom.JSDOM} The window's document.
+ */
+function createDom() {
+    // What Blockly logs is kept out of the results.
+    var virtualConsole = new jsdom.VirtualConsole();
+    // Ext looks for the script tag it was loaded from.
+    var dom = new jsdom.JSDOM('<!DOCTYPE html><html><head>' +
+        '<script src="extjs/ext-all-debug.js"></script></head><body></body></html>',
+        {runScripts: 'outside-only', pretendToBeVisual: true,
+            virtualConsole: virtualConsole});
+    var window = dom.window;
+    window.SVGElement.prototype.getBBox = function () {
+        return {x: 0, y: 0, width: 50, height: 20};
+    };
+    window.SVGElement.prototype.getComputedTextLength = function () {
+        return (this.textContent || '').length * 7;
+    };
+    window.SVGElement.prototype.createSVGPoint = function () {
+        return {x: 0, y: 0, matrixTransform: function () {
+            return {x: this.x, y: this.y};
+        }};
+    };
+    window.SVGElement.prototype.getScreenCTM = function () {
+        return {inverse: function () {
+            return this;
+        }};
+    };
+    for (var name in ASSERTIONS) {
+        window[name] = ASSERTIONS[name];
+    }
+    var context = dom.getInternalVMContext();
+    var files = ['extjs/ext-all-debug.js'].concat(require('../tools/core_files.js'),
+        listScripts('blocks'), ['msg/js/en.js', 'generators/javascript.js'],
+        listScripts('generators/javascript'), ['extjs/Blockly.js'], TESTS);
+    files.forEach(function (file) {
+        var source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(source, context, {filename: file});
+    });
+    return dom;
+}
+
+/**
+ * Run the tests.
+ * @param {!Array.<string>} names Names of the tests to run, or none to run
+ *     them all.
+ * @return {number} Number of failed tests.
+ */
+function run(names) {
+    var dom = createDom();
+    var window = dom.window;
+    if (!names.length) {
+        names = Object.keys(window).filter(function (name) {
+            return /^test_/.test(name) && typeof window[name] == 'function';
+        });
+    }
+    var failures = 0;
+    try {
+        names.forEach(function (name) {
+            try {
+                if (typeof window[name] != 'function') {
+                    throw new Error('No such test.');
+                }
+                window[name]();
+                console.log('ok ' + name);
+            } catch (e) {
+                failures++;
+                console.log('FAIL ' + name + ': ' + (e && e.message || e));
+            }
+        });
+    } finally {
+        // Stop Ext's timers so that node can exit.
+        window.close();
+    }
+    console.log((names.length - failures) + ' of ' + names.length +
+        ' tests passed.');
+    return failures;
+}
+
+if (require.main === module) {
+    process.exitCode = Math.min(run(process.argv.slice(2)), 255);
+}
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * Generate code from a saved workspace without a browser.
+ *
+ * Usage: node tools/codegen.js <workspace.json> <javascript|python|dart>
+ *
+ * The workspace file holds the JSON returned by the Ext panel's getBlocks(),
+ * or the same as XML.
+ * Blockly, the standard blocks and the generators are loaded from this tree
+ * into a jsdom window, the blocks are loaded into a headless workspace, and
+ * the generated code is printed on stdout.  The headless workspace draws
+ * nothing, but Blockly is built on Ext, which needs a window and a document
+ * to load, so jsdom is needed.  It is an optional peer dependency of this
+ * package, as only this script uses it.
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var jsdom;
+try {
+    jsdom = require('jsdom');
+} catch (e) {
+    console.error('tools/codegen.js needs jsdom - run npm install jsdom.');
+    process.exit(1);
+}
+
+var ROOT = path.join(__dirname, '..');
+
+/**
+ * Core files, in load order.
+ */
+var CORE = require('./core_files.js');
+
+/**
+ * Generator object for each language name accepted on the command line.
+ */
+var LANGUAGES = {
+    javascript: 'JavaScript',
+    python: 'Python',
+    dart: 'Dart'
+};
+
+/**
+ * List the .js files of a directory, sorted by name.
+ * @param {string} dir Directory relative to the root of the tree.
+ * @return {!Array.<string>} File names relative to the root of the tree.
+ */
+function listScripts(dir) {
+    return fs.readdirSync(path.join(ROOT, dir)).filter(function (name) {
+        return /\.js$/.test(name);
+    }).sort().map(function (name) {
+        return dir + '/' + name;
+    });
+}
+
+/**
+ * Load Blockly, the blocks and a language's generators into a new window.
+ * Anything Blockly logs goes to stderr, so it doesn't mix with the code.
+ * @param {string} language Language name, one of the keys of LANGUAGES.
+ * @return {!jsdom.JSDOM} The window's document.
+ */
+function createDom(language) {
+    if (!LANGUAGES.hasOwnProperty(language)) {
+        throw 'Unknown language "' + language + '", expected one of: ' +
+            Object.keys(LANGUAGES).join(', ') + '.';
+    }
+    var virtualConsole = new jsdom.VirtualConsole();
+    ['log', 'info', 'warn', 'error'].forEach(function (method) {
+        virtualConsole.on(method, function () {
+            console.error.apply(console, arguments);
+        });
+    });
+    // Ext looks for the script tag it was loaded from.
+    var dom = new jsdom.JSDOM('<!DOCTYPE html><html><head>' +
+        '<script src="extjs/ext-all-debug.js"></script></head><body></body></html>',
+        {runScripts: 'outside-only', virtualConsole: virtualConsole});
+    var context = dom.getInternalVMContext();
+    var files = ['extjs/ext-all-debug.js'].concat(CORE, listScripts('blocks'),
+        ['msg/js/en.js', 'generators/' + language + '.js'],
+        listScripts('generators/' + language));
+    files.forEach(function (file) {
+        var source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(source, context, {filename: file});
+    });
+    return dom;
+}
+
+/**
+ * Generate code from a workspace.
+ * @param {!Object|string} json Workspace, as returned by
+ *     Blockly.Json.getWorkspace, or as JSON or XML text.
+ * @param {string} language Language name, one of the keys of LANGUAGES.
+ * @return {string} Generated code.
+ */
+function generate(json, language) {
+    var dom = createDom(language);
+    try {
+        var Blockly = dom.window.Blockly;
+        var workspace = Blockly.Workspace.createHeadless();
+        Blockly.Json.setWorkspace(workspace, Blockly.Json.read(json));
+        return Blockly[LANGUAGES[language]].workspaceToCode(workspace);
+    } finally {
+        // Stop Ext's timers so that node can exit.
+        dom.window.close();
+    }
+}
+
+module.exports = {
+    LANGUAGES: LANGUAGES,
+    generate: generate
+};
+
+if (require.main === module) {
+    var args = process.argv.slice(2);
+    if (args.length != 2) {
+        console.error('Usage: codegen <workspace.json> <' +
+            Object.keys(LANGUAGES).join('|') + '>');
+        process.exit(2);
+    }
+    try {
+        var code = generate(fs.readFileSync(args[0], 'utf8'), args[1].toLowerCase());
+        process.stdout.write(/\n$/.test(code) ? code : code + '\n');
+    } catch (e) {
+        console.error(e.stack || String(e));
+        process.exit(1);
+    }
+}
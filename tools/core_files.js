@@ -0,0 +1,22 @@
+/**
+ * The core files of Blockly, in load order.  Used by the build (Gruntfile.js)
+ * and by the scripts which load Blockly under Node (tools/codegen.js).
+ * A new core file is added here, and to extjs/index.html.
+ */
+'use strict';
+
+module.exports = ['core/blockly.js', 'core/block.js', 'core/block_svg.js', 'core/blocks.js', 'core/icon.js',
+    'core/bubble.js', 'core/clipboard.js',
+    'core/comment.js', 'core/connection.js', 'core/contextmenu.js', 'core/css.js', 'core/events.js', 'core/field.js',
+    'core/field_textinput.js',
+    'core/field_angle.js', 'core/field_checkbox.js', 'core/field_colour.js', 'core/field_dropdown.js',
+    'core/field_image.js',
+    'core/field_label.js', 'core/field_variable.js', 'core/flyout.js', 'core/generator.js',
+    'core/inject.js', 'core/input.js',
+    'core/msg.js', 'core/mutator.js', 'core/names.js', 'core/procedures.js', 'core/scrollbar.js',
+    'core/tooltip.js',
+    'core/trashcan.js', 'core/undo.js', 'core/utils.js', 'core/variables.js', 'core/warning.js', 'core/widgetdiv.js',
+    'core/workspace.js', 'core/zoom_controls.js', 'core/minimap.js',
+    'core/search.js', 'core/cursor.js', 'core/aria.js', 'core/selection.js', 'core/arrange.js', 'core/grid.js', 'core/workspace_comment.js', 'core/frame.js', 'core/debugger.js', 'core/runner.js', 'core/renderer.js', 'core/theme.js', 'core/export.js', 'core/toolbox.js',
+    'core/json.js', 'core/xml.js'
+];